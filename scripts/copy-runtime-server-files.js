@@ -62,6 +62,8 @@ try {
 	};
 
 	copyDirWithTransform(src, dest, transformServerImports);
+	// Shared with client code (route param matcher), imported as ../competition-id.js
+	fs.copyFileSync('src/lib/competition-id.js', 'build/lib/competition-id.js');
 	console.log(`✓ Copied ${src} to ${dest} (with $lib paths transformed)`);
 } catch (err) {
 	console.error('✗ Failed to copy runtime server files:', err.message);
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * Replay a recorded OWLCMS session into a running tracker
+ *
+ * Frames are sent over the real /ws protocol, so they go through exactly the
+ * same handlers as a live OWLCMS. Recordings are produced by running the
+ * tracker with RECORD_SESSION=true (see src/lib/server/session-recorder.js).
+ *
+ * Usage: npm run replay -- <recording.owlrec.ndjson> [options]
+ *
+ * Options:
+ *   --url=ws://localhost:8096/ws   Target tracker WebSocket URL
+ *   --speed=1                      Playback speed (1 = real time, 10 = 10x, max = no delay)
+ *   --max-gap=30                   Compress idle periods longer than this many seconds
+ *   --from=12:30 | --from=#250     Start at a time (mm:ss from start) or at an event number
+ *   --step                         Start paused; press n to send one frame at a time
+ *   --update-key=KEY               updateKey to inject (default: OWLCMS_UPDATEKEY)
+ *   --list                         Print the recording timeline and exit
+ *
+ * Keys during playback:
+ *   space  pause/resume      n  next frame (while paused)
+ *   ]  seek +30s   [  seek -30s   }  seek +5min   {  seek -5min
+ *   +  faster      -  slower      q  quit
+ */
+
+import WebSocket from 'ws';
+import { readRecording, describeEvent } from '../src/lib/server/session-recorder.js';
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const option = (name, fallback = null) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+};
+
+if (!file) {
+  console.error('❌ Error: recording file required');
+  console.error('Usage: npm run replay -- <recording.owlrec.ndjson> [--url=ws://host:8096/ws] [--speed=1|N|max] [--max-gap=30] [--from=mm:ss|#event] [--step] [--update-key=KEY] [--list]');
+  process.exit(1);
+}
+
+const url = option('url', 'ws://localhost:8096/ws');
+const speedArg = option('speed', '1');
+const maxGapMs = Number(option('max-gap', '30')) * 1000;
+const updateKey = option('update-key', process.env.OWLCMS_UPDATEKEY || null);
+const SPEEDS = [0.5, 1, 2, 4, 10, 30, 100, Infinity];
+
+let recording;
+try {
+  recording = readRecording(file);
+} catch (error) {
+  console.error(`❌ Unable to read recording ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const { header, events } = recording;
+
+if (args.includes('--list')) {
+  console.log(`Recording started ${header.startedAt}, ${events.length} events\n`);
+  events.forEach((event, i) => {
+    console.log(`#${String(i).padStart(5)}  ${formatTime(event.t)}  ${describeEvent(event)}`);
+  });
+  process.exit(0);
+}
+
+let speed = speedArg === 'max' ? Infinity : Number(speedArg) || 1;
+let index = 0;
+let paused = args.includes('--step');
+let timer = null;
+let ws = null;
+let busy = false;
+
+/**
+ * Open a fresh connection to the target tracker
+ */
+function openConnection() {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    socket.on('open', () => resolve(socket));
+    socket.on('error', reject);
+    socket.on('message', (data) => logReply(data));
+  });
+}
+
+function closeConnection(code = 1000, reason = '') {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    // Clients may only send 1000 or application codes (3000-4999)
+    const safeCode = code === 1000 || (code >= 3000 && code <= 4999) ? code : 1000;
+    ws.close(safeCode, reason);
+  }
+  ws = null;
+}
+
+function logReply(data) {
+  try {
+    const reply = JSON.parse(data.toString());
+    if (reply.status && reply.status !== 200) {
+      const missing = reply.missing?.length ? ` missing: ${reply.missing.join(', ')}` : '';
+      console.log(`   ↩ ${reply.status} ${reply.message || reply.error || ''}${missing}`);
+    } else if (reply.error) {
+      console.log(`   ↩ error: ${reply.error}`);
+    }
+  } catch {
+    // Non-JSON replies are not interesting here
+  }
+}
+
+function withUpdateKey(text) {
+  if (!updateKey) return text;
+  try {
+    const message = JSON.parse(text);
+    if (message.payload && typeof message.payload === 'object') {
+      message.payload.updateKey = updateKey;
+      return JSON.stringify(message);
+    }
+  } catch {
+    // Send unparseable frames untouched, the tracker will report them
+  }
+  return text;
+}
+
+function send(data, binary) {
+  return new Promise((resolve, reject) => {
+    ws.send(data, { binary }, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Send one recorded event to the tracker
+ * @param {object} event - Recorded event
+ * @param {boolean} quiet - Skip logging (used while seeking)
+ */
+async function play(event, quiet = false) {
+  if (!quiet) {
+    console.log(`#${String(index).padStart(5)}  ${formatTime(event.t)}  ${describeEvent(event)}`);
+  }
+
+  if (event.kind === 'open') {
+    closeConnection();
+    ws = await openConnection();
+    return;
+  }
+  if (event.kind === 'close') {
+    closeConnection(event.code, event.reason);
+    return;
+  }
+
+  // Seeking can land in the middle of a connection
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    ws = await openConnection();
+  }
+
+  if (event.kind === 'binary') {
+    await send(Buffer.from(event.data, 'base64'), true);
+  } else if (event.kind === 'text') {
+    await send(withUpdateKey(event.data), false);
+  }
+}
+
+function delayBefore(i) {
+  if (i === 0 || speed === Infinity) return 0;
+  const gap = Math.min(events[i].t - events[i - 1].t, maxGapMs);
+  return Math.max(0, gap / speed);
+}
+
+function scheduleNext() {
+  clearTimeout(timer);
+  timer = null;
+  if (paused || busy) return;
+  if (index >= events.length) {
+    console.log('\n✅ Replay complete');
+    finish();
+    return;
+  }
+  timer = setTimeout(step, delayBefore(index));
+}
+
+async function step() {
+  if (index >= events.length) return scheduleNext();
+  busy = true;
+  try {
+    await play(events[index]);
+  } catch (error) {
+    console.error(`❌ Unable to send event #${index}: ${error.message}`);
+    if (error.code === 'ECONNREFUSED') {
+      console.error('💡 Tip: make sure the tracker is running (npm run dev)');
+      finish(1);
+      return;
+    }
+  }
+  index++;
+  busy = false;
+  scheduleNext();
+}
+
+/**
+ * Move to another event. Going backwards restarts from the beginning because
+ * the tracker state can only be rebuilt by replaying what came before.
+ * @param {number} target - Event index
+ */
+async function seek(target) {
+  target = Math.max(0, Math.min(events.length, target));
+  clearTimeout(timer);
+  busy = true;
+  if (target < index) {
+    closeConnection();
+    index = 0;
+  }
+  console.log(`⏩ Seeking to #${target} (${formatTime(events[target]?.t ?? events[events.length - 1]?.t ?? 0)})`);
+  try {
+    while (index < target) {
+      await play(events[index], true);
+      index++;
+    }
+  } catch (error) {
+    console.error(`❌ Seek failed at event #${index}: ${error.message}`);
+  }
+  busy = false;
+  scheduleNext();
+}
+
+function indexAtTime(ms) {
+  const i = events.findIndex(event => event.t >= ms);
+  return i === -1 ? events.length : i;
+}
+
+function parseFrom(value) {
+  if (!value) return 0;
+  if (value.startsWith('#')) return Number(value.slice(1)) || 0;
+  const parts = value.split(':').map(Number);
+  const seconds = parts.reduce((acc, part) => acc * 60 + (part || 0), 0);
+  return indexAtTime(seconds * 1000);
+}
+
+function currentTime() {
+  return events[Math.min(index, events.length - 1)]?.t ?? 0;
+}
+
+function changeSpeed(direction) {
+  const position = SPEEDS.indexOf(speed);
+  const next = position === -1 ? 1 : SPEEDS[Math.max(0, Math.min(SPEEDS.length - 1, position + direction))];
+  speed = next;
+  console.log(`⏱️  Speed: ${speed === Infinity ? 'max' : `${speed}x`}`);
+  scheduleNext();
+}
+
+function handleKey(key) {
+  switch (key) {
+    case ' ':
+      paused = !paused;
+      console.log(paused ? '⏸️  Paused (n = next frame, space = resume)' : '▶️  Resumed');
+      scheduleNext();
+      break;
+    case 'n':
+      if (paused && !busy) step();
+      break;
+    case ']': seek(indexAtTime(currentTime() + 30000)); break;
+    case '[': seek(indexAtTime(currentTime() - 30000)); break;
+    case '}': seek(indexAtTime(currentTime() + 300000)); break;
+    case '{': seek(indexAtTime(currentTime() - 300000)); break;
+    case '+': changeSpeed(1); break;
+    case '-': changeSpeed(-1); break;
+    case 'q':
+    case '\u0003': // Ctrl-C
+      finish();
+      break;
+  }
+}
+
+function finish(exitCode = 0) {
+  clearTimeout(timer);
+  closeConnection();
+  if (process.stdin.isTTY) process.stdin.setRawMode(false);
+  // Give the close frame a moment to go out
+  setTimeout(() => process.exit(exitCode), 200);
+}
+
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+console.log(`🎬 Replaying ${file}`);
+console.log(`   Recorded ${header.startedAt}, ${events.length} events, ${formatTime(events[events.length - 1]?.t ?? 0)} long`);
+console.log(`   Target ${url}, speed ${speed === Infinity ? 'max' : `${speed}x`}\n`);
+
+if (paused && !process.stdin.isTTY) {
+  console.warn('⚠️  --step needs an interactive terminal, playing continuously instead');
+  paused = false;
+}
+
+if (process.stdin.isTTY) {
+  process.stdin.setRawMode(true);
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', handleKey);
+  console.log('Keys: space pause/resume, n next frame, [ ] seek ±30s, { } seek ±5min, + - speed, q quit\n');
+}
+
+const start = parseFrom(option('from'));
+if (start > 0) {
+  seek(start);
+} else {
+  scheduleNext();
+}
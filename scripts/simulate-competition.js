@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Simulate an OWLCMS competition against a running tracker
+ *
+ * Plays the sessions of a database (V1 or V2) over the real /ws protocol:
+ * lifting order, weight changes, timers, referee decisions, breaks, ceremonies
+ * and group switches. Useful for demos and load tests of new scoreboards when
+ * no competition is scheduled. See src/lib/server/competition-simulator.js.
+ *
+ * Usage: npm run simulate -- <database.json> [options]
+ *
+ *   <database.json>              A learning-mode DATABASE sample or an OWLCMS database export
+ *
+ * Options:
+ *   --url=ws://localhost:8096/ws Target tracker WebSocket URL
+ *   --speed=1                    Time acceleration (10 = ten times faster)
+ *   --seed=1                     Random seed (same seed = same competition)
+ *   --fop=A,B                    Platforms to simulate (default: all)
+ *   --sessions=M1,M2             Sessions to simulate (default: sessions not done, or all)
+ *   --reset                      Clear existing results of the simulated sessions
+ *   --break=600                  Break duration in seconds (intro, first snatch, first C&J)
+ *   --ceremony=120               Ceremony duration in seconds (0 = no ceremonies)
+ *   --translations=<file>        Learning-mode TRANSLATIONS sample to send
+ *   --resources=<recording>      Session recording to take translations/flags/logos/pictures zips from
+ *   --update-key=KEY             updateKey to send (default: OWLCMS_UPDATEKEY)
+ *   --loop                       Start over when all sessions are done
+ */
+
+import fs from 'fs';
+import WebSocket from 'ws';
+import { CompetitionSimulator } from '../src/lib/server/competition-simulator.js';
+import { readRecording, peekBinaryType } from '../src/lib/server/session-recorder.js';
+import { PROTOCOL_VERSION } from '../src/lib/server/protocol-config.js';
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const option = (name, fallback = null) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+};
+const list = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : null);
+
+if (!file) {
+  console.error('❌ Error: database file required');
+  console.error('Usage: npm run simulate -- <database.json> [--url=ws://host:8096/ws] [--speed=10] [--seed=1] [--fop=A] [--sessions=M1,M2] [--reset] [--break=600] [--ceremony=120] [--translations=<file>] [--resources=<recording>] [--update-key=KEY] [--loop]');
+  process.exit(1);
+}
+
+const url = option('url', 'ws://localhost:8096/ws');
+const speed = Math.max(0.1, Number(option('speed', '1')) || 1);
+const updateKey = option('update-key', process.env.OWLCMS_UPDATEKEY || null);
+const fopFilter = list(option('fop'));
+const loop = args.includes('--loop');
+
+let database;
+try {
+  database = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+  console.error(`❌ Unable to read database ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const simulatorOptions = {
+  seed: Number(option('seed', '1')) || 1,
+  sessions: list(option('sessions')),
+  resetResults: args.includes('--reset'),
+  breakSeconds: Number(option('break', '600')),
+  ceremonySeconds: Number(option('ceremony', '120'))
+};
+
+// Optional resources: translations sample and binary zips from a recording
+const translations = option('translations') ? JSON.parse(fs.readFileSync(option('translations'), 'utf8')) : null;
+const resourceFrames = new Map();
+if (option('resources')) {
+  for (const event of readRecording(option('resources')).events) {
+    if (event.kind !== 'binary') continue;
+    const data = Buffer.from(event.data, 'base64');
+    const type = peekBinaryType(data);
+    if (type && type !== 'database_zip' && type !== 'database') {
+      resourceFrames.set(type, data);
+    }
+  }
+  console.log(`📦 Resources from recording: ${[...resourceFrames.keys()].join(', ') || 'none'}`);
+}
+
+let ws = null;
+let simulator = null;
+const warned = new Set();
+
+function sendMessage(message) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  const payload = updateKey ? { ...message.payload, updateKey } : message.payload;
+  ws.send(JSON.stringify({ ...message, payload }));
+}
+
+function sendDatabase() {
+  sendMessage({ version: PROTOCOL_VERSION, type: 'database', payload: simulator.getDatabasePayload() });
+}
+
+function sendTranslations() {
+  if (translations) {
+    sendMessage({ version: PROTOCOL_VERSION, type: 'translations', payload: translations });
+  }
+}
+
+/**
+ * Answer 428 Precondition Required the way OWLCMS does
+ * @param {string[]} missing - Missing resources reported by the tracker
+ */
+function provide(missing) {
+  for (const item of missing) {
+    if (item === 'database') {
+      sendDatabase();
+    } else if (resourceFrames.has(item)) {
+      ws.send(resourceFrames.get(item), { binary: true });
+    } else if (item.startsWith('translations') && translations) {
+      sendTranslations();
+    } else if (!warned.has(item)) {
+      warned.add(item);
+      console.warn(`⚠️  Tracker requested ${item} - not available (see --translations / --resources)`);
+    }
+  }
+}
+
+function connect() {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    socket.on('open', () => resolve(socket));
+    socket.on('error', reject);
+    socket.on('message', (data) => {
+      try {
+        const reply = JSON.parse(data.toString());
+        if (reply.status === 428 && Array.isArray(reply.missing)) {
+          provide(reply.missing);
+        } else if (reply.status === 401) {
+          console.error('❌ Tracker rejected the updateKey (use --update-key)');
+        } else if (reply.status >= 400 || reply.error) {
+          console.warn(`   ↩ ${reply.status || ''} ${reply.message || reply.error || ''}`);
+        }
+      } catch {
+        // Ignore non-JSON replies
+      }
+    });
+    socket.on('close', () => {
+      console.log('🔌 Connection to tracker closed');
+      process.exit(0);
+    });
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runFop(fopName) {
+  for (const step of simulator.run(fopName)) {
+    await sleep(step.delay / speed);
+    const { type, payload } = step.message;
+    const label = payload.uiEvent || payload.athleteTimerEventType || payload.breakTimerEventType || payload.decisionEventType || '';
+    console.log(`[${fopName}] ${type.toUpperCase()} ${label}${payload.fullName ? ` - ${payload.fullName}` : ''}${payload.weight ? ` ${payload.weight}kg` : ''}`);
+    sendMessage(step.message);
+  }
+}
+
+try {
+  ws = await connect();
+} catch (error) {
+  console.error(`❌ Unable to connect to ${url}: ${error.message}`);
+  if (error.code === 'ECONNREFUSED') {
+    console.error('💡 Tip: make sure the tracker is running (npm run dev)');
+  }
+  process.exit(1);
+}
+
+let round = 0;
+do {
+  simulator = new CompetitionSimulator(database, {
+    ...simulatorOptions,
+    seed: simulatorOptions.seed + round,
+    resetResults: simulatorOptions.resetResults || round > 0
+  });
+  const fops = simulator.fops.filter(fop => !fopFilter || fopFilter.includes(fop));
+  if (fops.length === 0) {
+    console.error('❌ No sessions to simulate for the selected platforms');
+    process.exit(1);
+  }
+
+  console.log(`🏋️  Simulating ${simulator.competitionName}: ${simulator.sessions.filter(s => fops.includes(s.platformName)).map(s => s.name).join(', ')}`);
+  console.log(`   Platforms ${fops.join(', ')}, speed ${speed}x, seed ${simulatorOptions.seed + round}\n`);
+
+  sendDatabase();
+  sendTranslations();
+  for (const frame of resourceFrames.values()) {
+    ws.send(frame, { binary: true });
+  }
+
+  await Promise.all(fops.map(runFop));
+  round++;
+} while (loop);
+
+console.log('\n✅ Simulation complete');
+ws.close(1000, 'Simulation complete');
@@ -4,6 +4,13 @@
  */
 
 import { competitionHub } from '$lib/server/competition-hub.js';
+import { startHubSnapshots } from '$lib/server/hub-snapshot.js';
+import { startEventJournal } from '$lib/server/event-journal.js';
+import { startPluginWatcher } from '$lib/server/plugin-watcher.js';
+import { serveLocalFile } from '$lib/server/http-cache.js';
+// Registers the scoreboard push for the browser WebSocket channel (served by the copied server files)
+import '$lib/server/scoreboard-push.js';
+import { getCompetitionHub, hasCompetition, runWithCompetition, DEFAULT_COMPETITION } from '$lib/server/competitions.js';
 
 const LEARNING_MODE = process.env.LEARNING_MODE === 'true';
 
@@ -15,6 +22,16 @@ const _ = competitionHub;
 // - Production: start-with-ws.js
 // No WebSocket init needed here.
 
+// Warm restart: reload the hub state saved before the restart (stale until OWLCMS
+// reconnects) and keep saving it, so displays are not blanked by a tracker restart
+startHubSnapshots(getCompetitionHub(DEFAULT_COMPETITION));
+
+// History of update, timer and decision events of every competition (/api/journal)
+startEventJournal();
+
+// Runtime plugins (plugins/ folder) are reloaded when their files change
+startPluginWatcher();
+
 // Flags are kept across restarts for convenience
 // The binary handler will overwrite any flags with the same name when new ones arrive
 
@@ -105,7 +122,6 @@ export async function handle({ event, resolve }) {
   // Serve /local directory files (flags, pictures, styles) in production
   // Dev mode uses Vite middleware, production uses this hook
   if (event.url.pathname.startsWith('/local/')) {
-    const fs = await import('fs');
     const path = await import('path');
     
     // Decode URL-encoded path (e.g., "AK%20Bj%C3%B8rgvin.png" → "AK Bjørgvin.png")
@@ -119,31 +135,10 @@ export async function handle({ event, resolve }) {
       return new Response('Forbidden', { status: 403 });
     }
     
-    // Try to serve the file
+    // Try to serve the file (ETag revalidation, immutable when the URL has the content hash)
     try {
-      if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
-        const fileBuffer = fs.readFileSync(filePath);
-        const ext = path.extname(filePath).toLowerCase();
-        const mimeTypes = {
-          '.svg': 'image/svg+xml',
-          '.png': 'image/png',
-          '.jpg': 'image/jpeg',
-          '.jpeg': 'image/jpeg',
-          '.gif': 'image/gif',
-          '.webp': 'image/webp',
-          '.css': 'text/css',
-          '.js': 'application/javascript'
-        };
-        const contentType = mimeTypes[ext] || 'application/octet-stream';
-        
-        return new Response(fileBuffer, {
-          status: 200,
-          headers: {
-            'Content-Type': contentType,
-            'Cache-Control': 'public, max-age=3600'
-          }
-        });
-      }
+      const response = serveLocalFile(event.request, event.url, resolvedPath);
+      if (response) return response;
     } catch (error) {
       // Fall through to 404
     }
@@ -151,5 +146,33 @@ export async function handle({ event, resolve }) {
     return new Response('Not Found', { status: 404 });
   }
   
-  return resolve(event);
+  // Multi-competition hosting: serve the request with the hub of its competition
+  // - pages: /<competition>/lifting-order?fop=A
+  // - API calls from those pages: /api/scoreboard?competition=<competition>&...
+  const competitionId = requestCompetition(event.url);
+  if (!competitionId) {
+    return new Response(JSON.stringify({ error: 'unknown_competition', competition: event.url.searchParams.get('competition') }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  return runWithCompetition(competitionId, () => resolve(event));
+}
+
+/**
+ * Competition a request belongs to
+ * @param {URL} url - Request URL
+ * @returns {string|null} - Competition identifier, null for an unknown ?competition=
+ */
+function requestCompetition(url) {
+  const requested = url.searchParams.get('competition');
+  if (requested) {
+    return hasCompetition(requested) ? requested : null;
+  }
+  // First segment of a multi-segment path (a single segment is a default-competition scoreboard)
+  const segments = url.pathname.split('/').filter(Boolean);
+  if (segments.length > 1 && hasCompetition(segments[0])) {
+    return segments[0];
+  }
+  return DEFAULT_COMPETITION;
 }
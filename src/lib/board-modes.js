@@ -0,0 +1,17 @@
+/**
+ * OWLCMS board modes (fopUpdate.mode) - shared by the server helpers and the browser
+ */
+
+/**
+ * Check if we're in a break mode
+ * @param {string} mode - Board mode from fopUpdate
+ * @returns {boolean}
+ */
+export function isBreakMode(mode) {
+	return mode === 'INTERRUPTION' || 
+	       mode === 'INTRO_COUNTDOWN' || 
+	       mode === 'LIFT_COUNTDOWN' || 
+	       mode === 'LIFT_COUNTDOWN_CEREMONY' || 
+	       mode === 'SESSION_DONE' || 
+	       mode === 'CEREMONY';
+}
@@ -0,0 +1,112 @@
+/**
+ * Clock synchronisation with the server - shared by all timers of the page
+ *
+ * Timers sent by the server carry serverTime, the server clock when their
+ * timeRemaining was current (see server/timer-anchor.js). Counting down from
+ * there needs the offset between this browser's clock and the server's:
+ * estimated NTP-style from a few exchanges (ping/pong on the WebSocket channel,
+ * GET /api/time on SSE), keeping the one with the shortest round trip.
+ * Re-measured every few minutes and when a background tab becomes visible.
+ */
+
+import { pingServer } from './sse-client.js';
+
+const SAMPLES = 5;
+const SAMPLE_SPACING_MS = 200;
+const RESYNC_MS = 5 * 60 * 1000;
+
+let offset = 0; // Server clock - browser clock (ms)
+let roundTrip = null; // Round trip of the sample used (ms)
+let syncedAt = null; // Browser time of the last synchronisation
+let syncing = null; // Promise of the synchronisation under way
+let started = false;
+
+/**
+ * One exchange with the server
+ * @returns {Promise<{offset: number, roundTrip: number}|null>}
+ */
+async function sample() {
+	const t0 = Date.now();
+	let serverTime = await pingServer();
+	if (serverTime === null) {
+		try {
+			const response = await fetch('/api/time', { cache: 'no-store' });
+			serverTime = (await response.json()).serverTime;
+		} catch {
+			return null;
+		}
+	}
+	const t1 = Date.now();
+	if (typeof serverTime !== 'number') return null;
+	// The server read its clock halfway through the round trip
+	return { offset: serverTime - (t0 + t1) / 2, roundTrip: t1 - t0 };
+}
+
+/**
+ * Measure the clock offset now
+ * @returns {Promise<void>}
+ */
+export function syncClock() {
+	if (syncing) return syncing;
+	syncing = (async () => {
+		let best = null;
+		for (let i = 0; i < SAMPLES; i++) {
+			if (i > 0) await new Promise((resolve) => setTimeout(resolve, SAMPLE_SPACING_MS));
+			const result = await sample();
+			if (result && (!best || result.roundTrip < best.roundTrip)) {
+				best = result;
+			}
+		}
+		if (best) {
+			offset = Math.round(best.offset);
+			roundTrip = best.roundTrip;
+			syncedAt = Date.now();
+			console.log(`[Clock] Server offset ${offset}ms (round trip ${roundTrip}ms)`);
+		}
+	})().finally(() => {
+		syncing = null;
+	});
+	return syncing;
+}
+
+/**
+ * Start synchronising (once per page, browser only)
+ */
+export function startClockSync() {
+	if (started || typeof window === 'undefined') return;
+	started = true;
+	syncClock();
+	setInterval(syncClock, RESYNC_MS);
+	// Background tabs have throttled timers and may have slept
+	document.addEventListener('visibilitychange', () => {
+		if (document.visibilityState === 'visible') syncClock();
+	});
+}
+
+/**
+ * @returns {number} - Current time on the server clock (ms)
+ */
+export function serverNow() {
+	return Date.now() + offset;
+}
+
+/**
+ * Time elapsed since a timer value was current
+ * @param {number|null|undefined} serverTime - serverTime of the value (absent = not anchored)
+ * @param {number} receivedAt - Browser time it was received (used until the clock is synchronised)
+ * @returns {number} - ms
+ */
+export function elapsedSince(serverTime, receivedAt) {
+	if (typeof serverTime !== 'number' || syncedAt === null) {
+		return Date.now() - receivedAt;
+	}
+	return Math.max(0, serverNow() - serverTime);
+}
+
+/**
+ * Current estimate (for diagnostics)
+ * @returns {{offset: number, roundTrip: number|null, syncedAt: number|null}}
+ */
+export function getClockSync() {
+	return { offset, roundTrip, syncedAt };
+}
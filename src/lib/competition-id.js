@@ -0,0 +1,39 @@
+/**
+ * Competition identifiers for multi-competition hosting
+ *
+ * Shared by the server (competition registry) and the route matcher, so it
+ * must stay free of server-only imports.
+ */
+
+export const DEFAULT_COMPETITION = 'default';
+
+// First path segments already used by the tracker itself: every top-level
+// route in src/routes, folders in static/ and paths served by vite.config.js
+const RESERVED_IDS = new Set([
+	DEFAULT_COMPETITION,
+	'api',
+	'config',
+	'database',
+	'decision',
+	'displays',
+	'local',
+	'p',
+	'playlist',
+	'timer',
+	'translations',
+	'update',
+	'ws',
+	'favicon.png',
+	'robots.txt',
+	'gamx',
+	'node_modules'
+]);
+
+/**
+ * Check that a competition identifier can be used in URLs (/<competition>/lifting-order)
+ * @param {string} id - Competition identifier
+ * @returns {boolean}
+ */
+export function isValidCompetitionId(id) {
+	return typeof id === 'string' && /^[a-z0-9][a-z0-9_-]{0,39}$/i.test(id) && !RESERVED_IDS.has(id.toLowerCase());
+}
@@ -0,0 +1,125 @@
+/**
+ * Remote control of this screen by the operator (/displays)
+ *
+ * The server sends display_info (name and group given by the operator) and
+ * display_command messages on the SSE stream or WebSocket channel; sse-client.js
+ * passes them here instead of to the page. See server/display-registry.js.
+ *
+ * Anyone who can reach the tracker can send these commands (/api/displays has
+ * no access control): keep the tracker on the venue network or behind a proxy
+ * that restricts /displays and /api/displays.
+ */
+
+const OVERLAY_ID = 'owlcms-display-blank';
+const IDENTIFY_ID = 'owlcms-display-identify';
+const IDENTIFY_MS = 10000;
+
+let displayInfo = { id: null, name: null, group: null };
+let identifyTimer = null;
+
+function overlay(id, style) {
+	let element = document.getElementById(id);
+	if (!element) {
+		element = document.createElement('div');
+		element.id = id;
+		element.style.cssText = `position: fixed; inset: 0; z-index: 2147483647; ${style}`;
+		document.body.appendChild(element);
+	}
+	return element;
+}
+
+function blank(on) {
+	if (on) {
+		overlay(OVERLAY_ID, 'background: #000; cursor: none;');
+	} else {
+		document.getElementById(OVERLAY_ID)?.remove();
+	}
+}
+
+function identify(name) {
+	const element = overlay(
+		IDENTIFY_ID,
+		'display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.8); color: #fff; font: bold 8vw Arial, sans-serif; text-align: center;'
+	);
+	element.textContent = name || displayInfo.name || displayInfo.id || '';
+	clearTimeout(identifyTimer);
+	identifyTimer = setTimeout(() => element.remove(), IDENTIFY_MS);
+}
+
+function changeLanguage(language) {
+	const url = new URL(location.href);
+	url.searchParams.delete('language');
+	url.searchParams.set('lang', language);
+	location.assign(url.toString());
+}
+
+/**
+ * Path of a navigation target on this site
+ * The target is resolved the way the browser resolves it, so "/\evil.example"
+ * (a backslash counts as a slash) and "//evil.example" are other sites.
+ * Used by the server when checking a navigate command and by the display before following it.
+ * @param {string} url - Target given by the operator
+ * @param {string} origin - Origin of the site (location.origin in the browser)
+ * @returns {string|null} - Path, query and hash; null if the target is on another site
+ */
+export function sameOriginPath(url, origin) {
+	if (typeof url !== 'string') return null;
+	try {
+		const target = new URL(url, origin);
+		return target.origin === origin ? `${target.pathname}${target.search}${target.hash}` : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Handle a display message
+ * @param {Object} message - Message received from the server
+ * @returns {boolean} - true if it was a display message (not for the page)
+ */
+export function handleDisplayMessage(message) {
+	if (message?.type === 'display_info') {
+		displayInfo = { id: message.id, name: message.name, group: message.group };
+		return true;
+	}
+	if (message?.type !== 'display_command') return false;
+	if (typeof document === 'undefined') return true;
+
+	console.log(`[Display] Operator command: ${message.command}`);
+	switch (message.command) {
+		case 'navigate': {
+			// Same site only (checked by the server too)
+			const path = sameOriginPath(message.url, location.origin);
+			if (path) {
+				location.assign(path);
+			}
+			break;
+		}
+		case 'reload':
+			location.reload();
+			break;
+		case 'language':
+			changeLanguage(message.language);
+			break;
+		case 'blank':
+			blank(true);
+			break;
+		case 'unblank':
+			blank(false);
+			break;
+		case 'identify':
+			identify(message.name);
+			break;
+		default:
+			console.warn(`[Display] Unknown command: ${message.command}`);
+	}
+	return true;
+}
+
+/**
+ * Name and group given by the operator
+ * @returns {{id: string|null, name: string|null, group: string|null}}
+ */
+export function getDisplayInfo() {
+	return displayInfo;
+}
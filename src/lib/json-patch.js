@@ -0,0 +1,144 @@
+/**
+ * Minimal JSON Patch (RFC 6902) for scoreboard payloads
+ *
+ * Shared by the server (diff of two versions of a scoreboard payload, pushed
+ * over SSE) and the browser (apply), so it must stay free of server-only imports.
+ * Only add, remove and replace are produced and applied: payloads are plain
+ * JSON, and moves within arrays are sent as replacements of the changed items.
+ */
+
+function escapeToken(token) {
+	return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapeToken(token) {
+	return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function isObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function diffInto(before, after, path, ops) {
+	if (before === after) return;
+
+	if (Array.isArray(before) && Array.isArray(after)) {
+		const common = Math.min(before.length, after.length);
+		for (let i = 0; i < common; i++) {
+			diffInto(before[i], after[i], `${path}/${i}`, ops);
+		}
+		// Removed from the end first so the indexes stay valid
+		for (let i = before.length - 1; i >= common; i--) {
+			ops.push({ op: 'remove', path: `${path}/${i}` });
+		}
+		for (let i = common; i < after.length; i++) {
+			ops.push({ op: 'add', path: `${path}/-`, value: after[i] });
+		}
+		return;
+	}
+
+	if (isObject(before) && isObject(after)) {
+		for (const key of Object.keys(before)) {
+			if (!(key in after) || after[key] === undefined) {
+				if (before[key] !== undefined) ops.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+			}
+		}
+		for (const [key, value] of Object.entries(after)) {
+			if (value === undefined) continue;
+			if (!(key in before) || before[key] === undefined) {
+				ops.push({ op: 'add', path: `${path}/${escapeToken(key)}`, value });
+			} else {
+				diffInto(before[key], value, `${path}/${escapeToken(key)}`, ops);
+			}
+		}
+		return;
+	}
+
+	// Different types, or different primitive values (NaN never differs from itself in JSON)
+	if (typeof before === 'number' && typeof after === 'number' && Number.isNaN(before) && Number.isNaN(after)) return;
+	ops.push({ op: 'replace', path, value: after });
+}
+
+/**
+ * Compute the operations that turn one JSON value into another
+ * @param {*} before - Previous value (as sent to the clients)
+ * @param {*} after - New value
+ * @returns {Array<{op: string, path: string, value?: *}>} - Empty when nothing changed
+ */
+export function createPatch(before, after) {
+	const ops = [];
+	diffInto(before, after, '', ops);
+	return ops;
+}
+
+/**
+ * Apply operations to a JSON value
+ * The value is not modified: changed objects and arrays are copied, unchanged
+ * ones are shared, so Svelte sees the new value as changed.
+ * @param {*} document - Value to patch
+ * @param {Array<{op: string, path: string, value?: *}>} patch
+ * @returns {*} - Patched value
+ * @throws {Error} - Operation that does not fit the value (the caller needs the full payload)
+ */
+export function applyPatch(document, patch) {
+	let result = document;
+	for (const operation of patch) {
+		result = applyOperation(result, operation);
+	}
+	return result;
+}
+
+function applyOperation(document, { op, path, value }) {
+	if (path === '') {
+		if (op === 'remove') throw new Error('Cannot remove the whole document');
+		return value;
+	}
+	const tokens = path.split('/').slice(1).map(unescapeToken);
+	return applyAt(document, tokens, op, value, path);
+}
+
+function applyAt(node, tokens, op, value, path) {
+	const [token, ...rest] = tokens;
+
+	if (Array.isArray(node)) {
+		const copy = node.slice();
+		const index = token === '-' ? copy.length : Number(token);
+		if (!Number.isInteger(index) || index < 0 || index > copy.length) {
+			throw new Error(`Invalid array index in ${path}`);
+		}
+		if (rest.length > 0) {
+			if (index >= copy.length) throw new Error(`Path not found: ${path}`);
+			copy[index] = applyAt(copy[index], rest, op, value, path);
+		} else if (op === 'add') {
+			copy.splice(index, 0, value);
+		} else if (index >= copy.length) {
+			throw new Error(`Path not found: ${path}`);
+		} else if (op === 'remove') {
+			copy.splice(index, 1);
+		} else if (op === 'replace') {
+			copy[index] = value;
+		} else {
+			throw new Error(`Unsupported operation: ${op}`);
+		}
+		return copy;
+	}
+
+	if (isObject(node)) {
+		const copy = { ...node };
+		if (rest.length > 0) {
+			if (!(token in copy)) throw new Error(`Path not found: ${path}`);
+			copy[token] = applyAt(copy[token], rest, op, value, path);
+		} else if (op === 'add' || op === 'replace') {
+			if (op === 'replace' && !(token in copy)) throw new Error(`Path not found: ${path}`);
+			copy[token] = value;
+		} else if (op === 'remove') {
+			if (!(token in copy)) throw new Error(`Path not found: ${path}`);
+			delete copy[token];
+		} else {
+			throw new Error(`Unsupported operation: ${op}`);
+		}
+		return copy;
+	}
+
+	throw new Error(`Path not found: ${path}`);
+}
@@ -0,0 +1,189 @@
+/**
+ * Display playlists - one screen rotating through several scoreboards
+ *
+ * A playlist shows scoreboard types of one FOP in turn, each with its options and
+ * for a number of seconds. It follows the platform: the onTimer scoreboard (attempt
+ * board by default) is shown from the moment the athlete's clock starts until a few
+ * seconds after the decision, the onBreak scoreboard (rankings by default) during
+ * breaks, then the rotation resumes with the next scoreboard.
+ *
+ * Defined by URL:
+ *   /playlist?fop=A&item=lifting-order:30&item=team-scoreboard:20:gender=MF,showPredicted=true
+ *     &onTimer=attempt-board&onBreak=rankings:showLeaders=false&decisionSeconds=5
+ *   (entry = type[:seconds][:key=value,...]; onTimer=none / onBreak=none keep rotating)
+ * or saved on the server and opened by name: /playlist/<name> (see server/playlists.js).
+ *
+ * Shared by the playlist page and the server: no server imports here.
+ */
+
+import { isBreakMode } from './board-modes.js';
+
+export const DEFAULT_ITEM_SECONDS = 20;
+export const DEFAULT_DECISION_SECONDS = 5;
+export const DEFAULT_ON_TIMER = 'attempt-board';
+export const DEFAULT_ON_BREAK = 'rankings';
+const MIN_ITEM_SECONDS = 3;
+const MAX_ITEMS = 20;
+// Clock stopped without a decision (time reset, athlete withdrawn): back to the rotation
+const STOPPED_CLOCK_SECONDS = 60;
+const PLAYLIST_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Option value from a URL (checked and converted by the scoreboard's option schema on the server)
+ * @param {string} value
+ * @returns {boolean|number|string}
+ */
+function parseOptionValue(value) {
+	if (value === 'true') return true;
+	if (value === 'false') return false;
+	if (!isNaN(value) && value !== '') return parseFloat(value);
+	return value;
+}
+
+/**
+ * Playlist entry from its URL form: type[:seconds][:key=value,...]
+ * @param {string} text - e.g. "team-scoreboard:20:gender=MF,showPredicted=true"
+ * @returns {{type: string, seconds?: number, options: object}}
+ */
+export function parseEntry(text) {
+	const [type, ...rest] = text.split(':');
+	const entry = { type: type.trim(), options: {} };
+	if (rest.length > 0 && /^\d+(\.\d+)?$/.test(rest[0])) {
+		entry.seconds = parseFloat(rest.shift());
+	}
+	const options = rest.join(':');
+	for (const pair of options ? options.split(',') : []) {
+		const separator = pair.indexOf('=');
+		if (separator <= 0) continue;
+		entry.options[pair.slice(0, separator).trim()] = parseOptionValue(pair.slice(separator + 1).trim());
+	}
+	return entry;
+}
+
+/**
+ * Playlist definition from the query string of /playlist
+ * @param {URLSearchParams} searchParams
+ * @returns {object} - Definition to check with playlistProblem (absent keys are left out)
+ */
+export function playlistFromQuery(searchParams) {
+	const definition = {};
+	if (searchParams.get('fop')) definition.fop = searchParams.get('fop');
+	const items = searchParams.getAll('item').filter(Boolean);
+	if (items.length > 0) definition.items = items.map(parseEntry);
+	for (const key of ['onTimer', 'onBreak']) {
+		const value = searchParams.get(key);
+		if (value !== null) definition[key] = value === 'none' || value === '' ? null : parseEntry(value);
+	}
+	if (searchParams.get('decisionSeconds')) definition.decisionSeconds = parseFloat(searchParams.get('decisionSeconds'));
+	return definition;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} - true if usable as a saved playlist name (/playlist/<name>)
+ */
+export function isValidPlaylistName(name) {
+	return typeof name === 'string' && PLAYLIST_NAME.test(name);
+}
+
+function entryProblem(entry, label) {
+	if (!entry || typeof entry !== 'object') return `${label} must be an object {type, seconds, options}`;
+	if (typeof entry.type !== 'string' || !entry.type || entry.type.includes('/')) return `${label} needs a scoreboard type`;
+	if (entry.seconds !== undefined && !(Number.isFinite(entry.seconds) && entry.seconds >= MIN_ITEM_SECONDS)) {
+		return `${label}: seconds must be a number of at least ${MIN_ITEM_SECONDS}`;
+	}
+	if (entry.options !== undefined && (typeof entry.options !== 'object' || entry.options === null || Array.isArray(entry.options))) {
+		return `${label}: options must be an object`;
+	}
+	return null;
+}
+
+/**
+ * Check a playlist definition (URL or saved)
+ * Scoreboard types are checked by the server against the registry.
+ * @param {object} definition - {fop, items: [{type, seconds?, options?}], onTimer?, onBreak?, decisionSeconds?}
+ * @returns {string|null} - Problem, null if valid
+ */
+export function playlistProblem(definition) {
+	if (!definition || typeof definition !== 'object') return 'a playlist must be an object';
+	if (definition.fop !== undefined && typeof definition.fop !== 'string') return 'fop must be a FOP name';
+	if (!Array.isArray(definition.items) || definition.items.length === 0) return 'a playlist needs at least one item';
+	if (definition.items.length > MAX_ITEMS) return `a playlist has at most ${MAX_ITEMS} items`;
+	for (const [index, item] of definition.items.entries()) {
+		const problem = entryProblem(item, `item ${index + 1}`);
+		if (problem) return problem;
+	}
+	for (const key of ['onTimer', 'onBreak']) {
+		const problem = definition[key] ? entryProblem(definition[key], key) : null;
+		if (problem) return problem;
+	}
+	if (definition.decisionSeconds !== undefined && !(Number.isFinite(definition.decisionSeconds) && definition.decisionSeconds >= 0)) {
+		return 'decisionSeconds must be a positive number';
+	}
+	return null;
+}
+
+/**
+ * Playlist with the defaults applied (definition checked by playlistProblem)
+ * @param {object} definition
+ * @returns {{fop: string|null, items: object[], onTimer: object|null, onBreak: object|null, decisionSeconds: number}}
+ */
+export function normalizePlaylist(definition) {
+	const entry = ({ type, seconds, options }) => ({ type, seconds: seconds ?? DEFAULT_ITEM_SECONDS, options: options || {} });
+	const event = (value, type) => (value === null ? null : entry(value || { type }));
+	return {
+		fop: definition.fop || null,
+		items: definition.items.map(entry),
+		onTimer: event(definition.onTimer, DEFAULT_ON_TIMER),
+		onBreak: event(definition.onBreak, DEFAULT_ON_BREAK),
+		decisionSeconds: definition.decisionSeconds ?? DEFAULT_DECISION_SECONDS
+	};
+}
+
+/**
+ * Follows the FOP to choose what the playlist shows
+ * @param {object} playlist - Result of normalizePlaylist
+ * @param {{mode?: string|null, timerRunning?: boolean}} initial - FOP state when the page loads
+ * @returns {{mode: Function, timer: Function, decision: Function, phase: Function}}
+ */
+export function createPlaylistFollower(playlist, { mode = null, timerRunning = false } = {}) {
+	let boardMode = mode;
+	let attempt = timerRunning ? { decisionAt: null, stoppedAt: null } : null;
+
+	return {
+		/** Board mode from a fop_update */
+		mode(next) {
+			boardMode = next ?? null;
+		},
+
+		/** Athlete clock started or stopped */
+		timer(running, now = Date.now()) {
+			if (running) {
+				attempt = { decisionAt: null, stoppedAt: null };
+			} else if (attempt && !attempt.stoppedAt) {
+				attempt.stoppedAt = now;
+			}
+		},
+
+		/** Decision given (the first one after the clock started counts) */
+		decision(now = Date.now()) {
+			if (attempt && !attempt.decisionAt) attempt.decisionAt = now;
+		},
+
+		/**
+		 * What to show now
+		 * @param {number} now
+		 * @returns {'break'|'attempt'|'rotation'}
+		 */
+		phase(now = Date.now()) {
+			if (playlist.onBreak && isBreakMode(boardMode)) return 'break';
+			if (attempt) {
+				const ended = attempt.decisionAt
+					? now >= attempt.decisionAt + playlist.decisionSeconds * 1000
+					: attempt.stoppedAt && now >= attempt.stoppedAt + STOPPED_CLOCK_SECONDS * 1000;
+				if (ended) attempt = null;
+			}
+			return playlist.onTimer && attempt ? 'attempt' : 'rotation';
+		}
+	};
+}
@@ -0,0 +1,194 @@
+/**
+ * Best lifter ranking - every athlete of the competition ranked by a scoring formula
+ *
+ * Best lifter awards (Sinclair, SMHF, Q-Points, GAMX...) are decided across all the
+ * sessions of a gender and age group. Athletes come from the database; those of a
+ * session being lifted are taken from the session entries of their platform, which
+ * change at every lift. The best-lifter and medal-table plugins gather them from the
+ * hub (getLiveEntries); this module only reads and ranks them.
+ *
+ * Ties go to the lighter bodyweight, then to the lower lot number. An athlete whose
+ * session is not done and who has attempts left is provisional; athletes of sessions
+ * not lifted yet have no score and are only counted.
+ */
+
+import { calculateScore } from './scoring-systems.js';
+
+// How long a change of rank stays highlighted
+const MOVEMENT_MS = 30000;
+const ATTEMPTS = ['snatch1', 'snatch2', 'snatch3', 'cleanJerk1', 'cleanJerk2', 'cleanJerk3'];
+
+function bestLift(values) {
+	return Math.max(0, ...values.map((value) => parseInt(value, 10) || 0));
+}
+
+function yearOf(fullBirthDate) {
+	if (Array.isArray(fullBirthDate)) return parseInt(fullBirthDate[0], 10) || null;
+	return parseInt(String(fullBirthDate || '').slice(0, 4), 10) || null;
+}
+
+function normalizeGender(gender) {
+	const text = String(gender || '').toUpperCase();
+	return text.startsWith('M') ? 'M' : text ? 'F' : null;
+}
+
+/**
+ * Athlete of the DATABASE message, as ranked here
+ * @param {object} athlete - From databaseState.athletes
+ * @returns {object}
+ */
+export function lifterFromDatabase(athlete) {
+	const lastName = (athlete.lastName || '').toUpperCase();
+	const firstName = athlete.firstName || '';
+	return {
+		key: String(athlete.key),
+		fullName: lastName && firstName ? `${lastName}, ${firstName}` : lastName || firstName,
+		teamName: athlete.teamName || '',
+		gender: normalizeGender(athlete.gender),
+		bodyWeight: parseFloat(athlete.bodyWeight) || 0,
+		lotNumber: parseInt(athlete.lotNumber, 10) || Infinity,
+		yearOfBirth: yearOf(athlete.fullBirthDate),
+		categoryCode: athlete.categoryCode || '',
+		category: athlete.categoryName || athlete.category || athlete.categoryCode || '',
+		sessionName: athlete.sessionName || '',
+		participations: Array.isArray(athlete.participations) ? athlete.participations : [],
+		bestSnatch: bestLift([athlete.snatch1ActualLift, athlete.snatch2ActualLift, athlete.snatch3ActualLift]),
+		bestCleanJerk: bestLift([athlete.cleanJerk1ActualLift, athlete.cleanJerk2ActualLift, athlete.cleanJerk3ActualLift]),
+		attemptsTaken: ATTEMPTS.filter((lift) => {
+			const value = athlete[`${lift}ActualLift`];
+			return value !== null && value !== undefined && value !== '';
+		}).length,
+		live: false
+	};
+}
+
+/**
+ * Session entries of the sessions being lifted, on every platform
+ * @param {object} hub - Competition hub
+ * @returns {Map<string, object>} - Flattened session entries with their fop, by athlete key
+ */
+export function getLiveEntries(hub) {
+	const entries = new Map();
+	for (const fop of hub.getAvailableFOPs() || []) {
+		if (hub.getSessionStatus(fop)?.isDone) continue;
+		let sessionEntries = [];
+		try {
+			sessionEntries = hub.getStartOrderEntries(fop) || [];
+		} catch (err) {
+			sessionEntries = [];
+		}
+		for (const entry of sessionEntries) {
+			const key = entry?.key ?? entry?.athleteKey;
+			if (!entry || entry.isSpacer || key === undefined || key === null) continue;
+			entries.set(String(key), { ...entry, fop });
+		}
+	}
+	return entries;
+}
+
+/**
+ * Results of a session being lifted (hub start order entry) over the database ones
+ * @param {object} lifter - From lifterFromDatabase
+ * @param {object} entry - Flattened session entry, attempts as {value, status}
+ * @returns {object}
+ */
+export function withSessionResults(lifter, entry) {
+	const attempts = [...(entry.sattempts || []), ...(entry.cattempts || [])];
+	const taken = attempts.filter((attempt) => ['good', 'bad'].includes(String(attempt?.liftStatus || attempt?.status || '').toLowerCase()));
+	return {
+		...lifter,
+		bestSnatch: Math.max(0, parseInt(entry.bestSnatch, 10) || 0),
+		bestCleanJerk: Math.max(0, parseInt(entry.bestCleanJerk, 10) || 0),
+		attemptsTaken: taken.length,
+		live: true
+	};
+}
+
+/**
+ * Whether an athlete competes in the age group and championship
+ * (any of its participations, the age group code being the start of the category code)
+ * @param {object} lifter
+ * @param {{ageGroup?: string, championship?: string, ageGroups?: object[]}} filters
+ *   - ageGroups: databaseState.ageGroups, to match championship names
+ * @returns {boolean}
+ */
+export function inCompetition(lifter, { ageGroup = '', championship = '', ageGroups = [] }) {
+	if (!ageGroup && !championship) return true;
+	const wantedGroup = ageGroup.trim().toUpperCase();
+	const wantedChampionship = championship.trim().toUpperCase();
+	const participations = lifter.participations.length > 0 ? lifter.participations : [{ categoryCode: lifter.categoryCode }];
+	return participations.some((participation) => {
+		const code = String(participation.categoryCode || '');
+		const groupCode = code.includes('_') ? code.slice(0, code.indexOf('_')).toUpperCase() : '';
+		if (wantedGroup && groupCode !== wantedGroup) return false;
+		if (!wantedChampionship) return true;
+		const group = ageGroups.find((candidate) => String(candidate.code || '').toUpperCase() === groupCode);
+		const names = [participation.championshipType, group?.championshipType, group?.championshipName];
+		return names.some((name) => String(name || '').toUpperCase() === wantedChampionship);
+	});
+}
+
+/**
+ * Rank athletes by score
+ * @param {object[]} lifters - From lifterFromDatabase / withSessionResults
+ * @param {object} options
+ * @param {string} options.scoringSystem - Scoring system id (see scoring-systems.js)
+ * @param {string|null} [options.gender] - 'M' or 'F', null for both
+ * @param {string} [options.ageGroup] - Age group code, empty for all
+ * @param {string} [options.championship] - Championship type or name, empty for all
+ * @param {object[]} [options.ageGroups] - databaseState.ageGroups
+ * @param {Set<string>} [options.doneSessions] - Names of the sessions done
+ * @returns {{athletes: object[], pending: number}} - Ranked athletes (rank, total, score,
+ *   provisional) and the number of athletes of the selection who have not lifted yet
+ */
+export function rankBestLifters(lifters, { scoringSystem, gender = null, ageGroup = '', championship = '', ageGroups = [], doneSessions = new Set() }) {
+	const currentYear = new Date().getFullYear();
+	const selected = lifters.filter((lifter) => (!gender || lifter.gender === gender) && inCompetition(lifter, { ageGroup, championship, ageGroups }));
+
+	const scored = [];
+	let pending = 0;
+	for (const lifter of selected) {
+		const done = doneSessions.has(lifter.sessionName) || lifter.attemptsTaken >= ATTEMPTS.length;
+		const total = lifter.bestSnatch > 0 && lifter.bestCleanJerk > 0 ? lifter.bestSnatch + lifter.bestCleanJerk : 0;
+		const age = lifter.yearOfBirth ? currentYear - lifter.yearOfBirth : null;
+		const score = calculateScore(scoringSystem, total, { bodyWeight: lifter.bodyWeight, gender: lifter.gender, age });
+		if (score > 0) {
+			scored.push({ ...lifter, total, score, provisional: !done });
+		} else if (!done && lifter.attemptsTaken === 0) {
+			pending += 1;
+		}
+	}
+
+	scored.sort((a, b) => b.score - a.score || a.bodyWeight - b.bodyWeight || a.lotNumber - b.lotNumber);
+	return { athletes: scored.map((athlete, index) => ({ ...athlete, rank: index + 1 })), pending };
+}
+
+/**
+ * Mark the athletes whose rank changed since the previous ranking
+ * Sets movement ('up', 'down', 'new' or null) and movedBy (places) on each athlete.
+ * @param {{ranks: Map, movements: Map}|undefined} previous - State returned last time
+ * @param {object[]} athletes - Ranked athletes (modified)
+ * @param {number} [now]
+ * @returns {{ranks: Map, movements: Map}} - State for the next ranking
+ */
+export function trackMovement(previous, athletes, now = Date.now()) {
+	const ranks = new Map(athletes.map((athlete) => [athlete.key, athlete.rank]));
+	const movements = new Map();
+	for (const athlete of athletes) {
+		const before = previous?.ranks.get(athlete.key);
+		let movement = previous?.movements.get(athlete.key);
+		// The first ranking has nothing to compare with
+		if (previous && before !== athlete.rank) {
+			movement = { movedBy: before ? before - athlete.rank : 0, at: now };
+		}
+		if (movement && now - movement.at < MOVEMENT_MS) {
+			movements.set(athlete.key, movement);
+			athlete.movement = movement.movedBy > 0 ? 'up' : movement.movedBy < 0 ? 'down' : 'new';
+			athlete.movedBy = Math.abs(movement.movedBy);
+		} else {
+			athlete.movement = null;
+			athlete.movedBy = 0;
+		}
+	}
+	return { ranks, movements };
+}
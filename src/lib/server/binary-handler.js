@@ -5,11 +5,12 @@
  * This maintains backward compatibility with existing imports that don't pass the hub.
  */
 
-import { handleBinaryMessage as coreHandleBinaryMessage, competitionHub } from '@owlcms/tracker-core';
+import { handleBinaryMessage as coreHandleBinaryMessage } from '@owlcms/tracker-core';
+import { competitionHub } from './competition-hub.js';
 
 /**
  * Parse and route binary message from OWLCMS
- * Wraps tracker-core's handler and injects the hub automatically
+ * Wraps tracker-core's handler and injects the hub of the current competition
  * @param {Buffer} buffer - Binary frame data
  */
 export async function handleBinaryMessage(buffer) {
@@ -0,0 +1,248 @@
+/**
+ * Browser WebSocket channel - /api/client-ws?competition=<competition>
+ *
+ * Alternative to the SSE stream (/api/client-stream) for browsers that can open
+ * a WebSocket: one socket follows several FOPs and scoreboard variants, and the
+ * browser can talk back. sse-client.js tries it first and falls back to SSE.
+ * BROWSER_WEBSOCKET=false disables it (browsers then use SSE).
+ *
+ * Browser → server (JSON text frames):
+ * - {type: 'hello', clientId, name, lang, page}: identifies the display (page: path
+ *   and query it shows, see display-registry.js); answered by welcome
+ *   {connectionId, serverTime}, the initial state and translations, display_info
+ * - {type: 'subscribe' | 'unsubscribe', fops: [...]}: FOPs whose events are sent
+ *   (global events always are); answered by subscribed {fops}
+ * - {type: 'subscribe_scoreboard', id, scoreboard, fop}: push a scoreboard variant
+ *   (scoreboard = the query sent to /api/client-stream); answered by
+ *   scoreboard_subscribed {id, variant} before its scoreboard_data, or
+ *   scoreboard_unavailable {id, reason}
+ * - {type: 'unsubscribe_scoreboard', id}
+ * - {type: 'ack', ...}: acknowledgement, kept as the client's lastAck in /api/status
+ * - {type: 'ping', t0}: answered by pong {t0, serverTime} (clock synchronisation)
+ *
+ * Server → browser: the messages of the SSE stream, one per frame, without SSE ids
+ * (a reconnecting browser gets the full state again).
+ *
+ * The clients are registered with the SSE broker (transport 'websocket'): same
+ * FOP filtering, diagnostics and reaping of clients that stop reading. This module
+ * also runs from the copied server files in production, so it reaches the
+ * scoreboard push through globalThis (see scoreboard-push.js).
+ */
+
+import { WebSocketServer } from 'ws';
+import { sseBroker } from './sse-broker.js';
+import { DEFAULT_COMPETITION, getCompetitionHub, hasCompetition } from './competitions.js';
+import { displayGreeting, isValidDisplayId, reportDisplay } from './display-registry.js';
+
+export const BROWSER_SOCKET_PATH = '/api/client-ws';
+const ENABLED = process.env.BROWSER_WEBSOCKET !== 'false';
+const MAX_FRAME_BYTES = 64 * 1024; // Browser messages are small
+
+const COLON = 0x3a; // SSE comments (keepalives) are not sent: WebSocket has its own pings
+const decoder = new TextDecoder();
+
+// Shared through globalThis: one server per process, whichever module copy attaches it
+if (!globalThis.__browserSocket) {
+	globalThis.__browserSocket = { wss: null };
+}
+const state = globalThis.__browserSocket;
+
+/**
+ * Text frame for a message encoded for SSE ("id: ...\ndata: {...}\n\n")
+ * @param {Uint8Array} bytes - Message from the broker or the scoreboard push
+ * @returns {string|null} - The JSON message, null for a keepalive comment
+ */
+export function sseToFrame(bytes) {
+	if (bytes[0] === COLON) return null;
+	const data = decoder
+		.decode(bytes)
+		.split('\n')
+		.filter((line) => line.startsWith('data: '))
+		.map((line) => line.slice('data: '.length))
+		.join('\n');
+	return data || null;
+}
+
+/**
+ * Serve one browser socket
+ * @param {import('ws').WebSocket} ws
+ * @param {import('http').IncomingMessage} request
+ * @param {string} competitionId
+ */
+function handleConnection(ws, request, competitionId) {
+	const connectionId = `ws-${Math.random().toString(36).substr(2, 9)}`;
+	const competitionHub = getCompetitionHub(competitionId);
+	const scoreboards = new Map(); // subscription id → unsubscribe function
+	let fops = new Set();
+	let closed = false;
+
+	const sendMessage = (message) => {
+		if (ws.readyState !== ws.OPEN) return;
+		const frame = JSON.stringify(message);
+		ws.send(frame);
+		sseBroker.recordWrite(connectionId, Buffer.from(frame));
+	};
+
+	// Pre-encoded SSE messages from the broker and the scoreboard push
+	const sendEncoded = (bytes) => {
+		if (ws.readyState !== ws.OPEN) return;
+		const frame = sseToFrame(bytes);
+		if (!frame) return;
+		ws.send(frame);
+		sseBroker.recordWrite(connectionId, bytes);
+	};
+
+	const remoteAddress = request.headers['x-forwarded-for']?.split(',')[0].trim() || request.socket.remoteAddress || null;
+	const unregisterClient = sseBroker.registerClient(sendEncoded, connectionId, null, competitionId, {
+		transport: 'websocket',
+		remoteAddress,
+		userAgent: request.headers['user-agent'] || null,
+		queuedBytes: () => ws.bufferedAmount,
+		close: () => ws.terminate()
+	});
+
+	const cleanup = () => {
+		if (closed) return;
+		closed = true;
+		unregisterClient();
+		for (const unsubscribe of scoreboards.values()) {
+			unsubscribe();
+		}
+		scoreboards.clear();
+	};
+
+	const subscribeScoreboard = async ({ id, scoreboard, fop = null }) => {
+		const push = globalThis.__scoreboardPush?.api;
+		if (!push) {
+			sendMessage({ type: 'scoreboard_unavailable', id, reason: 'Scoreboard push not loaded' });
+			return;
+		}
+		const variant = await push.resolveScoreboardVariant(competitionId, scoreboard, fop);
+		if (closed) return;
+		if (!variant) {
+			sendMessage({ type: 'scoreboard_unavailable', id, reason: 'Unknown scoreboard type or invalid options' });
+			return;
+		}
+		scoreboards.get(id)?.();
+		sendMessage({ type: 'scoreboard_subscribed', id, variant: variant.hash });
+		scoreboards.set(id, push.subscribeScoreboard(variant, sendEncoded));
+	};
+
+	const handlers = {
+		hello(message) {
+			const language = typeof message.lang === 'string' ? message.lang : 'en';
+			const clientId = isValidDisplayId(message.clientId) ? message.clientId : null;
+			const page = typeof message.page === 'string' ? message.page : null;
+			sseBroker.updateClient(connectionId, {
+				clientId,
+				name: message.name || null,
+				language,
+				page
+			});
+			sendMessage({ type: 'welcome', connectionId, serverTime: Date.now() });
+			for (const { message: initial } of sseBroker.initialMessages(competitionHub, language)) {
+				sendMessage(initial);
+			}
+			const display = clientId ? reportDisplay(clientId, { competitionId, page, remoteAddress }) : null;
+			for (const greeting of displayGreeting(display)) {
+				sendMessage(greeting);
+			}
+		},
+		subscribe(message) {
+			if (!Array.isArray(message.fops)) {
+				sendMessage({ type: 'error', error: 'Invalid subscribe: fops must be an array' });
+				return;
+			}
+			fops = new Set([...fops, ...message.fops.filter((fop) => typeof fop === 'string')]);
+			sseBroker.setClientFops(connectionId, fops);
+			sendMessage({ type: 'subscribed', fops: Array.from(fops) });
+		},
+		unsubscribe(message) {
+			if (!Array.isArray(message.fops)) {
+				sendMessage({ type: 'error', error: 'Invalid unsubscribe: fops must be an array' });
+				return;
+			}
+			for (const fop of message.fops) {
+				fops.delete(fop);
+			}
+			sseBroker.setClientFops(connectionId, fops);
+			sendMessage({ type: 'subscribed', fops: Array.from(fops) });
+		},
+		subscribe_scoreboard(message) {
+			if (typeof message.scoreboard !== 'string') {
+				sendMessage({ type: 'scoreboard_unavailable', id: message.id, reason: 'Missing scoreboard query' });
+				return;
+			}
+			subscribeScoreboard(message).catch((error) => {
+				console.error(`[Browser WS] ${connectionId}: ❌ Scoreboard subscription failed:`, error.message);
+				sendMessage({ type: 'scoreboard_unavailable', id: message.id, reason: error.message });
+			});
+		},
+		unsubscribe_scoreboard(message) {
+			scoreboards.get(message.id)?.();
+			scoreboards.delete(message.id);
+		},
+		ack(message) {
+			const { type, ...acknowledged } = message;
+			sseBroker.updateClient(connectionId, { lastAck: acknowledged, lastAckAt: Date.now() });
+		},
+		ping(message) {
+			sendMessage({ type: 'pong', t0: message.t0 ?? null, serverTime: Date.now() });
+		}
+	};
+
+	ws.on('message', (data, isBinary) => {
+		let message;
+		try {
+			if (isBinary) throw new Error('binary frame');
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			sendMessage({ type: 'error', error: `Invalid message: ${error.message}` });
+			return;
+		}
+		const handler = Object.hasOwn(handlers, message?.type) ? handlers[message.type] : null;
+		if (!handler) {
+			sendMessage({ type: 'error', error: `Unknown message type: ${message?.type}` });
+			return;
+		}
+		try {
+			handler(message);
+		} catch (error) {
+			console.error(`[Browser WS] ${connectionId}: ❌ Unable to handle ${message.type}:`, error.message);
+			sendMessage({ type: 'error', error: `Unable to handle ${message.type}: ${error.message}` });
+		}
+	});
+	ws.on('close', cleanup);
+	ws.on('error', (error) => {
+		console.warn(`[Browser WS] ${connectionId}: ⚠️ ${error.message}`);
+		cleanup();
+	});
+}
+
+/**
+ * Serve /api/client-ws on an HTTP server (once per process)
+ * Other upgrade requests are left to the other listeners (OWLCMS /ws, Vite HMR).
+ * @param {import('http').Server} httpServer
+ */
+export function attachBrowserSocket(httpServer) {
+	if (!ENABLED || state.wss) return;
+
+	state.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+	state.wss.on('connection', handleConnection);
+
+	httpServer.on('upgrade', (request, socket, head) => {
+		const url = new URL(request.url, `http://${request.headers.host}`);
+		if (url.pathname !== BROWSER_SOCKET_PATH) return;
+
+		const competitionId = url.searchParams.get('competition') || DEFAULT_COMPETITION;
+		if (!hasCompetition(competitionId)) {
+			socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+			return;
+		}
+		state.wss.handleUpgrade(request, socket, head, (ws) => {
+			state.wss.emit('connection', ws, request, competitionId);
+		});
+	});
+
+	console.log(`[Browser WS] Serving browser clients on ${BROWSER_SOCKET_PATH}`);
+}
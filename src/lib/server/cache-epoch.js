@@ -8,7 +8,7 @@
 
 let cacheEpoch = 0;
 
-/** @type {Set<Map<any, any>>} */
+/** @type {Set<Map<any, any>>} - Maps, or objects with the same size/keys/delete/clear */
 const registeredCaches = new Set();
 
 export function getCacheEpoch() {
@@ -16,7 +16,7 @@ export function getCacheEpoch() {
 }
 
 /**
- * Register a cache Map to be cleared when epoch bumps.
+ * Register a cache Map (or Map-like cache, see scoreboard-cache.js) to be cleared when epoch bumps.
  * Call this once per cache at module load time.
  * @param {Map<any, any>} cacheMap
  */
@@ -40,3 +40,26 @@ export function bumpCacheEpoch() {
 	}
 	return cacheEpoch;
 }
+
+/**
+ * Clear the entries of one competition from all registered caches.
+ * Keys built with buildCacheKey (cache-utils.js) start with "<competition>:".
+ * Returns the number of entries removed.
+ * @param {string} competitionId
+ */
+export function clearCompetitionCaches(competitionId) {
+	const prefix = `${competitionId}:`;
+	let totalCleared = 0;
+	for (const cache of registeredCaches) {
+		for (const key of cache.keys()) {
+			if (typeof key === 'string' && key.startsWith(prefix)) {
+				cache.delete(key);
+				totalCleared += 1;
+			}
+		}
+	}
+	if (totalCleared > 0) {
+		console.log(`[CacheEpoch] Cleared ${totalCleared} entries of competition "${competitionId}"`);
+	}
+	return totalCleared;
+}
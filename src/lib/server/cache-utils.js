@@ -2,15 +2,43 @@
  * Cache Utils Shim
  *
  * - Maintains backward compatibility with existing imports.
- * - Re-exports tracker-core's buildCacheKey (epoch no longer needed in key).
- * - Provides registerCache for automatic cleanup on refresh.
+ * - Wraps tracker-core's buildCacheKey (epoch no longer needed in key).
+ * - Provides registerCache for automatic cleanup on refresh, and storeInCache to bound a cache.
  *
  * Why: owlcms-tracker plugins cache processed results in-memory. A manual refresh
  * clears all registered caches directly, so epoch in the key is not needed.
+ *
+ * Keys are prefixed with the current competition (see competitions.js): two
+ * competitions both have a FOP "A", and each competition's caches can be
+ * flushed without touching the others.
  */
 
-import { buildCacheKey } from '@owlcms/tracker-core/utils';
+import { buildCacheKey as coreBuildCacheKey } from '@owlcms/tracker-core/utils';
 import { registerCache } from './cache-epoch.js';
+import { currentCompetitionId } from './competitions.js';
+
+/**
+ * Build a plugin cache key for the current competition
+ * @param {object} params - Same parameters as tracker-core's buildCacheKey
+ * @returns {string}
+ */
+export function buildCacheKey(params) {
+	return `${currentCompetitionId()}:${coreBuildCacheKey(params)}`;
+}
 
-export { buildCacheKey, registerCache };
+/**
+ * Store a computed result, dropping the oldest entries beyond maxEntries
+ * For caches whose key changes with every update (competition-wide scoreboards).
+ * @param {Map} cache
+ * @param {string} key
+ * @param {*} value
+ * @param {number} [maxEntries]
+ */
+export function storeInCache(cache, key, value, maxEntries = 10) {
+	cache.set(key, value);
+	while (cache.size > maxEntries) {
+		cache.delete(cache.keys().next().value);
+	}
+}
 
+export { registerCache };
@@ -1,8 +1,40 @@
 /**
  * Competition Hub Shim - Re-exports tracker-core hub
- * 
+ *
  * This file is a shim to maintain backward compatibility with existing imports.
  * The actual hub implementation lives in @owlcms/tracker-core.
+ *
+ * With multi-competition hosting (see competitions.js), `competitionHub` resolves
+ * to the hub of the competition being served: the request or OWLCMS frame
+ * currently processed. Outside any competition context it is the tracker-core
+ * singleton, exactly as before. Use getCompetitionHub(id) to hold on to a
+ * specific hub (e.g. to attach event listeners).
  */
 
-export { competitionHub } from '@owlcms/tracker-core';
+import { getCompetitionHub, currentCompetitionId } from './competitions.js';
+
+// Never fall back to another competition's hub: that would mix two competitions
+function currentHub() {
+	const hub = getCompetitionHub();
+	if (!hub) {
+		throw new Error(`Unknown competition "${currentCompetitionId()}"`);
+	}
+	return hub;
+}
+
+export const competitionHub = new Proxy({}, {
+	get(_target, property) {
+		const hub = currentHub();
+		const value = Reflect.get(hub, property, hub);
+		return typeof value === 'function' ? value.bind(hub) : value;
+	},
+	set(_target, property, value) {
+		const hub = currentHub();
+		return Reflect.set(hub, property, value, hub);
+	},
+	has(_target, property) {
+		return property in currentHub();
+	}
+});
+
+export { getCompetitionHub };
@@ -0,0 +1,671 @@
+/**
+ * Competition simulator - generates a believable OWLCMS session from a database
+ *
+ * Takes any database OWLCMS can send (V1 or V2, optionally wrapped as
+ * {databaseChecksum, database} like learning-mode DATABASE samples) and plays
+ * the sessions of each platform: SwitchGroup, introduction countdown and
+ * ceremony, snatch break, lifting order with weight changes, athlete timer,
+ * referee decisions, C&J break, GroupDone and medal ceremony.
+ *
+ * The simulator only produces messages, it does not send them:
+ *   for (const step of simulator.run('A')) { wait(step.delay); send(step.message); }
+ * Each step is {delay, message:{type, payload}} where delay is the number of
+ * milliseconds (session time) to wait after the previous step of the same FOP.
+ * scripts/simulate-competition.js sends the messages over /ws.
+ *
+ * Messages follow what the scoreboard helpers expect from OWLCMS: modes
+ * (INTRO_COUNTDOWN, CEREMONY, LIFT_COUNTDOWN, SESSION_DONE, CURRENT_ATHLETE),
+ * breakType/ceremonyType, sessionAthletes with displayInfo, startOrderKeys and
+ * liftingOrderKeys, currentAthleteKey/nextAthleteKey, timer and decision events.
+ */
+
+import { createHash } from 'crypto';
+import { detectFormat } from './format-detector.js';
+import { parseV1Database } from './parser-v1.js';
+import { parseV2Database } from './parser-v2.js';
+import { PROTOCOL_VERSION } from './protocol-config.js';
+
+const LIFTS = ['snatch', 'cleanJerk'];
+
+const DEFAULT_OPTIONS = {
+	seed: 1,
+	sessions: null,            // Session names to simulate (default: sessions not done, or all)
+	resetResults: false,       // Clear results of simulated sessions even if not done
+	breakSeconds: 600,         // Introduction countdown, first snatch and first C&J breaks
+	ceremonySeconds: 120,      // Introduction and medal ceremonies (0 disables ceremonies)
+	interSessionSeconds: 60,   // Pause between GroupDone and the next SwitchGroup
+	successRates: [0.8, 0.65, 0.45],
+	weightChangeProbability: 0.2
+};
+
+/**
+ * Small deterministic PRNG so that a given seed replays the same competition
+ * @param {number} seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+	let state = seed >>> 0;
+	return function random() {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Weight requested for an attempt (last change wins, like OWLCMS)
+ * @param {Object} athlete - Raw athlete
+ * @param {string} lift - 'snatch' or 'cleanJerk'
+ * @param {number} attempt - 1..3
+ * @returns {number|null}
+ */
+export function requestedWeight(athlete, lift, attempt) {
+	const prefix = `${lift}${attempt}`;
+	for (const field of ['Change2', 'Change1', 'Declaration', 'AutomaticProgression']) {
+		const value = toNumber(athlete[`${prefix}${field}`]);
+		if (value) return value;
+	}
+	return null;
+}
+
+/**
+ * Number of attempts already taken for a lift
+ */
+export function attemptsDone(athlete, lift) {
+	let done = 0;
+	for (let i = 1; i <= 3; i++) {
+		if (athlete[`${lift}${i}ActualLift`] != null && athlete[`${lift}${i}ActualLift`] !== '') done = i;
+	}
+	return done;
+}
+
+/**
+ * Best successful lift (0 if none)
+ */
+export function bestLift(athlete, lift) {
+	let best = 0;
+	for (let i = 1; i <= 3; i++) {
+		const value = toNumber(athlete[`${lift}${i}ActualLift`]);
+		if (value > best) best = value;
+	}
+	return best;
+}
+
+/**
+ * Sort athletes in lifting order for the given lift
+ * Requested weight, then attempt number, then whoever lifted their previous
+ * attempt first, then start number. Athletes done with the lift are excluded.
+ * @param {Object[]} athletes - Raw athletes of the session
+ * @param {string} lift - 'snatch' or 'cleanJerk'
+ * @returns {Object[]}
+ */
+export function liftingOrder(athletes, lift) {
+	return athletes
+		.filter((athlete) => attemptsDone(athlete, lift) < 3)
+		.map((athlete) => {
+			const done = attemptsDone(athlete, lift);
+			return {
+				athlete,
+				weight: requestedWeight(athlete, lift, done + 1) || 0,
+				attempt: done + 1,
+				previousLiftTime: done > 0 ? String(athlete[`${lift}${done}LiftTime`] || '') : ''
+			};
+		})
+		.sort((a, b) =>
+			a.weight - b.weight ||
+			a.attempt - b.attempt ||
+			a.previousLiftTime.localeCompare(b.previousLiftTime) ||
+			(a.athlete.startNumber || 0) - (b.athlete.startNumber || 0))
+		.map((entry) => entry.athlete);
+}
+
+export class CompetitionSimulator {
+	/**
+	 * @param {Object} databasePayload - Database as sent by OWLCMS (V1 or V2, wrapped or not)
+	 * @param {Object} options - See DEFAULT_OPTIONS
+	 */
+	constructor(databasePayload, options = {}) {
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.random = createRandom(this.options.seed);
+
+		// Keep the original envelope shape so the database we resend looks like the input
+		this.wrapped = Boolean(databasePayload?.database && typeof databasePayload.database === 'object');
+		this.database = structuredClone(this.wrapped ? databasePayload.database : databasePayload);
+		this.format = detectFormat(this.database);
+
+		const parsed = this.format === 'v2' ? parseV2Database(this.database) : parseV1Database(this.database);
+		if (!parsed || !Array.isArray(this.database.athletes) || this.database.athletes.length === 0) {
+			throw new Error('Database has no athletes to simulate');
+		}
+
+		this.competitionName = parsed.competition?.name || this.database.competition?.competitionName || 'Competition';
+		this.athletes = this.database.athletes;
+
+		// Derived display information (team and category names) keyed by athlete
+		this.info = new Map();
+		this.athletes.forEach((athlete, i) => {
+			const normalized = parsed.athletes?.[i] || athlete;
+			this.info.set(athlete, {
+				key: athlete.key ?? athlete.id ?? normalized.key ?? i + 1,
+				teamName: normalized.teamName || (typeof athlete.team === 'string' ? athlete.team : '') || '',
+				categoryName: normalized.categoryName || athlete.categoryName || athlete.category || '',
+				categoryCode: athlete.categoryCode || normalized.categoryName || athlete.category || '',
+				sessionName: normalized.sessionName || athlete.sessionName || athlete.group || ''
+			});
+		});
+
+		this.sessions = this.buildSessions();
+		this.prepareSessions();
+	}
+
+	/**
+	 * FOP names that have sessions to simulate
+	 */
+	get fops() {
+		return [...new Set(this.sessions.map((session) => session.platformName))];
+	}
+
+	/**
+	 * Database payload in the same shape as the input, with current results
+	 */
+	getDatabasePayload() {
+		const checksum = createHash('sha256').update(JSON.stringify(this.database)).digest('hex');
+		if (this.wrapped) {
+			return { databaseChecksum: checksum, database: this.database };
+		}
+		return { ...this.database, databaseChecksum: checksum };
+	}
+
+	/**
+	 * Wrap a payload in the OWLCMS WebSocket envelope
+	 */
+	envelope(type, payload) {
+		return { version: PROTOCOL_VERSION, type, payload };
+	}
+
+	/**
+	 * Generate the steps for every session of a platform
+	 * @param {string} fopName - Platform name
+	 */
+	*run(fopName) {
+		const sessions = this.sessions.filter((session) => session.platformName === fopName);
+		const fop = {
+			name: fopName,
+			clock: Date.now(),
+			session: null,
+			athletes: [],
+			lift: 'snatch',
+			previousKey: null,
+			mode: 'WAIT',
+			fopState: 'INACTIVE',
+			breakType: null,
+			ceremonyType: null
+		};
+
+		for (let i = 0; i < sessions.length; i++) {
+			yield* this.runSession(fop, sessions[i], i > 0 ? this.options.interSessionSeconds * 1000 : 0);
+		}
+	}
+
+	*runSession(fop, session, initialDelay) {
+		fop.session = session;
+		fop.athletes = this.athletes
+			.filter((athlete) => this.info.get(athlete).sessionName === session.name)
+			.sort((a, b) => (a.startNumber || 0) - (b.startNumber || 0) || (a.lotNumber || 0) - (b.lotNumber || 0));
+		fop.lift = 'snatch';
+		fop.previousKey = null;
+		this.setMode(fop, 'WAIT', 'INACTIVE');
+
+		yield this.step(fop, initialDelay, 'update', this.updatePayload(fop, 'SwitchGroup'));
+		yield this.step(fop, 500, 'database', this.getDatabasePayload());
+
+		const breakMs = this.options.breakSeconds * 1000;
+		const ceremonyMs = this.options.ceremonySeconds * 1000;
+
+		yield* this.breakPeriod(fop, 'BEFORE_INTRODUCTION', 'INTRO_COUNTDOWN', breakMs, 3000);
+		if (ceremonyMs > 0) {
+			yield* this.ceremony(fop, 'INTRODUCTION', ceremonyMs);
+		}
+		yield* this.breakPeriod(fop, 'FIRST_SNATCH', 'LIFT_COUNTDOWN', breakMs, 1000);
+
+		for (const lift of LIFTS) {
+			fop.lift = lift;
+			if (lift === 'cleanJerk') {
+				yield* this.breakPeriod(fop, 'FIRST_CJ', 'LIFT_COUNTDOWN', breakMs, 5000);
+			}
+			this.setMode(fop, 'CURRENT_ATHLETE', 'CURRENT_ATHLETE_DISPLAYED');
+			yield this.step(fop, 1000, 'update', this.updatePayload(fop, 'StartLifting'));
+
+			while (liftingOrder(fop.athletes, lift).length > 0) {
+				yield* this.liftCycle(fop);
+			}
+		}
+
+		session.done = true;
+		if (session.raw) session.raw.done = true;
+		this.setMode(fop, 'SESSION_DONE', 'BREAK', 'GROUP_DONE');
+		yield this.step(fop, 5000, 'update', this.updatePayload(fop, 'GroupDone'));
+		yield this.step(fop, 500, 'database', this.getDatabasePayload());
+
+		if (ceremonyMs > 0) {
+			yield* this.ceremony(fop, 'MEDALS', ceremonyMs, 60000);
+		}
+	}
+
+	/**
+	 * One attempt: optional weight change, timer, lift, decision, new lifting order
+	 */
+	*liftCycle(fop) {
+		let order = liftingOrder(fop.athletes, fop.lift);
+		let current = order[0];
+
+		// Coaches sometimes change the weight before the athlete is called
+		if (this.random() < this.options.weightChangeProbability) {
+			const attempt = attemptsDone(current, fop.lift) + 1;
+			const prefix = `${fop.lift}${attempt}`;
+			if (current[`${prefix}Change2`] == null) {
+				const field = current[`${prefix}Change1`] == null ? 'Change1' : 'Change2';
+				current[`${prefix}${field}`] = requestedWeight(current, fop.lift, attempt) + this.pick([1, 1, 2, 3]);
+				yield this.step(fop, this.between(2000, 6000), 'update', this.updatePayload(fop, 'LiftingOrderUpdated'));
+				order = liftingOrder(fop.athletes, fop.lift);
+				current = order[0];
+			}
+		}
+
+		const attempt = attemptsDone(current, fop.lift) + 1;
+		const weight = requestedWeight(current, fop.lift, attempt);
+		const key = this.info.get(current).key;
+		const timeAllowed = fop.previousKey === key ? 120000 : 60000;
+
+		// Athlete timer runs until the bar leaves the platform
+		const used = Math.min(timeAllowed - 5000, this.between(8000, 45000));
+		this.setMode(fop, 'CURRENT_ATHLETE', 'TIME_RUNNING');
+		yield this.step(fop, this.between(3000, 8000), 'timer', this.timerPayload(fop, 'StartTime', timeAllowed, timeAllowed));
+		this.setMode(fop, 'CURRENT_ATHLETE', 'TIME_STOPPED');
+		yield this.step(fop, used, 'timer', this.timerPayload(fop, 'StopTime', timeAllowed - used, timeAllowed));
+
+		// Referees: down signal on majority, then full decision, then reset
+		const good = this.random() < (this.options.successRates[attempt - 1] ?? 0.5);
+		const lights = this.refereeLights(good);
+		this.setMode(fop, 'CURRENT_ATHLETE', 'DOWN_SIGNAL_VISIBLE');
+		yield this.step(fop, this.between(2000, 4000), 'decision', this.decisionPayload(fop, 'DOWN_SIGNAL', lights, current, weight, false));
+		this.setMode(fop, 'CURRENT_ATHLETE', 'DECISION_VISIBLE');
+		yield this.step(fop, 1500, 'decision', this.decisionPayload(fop, 'FULL_DECISION', lights, current, weight, true));
+
+		this.recordLift(fop, current, attempt, weight, good);
+		fop.previousKey = key;
+
+		this.setMode(fop, 'CURRENT_ATHLETE', 'CURRENT_ATHLETE_DISPLAYED');
+		yield this.step(fop, 3000, 'decision', this.decisionPayload(fop, 'RESET', [null, null, null], current, weight, false));
+		yield this.step(fop, 500, 'update', this.updatePayload(fop, 'LiftingOrderUpdated'));
+	}
+
+	*breakPeriod(fop, breakType, mode, durationMs, delay) {
+		this.setMode(fop, mode, 'BREAK', breakType);
+		yield this.step(fop, delay, 'update', this.updatePayload(fop, 'BreakStarted'));
+		yield this.step(fop, 200, 'timer', this.breakTimerPayload(fop, 'BreakStart', durationMs, durationMs));
+		yield this.step(fop, durationMs, 'timer', this.breakTimerPayload(fop, 'BreakDone', 0, durationMs));
+	}
+
+	*ceremony(fop, ceremonyType, durationMs, delay = 1000) {
+		const previous = { mode: fop.mode, fopState: fop.fopState, breakType: fop.breakType };
+		this.setMode(fop, 'CEREMONY', 'BREAK', 'CEREMONY', ceremonyType);
+		yield this.step(fop, delay, 'update', this.updatePayload(fop, 'CeremonyStarted'));
+		this.setMode(fop, previous.mode, previous.fopState, previous.breakType);
+		yield this.step(fop, durationMs, 'update', this.updatePayload(fop, 'CeremonyDone'));
+	}
+
+	step(fop, delay, type, payload) {
+		fop.clock += delay;
+		return { delay, fop: fop.name, message: this.envelope(type, payload) };
+	}
+
+	setMode(fop, mode, fopState, breakType = null, ceremonyType = null) {
+		fop.mode = mode;
+		fop.fopState = fopState;
+		fop.breakType = breakType;
+		fop.ceremonyType = ceremonyType;
+	}
+
+	/**
+	 * Store the result and the next requested weight
+	 */
+	recordLift(fop, athlete, attempt, weight, good) {
+		const prefix = `${fop.lift}${attempt}`;
+		athlete[`${prefix}ActualLift`] = good ? weight : -weight;
+		athlete[`${prefix}LiftTime`] = localDateTime(fop.clock);
+
+		if (attempt < 3) {
+			const next = `${fop.lift}${attempt + 1}`;
+			athlete[`${next}AutomaticProgression`] = String(good ? weight + 1 : weight);
+			const jump = good ? this.pick([1, 2, 2, 3, 3, 4, 5]) : (this.random() < 0.15 ? 1 : 0);
+			athlete[`${next}Declaration`] = weight + jump;
+		}
+		this.computeRanks(athlete);
+	}
+
+	/**
+	 * Recompute snatch/C&J/total ranks for the category of an athlete
+	 */
+	computeRanks(changed) {
+		const code = this.info.get(changed).categoryCode;
+		const category = this.athletes.filter((athlete) => this.info.get(athlete).categoryCode === code);
+		const rankBy = (valueFn, rankField) => {
+			const ranked = category
+				.filter((athlete) => valueFn(athlete) > 0)
+				.sort((a, b) => valueFn(b) - valueFn(a) || (a.bodyWeight || 0) - (b.bodyWeight || 0) || (a.startNumber || 0) - (b.startNumber || 0));
+			for (const athlete of category) {
+				const rank = ranked.indexOf(athlete) + 1;
+				athlete[rankField] = rank;
+				const participation = athlete.participations?.find((p) => p.categoryCode === athlete.categoryCode) || athlete.participations?.[0];
+				if (participation) participation[rankField] = rank;
+			}
+		};
+		rankBy((a) => bestLift(a, 'snatch'), 'snatchRank');
+		rankBy((a) => bestLift(a, 'cleanJerk'), 'cleanJerkRank');
+		rankBy((a) => total(a), 'totalRank');
+	}
+
+	updatePayload(fop, uiEvent) {
+		const order = fop.mode === 'SESSION_DONE' ? [] : liftingOrder(fop.athletes, fop.lift);
+		const current = order[0];
+		const next = order[1];
+		const attempt = current ? attemptsDone(current, fop.lift) + 1 : null;
+		const liftsDone = fop.athletes.reduce((sum, a) => sum + attemptsDone(a, 'snatch') + attemptsDone(a, 'cleanJerk'), 0);
+		const currentInfo = current ? this.info.get(current) : null;
+		const isBreak = fop.fopState === 'BREAK';
+
+		return {
+			...this.commonFields(fop),
+			uiEvent,
+			break: String(isBreak),
+			breakType: fop.breakType,
+			ceremonyType: fop.ceremonyType,
+			fullName: current ? displayName(current) : '',
+			teamName: currentInfo?.teamName || '',
+			startNumber: current ? String(current.startNumber ?? '') : '',
+			categoryName: currentInfo?.categoryName || '',
+			attemptNumber: attempt ? String(attempt) : '',
+			attempt: attempt ? attemptLabel(attempt) : '',
+			weight: current ? String(requestedWeight(current, fop.lift, attempt) || '') : '',
+			athleteTimerEventType: 'SetTime',
+			athleteMillisRemaining: current && fop.previousKey === currentInfo.key ? 120000 : 60000,
+			timeAllowed: '60000',
+			breakMillisRemaining: 0,
+			indefiniteBreak: false,
+			breakIsIndefinite: 'false',
+			competitionName: this.competitionName,
+			groupDescription: fop.session.description || '',
+			sessionInfo: `Session ${fop.session.name} ${fop.lift === 'snatch' ? 'Snatch' : 'Clean&Jerk'}`,
+			liftsDone: `${liftsDone} attempts done.`,
+			showLiftRanks: 'false',
+			showTotalRank: 'true',
+			showSinclair: 'false',
+			showSinclairRank: 'false',
+			wideTeamNames: 'false',
+			sinclairMeet: 'false',
+			hidden: String(fop.fopState === 'INACTIVE'),
+			recordKind: 'none',
+			startOrderKeys: this.startOrderKeys(fop),
+			liftingOrderKeys: order.map((athlete) => this.info.get(athlete).key),
+			sessionAthletes: fop.athletes.map((athlete) => this.sessionAthlete(fop, athlete, current, next)),
+			currentAthleteKey: currentInfo?.key ?? null,
+			nextAthleteKey: next ? this.info.get(next).key : null,
+			previousAthleteKey: fop.previousKey
+		};
+	}
+
+	timerPayload(fop, eventType, remaining, timeAllowed) {
+		return {
+			...this.commonFields(fop),
+			athleteTimerEventType: eventType,
+			athleteMillisRemaining: remaining,
+			athleteStartTimeMillis: eventType === 'StartTime' ? fop.clock : null,
+			timeAllowed: String(timeAllowed)
+		};
+	}
+
+	breakTimerPayload(fop, eventType, remaining, breakTimeAllowed) {
+		return {
+			...this.commonFields(fop),
+			breakTimerEventType: eventType,
+			breakType: fop.breakType,
+			breakMillisRemaining: remaining,
+			breakTimeAllowed,
+			breakStartTimeMillis: eventType === 'BreakStart' ? fop.clock : null,
+			indefiniteBreak: false
+		};
+	}
+
+	decisionPayload(fop, eventType, lights, athlete, weight, visible) {
+		const [d1, d2, d3] = lights.map((light) => (light == null ? null : String(light)));
+		return {
+			...this.commonFields(fop),
+			decisionEventType: eventType,
+			d1,
+			d2,
+			d3,
+			down: String(eventType === 'DOWN_SIGNAL'),
+			decisionsVisible: String(visible),
+			athleteKey: this.info.get(athlete).key,
+			fullName: displayName(athlete),
+			attemptNumber: String(attemptsDone(athlete, fop.lift) + (eventType === 'RESET' ? 0 : 1)),
+			weight: String(weight)
+		};
+	}
+
+	commonFields(fop) {
+		return {
+			fop: fop.name,
+			fopName: fop.name,
+			mode: fop.mode,
+			fopState: fop.fopState,
+			sessionName: fop.session?.name || '',
+			liftTypeKey: fop.lift === 'snatch' ? 'Snatch' : 'Clean_and_Jerk',
+			serverLocalTime: localTime(fop.clock)
+		};
+	}
+
+	startOrderKeys(fop) {
+		const keys = [];
+		let previousCategory = null;
+		for (const athlete of fop.athletes) {
+			const category = this.info.get(athlete).categoryCode;
+			if (category !== previousCategory) {
+				keys.push({ isSpacer: true });
+				previousCategory = category;
+			}
+			keys.push(this.info.get(athlete).key);
+		}
+		return keys;
+	}
+
+	sessionAthlete(fop, athlete, current, next) {
+		const info = this.info.get(athlete);
+		const classname = athlete === current ? 'current blink' : athlete === next ? 'next' : '';
+		const attemptsFor = (lift) => [1, 2, 3].map((attempt) => {
+			const actual = toNumber(athlete[`${lift}${attempt}ActualLift`]);
+			if (athlete[`${lift}${attempt}ActualLift`] != null && athlete[`${lift}${attempt}ActualLift`] !== '') {
+				return { value: Math.abs(actual), status: actual > 0 ? 'good' : 'bad' };
+			}
+			if (attemptsDone(athlete, lift) + 1 !== attempt) {
+				return { value: null, status: null };
+			}
+			const value = requestedWeight(athlete, lift, attempt);
+			const status = lift !== fop.lift ? 'request' : athlete === current ? 'current' : athlete === next ? 'next' : 'request';
+			return { value, status };
+		});
+		const rank = (value) => (value ? String(value) : '-');
+		const best = (lift) => (bestLift(athlete, lift) ? String(bestLift(athlete, lift)) : '-');
+		const birthDate = athlete.fullBirthDate;
+		const yearOfBirth = Array.isArray(birthDate) ? birthDate[0] : String(birthDate || '').slice(0, 4);
+
+		return {
+			athleteKey: String(info.key),
+			athlete,
+			displayInfo: {
+				fullName: displayName(athlete),
+				teamName: info.teamName,
+				startNumber: String(athlete.startNumber ?? ''),
+				lotNumber: String(athlete.lotNumber ?? ''),
+				membership: athlete.membership || '',
+				gender: athlete.gender || '',
+				yearOfBirth: String(yearOfBirth || ''),
+				category: info.categoryName,
+				group: info.sessionName,
+				subCategory: athlete.subCategory || '',
+				custom1: athlete.custom1 || '',
+				custom2: athlete.custom2 || '',
+				classname,
+				sattempts: attemptsFor('snatch'),
+				cattempts: attemptsFor('cleanJerk'),
+				bestSnatch: best('snatch'),
+				bestCleanJerk: best('cleanJerk'),
+				total: total(athlete) ? String(total(athlete)) : '-',
+				snatchRank: rank(athlete.snatchRank),
+				cleanJerkRank: rank(athlete.cleanJerkRank),
+				totalRank: rank(athlete.totalRank),
+				flagClass: 'longTeam',
+				teamLength: info.teamName.length
+			}
+		};
+	}
+
+	refereeLights(good) {
+		const majority = good;
+		const unanimous = this.random() < 0.7;
+		const lights = [majority, majority, unanimous ? majority : !majority];
+		// Shuffle so the dissenting referee is not always the third one
+		for (let i = lights.length - 1; i > 0; i--) {
+			const j = Math.floor(this.random() * (i + 1));
+			[lights[i], lights[j]] = [lights[j], lights[i]];
+		}
+		return lights;
+	}
+
+	/**
+	 * Sessions per platform, in competition order
+	 */
+	buildSessions() {
+		const declared = Array.isArray(this.database.sessions) ? this.database.sessions : [];
+		const defaultPlatform = this.database.platforms?.[0]?.name || 'A';
+		let sessions = declared
+			.filter((session) => session?.name)
+			.map((session) => ({
+				name: session.name,
+				platformName: session.platformName || defaultPlatform,
+				description: session.description || '',
+				done: Boolean(session.done),
+				raw: session
+			}));
+
+		// V1 databases and minimal exports may not list sessions
+		if (sessions.length === 0) {
+			const names = [...new Set(this.athletes.map((athlete) => this.info.get(athlete).sessionName).filter(Boolean))];
+			sessions = names.map((name) => ({ name, platformName: defaultPlatform, description: '', done: false }));
+		}
+
+		// Only keep sessions that have athletes
+		const withAthletes = new Set(this.athletes.map((athlete) => this.info.get(athlete).sessionName));
+		sessions = sessions.filter((session) => withAthletes.has(session.name));
+
+		if (this.options.sessions?.length) {
+			const wanted = new Set(this.options.sessions);
+			return sessions.filter((session) => wanted.has(session.name));
+		}
+		const pending = sessions.filter((session) => !session.done);
+		return pending.length > 0 ? pending : sessions;
+	}
+
+	/**
+	 * Clear results of sessions about to be simulated and make sure every
+	 * athlete has opening attempts
+	 */
+	prepareSessions() {
+		const names = new Set(this.sessions.map((session) => session.name));
+		for (const athlete of this.athletes) {
+			if (!names.has(this.info.get(athlete).sessionName)) continue;
+
+			const session = this.sessions.find((s) => s.name === this.info.get(athlete).sessionName);
+			const hasResults = LIFTS.some((lift) => attemptsDone(athlete, lift) > 0);
+			if (hasResults && (session.done || this.options.resetResults || this.options.sessions?.length)) {
+				clearResults(athlete);
+			}
+			session.done = false;
+			if (session.raw) session.raw.done = false;
+
+			if (!requestedWeight(athlete, 'snatch', 1) || !requestedWeight(athlete, 'cleanJerk', 1)) {
+				const { snatch, cleanJerk } = this.openingAttempts(athlete);
+				if (!requestedWeight(athlete, 'snatch', 1)) athlete.snatch1Declaration = snatch;
+				if (!requestedWeight(athlete, 'cleanJerk', 1)) athlete.cleanJerk1Declaration = cleanJerk;
+			}
+		}
+	}
+
+	openingAttempts(athlete) {
+		const entryTotal = toNumber(athlete.entryTotal) || toNumber(athlete.qualifyingTotal);
+		const bodyWeight = toNumber(athlete.bodyWeight) || toNumber(athlete.presumedBodyWeight) || 70;
+		const estimatedTotal = entryTotal || Math.round(bodyWeight * (athlete.gender === 'F' ? 2.4 : 3.2));
+		const snatch = Math.max(20, Math.round(estimatedTotal * 0.44) - this.pick([0, 2, 4]));
+		const cleanJerk = Math.max(snatch + 10, Math.round(estimatedTotal * 0.56) - this.pick([0, 2, 4]));
+		return { snatch, cleanJerk };
+	}
+
+	between(min, max) {
+		return Math.round(min + this.random() * (max - min));
+	}
+
+	pick(values) {
+		return values[Math.floor(this.random() * values.length)];
+	}
+}
+
+function clearResults(athlete) {
+	for (const lift of LIFTS) {
+		for (let i = 1; i <= 3; i++) {
+			const prefix = `${lift}${i}`;
+			athlete[`${prefix}Change1`] = null;
+			athlete[`${prefix}Change2`] = null;
+			athlete[`${prefix}ActualLift`] = null;
+			athlete[`${prefix}LiftTime`] = null;
+			if (i > 1) {
+				athlete[`${prefix}Declaration`] = null;
+				athlete[`${prefix}AutomaticProgression`] = null;
+			}
+		}
+	}
+}
+
+function total(athlete) {
+	const snatch = bestLift(athlete, 'snatch');
+	const cleanJerk = bestLift(athlete, 'cleanJerk');
+	return snatch > 0 && cleanJerk > 0 ? snatch + cleanJerk : 0;
+}
+
+function toNumber(value) {
+	const number = typeof value === 'number' ? value : parseFloat(value);
+	return Number.isFinite(number) ? number : 0;
+}
+
+function displayName(athlete) {
+	return `${String(athlete.lastName || '').toUpperCase()}, ${athlete.firstName || ''}`;
+}
+
+function attemptLabel(attempt) {
+	const suffix = ['st', 'nd', 'rd'][attempt - 1] || 'th';
+	return `${attempt}<sup>${suffix}</sup> att.`;
+}
+
+function localDateTime(ms) {
+	const date = new Date(ms);
+	const pad = (n, width = 2) => String(n).padStart(width, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${localTime(ms)}`;
+}
+
+function localTime(ms) {
+	const date = new Date(ms);
+	const pad = (n, width = 2) => String(n).padStart(width, '0');
+	return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
@@ -0,0 +1,132 @@
+/**
+ * Competition registry - multi-competition hosting
+ *
+ * One tracker can follow several OWLCMS instances at once (two venues, a
+ * national championship next to a masters meet, several federations on one
+ * cloud instance). Each competition has its own hub; OWLCMS connects to
+ * /<competition>/ws and displays use /<competition>/lifting-order?fop=A.
+ * The unprefixed URLs (/ws, /lifting-order) are the "default" competition,
+ * backed by the tracker-core singleton hub, so single-competition setups are
+ * unchanged.
+ *
+ * The current competition is carried by AsyncLocalStorage: hooks.server.js
+ * and the WebSocket handler run each request/frame inside runWithCompetition(),
+ * and the competitionHub exported by competition-hub.js resolves to the hub of
+ * the current competition. Plugins therefore need no changes.
+ *
+ * Competitions listed in COMPETITIONS (comma-separated) exist from startup so
+ * displays can be opened before OWLCMS connects. Others are created by the
+ * first message that passes the version and updateKey checks, up to
+ * MAX_COMPETITIONS (default 20). Without OWLCMS_UPDATEKEY, any client that
+ * can reach the tracker can create them.
+ *
+ * Only the default competition is snapshotted for warm restarts (hub-snapshot.js):
+ * named competitions wait for OWLCMS to resend everything after a restart.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { competitionHub as defaultHub } from '@owlcms/tracker-core';
+import { DEFAULT_COMPETITION, isValidCompetitionId } from '../competition-id.js';
+
+const MAX_COMPETITIONS = Number(process.env.MAX_COMPETITIONS) || 20;
+
+// Shared through globalThis: vite.config.js, start-with-ws.js and the SvelteKit
+// bundle may each load their own copy of this module.
+if (!globalThis.__competitions) {
+	globalThis.__competitions = {
+		storage: new AsyncLocalStorage(),
+		hubs: new Map([[DEFAULT_COMPETITION, defaultHub]]),
+		createdListeners: []
+	};
+	for (const id of (process.env.COMPETITIONS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+		if (isValidCompetitionId(id)) {
+			createCompetition(id);
+		} else {
+			console.warn(`[Competitions] ⚠️ Ignoring invalid competition identifier in COMPETITIONS: "${id}"`);
+		}
+	}
+}
+
+function registry() {
+	return globalThis.__competitions;
+}
+
+function createCompetition(id) {
+	const { hubs } = registry();
+	if (hubs.size > MAX_COMPETITIONS) {
+		console.warn(`[Competitions] ⚠️ Competition "${id}" not created: too many competitions (MAX_COMPETITIONS=${MAX_COMPETITIONS})`);
+		return null;
+	}
+	// tracker-core only exports the singleton; its class gives an independent hub
+	const hub = new defaultHub.constructor();
+	hubs.set(id, hub);
+	console.log(`[Competitions] 🏟️ Competition "${id}" created (${hubs.size - 1} named)`);
+	for (const listener of registry().createdListeners) {
+		try {
+			listener(id, hub);
+		} catch (err) {
+			console.error(`[Competitions] ❌ Error setting up competition "${id}":`, err.message);
+		}
+	}
+	return hub;
+}
+
+export { DEFAULT_COMPETITION, isValidCompetitionId };
+
+/**
+ * @returns {string} - Competition of the request or OWLCMS frame being processed
+ */
+export function currentCompetitionId() {
+	return registry().storage.getStore() || DEFAULT_COMPETITION;
+}
+
+/**
+ * Run a function in the context of a competition
+ * Everything called from fn (including async continuations) sees that competition.
+ * @param {string} id - Competition identifier
+ * @param {Function} fn - Function to run
+ */
+export function runWithCompetition(id, fn) {
+	return registry().storage.run(id || DEFAULT_COMPETITION, fn);
+}
+
+/**
+ * @param {string} id - Competition identifier
+ * @returns {boolean} - true if the competition exists
+ */
+export function hasCompetition(id) {
+	return registry().hubs.has(id);
+}
+
+/**
+ * Get the hub of a competition
+ * @param {string} id - Competition identifier (default: current competition)
+ * @param {{create?: boolean}} options - create: create the competition if it does not exist
+ * @returns {object|null} - Hub, or null if the competition does not exist (or
+ *   cannot be created: invalid identifier, MAX_COMPETITIONS reached)
+ */
+export function getCompetitionHub(id = currentCompetitionId(), { create = false } = {}) {
+	const hub = registry().hubs.get(id);
+	if (hub) return hub;
+	if (!create || !isValidCompetitionId(id)) return null;
+	return createCompetition(id);
+}
+
+/**
+ * @returns {string[]} - All competition identifiers, default first
+ */
+export function listCompetitions() {
+	return Array.from(registry().hubs.keys());
+}
+
+/**
+ * Call a function for every competition, now and when one is created
+ * Used by services that listen to each hub (e.g. the event journal).
+ * @param {(id: string, hub: object) => void} listener
+ */
+export function forEachCompetition(listener) {
+	registry().createdListeners.push(listener);
+	for (const [id, hub] of registry().hubs) {
+		listener(id, hub);
+	}
+}
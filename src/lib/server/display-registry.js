@@ -0,0 +1,319 @@
+/**
+ * Display registry - the screens around the venue and their remote control
+ *
+ * Every browser has a persistent display id (kept in its localStorage by
+ * sse-client.js) and reports the page it shows when it connects, on the SSE
+ * stream (?display=&page=) or the WebSocket channel (hello). The registry keeps,
+ * per display: a human name and a group ("warmup", "hall") set by the operator,
+ * the scoreboard, FOP, language and options of its page, and when it was last seen.
+ * Its live connections are the SSE broker's clients with that id.
+ *
+ * The operator page (/displays, through /api/displays) sends commands to one
+ * display, a selection or a group:
+ * - navigate {url} or {scoreboard, fop?, options?}: open another page; with a
+ *   scoreboard type each display keeps its competition, FOP and language, so
+ *   switching the warm-up screens from lifting-order to rankings is one command
+ * - reload, language {language}, blank, unblank, identify (shows the name)
+ * Commands reach the browsers as display_command messages (see display-control.js).
+ * There is no access control: anyone who can reach the tracker can send them.
+ *
+ * Names, groups and blanking survive restarts: DISPLAYS_FILE (default
+ * local/state/displays.json). Displays the operator never named or grouped are
+ * forgotten after DISPLAY_EXPIRY_DAYS (default 7) without connecting, and the
+ * least recently seen are dropped beyond MAX_DISPLAYS (default 500): every
+ * browser that opens a page registers, including phones in the stands.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { sseBroker } from './sse-broker.js';
+import { DEFAULT_COMPETITION } from './competitions.js';
+import { sameOriginPath } from '../display-control.js';
+
+const DISPLAYS_FILE = process.env.DISPLAYS_FILE || join('local', 'state', 'displays.json');
+const SAVE_DELAY_MS = 1000;
+const EXPIRY_MS = (Number(process.env.DISPLAY_EXPIRY_DAYS) || 7) * 24 * 3600 * 1000;
+const MAX_DISPLAYS = Number(process.env.MAX_DISPLAYS) || 500;
+const DISPLAY_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const COMMANDS = new Set(['navigate', 'reload', 'language', 'blank', 'unblank', 'identify']);
+// Stands for this tracker's origin (which the server does not know) when resolving navigate urls
+const TRACKER_ORIGIN = 'http://tracker.invalid';
+
+// Shared through globalThis: reports come from the SSE route (SvelteKit bundle) and
+// from the WebSocket channel (copied server files in production)
+if (!globalThis.__displayRegistry) {
+	globalThis.__displayRegistry = { displays: null, saveTimer: null };
+}
+const state = globalThis.__displayRegistry;
+
+function displays() {
+	if (!state.displays) {
+		state.displays = new Map();
+		try {
+			if (existsSync(DISPLAYS_FILE)) {
+				for (const display of JSON.parse(readFileSync(DISPLAYS_FILE, 'utf8')).displays || []) {
+					if (DISPLAY_ID.test(display.id)) state.displays.set(display.id, display);
+				}
+				console.log(`[Displays] Loaded ${state.displays.size} displays from ${DISPLAYS_FILE}`);
+			}
+		} catch (error) {
+			console.warn(`[Displays] ⚠️ Cannot read ${DISPLAYS_FILE}: ${error.message}`);
+		}
+	}
+	return state.displays;
+}
+
+function scheduleSave() {
+	if (state.saveTimer) return;
+	state.saveTimer = setTimeout(() => {
+		state.saveTimer = null;
+		try {
+			mkdirSync(dirname(DISPLAYS_FILE), { recursive: true });
+			const temp = `${DISPLAYS_FILE}.tmp`;
+			writeFileSync(temp, JSON.stringify({ displays: Array.from(displays().values()) }, null, 2));
+			renameSync(temp, DISPLAYS_FILE);
+		} catch (error) {
+			console.warn(`[Displays] ⚠️ Cannot save ${DISPLAYS_FILE}: ${error.message}`);
+		}
+	}, SAVE_DELAY_MS);
+	state.saveTimer.unref?.();
+}
+
+/**
+ * Scoreboard, FOP, language and options of a page URL
+ * @param {string} page - Path and query, e.g. /nationals/lifting-order?fop=A&lang=fr
+ * @returns {{scoreboard: string|null, fop: string|null, language: string|null, options: object}}
+ */
+export function describePage(page) {
+	let url;
+	try {
+		url = new URL(page, 'http://display');
+	} catch {
+		return { scoreboard: null, fop: null, language: null, options: {} };
+	}
+	const segments = url.pathname.split('/').filter(Boolean);
+	const options = {};
+	for (const [key, value] of url.searchParams) {
+		if (!['fop', 'lang', 'language', 'competition'].includes(key)) options[key] = value;
+	}
+	return {
+		scoreboard: segments.at(-1) || null,
+		fop: url.searchParams.get('fop'),
+		language: url.searchParams.get('lang') || url.searchParams.get('language'),
+		options
+	};
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} - true if usable as a display id
+ */
+export function isValidDisplayId(id) {
+	return typeof id === 'string' && DISPLAY_ID.test(id);
+}
+
+/**
+ * Displays to forget: unnamed displays not seen for a while, then the least
+ * recently seen unnamed ones beyond the limit
+ * Named, grouped or blanked displays and connected ones are always kept.
+ * @param {object[]} all - Known displays
+ * @param {{now?: number, connected?: Set<string>, expiryMs?: number, maxDisplays?: number}} [options]
+ * @returns {string[]} - Ids of the displays to forget
+ */
+export function expiredDisplays(all, { now = Date.now(), connected = new Set(), expiryMs = EXPIRY_MS, maxDisplays = MAX_DISPLAYS } = {}) {
+	const lastSeen = (display) => Date.parse(display.lastSeen || display.firstSeen) || 0;
+	const candidates = all
+		.filter((display) => !display.name && !display.group && !display.blanked && !connected.has(display.id))
+		.sort((a, b) => lastSeen(a) - lastSeen(b));
+	const expired = candidates.filter((display) => now - lastSeen(display) > expiryMs);
+	const excess = all.length - expired.length - maxDisplays;
+	const dropped = excess > 0 ? candidates.slice(expired.length, expired.length + excess) : [];
+	return [...expired, ...dropped].map((display) => display.id);
+}
+
+// reportingId is connecting: its SSE or WebSocket client may not be registered yet
+function pruneDisplays(reportingId) {
+	const connected = new Set(sseBroker.getClientDiagnostics().map((client) => client.clientId).filter(Boolean));
+	connected.add(reportingId);
+	const ids = expiredDisplays(Array.from(displays().values()), { connected });
+	for (const id of ids) {
+		displays().delete(id);
+	}
+	if (ids.length > 0) {
+		console.log(`[Displays] Forgot ${ids.length} unnamed displays not seen recently`);
+	}
+}
+
+/**
+ * Record the page a display shows (on each connection)
+ * @param {string} id - Display id
+ * @param {{competitionId?: string, page?: string|null, remoteAddress?: string|null}} report
+ * @returns {object|null} - The display, null for an invalid id
+ */
+export function reportDisplay(id, { competitionId = DEFAULT_COMPETITION, page = null, remoteAddress = null } = {}) {
+	if (!isValidDisplayId(id)) return null;
+	let display = displays().get(id);
+	if (!display) {
+		display = { id, name: null, group: null, blanked: false, firstSeen: new Date().toISOString() };
+		displays().set(id, display);
+		console.log(`[Displays] New display ${id}${remoteAddress ? ` (${remoteAddress})` : ''}`);
+		pruneDisplays(id);
+	}
+	Object.assign(display, {
+		competitionId,
+		page,
+		...(page ? describePage(page) : {}),
+		remoteAddress,
+		lastSeen: new Date().toISOString()
+	});
+	scheduleSave();
+	return display;
+}
+
+/**
+ * Messages a display gets when it connects (name for identification, blanking)
+ * @param {object|null} display - Result of reportDisplay
+ * @returns {object[]}
+ */
+export function displayGreeting(display) {
+	if (!display) return [];
+	const messages = [{ type: 'display_info', id: display.id, name: display.name, group: display.group }];
+	if (display.blanked) {
+		messages.push({ type: 'display_command', command: 'blank' });
+	}
+	return messages;
+}
+
+/**
+ * All known displays with their live connections
+ * @returns {object[]} - Connected displays first, then by name
+ */
+export function listDisplays() {
+	const connections = new Map(); // display id → diagnostics of its connections
+	for (const client of sseBroker.getClientDiagnostics()) {
+		if (!client.clientId) continue;
+		if (!connections.has(client.clientId)) connections.set(client.clientId, []);
+		connections.get(client.clientId).push({
+			connectionId: client.connectionId,
+			transport: client.transport,
+			remoteAddress: client.remoteAddress,
+			connectedSeconds: client.connectedSeconds,
+			lastWriteAt: client.lastWriteAt
+		});
+	}
+	return Array.from(displays().values())
+		.map((display) => ({ ...display, connected: connections.has(display.id), connections: connections.get(display.id) || [] }))
+		.sort((a, b) => (b.connected - a.connected) || (a.name || a.id).localeCompare(b.name || b.id));
+}
+
+/**
+ * Rename or regroup a display
+ * @param {string} id
+ * @param {{name?: string|null, group?: string|null}} changes
+ * @returns {object|null} - Updated display, null if unknown
+ */
+export function updateDisplay(id, { name, group } = {}) {
+	const display = displays().get(id);
+	if (!display) return null;
+	if (name !== undefined) display.name = name ? String(name).trim().slice(0, 100) || null : null;
+	if (group !== undefined) display.group = group ? String(group).trim().slice(0, 50) || null : null;
+	scheduleSave();
+	// Shown by the display when asked to identify itself
+	sendToDisplay(id, { type: 'display_info', id, name: display.name, group: display.group });
+	return display;
+}
+
+/**
+ * Forget a display (it registers again when it reconnects)
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function forgetDisplay(id) {
+	const removed = displays().delete(id);
+	if (removed) scheduleSave();
+	return removed;
+}
+
+function sendToDisplay(id, message) {
+	return sseBroker.sendToClients((client) => client.clientId === id, message);
+}
+
+/**
+ * Page of a navigate command for a display
+ * @param {object} display
+ * @param {{url?: string, scoreboard?: string, fop?: string, options?: object}} command
+ * @returns {string}
+ */
+export function navigationTarget(display, { url, scoreboard, fop, options = {} }) {
+	if (url) return sameOriginPath(url, TRACKER_ORIGIN);
+	const prefix = display.competitionId && display.competitionId !== DEFAULT_COMPETITION ? `/${display.competitionId}` : '';
+	const params = new URLSearchParams();
+	const targetFop = fop || display.fop;
+	if (targetFop) params.set('fop', targetFop);
+	if (display.language) params.set('lang', display.language);
+	for (const [key, value] of Object.entries(options)) {
+		params.set(key, String(value));
+	}
+	const query = params.toString();
+	return `${prefix}/${encodeURIComponent(scoreboard)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Check a command before sending it
+ * @param {object} command - {command, ...arguments}
+ * @returns {string|null} - Problem, null if valid
+ */
+export function commandProblem(command) {
+	if (!command || !COMMANDS.has(command.command)) return `command must be one of ${Array.from(COMMANDS).join(', ')}`;
+	if (command.command === 'navigate') {
+		if (command.url !== undefined) {
+			// Pages of this tracker only
+			if (!sameOriginPath(command.url, TRACKER_ORIGIN)) return 'url must be a path on this server';
+		} else if (typeof command.scoreboard !== 'string' || !command.scoreboard || command.scoreboard.includes('/')) {
+			return 'navigate needs a url or a scoreboard type';
+		}
+	}
+	if (command.command === 'language' && (typeof command.language !== 'string' || !/^[A-Za-z0-9_-]+$/.test(command.language))) {
+		return 'language needs a language code';
+	}
+	return null;
+}
+
+/**
+ * Send a command to displays
+ * @param {string[]} ids - Target displays
+ * @param {object} command - {command: 'navigate'|'reload'|'language'|'blank'|'unblank'|'identify', ...}
+ * @returns {{id: string, connections: number}[]} - Live connections reached per display
+ */
+export function commandDisplays(ids, command) {
+	const results = [];
+	for (const id of ids) {
+		const display = displays().get(id);
+		if (!display) continue;
+
+		const message = { type: 'display_command', command: command.command };
+		if (command.command === 'navigate') {
+			message.url = navigationTarget(display, command);
+		} else if (command.command === 'language') {
+			message.language = command.language;
+		} else if (command.command === 'identify') {
+			message.name = display.name || display.id;
+		}
+		if (command.command === 'blank' || command.command === 'unblank') {
+			display.blanked = command.command === 'blank';
+			scheduleSave();
+		}
+		results.push({ id, connections: sendToDisplay(id, message) });
+	}
+	console.log(`[Displays] ${command.command} → ${results.length} displays (${results.filter((r) => r.connections > 0).length} connected)`);
+	return results;
+}
+
+/**
+ * Ids of the displays of a group
+ * @param {string} group
+ * @returns {string[]}
+ */
+export function displaysInGroup(group) {
+	return Array.from(displays().values()).filter((display) => display.group === group).map((display) => display.id);
+}
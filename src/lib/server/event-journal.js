@@ -0,0 +1,315 @@
+/**
+ * Competition event journal
+ *
+ * The hub only keeps the latest state of each platform. The journal keeps the
+ * history: every update, timer and decision event emitted by a competition hub
+ * is appended to local/journal/<competition>.ndjson (one JSON object per line)
+ * with a sequence number that keeps increasing across restarts. /api/journal
+ * queries it, e.g. for jury disputes ("what did the screens show at 14:32?")
+ * or post-competition analysis.
+ *
+ * Entry: {seq, time, competition, fop, type, event, athleteKey, athleteName, data}
+ * - type: 'update' | 'timer' | 'decision'
+ * - event: uiEvent, athleteTimerEventType/breakTimerEventType or decisionEventType
+ * - athleteKey/athleteName: athlete on the platform when the event happened
+ * - data: the event as emitted by the hub, without the bulky athlete lists and database
+ *
+ * The journal is never rewritten; delete the file to start over.
+ * Disable with JOURNAL=false; JOURNAL_DIR changes the folder (default local/journal).
+ */
+
+import { closeSync, createReadStream, createWriteStream, existsSync, fstatSync, mkdirSync, openSync, readSync } from 'fs';
+import { dirname, join } from 'path';
+import { createInterface } from 'readline';
+import { DEFAULT_COMPETITION } from '../competition-id.js';
+import { isHubStateStale } from './hub-snapshot.js';
+
+const JOURNAL = process.env.JOURNAL !== 'false';
+const JOURNAL_DIR = process.env.JOURNAL_DIR || join('local', 'journal');
+
+export const JOURNAL_TYPES = ['update', 'timer', 'decision'];
+const MAX_RESULTS = 5000;
+const DEFAULT_RESULTS = 500;
+
+// Not needed to know what the screens showed, and large (tens of KB per update)
+const OMITTED_FIELDS = [
+	'database',
+	'sessionAthletes',
+	'startOrderAthletes',
+	'liftingOrderAthletes',
+	'groupAthletes',
+	'startOrderKeys',
+	'records',
+	'leaders',
+	'updateKey',
+	'update_key',
+	'updatekey'
+];
+
+// Shared through globalThis: started from hooks.server.js, queried by /api/journal
+// (a different module copy after Vite HMR)
+if (!globalThis.__eventJournal) {
+	globalThis.__eventJournal = {
+		started: false,
+		journals: new Map() // competition → {file, stream, seq, athletes: Map(fop → {key, name})}
+	};
+}
+const state = globalThis.__eventJournal;
+
+/**
+ * @param {string} competitionId
+ * @returns {string} - Journal file of a competition
+ */
+export function journalFile(competitionId) {
+	return join(JOURNAL_DIR, `${competitionId}.ndjson`);
+}
+
+/**
+ * Last sequence number written to a journal file (0 if none)
+ * Reads backwards from the end so large journals open quickly.
+ * @param {string} file
+ * @returns {number}
+ */
+export function readLastSeq(file) {
+	if (!existsSync(file)) return 0;
+	const fd = openSync(file, 'r');
+	try {
+		const size = fstatSync(fd).size;
+		let chunkSize = 64 * 1024;
+		while (true) {
+			const start = Math.max(0, size - chunkSize);
+			const buffer = Buffer.alloc(size - start);
+			readSync(fd, buffer, 0, buffer.length, start);
+			const lines = buffer.toString('utf8').split('\n').filter((line) => line.trim());
+			// The first line of a partial chunk may be cut
+			for (let i = lines.length - 1; i >= (start > 0 ? 1 : 0); i--) {
+				try {
+					const seq = JSON.parse(lines[i]).seq;
+					if (Number.isInteger(seq)) return seq;
+				} catch {
+					// Truncated line (crash while writing) - keep looking
+				}
+			}
+			if (start === 0) return 0;
+			chunkSize *= 4;
+		}
+	} finally {
+		closeSync(fd);
+	}
+}
+
+/**
+ * Build a journal entry from a hub event
+ * @param {string} type - 'update', 'timer' or 'decision'
+ * @param {object} eventData - Hub event ({fop, data|timer|decision, timestamp})
+ * @param {{key: *, name: string}|undefined} athlete - Athlete on the platform before this event
+ * @returns {object} - Entry without seq/competition
+ */
+export function buildEntry(type, eventData, athlete) {
+	const source = (type === 'update' ? eventData?.data : eventData?.[type]) || {};
+	const data = {};
+	for (const [key, value] of Object.entries(source)) {
+		if (!OMITTED_FIELDS.includes(key)) data[key] = value;
+	}
+	if (type !== 'update' && eventData?.displayMode !== undefined) {
+		data.displayMode = eventData.displayMode;
+	}
+
+	const event = type === 'update'
+		? source.uiEvent
+		: type === 'timer'
+			? source.athleteTimerEventType || source.breakTimerEventType
+			: source.decisionEventType;
+
+	const athleteKey = source.currentAthleteKey ?? source.athleteKey ?? athlete?.key ?? null;
+	const athleteName = source.fullName || athlete?.name || null;
+
+	return {
+		time: new Date(eventData?.timestamp || Date.now()).toISOString(),
+		fop: eventData?.fop || source.fop || source.fopName || null,
+		type,
+		event: event || null,
+		athleteKey: athleteKey === '' ? null : athleteKey,
+		athleteName,
+		data
+	};
+}
+
+function openJournal(competitionId) {
+	let journal = state.journals.get(competitionId);
+	if (journal) return journal;
+
+	const file = journalFile(competitionId);
+	mkdirSync(dirname(file), { recursive: true });
+	journal = {
+		file,
+		seq: readLastSeq(file),
+		stream: createWriteStream(file, { flags: 'a' }),
+		athletes: new Map()
+	};
+	journal.stream.on('error', (err) => console.error(`[Journal] ❌ Unable to write ${file}:`, err.message));
+	state.journals.set(competitionId, journal);
+	return journal;
+}
+
+/**
+ * Append an event to a competition's journal
+ * @param {string} competitionId
+ * @param {string} type - 'update', 'timer' or 'decision'
+ * @param {object} eventData - Hub event
+ * @returns {object} - The entry written
+ */
+export function appendEvent(competitionId, type, eventData) {
+	const journal = openJournal(competitionId);
+	const entry = buildEntry(type, eventData, journal.athletes.get(eventData?.fop));
+	if (type === 'update' && entry.fop) {
+		journal.athletes.set(entry.fop, { key: entry.athleteKey, name: entry.athleteName });
+	}
+	const written = { seq: ++journal.seq, competition: competitionId, ...entry };
+	journal.stream.write(JSON.stringify(written) + '\n');
+	return written;
+}
+
+/**
+ * Start journaling the events of every competition hub
+ * Safe to call more than once (Vite HMR reloads hooks.server.js).
+ */
+export async function startEventJournal() {
+	if (!JOURNAL || state.started) return;
+	state.started = true;
+
+	// Imported here so the journal functions can be used without tracker-core
+	const { forEachCompetition } = await import('./competitions.js');
+	forEachCompetition((competitionId, hub) => {
+		for (const type of JOURNAL_TYPES) {
+			hub.on(type === 'update' ? 'fop_update' : type, (eventData) => {
+				// Replays of the warm-restart snapshot are not new events
+				if (competitionId === DEFAULT_COMPETITION && isHubStateStale()) return;
+				// Cache refresh notifications from /api/refresh, not competition events
+				if (eventData?.data?.refreshTriggered) return;
+				try {
+					appendEvent(competitionId, type, eventData);
+				} catch (err) {
+					console.error(`[Journal] ❌ Unable to journal ${type} event:`, err.message);
+				}
+			});
+		}
+	});
+	console.log(`[Journal] Recording competition events to ${JOURNAL_DIR}`);
+}
+
+function parseTime(value) {
+	if (value === null || value === undefined || value === '') return null;
+	if (/^\d+$/.test(value)) return Number(value);
+	const time = Date.parse(value);
+	if (Number.isNaN(time)) {
+		throw new Error(`Invalid time "${value}" (use ISO 8601, e.g. 2025-11-15T14:32, or epoch milliseconds)`);
+	}
+	return time;
+}
+
+/**
+ * Normalize /api/journal query parameters
+ * @param {URLSearchParams} params
+ * @returns {object} - Filter for queryJournal()
+ * @throws {Error} - Invalid parameter
+ */
+export function parseJournalQuery(params) {
+	const types = params.get('type') ? params.get('type').split(',').map((t) => t.trim()) : null;
+	const unknown = types?.filter((t) => !JOURNAL_TYPES.includes(t)) || [];
+	if (unknown.length > 0) {
+		throw new Error(`Unknown event type "${unknown.join(', ')}" (known: ${JOURNAL_TYPES.join(', ')})`);
+	}
+	const limit = params.get('limit') ? Number(params.get('limit')) : DEFAULT_RESULTS;
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw new Error('limit must be a positive integer');
+	}
+	const after = params.get('after') ? Number(params.get('after')) : 0;
+	if (!Number.isInteger(after) || after < 0) {
+		throw new Error('after must be a sequence number');
+	}
+	return {
+		fop: params.get('fop') || null,
+		athlete: params.get('athlete') || null,
+		types,
+		event: params.get('event') || null,
+		from: parseTime(params.get('from')),
+		to: parseTime(params.get('to')),
+		at: parseTime(params.get('at')),
+		after,
+		limit: Math.min(limit, MAX_RESULTS)
+	};
+}
+
+/**
+ * Check an entry against a query filter
+ * athlete matches the athlete key exactly or part of the name (case-insensitive).
+ * @param {object} entry - Journal entry
+ * @param {object} filter - From parseJournalQuery()
+ * @returns {boolean}
+ */
+export function matchesFilter(entry, filter) {
+	if (entry.seq <= filter.after) return false;
+	if (filter.fop && entry.fop !== filter.fop) return false;
+	if (filter.types && !filter.types.includes(entry.type)) return false;
+	if (filter.event && entry.event !== filter.event) return false;
+	if (filter.from !== null || filter.to !== null) {
+		const time = Date.parse(entry.time);
+		if (filter.from !== null && time < filter.from) return false;
+		if (filter.to !== null && time > filter.to) return false;
+	}
+	if (filter.athlete) {
+		const wanted = filter.athlete.toLowerCase();
+		const keyMatches = entry.athleteKey !== null && String(entry.athleteKey) === filter.athlete;
+		const nameMatches = entry.athleteName && entry.athleteName.toLowerCase().includes(wanted);
+		if (!keyMatches && !nameMatches) return false;
+	}
+	return true;
+}
+
+/**
+ * Query a competition's journal
+ * With filter.at, returns what each platform showed at that time: the last
+ * update, timer and decision event of each FOP at or before it.
+ * @param {string} competitionId
+ * @param {object} filter - From parseJournalQuery()
+ * @returns {Promise<{competition: string, lastSeq: number, entries?: object[], more?: boolean, at?: string, fops?: object}>}
+ */
+export async function queryJournal(competitionId, filter) {
+	const file = journalFile(competitionId);
+	const lastSeq = state.journals.get(competitionId)?.seq ?? readLastSeq(file);
+	const entries = [];
+	const fops = {};
+	let more = false;
+
+	if (existsSync(file)) {
+		const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+		for await (const line of lines) {
+			if (!line.trim()) continue;
+			let entry;
+			try {
+				entry = JSON.parse(line);
+			} catch {
+				continue; // Truncated line (crash while writing)
+			}
+			if (filter.at !== null) {
+				if (Date.parse(entry.time) > filter.at) break;
+				if (matchesFilter(entry, { ...filter, from: null, to: null })) {
+					(fops[entry.fop] ||= {})[entry.type] = entry;
+				}
+			} else if (matchesFilter(entry, filter)) {
+				if (entries.length === filter.limit) {
+					more = true;
+					break;
+				}
+				entries.push(entry);
+			}
+		}
+		lines.close();
+	}
+
+	if (filter.at !== null) {
+		return { competition: competitionId, lastSeq, at: new Date(filter.at).toISOString(), fops };
+	}
+	return { competition: competitionId, lastSeq, entries, more };
+}
@@ -12,20 +12,21 @@ import {
   getPictureUrl as coreGetPictureUrl,
   getPictureHtml as coreGetPictureHtml
 } from '@owlcms/tracker-core/utils';
+import { versionedLocalUrl } from './http-cache.js';
 
 /**
  * Get flag URL for team/country name
  * Backward compatible wrapper that accepts positional arguments
  * @param {string} teamName - Team or country name
  * @param {boolean} returnNull - If true, return null when not found; if false, return placeholder
- * @returns {string|null} URL to flag image or null/placeholder
+ * @returns {string|null} URL to flag image (with ?v=<content hash>, cached as immutable) or null/placeholder
  */
 export function getFlagUrl(teamName, returnNull = false) {
   // Call tracker-core's getFlagUrl with object parameter
   const url = coreGetFlagUrl({ teamName });
   
   if (url) {
-    return url;
+    return versionedLocalUrl(url);
   }
   
   // No flag found
@@ -42,14 +43,14 @@ export function getFlagUrl(teamName, returnNull = false) {
  * Backward compatible wrapper that accepts positional arguments
  * @param {string} athleteId - Athlete's membership ID or athlete ID
  * @param {boolean} returnNull - If true, return null when not found; if false, return placeholder
- * @returns {string|null} URL to picture or null/placeholder
+ * @returns {string|null} URL to picture (with ?v=<content hash>, cached as immutable) or null/placeholder
  */
 export function getPictureUrl(athleteId, returnNull = false) {
   // Call tracker-core's getPictureUrl with object parameter
   const url = coreGetPictureUrl({ athleteId });
   
   if (url) {
-    return url;
+    return versionedLocalUrl(url);
   }
   
   // No picture found
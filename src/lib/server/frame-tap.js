@@ -0,0 +1,63 @@
+/**
+ * Read-only view of the frames of a WebSocket served by someone else
+ *
+ * tracker-core's attachWebSocketToServer serves /ws and handles its frames
+ * internally. To record the session and relay the frames without replacing
+ * tracker-core, the tap listens to the same upgraded socket and decodes the
+ * client frames with the ws frame parser. It never writes to the socket:
+ * replies, pings and the close handshake remain tracker-core's.
+ *
+ * Compressed frames (permessage-deflate) are not decoded: the ws server
+ * does not negotiate compression unless told to, and the tap stops
+ * observing a connection if it meets one.
+ */
+
+import { Receiver } from 'ws';
+
+/**
+ * Observe the client frames of every WebSocket upgraded on a path
+ * @param {object} httpServer - Node HTTP server the WebSocket server is attached to
+ * @param {string} path - Upgrade path (e.g. '/ws')
+ * @param {(request: object) => {frame: Function, close: Function}} onConnection -
+ *   Called for each upgrade; frame(data, isBinary) is called for each complete
+ *   message, close(code, reason) once when the connection ends
+ */
+export function tapWebSocketFrames(httpServer, path, onConnection) {
+	httpServer.on('upgrade', (request, socket) => {
+		const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+		if (pathname !== path) return;
+
+		const observer = onConnection(request);
+		const receiver = new Receiver({ isServer: true, binaryType: 'nodebuffer' });
+		let closeCode = 1006;
+		let closeReason = '';
+
+		function stop() {
+			socket.removeListener('data', onData);
+		}
+
+		// The ws parser unmasks payloads in place: read a copy
+		function onData(chunk) {
+			receiver.write(Buffer.from(chunk));
+		}
+
+		receiver.on('message', (data, isBinary) => observer.frame(data, isBinary));
+		receiver.on('conclude', (code, reason) => {
+			closeCode = code;
+			closeReason = reason;
+			stop();
+		});
+		receiver.on('error', (error) => {
+			console.warn(`[FrameTap] No longer observing ${path}: ${error.message}`);
+			stop();
+		});
+
+		// The WebSocket server puts the upgrade head back on the socket, so every
+		// frame arrives through 'data'. Run first, before the server unmasks the chunk.
+		socket.prependListener('data', onData);
+		socket.once('close', () => {
+			stop();
+			observer.close(closeCode, closeReason);
+		});
+	});
+}
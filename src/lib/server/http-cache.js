@@ -0,0 +1,143 @@
+/**
+ * HTTP caching helpers - ETag / If-None-Match (304 Not Modified)
+ *
+ * Displays on weak Wi-Fi revalidate instead of downloading again:
+ * - /api/scoreboard: ETag from the variant, the FOP state version and the cache
+ *   epoch - no payload is computed or sent while they are unchanged
+ * - /local files (flags, pictures, logos): ETag from a hash of the content.
+ *   getFlagUrl/getPictureUrl add ?v=<hash> to the URLs they return; a request
+ *   whose ?v= matches the current content is cached for a year as immutable
+ *   (new content gives a new URL).
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import path from 'path';
+
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const REVALIDATE_AFTER_AN_HOUR = 'public, max-age=3600';
+
+const MIME_TYPES = {
+	'.svg': 'image/svg+xml',
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.css': 'text/css',
+	'.js': 'application/javascript'
+};
+
+// Content hashes of /local files, recomputed when size or modification time change
+// Shared through globalThis: used by hooks.server.js and the flag resolver (plugin helpers)
+if (!globalThis.__localFileHashes) {
+	globalThis.__localFileHashes = new Map(); // file path → {size, mtimeMs, hash}
+}
+const fileHashes = globalThis.__localFileHashes;
+
+/**
+ * Check a request's If-None-Match against the current ETag
+ * Weak comparison (RFC 9110): W/"x" matches "x".
+ * @param {Request} request
+ * @param {string} etag - Current ETag (quoted)
+ * @returns {boolean} - true if the client already has this version
+ */
+export function isNotModified(request, etag) {
+	const header = request.headers.get('if-none-match');
+	if (!header) return false;
+	if (header.trim() === '*') return true;
+	return header.split(',').some((candidate) => candidate.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * 304 response
+ * @param {string} etag
+ * @param {Record<string, string>} headers - Cache headers of the 200 response (Cache-Control, Vary)
+ * @returns {Response}
+ */
+export function notModified(etag, headers = {}) {
+	return new Response(null, { status: 304, headers: { ...headers, ETag: etag } });
+}
+
+/**
+ * Strong ETag of a scoreboard response
+ * @param {{competitionId: string, variant: string, version: number, epoch: number, encoding: string}} identity
+ *   - encoding: 'br', 'gzip' or 'identity' (each representation has its own ETag)
+ * @returns {string}
+ */
+export function scoreboardEtag({ competitionId, variant, version, epoch, encoding }) {
+	return `"${competitionId}.${variant}.${version}.${epoch}.${encoding}"`;
+}
+
+/**
+ * Content hash of a file (cached until its size or modification time change)
+ * @param {string} filePath
+ * @returns {{hash: string, stats: import('fs').Stats}|null} - null if not a file
+ */
+export function fileContentHash(filePath) {
+	let stats;
+	try {
+		stats = statSync(filePath);
+	} catch {
+		return null;
+	}
+	if (!stats.isFile()) return null;
+
+	const known = fileHashes.get(filePath);
+	if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs) {
+		return { hash: known.hash, stats };
+	}
+	const hash = createHash('sha1').update(readFileSync(filePath)).digest('base64url').slice(0, 16);
+	fileHashes.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash });
+	return { hash, stats };
+}
+
+/**
+ * Add the content hash to a /local URL (?v=<hash>) so it can be cached as immutable
+ * @param {string|null} url - URL such as /local/flags/CAN.svg (others are returned unchanged)
+ * @returns {string|null}
+ */
+export function versionedLocalUrl(url) {
+	if (typeof url !== 'string' || !url.startsWith('/local/') || url.includes('?')) return url;
+	let relative;
+	try {
+		relative = decodeURIComponent(url.slice('/local/'.length));
+	} catch {
+		return url;
+	}
+	const localDir = path.resolve(process.cwd(), 'local');
+	const filePath = path.resolve(localDir, relative);
+	if (!filePath.startsWith(localDir)) return url;
+	const content = fileContentHash(filePath);
+	return content ? `${url}?v=${content.hash}` : url;
+}
+
+/**
+ * Serve a file from the local directory with ETag revalidation
+ * @param {Request} request
+ * @param {URL} url - Request URL (its ?v= selects immutable caching)
+ * @param {string} filePath - Resolved file path (already checked against traversal)
+ * @returns {Response|null} - null if the file does not exist
+ */
+export function serveLocalFile(request, url, filePath) {
+	const content = fileContentHash(filePath);
+	if (!content) return null;
+
+	const etag = `"${content.hash}"`;
+	const headers = {
+		'Cache-Control': url.searchParams.get('v') === content.hash ? IMMUTABLE : REVALIDATE_AFTER_AN_HOUR
+	};
+	if (isNotModified(request, etag)) {
+		return notModified(etag, headers);
+	}
+
+	const ext = path.extname(filePath).toLowerCase();
+	return new Response(readFileSync(filePath), {
+		status: 200,
+		headers: {
+			...headers,
+			'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+			ETag: etag
+		}
+	});
+}
@@ -0,0 +1,47 @@
+/**
+ * HTTP ingest - POST /update, /timer, /decision, /translations
+ *
+ * For OWLCMS installs and timing tools that cannot use the WebSocket. The body
+ * is parsed here (JSON or form-encoded, like POST /database) and handed to
+ * handleHttpMessage() in websocket-server.js, so HTTP and WebSocket messages
+ * get the same checks and the same replies. Named competitions use
+ * /<competition>/update, like /<competition>/ws.
+ */
+
+import { json } from '@sveltejs/kit';
+import { handleHttpMessage } from './websocket-server.js';
+import { DEFAULT_COMPETITION } from './competitions.js';
+
+/**
+ * Parse a POST body sent by OWLCMS
+ * @param {Request} request
+ * @returns {Promise<object>} - Parsed parameters
+ * @throws {SyntaxError} - JSON body that does not parse
+ */
+export async function parseOwlcmsBody(request) {
+	const rawBody = await request.text();
+	const contentType = request.headers.get('content-type') || '';
+	if (contentType.includes('application/json') || rawBody.trim().startsWith('{')) {
+		return JSON.parse(rawBody);
+	}
+	return Object.fromEntries(new URLSearchParams(rawBody));
+}
+
+/**
+ * SvelteKit POST handler body for one message type
+ * @param {string} type - 'update', 'timer', 'decision' or 'translations'
+ * @param {import('@sveltejs/kit').RequestEvent} event
+ */
+export async function handleOwlcmsPost(type, { request, params }) {
+	const competitionId = params.competition || DEFAULT_COMPETITION;
+	let body;
+	try {
+		body = await parseOwlcmsBody(request);
+	} catch (err) {
+		console.error(`[HTTP] ❌ /${type}: request body is not valid JSON: ${err.message}`);
+		return json({ status: 400, error: 'invalid_json', message: 'Request body is not valid JSON' }, { status: 400 });
+	}
+
+	const { status, body: reply } = await handleHttpMessage(type, body, competitionId);
+	return json(reply, { status });
+}
@@ -0,0 +1,295 @@
+/**
+ * Hub snapshot - warm restart of the competition hub
+ *
+ * Without it, a tracker restart (or a crash during a session) blanks every
+ * display in the venue until OWLCMS reconnects and resends everything.
+ *
+ * The hub state is written to disk shortly after every change:
+ * - database.json      {checksum, database}       only rewritten when the database changes
+ * - translations.json  {checksum, translations}   only rewritten when translations change
+ * - hub-state.json     {format, formatVersion, savedAt, checksums, resources, fops}
+ *     fops      - last merged update per FOP (includes timer and decision state)
+ *     resources - flags/logos/pictures/styles loaded flags
+ *
+ * On startup the snapshot is loaded back into the hub and marked stale until
+ * OWLCMS confirms it by sending a valid message. The restored checksums and
+ * resource flags let the hub skip requesting resources that did not change
+ * (no 428 for the database, translations or flags that are already there).
+ *
+ * Disable with HUB_SNAPSHOT=false. Files go to HUB_SNAPSHOT_DIR (default
+ * "local/state"); snapshots older than HUB_SNAPSHOT_MAX_AGE_HOURS (default 12)
+ * are ignored so last week's competition is never shown.
+ *
+ * Only the default competition (/ws) is snapshotted: named competitions
+ * (/<competition>/ws, see competitions.js) are not warm-restarted.
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+const HUB_SNAPSHOT = process.env.HUB_SNAPSHOT !== 'false';
+const HUB_SNAPSHOT_DIR = process.env.HUB_SNAPSHOT_DIR || join('local', 'state');
+const MAX_AGE_MS = (Number(process.env.HUB_SNAPSHOT_MAX_AGE_HOURS) || 12) * 3600 * 1000;
+const SAVE_DELAY_MS = 2000;
+
+export const SNAPSHOT_FORMAT = 'owlcms-tracker-hub';
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+// Loaded flag on the hub → folder under local/ holding the extracted files
+const RESOURCES = {
+	flagsLoaded: 'flags',
+	logosLoaded: 'logos',
+	picturesLoaded: 'pictures',
+	stylesLoaded: 'styles'
+};
+
+let hub = null;
+let saveTimer = null;
+let savedDatabase = null;
+let savedTranslationsChecksum = null;
+let restoring = false;
+
+// Shared through globalThis: the snapshot is restored by hooks.server.js in the
+// SvelteKit bundle, while the OWLCMS connection that confirms it is served by the copied server files
+if (!globalThis.__hubSnapshotStatus) {
+	globalThis.__hubSnapshotStatus = {
+		stale: false,
+		restoredAt: null,
+		restoredFrom: null,
+		lastSavedAt: null
+	};
+}
+const status = globalThis.__hubSnapshotStatus;
+
+/**
+ * Collect the persistent part of the hub state
+ * @param {object} competitionHub - Hub instance
+ * @param {number} now - Timestamp of the snapshot
+ * @returns {object} - Content of hub-state.json
+ */
+export function buildHubState(competitionHub, now = Date.now()) {
+	const fops = {};
+	for (const fopName of competitionHub.getAvailableFOPs() || []) {
+		const update = competitionHub.getFopUpdate(fopName);
+		if (update) fops[fopName] = update;
+	}
+
+	const resources = {};
+	for (const flag of Object.keys(RESOURCES)) {
+		resources[flag] = !!competitionHub[flag];
+	}
+
+	return {
+		format: SNAPSHOT_FORMAT,
+		formatVersion: SNAPSHOT_FORMAT_VERSION,
+		savedAt: new Date(now).toISOString(),
+		databaseChecksum: competitionHub.lastDatabaseChecksum || null,
+		translationsChecksum: competitionHub.lastTranslationsChecksum || null,
+		resources,
+		fops
+	};
+}
+
+/**
+ * Check that a hub-state.json can be restored
+ * @param {object} state - Parsed hub-state.json
+ * @param {number} now - Current timestamp
+ * @param {number} maxAgeMs - Oldest snapshot accepted
+ * @returns {string|null} - Reason for rejecting the snapshot, null if usable
+ */
+export function snapshotRejection(state, now = Date.now(), maxAgeMs = MAX_AGE_MS) {
+	if (!state || state.format !== SNAPSHOT_FORMAT) return 'not a hub snapshot';
+	if (state.formatVersion > SNAPSHOT_FORMAT_VERSION) return `format version ${state.formatVersion} is newer than supported`;
+	const savedAt = Date.parse(state.savedAt);
+	if (Number.isNaN(savedAt)) return 'missing save time';
+	if (now - savedAt > maxAgeMs) return `saved ${Math.round((now - savedAt) / 60000)} minutes ago`;
+	return null;
+}
+
+/**
+ * Prepare a saved FOP update to be replayed into the hub
+ * Clocks that were running when the snapshot was taken are restored stopped:
+ * their real value is unknown until OWLCMS sends the next timer event.
+ * @param {string} fopName - FOP name
+ * @param {object} update - Saved FOP update
+ * @returns {object} - Update payload for handleOwlcmsMessage
+ */
+export function prepareFopUpdate(fopName, update) {
+	const payload = { ...update, fop: update.fop || fopName, fopName: update.fopName || fopName };
+	if (payload.athleteTimerEventType === 'StartTime') {
+		payload.athleteTimerEventType = 'StopTime';
+	}
+	if (payload.breakTimerEventType === 'BreakStart') {
+		payload.breakTimerEventType = 'BreakPaused';
+	}
+	return payload;
+}
+
+function readJson(file) {
+	const path = join(HUB_SNAPSHOT_DIR, file);
+	if (!existsSync(path)) return null;
+	return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+// Write to a temporary file first so a crash never leaves a truncated snapshot
+function writeJson(file, content) {
+	const path = join(HUB_SNAPSHOT_DIR, file);
+	writeFileSync(`${path}.tmp`, JSON.stringify(content));
+	renameSync(`${path}.tmp`, path);
+}
+
+function hasLocalFiles(folder) {
+	const dir = join(process.cwd(), 'local', folder);
+	try {
+		return readdirSync(dir).length > 0;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Load the snapshot from disk into the hub
+ * @returns {boolean} - true if a snapshot was restored
+ */
+function restore() {
+	let state;
+	try {
+		state = readJson('hub-state.json');
+	} catch (err) {
+		console.warn('[Snapshot] ⚠️ Unable to read hub state, starting empty:', err.message);
+		return false;
+	}
+	if (!state) return false;
+
+	const rejection = snapshotRejection(state);
+	if (rejection) {
+		console.log(`[Snapshot] Ignoring hub snapshot (${rejection})`);
+		return false;
+	}
+
+	restoring = true;
+	try {
+		const database = readJson('database.json');
+		if (!database?.database || database.checksum !== state.databaseChecksum) {
+			console.log('[Snapshot] No matching database in snapshot, waiting for OWLCMS');
+			return false;
+		}
+		hub.databaseState = database.database;
+		hub.lastDatabaseChecksum = database.checksum;
+		savedDatabase = database.database;
+
+		const translations = readJson('translations.json');
+		if (translations?.translations && translations.checksum === state.translationsChecksum) {
+			hub.translations = translations.translations;
+			hub.lastTranslationsChecksum = translations.checksum;
+			savedTranslationsChecksum = translations.checksum;
+		}
+
+		// Only trust a loaded flag if the extracted files survived the restart
+		for (const [flag, folder] of Object.entries(RESOURCES)) {
+			if (state.resources?.[flag] && hasLocalFiles(folder)) {
+				hub[flag] = true;
+			}
+		}
+
+		for (const [fopName, update] of Object.entries(state.fops || {})) {
+			hub.handleOwlcmsMessage(prepareFopUpdate(fopName, update), 'update');
+		}
+
+		status.stale = true;
+		status.restoredAt = new Date().toISOString();
+		status.restoredFrom = state.savedAt;
+		console.log(`[Snapshot] ♻️ Restored hub state saved at ${state.savedAt} (${Object.keys(state.fops || {}).length} FOPs) - stale until OWLCMS reconnects`);
+		return true;
+	} catch (err) {
+		console.error('[Snapshot] ❌ Unable to restore hub snapshot:', err.message);
+		return false;
+	} finally {
+		restoring = false;
+	}
+}
+
+function save() {
+	saveTimer = null;
+	try {
+		mkdirSync(HUB_SNAPSHOT_DIR, { recursive: true });
+
+		const database = hub.getDatabaseState();
+		if (!database) return;
+		if (database !== savedDatabase) {
+			writeJson('database.json', { checksum: hub.lastDatabaseChecksum || null, database });
+			savedDatabase = database;
+		}
+
+		const translationsChecksum = hub.lastTranslationsChecksum || null;
+		if (translationsChecksum !== savedTranslationsChecksum) {
+			writeJson('translations.json', { checksum: translationsChecksum, translations: hub.translations || {} });
+			savedTranslationsChecksum = translationsChecksum;
+		}
+
+		const state = buildHubState(hub);
+		writeJson('hub-state.json', state);
+		status.lastSavedAt = state.savedAt;
+	} catch (err) {
+		console.error('[Snapshot] ❌ Unable to save hub snapshot:', err.message);
+	}
+}
+
+function scheduleSave() {
+	if (restoring || saveTimer) return;
+	saveTimer = setTimeout(save, SAVE_DELAY_MS);
+}
+
+/**
+ * Mark the restored state as confirmed by OWLCMS
+ * Called when a valid OWLCMS message arrives after a warm restart.
+ */
+export function markHubConfirmed() {
+	if (!status.stale || restoring) return;
+	status.stale = false;
+	console.log('[Snapshot] ✅ OWLCMS reconnected - restored state is no longer stale');
+}
+
+/**
+ * @returns {boolean} - true if the hub state was restored from disk and OWLCMS has not confirmed it yet
+ */
+export function isHubStateStale() {
+	return status.stale;
+}
+
+/**
+ * @returns {boolean} - true if the hub was warm-started from a snapshot
+ */
+export function wasHubStateRestored() {
+	return status.restoredAt !== null;
+}
+
+/**
+ * Snapshot status for /api/health and /api/status
+ */
+export function getHubSnapshotStatus() {
+	return {
+		enabled: HUB_SNAPSHOT,
+		directory: HUB_SNAPSHOT_DIR,
+		...status
+	};
+}
+
+/**
+ * Restore the last snapshot and keep saving the hub state after each change
+ * Safe to call more than once (Vite HMR reloads hooks.server.js).
+ * @param {object} competitionHub - Hub instance
+ */
+export function startHubSnapshots(competitionHub) {
+	if (!HUB_SNAPSHOT || globalThis.__hubSnapshotStarted) return;
+	globalThis.__hubSnapshotStarted = true;
+	hub = competitionHub;
+
+	restore();
+
+	for (const event of ['fop_update', 'timer', 'decision', 'competition_initialized']) {
+		hub.on(event, scheduleSave);
+	}
+	hub.on('competition_initialized', markHubConfirmed);
+	hub.on('protocol_ok', markHubConfirmed);
+}
@@ -11,6 +11,8 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { competitionHub } from './competition-hub.js';
+import { getCompetitionHub, DEFAULT_COMPETITION } from './competitions.js';
+import { initWebSocketServer } from './websocket-server.js';
 import { attachWebSocketToServer } from '@owlcms/tracker-core/websocket';
 import { logger } from '@owlcms/tracker-core';
 
@@ -36,7 +38,7 @@ export async function initializeWebSocketServer(httpServer) {
     attachWebSocketToServer({
       server: httpServer,
       path: '/ws',
-      hub: competitionHub,
+      hub: getCompetitionHub(DEFAULT_COMPETITION),
       localFilesDir: path.join(process.cwd(), 'local'),
       localUrlPrefix: '/local',
       onConnect: () => logger.info('[WebSocket] OWLCMS connected'),
@@ -45,6 +47,9 @@ export async function initializeWebSocketServer(httpServer) {
     });
     
     console.log('[WebSocket] Server initialized on /ws');
+
+    // Named competitions (/<competition>/ws) - see competitions.js
+    initWebSocketServer(httpServer, { includeDefault: false });
     return true;
   } catch (error) {
     console.error('[WebSocket] Failed to initialize:', error.message);
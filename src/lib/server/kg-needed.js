@@ -0,0 +1,147 @@
+/**
+ * Kg needed - the next clean & jerk an athlete must make to reach a position
+ *
+ * For each athlete with the snatch done and clean & jerks left, three projections:
+ *   lead  - first place in the category total
+ *   medal - third place or better in the category total
+ *   score - first place of the same gender on the best-lifter score (scoring registry)
+ *
+ * Competitors are assumed to make the attempt they have requested (their next snatch
+ * and next clean & jerk) and nothing after it: their later attempts are not requested
+ * yet. A projection is therefore only good until their next lift, when it is computed
+ * again. Equal totals go to the lighter bodyweight, then to the lower lot number; equal
+ * scores are broken at 2 decimals, as displayed. The athlete's own projection never
+ * goes below the weight already requested (automatic progression).
+ *
+ * Each projection is {kg, held}: held when the current total keeps the position
+ * against those projected totals, kg the weight to request otherwise; null when it
+ * cannot be reached.
+ */
+
+import { calculateScore, getScoringSystem, kgNeeded as kgNeededForScore } from './scoring-systems.js';
+
+const PENDING = new Set(['request', 'current', 'next']);
+const DONE = new Set(['good', 'bad']);
+
+function weightOf(value) {
+	const weight = parseInt(value, 10);
+	return Number.isNaN(weight) ? 0 : weight;
+}
+
+function statusOf(attempt) {
+	return (attempt?.liftStatus || attempt?.status || '').toString().toLowerCase();
+}
+
+// Attempts done and next requested weight, for hub ({value, status}) or
+// database-rebuilt ({stringValue, liftStatus}) attempt arrays
+function attemptsState(attempts) {
+	const list = Array.isArray(attempts) ? attempts : [];
+	const done = list.filter((attempt) => DONE.has(statusOf(attempt))).length;
+	const pending = list.find((attempt) => PENDING.has(statusOf(attempt)));
+	return { done, next: pending ? weightOf(pending.value ?? pending.stringValue) : 0 };
+}
+
+function ageOf(entry) {
+	const year = parseInt(entry.yearOfBirth || String(entry.fullBirthDate || '').slice(0, 4), 10);
+	return year > 0 ? new Date().getFullYear() - year : null;
+}
+
+/**
+ * Lifter as used by the projections
+ * @param {object} entry - Flattened athlete (hub session entry or team scoreboard athlete)
+ * @returns {object|null} - null for spacers and entries without a key
+ */
+export function lifterOf(entry) {
+	const key = entry?.key ?? entry?.athleteKey;
+	if (!entry || entry.isSpacer || key === undefined || key === null) return null;
+	const snatch = attemptsState(entry.sattempts);
+	const cleanJerk = attemptsState(entry.cattempts);
+	return {
+		key: String(key),
+		lotNumber: parseInt(entry.lotNumber, 10) || Infinity,
+		bodyWeight: parseFloat(entry.bodyWeight) || 0,
+		gender: entry.gender || null,
+		age: ageOf(entry),
+		category: entry.categoryCode || entry.category || '',
+		bestSnatch: Math.max(0, weightOf(entry.bestSnatch)),
+		bestCleanJerk: Math.max(0, weightOf(entry.bestCleanJerk)),
+		snatchesLeft: Math.max(0, 3 - snatch.done),
+		nextSnatch: snatch.next,
+		cleanJerksLeft: Math.max(0, 3 - cleanJerk.done),
+		nextCleanJerk: cleanJerk.next
+	};
+}
+
+/**
+ * Total of a competitor if the next requested attempts succeed (later ones are unknown)
+ * @param {object} lifter - From lifterOf
+ * @returns {number}
+ */
+export function projectedTotal(lifter) {
+	const snatch = lifter.snatchesLeft > 0 ? Math.max(lifter.bestSnatch, lifter.nextSnatch) : lifter.bestSnatch;
+	const cleanJerk = lifter.cleanJerksLeft > 0 ? Math.max(lifter.bestCleanJerk, lifter.nextCleanJerk) : lifter.bestCleanJerk;
+	return snatch > 0 && cleanJerk > 0 ? snatch + cleanJerk : 0;
+}
+
+// Whether a wins a tie on total against b
+function winsTie(a, b) {
+	if (a.bodyWeight > 0 && b.bodyWeight > 0 && a.bodyWeight !== b.bodyWeight) {
+		return a.bodyWeight < b.bodyWeight;
+	}
+	return a.lotNumber < b.lotNumber;
+}
+
+// Best first, ties broken as on the scoreboard
+function byTotal(a, b) {
+	return b.total - a.total || (winsTie(a, b) ? -1 : 1);
+}
+
+function projection(lifter, neededCleanJerk) {
+	if (neededCleanJerk === null) return null;
+	const needed = Math.max(1, neededCleanJerk);
+	if (needed <= lifter.bestCleanJerk) return { kg: null, held: true };
+	return { kg: Math.max(needed, lifter.nextCleanJerk), held: false };
+}
+
+// Clean & jerk needed to finish at `place` or better against competitors
+function forPlace(lifter, competitors, place) {
+	if (competitors.length < place) return projection(lifter, 1);
+	const target = competitors[place - 1];
+	const total = winsTie(lifter, target) ? target.total : target.total + 1;
+	return projection(lifter, total - lifter.bestSnatch);
+}
+
+function forScore(lifter, competitors, system) {
+	if (!system || system.placement) return null;
+	const best = Math.max(0, ...competitors.map((other) => calculateScore(system.id, other.total, other)));
+	if (best <= 0) return projection(lifter, 1);
+	const total = kgNeededForScore(system.id, best, lifter);
+	return total ? projection(lifter, total - lifter.bestSnatch) : null;
+}
+
+/**
+ * Projections for every athlete that can still change its total with a clean & jerk
+ * @param {object[]} entries - All athletes to compare (spacers are ignored)
+ * @param {{scoringSystem?: string}} [options] - Scoring system of the score projection
+ * @returns {Map<string, {lead: object|null, medal: object|null, score: object|null, scoreLabel: string|null}>} - By athlete key
+ */
+export function computeKgNeeded(entries, { scoringSystem = 'Sinclair' } = {}) {
+	const system = getScoringSystem(scoringSystem);
+	const lifters = entries.map(lifterOf).filter(Boolean);
+	for (const lifter of lifters) lifter.total = projectedTotal(lifter);
+
+	const result = new Map();
+	for (const lifter of lifters) {
+		if (lifter.snatchesLeft > 0 || lifter.cleanJerksLeft === 0 || lifter.bestSnatch <= 0) continue;
+		const others = lifters.filter((other) => other !== lifter && other.total > 0);
+		const inCategory = others.filter((other) => other.category === lifter.category).sort(byTotal);
+		const sameGender = others.filter((other) => other.gender === lifter.gender);
+		result.set(lifter.key, {
+			lead: forPlace(lifter, inCategory, 1),
+			medal: forPlace(lifter, inCategory, 3),
+			score: forScore(lifter, sameGender, system),
+			scoreLabel: system && !system.placement ? system.label : null
+		});
+	}
+	return result;
+}
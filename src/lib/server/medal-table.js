@@ -0,0 +1,140 @@
+/**
+ * Medal table - gold, silver and bronze medals counted per team
+ *
+ * Medals come from the ranks OWLCMS computes for each participation of an athlete
+ * (an athlete can be ranked in several categories, e.g. a Junior also lifting in
+ * Senior). Only completed categories count: every athlete of the category has had a
+ * session marked done or has taken all six attempts. Athletes of a session being
+ * lifted carry the ranks of their session entry, so a category is counted as soon as
+ * its last athlete has lifted.
+ *
+ * Teams are ordered by gold, then silver, then bronze medals, then by name; teams
+ * with the same medals share a rank. Athletes without a team are not counted.
+ * The medal-table plugins gather the athletes from the hub; this module only counts.
+ */
+
+import { inCompetition } from './best-lifter.js';
+
+const ATTEMPTS = 6;
+const MEDALS = ['gold', 'silver', 'bronze'];
+const LIFTS = [
+	{ id: 'snatch', rank: 'snatchRank', result: (lifter) => lifter.bestSnatch },
+	{ id: 'cleanJerk', rank: 'cleanJerkRank', result: (lifter) => lifter.bestCleanJerk },
+	{ id: 'total', rank: 'totalRank', result: (lifter) => (lifter.bestSnatch > 0 && lifter.bestCleanJerk > 0 ? lifter.bestSnatch + lifter.bestCleanJerk : 0) }
+];
+
+function medalOf(rank) {
+	const value = parseInt(rank, 10);
+	return value >= 1 && value <= MEDALS.length ? value : 0;
+}
+
+/**
+ * Ranks of a session being lifted (hub start order entry) over the database ones
+ * They are the ranks of the athlete's own category.
+ * @param {object} lifter - From lifterFromDatabase / withSessionResults (best-lifter.js)
+ * @param {object} entry - Flattened session entry
+ * @returns {object}
+ */
+export function withSessionRanks(lifter, entry) {
+	return {
+		...lifter,
+		sessionRanks: {
+			categoryCode: entry.categoryCode || lifter.categoryCode,
+			snatchRank: entry.snatchRank,
+			cleanJerkRank: entry.cleanJerkRank,
+			totalRank: entry.totalRank
+		}
+	};
+}
+
+/**
+ * Medals won in the completed categories
+ * @param {object[]} lifters - From lifterFromDatabase (best-lifter.js), withSessionRanks
+ * @param {object} [options]
+ * @param {boolean} [options.separateLifts] - Snatch, clean & jerk and total medals; total only otherwise
+ * @param {string|null} [options.gender] - 'M' or 'F', null for both
+ * @param {string} [options.championship] - Championship type or name, empty for all
+ * @param {object[]} [options.ageGroups] - databaseState.ageGroups
+ * @param {Set<string>} [options.doneSessions] - Names of the sessions done
+ * @param {Map<string, string>} [options.categoryNames] - Category code to display name
+ * @returns {{medals: object[], completed: string[], pending: string[]}} - Medals
+ *   ({key, fullName, teamName, categoryCode, category, lift, medal, result}) and the
+ *   codes of the completed and pending categories
+ */
+export function collectMedals(lifters, { separateLifts = false, gender = null, championship = '', ageGroups = [], doneSessions = new Set(), categoryNames = new Map() } = {}) {
+	const categories = new Map();
+	for (const lifter of lifters) {
+		if (gender && lifter.gender !== gender) continue;
+		const done = doneSessions.has(lifter.sessionName) || lifter.attemptsTaken >= ATTEMPTS;
+		const participations = lifter.participations.length > 0 ? lifter.participations : [{ categoryCode: lifter.categoryCode }];
+		for (const participation of participations) {
+			const code = participation.categoryCode;
+			if (!code || !inCompetition({ ...lifter, participations: [participation] }, { championship, ageGroups })) continue;
+			if (!categories.has(code)) categories.set(code, { done: true, entries: [] });
+			const category = categories.get(code);
+			category.done = category.done && done;
+			category.entries.push({ lifter, participation });
+		}
+	}
+
+	const lifts = separateLifts ? LIFTS : LIFTS.filter((lift) => lift.id === 'total');
+	const medals = [];
+	const completed = [];
+	const pending = [];
+	for (const [code, category] of categories) {
+		if (!category.done) {
+			pending.push(code);
+			continue;
+		}
+		completed.push(code);
+		for (const { lifter, participation } of category.entries) {
+			if (!lifter.teamName) continue;
+			const ranks = lifter.sessionRanks?.categoryCode === code ? lifter.sessionRanks : participation;
+			for (const lift of lifts) {
+				const medal = medalOf(ranks[lift.rank]);
+				const result = lift.result(lifter);
+				if (!medal || result <= 0) continue;
+				medals.push({
+					key: lifter.key,
+					fullName: lifter.fullName,
+					teamName: lifter.teamName,
+					categoryCode: code,
+					category: categoryNames.get(code) || code,
+					lift: lift.id,
+					medal,
+					result
+				});
+			}
+		}
+	}
+	return { medals, completed, pending };
+}
+
+/**
+ * Count the medals of each team and rank the teams
+ * @param {object[]} medals - From collectMedals
+ * @returns {object[]} - Teams with medals, best first: {rank, teamName, gold, silver,
+ *   bronze, total, medals (gold first, then by category and lift)}
+ */
+export function medalTable(medals) {
+	const teams = new Map();
+	for (const medal of medals) {
+		if (!teams.has(medal.teamName)) {
+			teams.set(medal.teamName, { teamName: medal.teamName, gold: 0, silver: 0, bronze: 0, total: 0, medals: [] });
+		}
+		const team = teams.get(medal.teamName);
+		team[MEDALS[medal.medal - 1]] += 1;
+		team.total += 1;
+		team.medals.push(medal);
+	}
+
+	const liftOrder = (medal) => LIFTS.findIndex((lift) => lift.id === medal.lift);
+	const rows = [...teams.values()].sort((a, b) => b.gold - a.gold || b.silver - a.silver || b.bronze - a.bronze || a.teamName.localeCompare(b.teamName));
+	return rows.map((team, index) => {
+		const previous = rows[index - 1];
+		const tied = previous && previous.gold === team.gold && previous.silver === team.silver && previous.bronze === team.bronze;
+		team.rank = tied ? previous.rank : index + 1;
+		team.medals.sort((a, b) => a.medal - b.medal || a.category.localeCompare(b.category) || liftOrder(a) - liftOrder(b));
+		return team;
+	});
+}
@@ -0,0 +1,475 @@
+/**
+ * Message schemas - validation of what OWLCMS sends, per protocol version
+ *
+ * Malformed fields used to show up only as blank scoreboards, long after the
+ * message was accepted. Every text message (database V1/V2, update, timer,
+ * decision, translations) and every binary frame is now checked at ingest
+ * against the schema of its protocol version, and violations are reported
+ * field by field: in the reply to OWLCMS, in the log (first occurrence of
+ * each) and in the counters shown by /api/health.
+ *
+ * SCHEMAS is keyed by protocol version. A message uses the schema of the
+ * highest version not newer than its own, so a field added in 2.3.0 is only
+ * expected from 2.3.0 senders. There must be a schema for PROTOCOL_VERSION:
+ * bumping the protocol means writing down what changed here.
+ *
+ * SCHEMA_VALIDATION=warn (default) processes invalid messages anyway and adds
+ * schemaErrors to the reply; strict rejects them with a 400; off disables checks.
+ * tracker-core answers the default competition's /ws itself: its frames are
+ * checked and counted, but strict cannot reject them there.
+ *
+ * OWLCMS sends many numbers and booleans as strings ("60000", "true"), so
+ * "integer", "number" and "boolean" accept both forms. null and "" are
+ * treated as absent.
+ */
+
+import { PROTOCOL_VERSION, MINIMUM_PROTOCOL_VERSION, compareVersions, parseVersion } from './protocol-config.js';
+import { detectFormat } from './format-detector.js';
+import { peekBinaryType } from './session-recorder.js';
+
+const SCHEMA_MODES = ['warn', 'strict', 'off'];
+export const SCHEMA_MODE = SCHEMA_MODES.includes(process.env.SCHEMA_VALIDATION) ? process.env.SCHEMA_VALIDATION : 'warn';
+
+const MAX_ERRORS = 20;
+const MAX_TRACKED_FIELDS = 200;
+
+// ---------------------------------------------------------------------------
+// Field rules: a type name, a list of type names, or {type, enum, items, fields, required}
+// ---------------------------------------------------------------------------
+
+const MODES = ['WAIT', 'INTRO_COUNTDOWN', 'LIFT_COUNTDOWN', 'LIFT_COUNTDOWN_CEREMONY', 'CURRENT_ATHLETE', 'INTERRUPTION', 'SESSION_DONE', 'CEREMONY', 'BREAK'];
+const FOP_STATES = ['INACTIVE', 'BREAK', 'CURRENT_ATHLETE_DISPLAYED', 'TIME_RUNNING', 'TIME_STOPPED', 'DOWN_SIGNAL_VISIBLE', 'DECISION_VISIBLE'];
+const ATHLETE_TIMER_EVENTS = ['StartTime', 'StopTime', 'SetTime'];
+const BREAK_TIMER_EVENTS = ['BreakStart', 'BreakPaused', 'BreakDone', 'BreakSetTime'];
+const DECISION_EVENTS = ['FULL_DECISION', 'DOWN_SIGNAL', 'RESET'];
+
+const FOP_FIELDS = {
+	fop: 'string',
+	fopName: 'string',
+	mode: { type: 'string', enum: MODES },
+	fopState: { type: 'string', enum: FOP_STATES },
+	sessionName: 'string',
+	liftTypeKey: 'string',
+	serverLocalTime: 'string'
+};
+
+const update = {
+	required: ['fop'],
+	fields: {
+		...FOP_FIELDS,
+		uiEvent: 'string',
+		competitionName: 'string',
+		fullName: 'string',
+		teamName: 'string',
+		categoryName: 'string',
+		startNumber: 'integer',
+		attemptNumber: 'integer',
+		attempt: 'string',
+		weight: 'integer',
+		timeAllowed: 'integer',
+		athleteTimerEventType: { type: 'string', enum: ATHLETE_TIMER_EVENTS },
+		athleteMillisRemaining: 'integer',
+		breakMillisRemaining: 'integer',
+		indefiniteBreak: 'boolean',
+		breakIsIndefinite: 'boolean',
+		break: 'boolean',
+		breakType: 'string',
+		ceremonyType: 'string',
+		groupDescription: 'string',
+		sessionInfo: 'string',
+		liftsDone: 'string',
+		showLiftRanks: 'boolean',
+		showTotalRank: 'boolean',
+		showSinclair: 'boolean',
+		showSinclairRank: 'boolean',
+		wideTeamNames: 'boolean',
+		sinclairMeet: 'boolean',
+		hidden: 'boolean',
+		startOrderKeys: 'array',
+		liftingOrderKeys: 'array',
+		sessionAthletes: { type: 'array', items: { type: 'object', required: ['athleteKey'] } },
+		currentAthleteKey: 'key',
+		nextAthleteKey: 'key',
+		previousAthleteKey: 'key',
+		recordKind: 'string',
+		records: 'object'
+	}
+};
+
+const timer = {
+	required: ['fop'],
+	requiredOneOf: [['athleteTimerEventType', 'breakTimerEventType']],
+	fields: {
+		...FOP_FIELDS,
+		athleteTimerEventType: { type: 'string', enum: ATHLETE_TIMER_EVENTS },
+		athleteMillisRemaining: 'integer',
+		athleteStartTimeMillis: 'integer',
+		timeAllowed: 'integer',
+		breakTimerEventType: { type: 'string', enum: BREAK_TIMER_EVENTS },
+		breakMillisRemaining: 'integer',
+		breakStartTimeMillis: 'integer',
+		breakTimeAllowed: 'integer',
+		indefiniteBreak: 'boolean',
+		breakType: 'string'
+	}
+};
+
+const decision = {
+	required: ['fop', 'decisionEventType'],
+	fields: {
+		...FOP_FIELDS,
+		decisionEventType: { type: 'string', enum: DECISION_EVENTS },
+		d1: 'boolean',
+		d2: 'boolean',
+		d3: 'boolean',
+		down: 'boolean',
+		decisionsVisible: 'boolean',
+		athleteKey: 'key',
+		fullName: 'string',
+		attemptNumber: 'integer',
+		weight: 'integer'
+	}
+};
+
+const translations = {
+	fields: {
+		translationsChecksum: 'string',
+		translations: 'object'
+	}
+};
+
+const databaseV1 = {
+	fields: {
+		databaseChecksum: 'string',
+		athletes: { type: 'array', items: 'object' },
+		groupAthletes: ['string', 'object', 'array'],
+		ageGroups: 'array',
+		platforms: 'array',
+		competition: 'object'
+	}
+};
+
+// Declarations, changes and actual lifts of the six attempts
+const LIFT_FIELDS = {};
+for (const lift of ['snatch', 'cleanJerk']) {
+	for (const attempt of [1, 2, 3]) {
+		for (const field of ['Declaration', 'Change1', 'Change2', 'ActualLift', 'AutomaticProgression']) {
+			LIFT_FIELDS[`${lift}${attempt}${field}`] = 'integer';
+		}
+		LIFT_FIELDS[`${lift}${attempt}LiftTime`] = 'date';
+	}
+}
+
+const V2_COMPETITION_FIELDS = {
+	competitionName: 'string',
+	scoringSystem: 'string',
+	snatchCJTotalMedals: 'boolean',
+	masters: 'boolean'
+};
+
+function databaseV2(competitionFields) {
+	return {
+		fields: {
+			formatVersion: 'string',
+			athletes: {
+				type: 'array',
+				items: {
+					type: 'object',
+					required: ['key'],
+					fields: {
+						key: 'key',
+						lastName: 'string',
+						firstName: 'string',
+						gender: { type: 'string', enum: ['M', 'F'] },
+						bodyWeight: 'number',
+						presumedBodyWeight: 'number',
+						categoryCode: 'string',
+						team: 'key',
+						startNumber: 'integer',
+						lotNumber: 'integer',
+						entryTotal: 'integer',
+						qualifyingTotal: 'integer',
+						sessionName: 'string',
+						fullBirthDate: 'date',
+						participations: 'array',
+						...LIFT_FIELDS
+					}
+				}
+			},
+			ageGroups: { type: 'array', items: { type: 'object', required: ['code'], fields: { categories: 'array' } } },
+			platforms: { type: 'array', items: { type: 'object', required: ['name'] } },
+			sessions: { type: 'array', items: { type: 'object', required: ['name'], fields: { platformName: 'string' } } },
+			teams: { type: 'array', items: { type: 'object', required: ['id', 'name'] } },
+			competition: { type: 'object', fields: competitionFields }
+		}
+	};
+}
+
+const BINARY_TYPES = ['database_zip', 'database', 'translations_zip', 'flags_zip', 'logos_zip', 'pictures_zip', 'styles_zip'];
+
+const SCHEMAS_2_2_0 = {
+	update,
+	timer,
+	decision,
+	translations,
+	database_v1: databaseV1,
+	database_v2: databaseV2(V2_COMPETITION_FIELDS),
+	binary: BINARY_TYPES
+};
+
+export const SCHEMAS = {
+	'2.2.0': SCHEMAS_2_2_0,
+	// 2.3.0: team points settings in the competition
+	'2.3.0': {
+		...SCHEMAS_2_2_0,
+		database_v2: databaseV2({
+			...V2_COMPETITION_FIELDS,
+			teamPoints1st: 'integer',
+			teamPoints2nd: 'integer',
+			teamPoints3rd: 'integer'
+		})
+	}
+};
+
+if (!SCHEMAS[PROTOCOL_VERSION]) {
+	throw new Error(`No message schema for PROTOCOL_VERSION ${PROTOCOL_VERSION} - add it to SCHEMAS in message-schema.js`);
+}
+
+const SCHEMA_VERSIONS = Object.keys(SCHEMAS).sort(compareVersions);
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Schema version used for a message version
+ * @param {string} version - Protocol version of the message
+ * @returns {string} - Highest schema version not newer than the message (PROTOCOL_VERSION if unparseable)
+ */
+export function schemaVersionFor(version) {
+	if (!parseVersion(version)) return PROTOCOL_VERSION;
+	let selected = SCHEMA_VERSIONS[0];
+	for (const candidate of SCHEMA_VERSIONS) {
+		if (compareVersions(candidate, version) <= 0) selected = candidate;
+	}
+	return selected;
+}
+
+function describeValue(value) {
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'string') return `string "${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`;
+	return typeof value;
+}
+
+const TYPE_CHECKS = {
+	string: (v) => typeof v === 'string',
+	integer: (v) => Number.isInteger(v) || (typeof v === 'string' && /^-?\d+$/.test(v.trim())),
+	number: (v) => (typeof v === 'number' && Number.isFinite(v)) || (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))),
+	boolean: (v) => typeof v === 'boolean' || v === 'true' || v === 'false',
+	array: (v) => Array.isArray(v),
+	object: (v) => typeof v === 'object' && !Array.isArray(v),
+	// Athlete/team keys: Java ints and longs, sometimes as strings
+	key: (v) => Number.isInteger(v) || (typeof v === 'string' && /^-?\d+$/.test(v.trim())),
+	// Java LocalDate/LocalDateTime: [2024, 11, 23, ...] or ISO string
+	date: (v) => typeof v === 'string' || (Array.isArray(v) && v.every(Number.isInteger))
+};
+
+function checkValue(value, rule, path, errors) {
+	if (errors.length >= MAX_ERRORS) return;
+	if (value === null || value === undefined || value === '') return;
+
+	const spec = typeof rule === 'string' || Array.isArray(rule) ? { type: rule } : rule;
+	const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+	if (!types.some((type) => TYPE_CHECKS[type](value))) {
+		errors.push({ path, error: 'type', message: `expected ${types.join(' or ')}, got ${describeValue(value)}` });
+		return;
+	}
+	if (spec.enum && !spec.enum.includes(value)) {
+		errors.push({ path, error: 'enum', message: `unexpected value "${value}" (known: ${spec.enum.join(', ')})` });
+		return;
+	}
+	if (spec.items && Array.isArray(value)) {
+		for (let i = 0; i < value.length && errors.length < MAX_ERRORS; i++) {
+			checkValue(value[i], spec.items, `${path}[${i}]`, errors);
+		}
+	}
+	if ((spec.fields || spec.required) && TYPE_CHECKS.object(value)) {
+		checkObject(value, spec, path, errors);
+	}
+}
+
+function checkObject(object, schema, path, errors) {
+	for (const field of schema.required || []) {
+		if (object[field] === undefined || object[field] === null || object[field] === '') {
+			errors.push({ path: `${path}.${field}`, error: 'required', message: 'required field is missing' });
+		}
+	}
+	for (const fields of schema.requiredOneOf || []) {
+		if (!fields.some((field) => object[field] !== undefined && object[field] !== null && object[field] !== '')) {
+			errors.push({ path: `${path}.${fields.join('|')}`, error: 'required', message: `one of ${fields.join(', ')} is required` });
+		}
+	}
+	for (const [field, rule] of Object.entries(schema.fields || {})) {
+		checkValue(object[field], rule, `${path}.${field}`, errors);
+	}
+}
+
+/**
+ * Validate a text message against the schema of its protocol version
+ * @param {{version: string, type: string, payload: object}} message - Parsed OWLCMS message
+ * @returns {{valid: boolean, errors: Array<{path: string, error: string, message: string}>, schemaVersion: string, known: boolean}}
+ *   known is false for message types without a schema (nothing is checked)
+ */
+export function validateMessage(message) {
+	const schemaVersion = schemaVersionFor(message?.version);
+	const schemas = SCHEMAS[schemaVersion];
+	const errors = [];
+	const type = message?.type;
+
+	if (!message?.payload || typeof message.payload !== 'object' || Array.isArray(message.payload)) {
+		errors.push({ path: 'payload', error: 'type', message: `expected object, got ${describeValue(message?.payload)}` });
+		return { valid: false, errors, schemaVersion, known: true };
+	}
+
+	if (type === 'database') {
+		const format = detectFormat(message.payload);
+		const hasEnvelope = TYPE_CHECKS.object(message.payload.database);
+		const database = hasEnvelope ? message.payload.database : message.payload;
+		checkObject(database, schemas[`database_${format}`], hasEnvelope ? 'payload.database' : 'payload', errors);
+	} else if (typeof type === 'string' && Object.hasOwn(schemas, type) && type !== 'binary') {
+		checkObject(message.payload, schemas[type], 'payload', errors);
+	} else {
+		return { valid: true, errors, schemaVersion, known: false };
+	}
+	// Updates may carry the whole database (SwitchGroup, GroupDone)
+	if (type !== 'database' && TYPE_CHECKS.object(message.payload.database)) {
+		const format = detectFormat(message.payload);
+		checkObject(message.payload.database, schemas[`database_${format}`], 'payload.database', errors);
+	}
+
+	return { valid: errors.length === 0, errors, schemaVersion, known: true };
+}
+
+/**
+ * Validate a binary frame: [4-byte length][type][payload] with a known resource type
+ * @param {Buffer} data - Raw frame
+ * @returns {{valid: boolean, errors: Array<{path: string, error: string, message: string}>, schemaVersion: string, type: string|null}}
+ */
+export function validateBinaryFrame(data) {
+	const errors = [];
+	const type = peekBinaryType(data);
+	if (!type) {
+		errors.push({ path: 'header', error: 'format', message: 'expected [4-byte type length][type][payload]' });
+	} else if (!SCHEMAS[PROTOCOL_VERSION].binary.includes(type)) {
+		errors.push({ path: 'type', error: 'enum', message: `unknown binary type "${type}" (known: ${SCHEMAS[PROTOCOL_VERSION].binary.join(', ')})` });
+	} else if (data.length <= 4 + Buffer.byteLength(type, 'utf8')) {
+		errors.push({ path: 'payload', error: 'required', message: `empty ${type} payload` });
+	}
+	return { valid: errors.length === 0, errors, schemaVersion: PROTOCOL_VERSION, type };
+}
+
+// ---------------------------------------------------------------------------
+// Violation counters (shown in /api/health)
+// ---------------------------------------------------------------------------
+
+// Shared through globalThis: the SvelteKit bundle (/api/health, HTTP ingest) and the
+// copied server files (OWLCMS WebSocket) each load their own copy of this module.
+// Keyed by what the sender wrote: no prototype, so "__proto__" is just another key.
+if (!globalThis.__schemaStats) {
+	globalThis.__schemaStats = {
+		checked: 0,
+		invalid: 0,
+		rejected: 0,
+		byType: Object.create(null), // message type → {checked, invalid}
+		byField: Object.create(null), // "update payload.mode enum" → count
+		unknownTypes: Object.create(null), // message type without schema → count
+		newerVersions: Object.create(null), // OWLCMS protocol version newer than PROTOCOL_VERSION → count
+		lastViolation: null
+	};
+}
+const stats = globalThis.__schemaStats;
+
+function record(type, result, version) {
+	stats.checked++;
+	const typeStats = (stats.byType[type] ||= { checked: 0, invalid: 0 });
+	typeStats.checked++;
+
+	if (version && parseVersion(version) && compareVersions(version, PROTOCOL_VERSION) > 0) {
+		if (!stats.newerVersions[version]) {
+			console.warn(`[Schema] ⚠️ OWLCMS protocol ${version} is newer than this tracker (${PROTOCOL_VERSION}) - messages are checked against the ${PROTOCOL_VERSION} schema`);
+		}
+		stats.newerVersions[version] = (stats.newerVersions[version] || 0) + 1;
+	}
+
+	if (result.known === false) {
+		if (!stats.unknownTypes[type]) {
+			console.warn(`[Schema] ⚠️ No schema for message type "${type}" - not validated`);
+		}
+		stats.unknownTypes[type] = (stats.unknownTypes[type] || 0) + 1;
+		return;
+	}
+	if (result.valid) return;
+
+	stats.invalid++;
+	typeStats.invalid++;
+	for (const error of result.errors) {
+		const signature = `${type} ${error.path.replace(/\[\d+\]/g, '[]')} ${error.error}`;
+		if (!(signature in stats.byField)) {
+			if (Object.keys(stats.byField).length >= MAX_TRACKED_FIELDS) continue;
+			// First occurrence only: OWLCMS sends the same fields with every message
+			console.warn(`[Schema] ⚠️ ${type} ${error.path}: ${error.message} (protocol ${result.schemaVersion})`);
+			stats.byField[signature] = 0;
+		}
+		stats.byField[signature]++;
+	}
+	stats.lastViolation = { type, at: new Date().toISOString(), schemaVersion: result.schemaVersion, errors: result.errors };
+}
+
+/**
+ * Validate a text message and count violations
+ * @param {{version: string, type: string, payload: object}} message - Parsed OWLCMS message
+ * @returns {{valid: boolean, reject: boolean, errors: Array, schemaVersion: string}}
+ *   reject: the message must not be processed (SCHEMA_VALIDATION=strict)
+ */
+export function checkMessage(message) {
+	if (SCHEMA_MODE === 'off') return { valid: true, reject: false, errors: [], schemaVersion: null };
+	const result = validateMessage(message);
+	record(message?.type || 'unknown', result, message?.version);
+	const reject = !result.valid && SCHEMA_MODE === 'strict';
+	if (reject) stats.rejected++;
+	return { ...result, reject };
+}
+
+/**
+ * Validate a binary frame and count violations
+ * @param {Buffer} data - Raw frame
+ * @returns {{valid: boolean, reject: boolean, errors: Array, schemaVersion: string}}
+ */
+export function checkBinaryFrame(data) {
+	if (SCHEMA_MODE === 'off') return { valid: true, reject: false, errors: [], schemaVersion: null };
+	const result = validateBinaryFrame(data);
+	record(`binary:${result.type || 'unknown'}`, result);
+	const reject = !result.valid && SCHEMA_MODE === 'strict';
+	if (reject) stats.rejected++;
+	return { ...result, reject };
+}
+
+/**
+ * Schema validation status for /api/health
+ */
+export function getSchemaStats() {
+	return {
+		mode: SCHEMA_MODE,
+		protocolVersion: PROTOCOL_VERSION,
+		minimumProtocolVersion: MINIMUM_PROTOCOL_VERSION,
+		schemaVersions: SCHEMA_VERSIONS,
+		checked: stats.checked,
+		invalid: stats.invalid,
+		rejected: stats.rejected,
+		byType: stats.byType,
+		violations: stats.byField,
+		unknownTypes: stats.unknownTypes,
+		newerVersions: stats.newerVersions,
+		lastViolation: stats.lastViolation
+	};
+}
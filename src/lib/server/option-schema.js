@@ -0,0 +1,150 @@
+/**
+ * Option schema - scoreboard options checked and converted from config.options
+ *
+ * Each plugin declares its options in config.js:
+ *   {key, type: 'boolean' | 'number' | 'select' | 'string', default, options, min, max, disabledBy}
+ * Request values (URL parameters, presets, playlists) are converted by declared
+ * type instead of guessed: "fop=1" stays a FOP name, "gender=1" is rejected.
+ * - boolean: true/false
+ * - number: finite, within min/max when given
+ * - select: one of options; options: 'dynamic:locales' = the languages received from OWLCMS,
+ *   'dynamic:scoring-systems' = the registered scoring systems (see scoring-systems.js),
+ *   'dynamic:team-rules' = the registered team rule sets (see team-rules.js)
+ * - string (or no type): any text
+ * Unknown keys are rejected, except the request parameters (type, fop, competition)
+ * and the display language (lang/language, accepted by every scoreboard).
+ * An option whose disabledBy option is true is left out (it has no effect).
+ *
+ * The result is canonical - defaults filled in, typed values, disabled options
+ * dropped - so equivalent URLs are the same variant (see scoreboard-variant.js).
+ */
+
+import { DYNAMIC_SCORING_SYSTEMS, listScoringSystems } from './scoring-systems.js';
+import { DYNAMIC_TEAM_RULES, listTeamRuleSets } from './team-rules.js';
+
+const REQUEST_PARAMS = new Set(['type', 'fop', 'competition']);
+const LANGUAGE_KEYS = ['lang', 'language'];
+const LANGUAGE_CODE = /^[A-Za-z0-9_-]+$/;
+const DYNAMIC_LOCALES = 'dynamic:locales';
+
+function problem(option, error, message, valid = null) {
+	return valid ? { option, error, message, valid } : { option, error, message };
+}
+
+/**
+ * Allowed values of a select option
+ * @returns {string[]|null} - null when anything goes (locales not received yet)
+ */
+function selectValues(spec, locales) {
+	let values = null;
+	if (spec.options === DYNAMIC_LOCALES) {
+		if (locales.length > 0) values = [...locales];
+	} else if (spec.options === DYNAMIC_SCORING_SYSTEMS) {
+		values = listScoringSystems().map((system) => system.id);
+	} else if (spec.options === DYNAMIC_TEAM_RULES) {
+		values = listTeamRuleSets().map((ruleSet) => ruleSet.id);
+	} else if (Array.isArray(spec.options)) {
+		values = spec.options.map(String);
+	}
+	// The default is always accepted (pages send lang=en when no language is chosen)
+	if (values && spec.default !== undefined && !values.includes(String(spec.default))) {
+		values.push(String(spec.default));
+	}
+	return values;
+}
+
+/**
+ * Convert one value by its declared type
+ * @returns {{value?: any, problem?: object}}
+ */
+function convert(key, raw, spec, locales) {
+	const text = typeof raw === 'string' ? raw.trim() : raw;
+	switch (spec.type) {
+		case 'boolean':
+			if (text === true || text === 'true') return { value: true };
+			if (text === false || text === 'false') return { value: false };
+			return { problem: problem(key, 'type', `${key} must be true or false, got "${raw}"`, ['true', 'false']) };
+		case 'number': {
+			const number = typeof text === 'number' ? text : text === '' ? NaN : Number(text);
+			if (!Number.isFinite(number)) {
+				return { problem: problem(key, 'type', `${key} must be a number, got "${raw}"`) };
+			}
+			const below = spec.min !== undefined && number < spec.min;
+			const above = spec.max !== undefined && number > spec.max;
+			if (below || above) {
+				const range = [spec.min !== undefined ? `at least ${spec.min}` : null, spec.max !== undefined ? `at most ${spec.max}` : null].filter(Boolean).join(' and ');
+				return { problem: problem(key, 'range', `${key} must be ${range}, got ${number}`) };
+			}
+			return { value: number };
+		}
+		case 'select': {
+			const valid = selectValues(spec, locales);
+			const value = String(text);
+			if (spec.options === DYNAMIC_LOCALES && !LANGUAGE_CODE.test(value)) {
+				return { problem: problem(key, 'enum', `${key} must be a language code, got "${raw}"`, valid) };
+			}
+			if (valid && !valid.includes(value)) {
+				return { problem: problem(key, 'enum', `${key} must be one of ${valid.join(', ')}, got "${raw}"`, valid) };
+			}
+			return { value };
+		}
+		default:
+			return { value: String(text) };
+	}
+}
+
+/**
+ * Options of a scoreboard request: config defaults overridden by the given values
+ * @param {object} scoreboard - Scoreboard from the registry (config.options is the schema)
+ * @param {URLSearchParams|object} values - URL parameters, or {key: value} (presets, playlists)
+ * @param {{locales?: string[]}} [context] - Languages received from OWLCMS (for dynamic:locales)
+ * @returns {{options: object, problems: Array<{option: string, error: string, message: string, valid?: string[]}>}}
+ *   problems is empty when every value is valid
+ */
+export function parseOptions(scoreboard, values, { locales = [] } = {}) {
+	const schema = new Map((scoreboard?.config?.options || []).filter((spec) => spec.key).map((spec) => [spec.key, spec]));
+	const options = {};
+	const problems = [];
+
+	// First, apply defaults from scoreboard config options
+	for (const [key, spec] of schema) {
+		if (spec.default !== undefined) options[key] = spec.default;
+	}
+
+	// Then, the request values, converted by declared type
+	const entries = values instanceof URLSearchParams ? values.entries() : Object.entries(values || {});
+	for (const [key, raw] of entries) {
+		if (REQUEST_PARAMS.has(key)) continue;
+		let spec = schema.get(key);
+		if (!spec && LANGUAGE_KEYS.includes(key)) {
+			spec = { key, type: 'select', options: DYNAMIC_LOCALES, default: 'en' };
+		}
+		if (!spec) {
+			const valid = [...schema.keys(), ...LANGUAGE_KEYS.filter((k) => !schema.has(k))];
+			problems.push(problem(key, 'unknown', `Unknown option "${key}" for ${scoreboard?.type || 'this scoreboard'} (options: ${valid.join(', ')})`, valid));
+			continue;
+		}
+		const converted = convert(key, raw, spec, locales);
+		if (converted.problem) {
+			problems.push(converted.problem);
+		} else {
+			options[key] = converted.value;
+		}
+	}
+
+	// Options turned off by another one (e.g. team sizes when all athletes count)
+	for (const [key, spec] of schema) {
+		if (spec.disabledBy && options[spec.disabledBy] === true) delete options[key];
+	}
+
+	return { options, problems };
+}
+
+/**
+ * One message for the problems of parseOptions
+ * @param {object[]} problems
+ * @returns {string}
+ */
+export function describeProblems(problems) {
+	return problems.map((p) => p.message).join('; ');
+}
@@ -128,7 +128,7 @@ function buildTeamMap(teams) {
  * @param {Array} ageGroups - V2 age groups array
  * @returns {Map} Map of category code to categoryName
  */
-function buildCategoryMap(ageGroups) {
+export function buildCategoryMap(ageGroups) {
   const map = new Map();
   for (const ageGroup of ageGroups) {
     const ageGroupCode = ageGroup.code || '';
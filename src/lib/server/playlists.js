@@ -0,0 +1,119 @@
+/**
+ * Saved display playlists - /playlist/<name> (see $lib/playlist.js)
+ *
+ * Kept in PLAYLISTS_FILE (default local/state/playlists.json) and managed through
+ * /api/playlists. A saved playlist may leave out the FOP: /playlist/<name>?fop=A
+ * then serves every platform with the same rotation.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { isValidPlaylistName, normalizePlaylist, playlistProblem } from '../playlist.js';
+import { competitionHub } from './competition-hub.js';
+import { describeProblems, parseOptions } from './option-schema.js';
+import { scoreboardRegistry } from './scoreboard-registry.js';
+
+const PLAYLISTS_FILE = process.env.PLAYLISTS_FILE || join('local', 'state', 'playlists.json');
+
+let playlists = null; // name → definition
+
+function load() {
+	if (!playlists) {
+		playlists = new Map();
+		try {
+			if (existsSync(PLAYLISTS_FILE)) {
+				for (const [name, definition] of Object.entries(JSON.parse(readFileSync(PLAYLISTS_FILE, 'utf8')).playlists || {})) {
+					if (isValidPlaylistName(name)) playlists.set(name, definition);
+				}
+				console.log(`[Playlists] Loaded ${playlists.size} playlists from ${PLAYLISTS_FILE}`);
+			}
+		} catch (error) {
+			console.warn(`[Playlists] ⚠️ Cannot read ${PLAYLISTS_FILE}: ${error.message}`);
+		}
+	}
+	return playlists;
+}
+
+function save() {
+	mkdirSync(dirname(PLAYLISTS_FILE), { recursive: true });
+	const temp = `${PLAYLISTS_FILE}.tmp`;
+	writeFileSync(temp, JSON.stringify({ playlists: Object.fromEntries(load()) }, null, 2));
+	renameSync(temp, PLAYLISTS_FILE);
+}
+
+/**
+ * Check that the scoreboards of a playlist exist, can rotate and have valid
+ * options (the registry must be initialized)
+ * @param {object} playlist - Result of normalizePlaylist
+ * @returns {string|null} - Problem, null if valid
+ */
+export function scoreboardsProblem(playlist) {
+	const entries = [...playlist.items, playlist.onTimer, playlist.onBreak].filter(Boolean);
+	for (const { type, options } of entries) {
+		const scoreboard = scoreboardRegistry.getScoreboard(type);
+		if (!scoreboard) {
+			const available = scoreboardRegistry.getAllScoreboards().map((s) => s.type).join(', ');
+			return `Unknown scoreboard type "${type}" (available: ${available})`;
+		}
+		if (scoreboard.config?.category === 'documents') {
+			return `"${type}" is a document, not a live scoreboard`;
+		}
+		const { problems } = parseOptions(scoreboard, options, { locales: competitionHub.getAvailableLocales() });
+		if (problems.length > 0) {
+			return `${type}: ${describeProblems(problems)}`;
+		}
+	}
+	return null;
+}
+
+/**
+ * @returns {{name: string}[]} - Saved playlists with their definitions, by name
+ */
+export function listPlaylists() {
+	return Array.from(load(), ([name, definition]) => ({ name, ...definition })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null} - Saved definition
+ */
+export function getPlaylist(name) {
+	return load().get(name) || null;
+}
+
+/**
+ * Save (create or replace) a playlist
+ * @param {string} name
+ * @param {object} definition - {fop?, items, onTimer?, onBreak?, decisionSeconds?}
+ * @returns {Promise<{playlist?: object, problem?: string}>}
+ */
+export async function savePlaylist(name, definition) {
+	if (!isValidPlaylistName(name)) return { problem: 'name may only contain letters, digits, - and _' };
+	const problem = playlistProblem(definition);
+	if (problem) return { problem };
+	await scoreboardRegistry.initialize();
+	const typesProblem = scoreboardsProblem(normalizePlaylist(definition));
+	if (typesProblem) return { problem: typesProblem };
+
+	// Only the known keys are kept (null onTimer/onBreak = no jump)
+	const { fop, items, onTimer, onBreak, decisionSeconds } = definition;
+	const playlist = { fop, items, onTimer, onBreak, decisionSeconds };
+	for (const key of Object.keys(playlist)) {
+		if (playlist[key] === undefined) delete playlist[key];
+	}
+	load().set(name, playlist);
+	save();
+	console.log(`[Playlists] Saved "${name}" (${items.length} items)`);
+	return { playlist };
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} - false if there was no such playlist
+ */
+export function deletePlaylist(name) {
+	if (!load().delete(name)) return false;
+	save();
+	console.log(`[Playlists] Deleted "${name}"`);
+	return true;
+}
@@ -0,0 +1,173 @@
+/**
+ * Plugin watcher - runtime plugins reloaded without restarting the tracker
+ *
+ * A federation drops a new or edited plugin folder into plugins/ next to a
+ * packaged tracker while it runs. The folders scanned by runtime discovery are
+ * watched; when a config.js, helpers.data.js or page.svelte is added, edited or
+ * removed, the registry registers, re-registers or unregisters the plugin
+ * (scoreboardRegistry.syncRuntimePlugins), the caches are cleared, the scoreboards
+ * pushed over SSE are recomputed, and the displays showing that scoreboard -
+ * directly, through a preset or in a playlist - reload.
+ *
+ * A plugin that fails to load keeps its last good version serving; the error is
+ * logged and the next edit is tried again. Plugins built into the application are
+ * not concerned (Vite reloads them in development). PLUGIN_WATCH=false turns it off.
+ */
+
+import { watch } from 'fs';
+import { basename } from 'path';
+import { normalizePlaylist, playlistFromQuery, playlistProblem } from '../playlist.js';
+import { bumpCacheEpoch } from './cache-epoch.js';
+import { describePage } from './display-registry.js';
+import { getPlaylist } from './playlists.js';
+import { getPreset, presetOfPage } from './presets.js';
+import { refreshScoreboardTypes } from './scoreboard-push.js';
+import { runtimePluginDirs, scoreboardRegistry } from './scoreboard-registry.js';
+import { sseBroker } from './sse-broker.js';
+
+const PLUGIN_WATCH = process.env.PLUGIN_WATCH !== 'false';
+const PLUGIN_FILES = new Set(['config.js', 'helpers.data.js', 'page.svelte']);
+// Editors and file copies write in several steps: sync once they are done
+const SETTLE_MS = 500;
+// Where the platform cannot watch folders recursively
+const POLL_MS = 5000;
+
+// Shared through globalThis: Vite HMR reloads hooks.server.js, which restarts the watcher
+if (!globalThis.__pluginWatcher) {
+	globalThis.__pluginWatcher = { watchers: [], pollTimer: null, settleTimer: null, syncing: false, pending: false };
+}
+const state = globalThis.__pluginWatcher;
+
+/**
+ * Whether a changed file can change a plugin
+ * @param {string|null} filename - Reported by fs.watch, relative to the watched folder
+ * @returns {boolean}
+ */
+export function isPluginChange(filename) {
+	// Not given on some platforms: rescan to be safe
+	if (!filename) return true;
+	const name = basename(filename.toString());
+	// A folder added, renamed or removed (plugin folders have no extension)
+	return PLUGIN_FILES.has(name) || !name.includes('.');
+}
+
+/**
+ * Scoreboard types shown by a display's page
+ * @param {string|null} page - Path and query reported by the display
+ * @returns {string[]}
+ */
+export function pageScoreboards(page) {
+	if (!page) return [];
+	const preset = presetOfPage(page);
+	if (preset) {
+		const saved = getPreset(preset);
+		return saved ? [saved.type] : [];
+	}
+	const url = new URL(page, 'http://display');
+	const segments = url.pathname.split('/').filter(Boolean);
+	const at = segments.indexOf('playlist');
+	if (at >= 0 && at >= segments.length - 2) {
+		// The URL completes or overrides a saved playlist (see the playlist route)
+		const name = segments[at + 1];
+		const definition = { ...(name ? getPlaylist(name) || {} : {}), ...playlistFromQuery(url.searchParams) };
+		if (playlistProblem(definition)) return [];
+		const playlist = normalizePlaylist(definition);
+		return [...playlist.items, playlist.onTimer, playlist.onBreak].filter(Boolean).map((entry) => entry.type);
+	}
+	const { scoreboard } = describePage(page);
+	return scoreboard ? [scoreboard] : [];
+}
+
+function reloadDisplays(types) {
+	const reached = sseBroker.sendToClients((client) => pageScoreboards(client.page).some((type) => types.has(type)), {
+		type: 'display_command',
+		command: 'reload',
+		timestamp: Date.now()
+	});
+	if (reached > 0) {
+		console.log(`[Plugins] ${reached} displays reloading ${Array.from(types).join(', ')}`);
+	}
+}
+
+async function sync() {
+	if (state.syncing) {
+		state.pending = true;
+		return;
+	}
+	state.syncing = true;
+	try {
+		do {
+			state.pending = false;
+			const { added, reloaded, removed, failed } = await scoreboardRegistry.syncRuntimePlugins();
+			if (failed.length > 0) {
+				console.warn(`[Plugins] ⚠️ Failed to load ${failed.join(', ')} - see the errors above`);
+			}
+			const changed = new Set([...added, ...reloaded, ...removed]);
+			if (changed.size === 0) continue;
+
+			console.log(`[Plugins] Changed: ${Array.from(changed).join(', ')}`);
+			// Plugin caches hold results of the previous helpers
+			bumpCacheEpoch();
+			refreshScoreboardTypes(new Set(reloaded));
+			reloadDisplays(changed);
+		} while (state.pending);
+	} catch (error) {
+		console.error('[Plugins] ❌ Plugin reload failed:', error.message);
+	} finally {
+		state.syncing = false;
+	}
+}
+
+function scheduleSync() {
+	clearTimeout(state.settleTimer);
+	state.settleTimer = setTimeout(sync, SETTLE_MS);
+	state.settleTimer.unref?.();
+}
+
+/**
+ * Stop watching the plugin folders
+ */
+export function stopPluginWatcher() {
+	for (const watcher of state.watchers) watcher.close();
+	state.watchers = [];
+	clearInterval(state.pollTimer);
+	clearTimeout(state.settleTimer);
+	state.pollTimer = null;
+}
+
+/**
+ * Watch the runtime plugin folders
+ * Safe to call more than once (Vite HMR reloads hooks.server.js).
+ */
+export async function startPluginWatcher() {
+	stopPluginWatcher();
+	if (!PLUGIN_WATCH) return;
+	await scoreboardRegistry.initialize();
+
+	let dirs;
+	try {
+		dirs = runtimePluginDirs();
+	} catch (error) {
+		console.error('[Plugins] ❌ Cannot find the plugin folders:', error.message);
+		return;
+	}
+	for (const dir of dirs) {
+		try {
+			const watcher = watch(dir, { recursive: true }, (event, filename) => {
+				if (isPluginChange(filename)) scheduleSync();
+			});
+			watcher.on('error', (error) => console.warn(`[Plugins] ⚠️ Watching ${dir} failed: ${error.message}`));
+			state.watchers.push(watcher);
+		} catch (error) {
+			// Recursive watching is not available everywhere: rescan periodically instead
+			console.warn(`[Plugins] ⚠️ Cannot watch ${dir} (${error.message}), checking every ${POLL_MS / 1000}s`);
+			if (!state.pollTimer) {
+				state.pollTimer = setInterval(sync, POLL_MS);
+				state.pollTimer.unref?.();
+			}
+		}
+	}
+	if (state.watchers.length > 0) {
+		console.log(`[Plugins] Watching ${state.watchers.length} plugin folders for changes`);
+	}
+}
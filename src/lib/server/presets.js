@@ -0,0 +1,170 @@
+/**
+ * Saved display presets - short URLs for configured scoreboards
+ *
+ * A preset is a scoreboard type with its FOP and options, saved under a name and
+ * shown at /p/<name> instead of a long URL such as
+ * /team-scoreboard?fop=A&scoringSystem=GAMX-M&gender=MF&topMFm=2&topMFf=2&showPredicted=true
+ * (query parameters on the short URL still override, e.g. /p/warmup-men?lang=fr).
+ *
+ * Kept in PRESETS_FILE (default local/state/presets.json), managed from the home
+ * page through /api/presets, exported and imported as JSON between competitions.
+ * When a preset changes, the displays showing it get a preset_updated message and
+ * reload it.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { competitionHub } from './competition-hub.js';
+import { describeProblems, parseOptions } from './option-schema.js';
+import { scoreboardRegistry } from './scoreboard-registry.js';
+import { sseBroker } from './sse-broker.js';
+
+const PRESETS_FILE = process.env.PRESETS_FILE || join('local', 'state', 'presets.json');
+const PRESET_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const PRESET_PAGE = /\/p\/([A-Za-z0-9_-]{1,64})$/;
+
+let presets = null; // name → {name, type, fop, options, version, updatedAt}
+
+function load() {
+	if (!presets) {
+		presets = new Map();
+		try {
+			if (existsSync(PRESETS_FILE)) {
+				for (const preset of JSON.parse(readFileSync(PRESETS_FILE, 'utf8')).presets || []) {
+					if (PRESET_NAME.test(preset?.name)) presets.set(preset.name, preset);
+				}
+				console.log(`[Presets] Loaded ${presets.size} presets from ${PRESETS_FILE}`);
+			}
+		} catch (error) {
+			console.warn(`[Presets] ⚠️ Cannot read ${PRESETS_FILE}: ${error.message}`);
+		}
+	}
+	return presets;
+}
+
+function save() {
+	mkdirSync(dirname(PRESETS_FILE), { recursive: true });
+	const temp = `${PRESETS_FILE}.tmp`;
+	writeFileSync(temp, JSON.stringify({ presets: Array.from(load().values()) }, null, 2));
+	renameSync(temp, PRESETS_FILE);
+}
+
+/**
+ * Preset shown by a page
+ * @param {string|null} page - Path and query reported by a display
+ * @returns {string|null} - Preset name, null if the page is not /p/<name>
+ */
+export function presetOfPage(page) {
+	if (!page) return null;
+	return page.split('?')[0].match(PRESET_PAGE)?.[1] || null;
+}
+
+// Displays showing the preset reload it (see src/routes/p/[name]/+page.svelte)
+function notifyDisplays(name, version) {
+	const reached = sseBroker.sendToClients((client) => presetOfPage(client.page) === name, {
+		type: 'preset_updated',
+		name,
+		version,
+		timestamp: Date.now()
+	});
+	if (reached > 0) {
+		console.log(`[Presets] "${name}" changed - ${reached} displays notified`);
+	}
+}
+
+/**
+ * Check a preset before saving it (the registry must be initialized)
+ * @param {string} name
+ * @param {{type: string, fop?: string|null, options?: object}} preset
+ * @returns {string|null} - Problem, null if valid
+ */
+export function presetProblem(name, preset) {
+	if (typeof name !== 'string' || !PRESET_NAME.test(name)) return 'name may only contain letters, digits, - and _';
+	if (!preset || typeof preset !== 'object') return 'a preset must be an object {type, fop, options}';
+	if (typeof preset.type !== 'string' || !scoreboardRegistry.getScoreboard(preset.type)) {
+		const available = scoreboardRegistry.getAllScoreboards().map((s) => s.type).join(', ');
+		return `Unknown scoreboard type "${preset.type}" (available: ${available})`;
+	}
+	if (preset.fop !== undefined && preset.fop !== null && typeof preset.fop !== 'string') return 'fop must be a FOP name';
+	const options = preset.options ?? {};
+	if (typeof options !== 'object' || Array.isArray(options)) return 'options must be an object';
+	for (const [key, value] of Object.entries(options)) {
+		if (!['string', 'number', 'boolean'].includes(typeof value)) return `option ${key} must be a string, number or boolean`;
+	}
+	const { problems } = parseOptions(scoreboardRegistry.getScoreboard(preset.type), options, {
+		locales: competitionHub.getAvailableLocales()
+	});
+	return problems.length > 0 ? describeProblems(problems) : null;
+}
+
+/**
+ * @returns {object[]} - Saved presets, by name
+ */
+export function listPresets() {
+	return Array.from(load().values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getPreset(name) {
+	return load().get(name) || null;
+}
+
+/**
+ * Create or replace a preset; displays showing it reload it
+ * @param {string} name
+ * @param {{type: string, fop?: string|null, options?: object}} preset
+ * @returns {Promise<{preset?: object, problem?: string}>}
+ */
+export async function savePreset(name, preset) {
+	await scoreboardRegistry.initialize();
+	const problem = presetProblem(name, preset);
+	if (problem) return { problem };
+
+	const previous = load().get(name);
+	const saved = {
+		name,
+		type: preset.type,
+		fop: preset.fop || null,
+		options: { ...(preset.options || {}) },
+		version: (previous?.version || 0) + 1,
+		updatedAt: new Date().toISOString()
+	};
+	load().set(name, saved);
+	save();
+	console.log(`[Presets] Saved "${name}" (${saved.type}${saved.fop ? `, FOP ${saved.fop}` : ''})`);
+	if (previous) notifyDisplays(name, saved.version);
+	return { preset: saved };
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} - false if there was no such preset
+ */
+export function deletePreset(name) {
+	if (!load().delete(name)) return false;
+	save();
+	console.log(`[Presets] Deleted "${name}"`);
+	notifyDisplays(name, null);
+	return true;
+}
+
+/**
+ * Import presets exported from another tracker (existing names are replaced)
+ * @param {object[]} imported - [{name, type, fop, options}]
+ * @returns {Promise<{imported: string[], rejected: {name: string, problem: string}[]}>}
+ */
+export async function importPresets(imported) {
+	const result = { imported: [], rejected: [] };
+	for (const preset of imported) {
+		const { problem } = await savePreset(preset?.name, preset);
+		if (problem) {
+			result.rejected.push({ name: preset?.name ?? null, problem });
+		} else {
+			result.imported.push(preset.name);
+		}
+	}
+	return result;
+}
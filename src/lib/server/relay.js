@@ -0,0 +1,264 @@
+/**
+ * Tracker-to-tracker relay
+ *
+ * A venue tracker on the LAN can mirror its competition to a public tracker
+ * in the cloud without pointing OWLCMS at two URLs: every frame the LAN
+ * tracker accepts from OWLCMS (text and binary, including database_zip and
+ * flags_zip) is forwarded over an outbound WebSocket to the upstream /ws.
+ * The upstream sees a normal OWLCMS source: same protocol, same updateKey auth.
+ *
+ * - Frames are queued while the upstream is unreachable and sent in order on
+ *   reconnect (oldest frames are dropped beyond RELAY_BUFFER_MB, default 100).
+ * - The last database, translations and resource zips are kept so 428
+ *   Precondition Required replies from the upstream are answered locally;
+ *   anything never received is requested from OWLCMS.
+ * - The upstream only accepts binary frames after a text frame with the
+ *   updateKey, so on every (re)connection the last update is resent first,
+ *   and binary frames wait until a text frame has been sent.
+ *
+ * Enable with RELAY_URL=wss://cloud-tracker/ws (or /<competition>/ws).
+ * RELAY_UPDATEKEY is the upstream's key (default OWLCMS_UPDATEKEY).
+ * RELAY_COMPETITION selects the local competition relayed (default "default").
+ */
+
+import WebSocket from 'ws';
+import { peekBinaryType } from './session-recorder.js';
+import { DEFAULT_COMPETITION } from '../competition-id.js';
+
+const RELAY_URL = process.env.RELAY_URL || null;
+const RELAY_COMPETITION = process.env.RELAY_COMPETITION || DEFAULT_COMPETITION;
+const MAX_BUFFER_BYTES = (Number(process.env.RELAY_BUFFER_MB) || 100) * 1024 * 1024;
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Shared through globalThis: the SvelteKit bundle (HTTP ingest, /api/health) and the
+// copied server files (OWLCMS WebSocket) each load their own copy of this module
+if (!globalThis.__relay) {
+	globalThis.__relay = {
+		socket: null,
+		connected: false,
+		authenticated: false, // a text frame carrying the key was sent on this connection
+		retryMs: MIN_RETRY_MS,
+		retryTimer: null,
+		lastUpdateFrame: null,
+		lastError: null,
+		queue: [],
+		queuedBytes: 0,
+		resources: new Map(), // resource type → last frame {data, isBinary}
+		counters: { forwarded: 0, dropped: 0, reconnects: 0, resourcesResent: 0 }
+	};
+}
+const relay = globalThis.__relay;
+const { queue, resources, counters } = relay;
+
+/**
+ * Replace the updateKey of a text frame with the upstream's key
+ * @param {string} text - JSON text frame
+ * @param {string|null} updateKey - Upstream key (null = leave the frame untouched)
+ * @returns {string}
+ */
+export function withUpstreamKey(text, updateKey) {
+	if (!updateKey) return text;
+	try {
+		const message = JSON.parse(text);
+		if (!message.payload || typeof message.payload !== 'object') return text;
+		delete message.payload.update_key;
+		delete message.payload.updatekey;
+		message.payload.updateKey = updateKey;
+		return JSON.stringify(message);
+	} catch {
+		return text;
+	}
+}
+
+/**
+ * Resource a frame provides, as named in 428 "missing" lists
+ * @param {Buffer|string} data - Frame
+ * @param {boolean} isBinary - Binary frame flag
+ * @returns {string|null} - e.g. 'database', 'translations', 'flags_zip'; null for other frames
+ */
+export function resourceType(data, isBinary) {
+	if (isBinary) {
+		const type = peekBinaryType(Buffer.isBuffer(data) ? data : Buffer.from(data));
+		return type === 'database_zip' ? 'database' : type === 'translations_zip' ? 'translations' : type;
+	}
+	const type = textFrameType(data);
+	return type === 'database' || type === 'translations' ? type : null;
+}
+
+function textFrameType(data) {
+	try {
+		return JSON.parse(data.toString()).type || null;
+	} catch {
+		return null;
+	}
+}
+
+function upstreamKey() {
+	return process.env.RELAY_UPDATEKEY || process.env.OWLCMS_UPDATEKEY || null;
+}
+
+function transmit(frame) {
+	const key = upstreamKey();
+	// Frames accepted locally already carry OWLCMS_UPDATEKEY - only rewrite when the upstream key differs
+	const rewrite = !frame.isBinary && key && key !== process.env.OWLCMS_UPDATEKEY;
+	relay.socket.send(rewrite ? withUpstreamKey(frame.data.toString(), key) : frame.data, { binary: frame.isBinary });
+	if (!frame.isBinary) relay.authenticated = true;
+}
+
+// Binary frames are rejected until a text frame has authenticated the connection
+function needsAuthentication() {
+	return Boolean(upstreamKey()) && !relay.authenticated;
+}
+
+function enqueue(frame) {
+	queue.push(frame);
+	relay.queuedBytes += frame.size;
+	while (relay.queuedBytes > MAX_BUFFER_BYTES && queue.length > 1) {
+		const dropped = queue.shift();
+		relay.queuedBytes -= dropped.size;
+		counters.dropped++;
+	}
+}
+
+function flushQueue() {
+	while (relay.connected && queue.length > 0) {
+		// Until authenticated, the first text frame goes ahead of the binary frames
+		const index = needsAuthentication() ? queue.findIndex((frame) => !frame.isBinary) : 0;
+		if (index < 0) return;
+		const [frame] = queue.splice(index, 1);
+		relay.queuedBytes -= frame.size;
+		transmit(frame);
+		counters.forwarded++;
+	}
+}
+
+/**
+ * Answer a 428 from the upstream with the resources kept locally
+ * @param {string[]} missing - Resources reported missing by the upstream
+ */
+async function provideResources(missing) {
+	const unavailable = [];
+	for (const item of missing) {
+		const key = item.startsWith('translations') ? 'translations' : item;
+		const frame = resources.get(key);
+		if (frame) {
+			transmit(frame);
+			counters.resourcesResent++;
+		} else {
+			unavailable.push(item);
+		}
+	}
+	if (unavailable.length > 0) {
+		console.log(`[Relay] Upstream needs ${unavailable.join(', ')} - requesting from OWLCMS`);
+		const [{ requestResources }, { runWithCompetition }] = await Promise.all([
+			import('./websocket-server.js'),
+			import('./competitions.js')
+		]);
+		runWithCompetition(RELAY_COMPETITION, () => requestResources(unavailable));
+	}
+}
+
+function handleReply(data) {
+	try {
+		const reply = JSON.parse(data.toString());
+		if (reply.status === 428 && Array.isArray(reply.missing)) {
+			provideResources(reply.missing).catch((err) => console.error('[Relay] ❌ Unable to provide resources:', err.message));
+		} else if (reply.status === 401) {
+			relay.lastError = 'Upstream rejected the updateKey (set RELAY_UPDATEKEY)';
+			console.error(`[Relay] ❌ ${relay.lastError}`);
+		} else if (reply.status === 400) {
+			relay.lastError = reply.reason || reply.error || 'Rejected by upstream';
+			console.error(`[Relay] ❌ Upstream rejected a frame: ${relay.lastError}`);
+		}
+	} catch {
+		// Ignore non-JSON replies
+	}
+}
+
+function scheduleReconnect() {
+	if (relay.retryTimer) return;
+	relay.retryTimer = setTimeout(() => {
+		relay.retryTimer = null;
+		counters.reconnects++;
+		connect();
+	}, relay.retryMs);
+	relay.retryMs = Math.min(relay.retryMs * 2, MAX_RETRY_MS);
+}
+
+function connect() {
+	relay.socket = new WebSocket(RELAY_URL);
+	relay.socket.on('open', () => {
+		relay.connected = true;
+		relay.authenticated = false;
+		relay.retryMs = MIN_RETRY_MS;
+		relay.lastError = null;
+		console.log(`[Relay] 🔗 Connected to upstream ${RELAY_URL}${queue.length ? ` - sending ${queue.length} buffered frames` : ''}`);
+		// Authenticate before anything else (unless the update is among the buffered frames)
+		if (upstreamKey() && relay.lastUpdateFrame && !queue.includes(relay.lastUpdateFrame)) {
+			transmit(relay.lastUpdateFrame);
+		}
+		flushQueue();
+	});
+	relay.socket.on('message', handleReply);
+	relay.socket.on('close', (code, reason) => {
+		if (relay.connected) {
+			console.warn(`[Relay] ⚠️ Upstream connection closed (code=${code}${reason?.length ? `, reason="${reason}"` : ''}) - buffering frames`);
+		}
+		relay.connected = false;
+		relay.authenticated = false;
+		scheduleReconnect();
+	});
+	relay.socket.on('error', (err) => {
+		relay.lastError = err.message;
+		if (relay.retryMs === MIN_RETRY_MS) {
+			console.warn(`[Relay] ⚠️ Upstream ${RELAY_URL} unreachable: ${err.message}`);
+		}
+	});
+}
+
+/**
+ * Forward a frame accepted from OWLCMS to the upstream tracker
+ * Called by websocket-server.js after the frame passed authentication and version checks.
+ * @param {string} competitionId - Competition the frame belongs to
+ * @param {Buffer} data - Raw frame
+ * @param {boolean} isBinary - Binary frame flag
+ */
+export function relayFrame(competitionId, data, isBinary) {
+	if (!RELAY_URL || competitionId !== RELAY_COMPETITION) return;
+
+	const frame = { data, isBinary, size: data.length };
+	const resource = resourceType(data, isBinary);
+	if (resource) {
+		resources.set(resource, frame);
+	} else if (!isBinary && textFrameType(data) === 'update') {
+		relay.lastUpdateFrame = frame;
+	}
+
+	if (!relay.socket) {
+		console.log(`[Relay] Relaying competition "${RELAY_COMPETITION}" to ${RELAY_URL}`);
+		connect();
+	}
+
+	enqueue(frame);
+	if (relay.connected) {
+		flushQueue();
+	}
+}
+
+/**
+ * Relay status for /api/health
+ */
+export function getRelayStatus() {
+	return {
+		enabled: !!RELAY_URL,
+		url: RELAY_URL,
+		competition: RELAY_COMPETITION,
+		connected: relay.connected,
+		queuedFrames: queue.length,
+		queuedBytes: relay.queuedBytes,
+		resources: Array.from(resources.keys()),
+		...counters,
+		lastError: relay.lastError
+	};
+}
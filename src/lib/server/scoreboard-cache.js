@@ -0,0 +1,191 @@
+/**
+ * Response cache of /api/scoreboard
+ *
+ * One entry per competition and scoreboard variant (see scoreboard-variant.js),
+ * holding the serialized JSON and its gzip/brotli forms. Every distinct option
+ * combination gets an entry - typos and random query parameters included - so
+ * the cache is bounded: least recently used entries are evicted beyond
+ * SCOREBOARD_CACHE_MAX_ENTRIES (default 500) or SCOREBOARD_CACHE_MAX_MB
+ * (default 64, counting the three forms of each payload).
+ *
+ * Registered with cache-epoch.js: /api/refresh and OWLCMS reconnections clear
+ * it like the plugin caches. Keys start with "<competition>:" for
+ * clearCompetitionCaches(). /api/scoreboard/cache shows and clears it.
+ */
+
+import { registerCache } from './cache-epoch.js';
+
+const MAX_ENTRIES = Number(process.env.SCOREBOARD_CACHE_MAX_ENTRIES) || 500;
+const MAX_BYTES = (Number(process.env.SCOREBOARD_CACHE_MAX_MB) || 64) * 1024 * 1024;
+
+/**
+ * Map with least-recently-used eviction and per-scoreboard-type statistics
+ * Keeps the Map methods used by cache-epoch.js (size, keys, delete, clear).
+ */
+export class ScoreboardCache {
+	/**
+	 * @param {{maxEntries?: number, maxBytes?: number}} limits
+	 */
+	constructor({ maxEntries = MAX_ENTRIES, maxBytes = MAX_BYTES } = {}) {
+		this.maxEntries = maxEntries;
+		this.maxBytes = maxBytes;
+		this.entries = new Map(); // key → {type, version, json, gzip, br, bytes, createdAt, lastHit, hits}; oldest use first
+		this.bytes = 0;
+		this.stats = new Map(); // scoreboard type → {hits, misses, evictions}
+	}
+
+	get size() {
+		return this.entries.size;
+	}
+
+	keys() {
+		return this.entries.keys();
+	}
+
+	typeStats(type) {
+		let stats = this.stats.get(type);
+		if (!stats) {
+			stats = { hits: 0, misses: 0, evictions: 0 };
+			this.stats.set(type, stats);
+		}
+		return stats;
+	}
+
+	/**
+	 * Cached response of a variant, if computed for this hub state version
+	 * Counts a hit or a miss (absent or outdated entry).
+	 * @param {string} key - Cache key
+	 * @param {string} type - Scoreboard type (for statistics)
+	 * @param {number} version - Current FOP state version
+	 * @returns {object|null} - {version, json, gzip, br} or null
+	 */
+	lookup(key, type, version) {
+		const entry = this.entries.get(key);
+		if (!entry || entry.version !== version) {
+			this.typeStats(type).misses++;
+			return null;
+		}
+		// Most recently used last
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		entry.hits++;
+		entry.lastHit = Date.now();
+		this.typeStats(type).hits++;
+		return entry;
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {object|undefined} - Entry, without counting a use
+	 */
+	get(key) {
+		return this.entries.get(key);
+	}
+
+	/**
+	 * Store a response, then evict least recently used entries beyond the limits
+	 * @param {string} key - Cache key
+	 * @param {{type: string, version: number, json: string, gzip: Buffer, br: Buffer}} response
+	 * @returns {object} - The stored entry
+	 */
+	set(key, response) {
+		this.delete(key);
+		const bytes = Buffer.byteLength(response.json) + response.gzip.length + response.br.length;
+		const entry = { ...response, bytes, createdAt: Date.now(), lastHit: null, hits: 0 };
+		this.entries.set(key, entry);
+		this.bytes += bytes;
+
+		for (const [oldKey, oldEntry] of this.entries) {
+			if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+			// The entry just stored stays even if larger than the memory limit on its own
+			if (oldKey === key) continue;
+			this.delete(oldKey);
+			this.typeStats(oldEntry.type).evictions++;
+		}
+		return entry;
+	}
+
+	delete(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return false;
+		this.entries.delete(key);
+		this.bytes -= entry.bytes;
+		return true;
+	}
+
+	clear() {
+		this.entries.clear();
+		this.bytes = 0;
+	}
+
+	/**
+	 * Remove the entries matching a filter
+	 * @param {{competition?: string|null, type?: string|null}} filter - null/absent = any
+	 * @returns {number} - Entries removed
+	 */
+	clearMatching({ competition = null, type = null } = {}) {
+		let removed = 0;
+		for (const [key, entry] of this.entries) {
+			if (competition && !key.startsWith(`${competition}:`)) continue;
+			if (type && entry.type !== type) continue;
+			this.delete(key);
+			removed++;
+		}
+		return removed;
+	}
+
+	/**
+	 * Contents and statistics for /api/scoreboard/cache
+	 * @returns {object}
+	 */
+	describe() {
+		const byType = {};
+		for (const [type, stats] of this.stats) {
+			byType[type] = { entries: 0, bytes: 0, ...stats };
+		}
+		const entries = [];
+		for (const [key, entry] of this.entries) {
+			const typeInfo = (byType[entry.type] ||= { entries: 0, bytes: 0, hits: 0, misses: 0, evictions: 0 });
+			typeInfo.entries++;
+			typeInfo.bytes += entry.bytes;
+			entries.push({
+				key,
+				type: entry.type,
+				version: entry.version,
+				bytes: entry.bytes,
+				hits: entry.hits,
+				createdAt: new Date(entry.createdAt).toISOString(),
+				lastHit: entry.lastHit ? new Date(entry.lastHit).toISOString() : null
+			});
+		}
+		let hits = 0;
+		let misses = 0;
+		let evictions = 0;
+		for (const stats of this.stats.values()) {
+			hits += stats.hits;
+			misses += stats.misses;
+			evictions += stats.evictions;
+		}
+		return {
+			entries: this.entries.size,
+			bytes: this.bytes,
+			maxEntries: this.maxEntries,
+			maxBytes: this.maxBytes,
+			hits,
+			misses,
+			evictions,
+			hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null,
+			byType,
+			// Most recently used first
+			items: entries.reverse()
+		};
+	}
+}
+
+// Shared through globalThis so a module copy reloaded by Vite HMR keeps the entries
+if (!globalThis.__scoreboardCache) {
+	globalThis.__scoreboardCache = new ScoreboardCache();
+}
+
+export const scoreboardCache = globalThis.__scoreboardCache;
+registerCache(scoreboardCache);
@@ -0,0 +1,250 @@
+/**
+ * Scoreboard push - scoreboard payloads over SSE
+ *
+ * Without it, every fop_update makes every browser fetch /api/scoreboard:
+ * 200 displays, 200 requests per lift. Instead, a browser opens
+ * /api/client-stream with the query of its scoreboard (?scoreboard=type=...&lang=...)
+ * and is subscribed to that variant (see scoreboard-variant.js). On each update
+ * of its FOP, each active variant is computed once and sent to its browsers:
+ * - scoreboard_data {variant, version, data}: full payload, on subscription and
+ *   when a patch would not be smaller
+ * - scoreboard_patch {variant, base, version, patch}: JSON Patch (RFC 6902) from
+ *   version `base` to `version`; a browser that does not hold `base` asks for
+ *   the full payload again (requestScoreboardData in sse-client.js)
+ *
+ * Timer and decision events are not recomputed: browsers apply them directly.
+ * These messages have no SSE id - a reconnecting browser gets the full payload again.
+ *
+ * The browser WebSocket channel (browser-socket.js) subscribes through
+ * globalThis.__scoreboardPush.api: in production it runs from the copied server
+ * files, which cannot load the plugins (import.meta.glob is resolved by Vite).
+ */
+
+import { createPatch } from '../json-patch.js';
+import { getCompetitionHub, runWithCompetition } from './competitions.js';
+import { scoreboardRegistry } from './scoreboard-registry.js';
+import { variantHash } from './scoreboard-variant.js';
+import { describeProblems, parseOptions } from './option-schema.js';
+import { anchorPayloadTimers } from './timer-anchor.js';
+
+// Shared through globalThis: hub listeners outlive a module copy reloaded by Vite HMR
+if (!globalThis.__scoreboardPush) {
+	globalThis.__scoreboardPush = {
+		variants: new Map(), // `${competition}:${hash}` → variant
+		attached: new Set(), // Competitions whose hub has listeners
+		counters: { computations: 0, fullPayloads: 0, patches: 0, bytesSent: 0, bytesSaved: 0 }
+	};
+}
+const state = globalThis.__scoreboardPush;
+const { variants, counters } = state;
+const encoder = new TextEncoder();
+
+/**
+ * Send a message to the browsers of a variant (serialized and encoded once)
+ */
+function deliver(variant, message) {
+	const bytes = encoder.encode(`data: ${JSON.stringify(message)}\n\n`);
+	for (const send of variant.subscribers) {
+		try {
+			send(bytes);
+			counters.bytesSent += bytes.length;
+		} catch (error) {
+			console.error(`[Scoreboard Push] Error sending ${message.type}:`, error.message);
+			variant.subscribers.delete(send);
+		}
+	}
+}
+
+function fullPayloadMessage(variant) {
+	return { type: 'scoreboard_data', variant: variant.hash, version: variant.version, data: variant.payload };
+}
+
+/**
+ * Compute a variant and send the change to its browsers
+ */
+async function recompute(variant) {
+	const hub = getCompetitionHub(variant.competitionId);
+	// Browsers show the protocol error sent by the SSE broker
+	if (!hub || hub.getProtocolError?.()) return;
+
+	let data;
+	try {
+		data = await runWithCompetition(variant.competitionId, async () => {
+			await scoreboardRegistry.initialize();
+			const payload = await scoreboardRegistry.processData(variant.type, variant.fop, variant.options);
+			return anchorPayloadTimers(variant.competitionId, variant.fop, payload);
+		});
+	} catch (error) {
+		console.error(`[Scoreboard Push] ❌ ${variant.type} [FOP ${variant.fop || '-'}]:`, error.message);
+		return;
+	}
+	counters.computations++;
+
+	const json = JSON.stringify(data ?? null);
+	if (json === variant.json) return;
+
+	// Diff the JSON form: it is what the browsers hold
+	const next = JSON.parse(json);
+	let message = null;
+	if (variant.json !== null) {
+		const patch = createPatch(variant.payload, next);
+		const patchSize = JSON.stringify(patch).length;
+		if (patchSize < json.length) {
+			message = { type: 'scoreboard_patch', variant: variant.hash, base: variant.version, version: variant.version + 1, patch };
+			counters.patches++;
+			counters.bytesSaved += (json.length - patchSize) * variant.subscribers.size;
+		}
+	}
+	variant.version++;
+	variant.payload = next;
+	variant.json = json;
+	if (!message) {
+		message = fullPayloadMessage(variant);
+		counters.fullPayloads++;
+	}
+	deliver(variant, message);
+}
+
+/**
+ * Recompute a variant, once more if an update arrived meanwhile
+ */
+async function refresh(variant) {
+	if (variant.computing) {
+		variant.dirty = true;
+		return;
+	}
+	variant.computing = true;
+	try {
+		do {
+			variant.dirty = false;
+			await recompute(variant);
+		} while (variant.dirty && variant.subscribers.size > 0);
+	} finally {
+		variant.computing = false;
+	}
+}
+
+/**
+ * Recompute the variants of a competition affected by an update
+ * @param {string} competitionId
+ * @param {string|null} fop - Updated FOP (null = all variants)
+ */
+function refreshVariants(competitionId, fop) {
+	for (const variant of variants.values()) {
+		if (variant.competitionId !== competitionId) continue;
+		// Variants without FOP (competition-wide scoreboards) change with every FOP
+		if (fop !== null && variant.fop !== null && variant.fop !== fop) continue;
+		refresh(variant);
+	}
+}
+
+/**
+ * Recompute the variants of scoreboards whose plugin was reloaded (see plugin-watcher.js)
+ * @param {Set<string>} types - Scoreboard types
+ */
+export function refreshScoreboardTypes(types) {
+	for (const variant of variants.values()) {
+		if (types.has(variant.type)) refresh(variant);
+	}
+}
+
+function attachHubListeners(competitionId) {
+	if (state.attached.has(competitionId)) return;
+	const hub = getCompetitionHub(competitionId);
+	if (!hub) return;
+
+	hub.on('fop_update', (eventData) => refreshVariants(competitionId, eventData?.fop || null));
+	hub.on('hub_ready_broadcast', () => refreshVariants(competitionId, null));
+	hub.on('competition_initialized', () => refreshVariants(competitionId, null));
+	state.attached.add(competitionId);
+}
+
+/**
+ * Variant requested by a scoreboard query (the /api/scoreboard parameters without fop and competition)
+ * @param {string} competitionId
+ * @param {string} query - e.g. type=lifting-order&lang=en&showRecords=true
+ * @param {string|null} fop
+ * @returns {Promise<{competitionId: string, type: string, fop: string|null, options: object, hash: string}|null>}
+ *   - null for an unknown scoreboard type or invalid options
+ */
+export async function resolveScoreboardVariant(competitionId, query, fop) {
+	await scoreboardRegistry.initialize();
+	const params = new URLSearchParams(query);
+	const type = params.get('type');
+	const scoreboard = scoreboardRegistry.getScoreboard(type);
+	if (!scoreboard) return null;
+	const locales = getCompetitionHub(competitionId)?.getAvailableLocales() || [];
+	const { options, problems } = parseOptions(scoreboard, params, { locales });
+	if (problems.length > 0) {
+		console.warn(`[Scoreboard Push] ⚠️ ${type}: ${describeProblems(problems)}`);
+		return null;
+	}
+	return { competitionId, type, fop: fop || null, options, hash: variantHash({ type, fop: fop || null, options }) };
+}
+
+/**
+ * Subscribe a browser to a scoreboard variant
+ * The browser gets the current payload now (or once computed), then the changes.
+ * @param {{competitionId: string, type: string, fop: string|null, options: object}} spec
+ * @param {(bytes: Uint8Array) => void} send - Sends encoded SSE messages to the browser
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeScoreboard({ competitionId, type, fop, options }, send) {
+	attachHubListeners(competitionId);
+
+	const hash = variantHash({ type, fop, options });
+	const key = `${competitionId}:${hash}`;
+	let variant = variants.get(key);
+	if (!variant) {
+		variant = {
+			hash,
+			competitionId,
+			type,
+			fop: fop || null,
+			options,
+			subscribers: new Set(),
+			version: 0,
+			payload: null,
+			json: null,
+			computing: false,
+			dirty: false
+		};
+		variants.set(key, variant);
+	}
+	variant.subscribers.add(send);
+
+	if (variant.json !== null) {
+		const bytes = encoder.encode(`data: ${JSON.stringify(fullPayloadMessage(variant))}\n\n`);
+		send(bytes);
+		counters.bytesSent += bytes.length;
+		counters.fullPayloads++;
+	} else if (!variant.computing) {
+		// Otherwise the first computation, under way, sends it to every subscriber
+		refresh(variant);
+	}
+
+	return () => {
+		variant.subscribers.delete(send);
+		if (variant.subscribers.size === 0 && variants.get(key) === variant) {
+			variants.delete(key);
+		}
+	};
+}
+
+/**
+ * Push statistics for /api/health
+ */
+export function getScoreboardPushStats() {
+	let subscribers = 0;
+	for (const variant of variants.values()) {
+		subscribers += variant.subscribers.size;
+	}
+	return {
+		variants: variants.size,
+		subscribers,
+		...counters
+	};
+}
+
+// Entry points for the copied server files (see above); the latest module copy wins
+state.api = { resolveScoreboardVariant, subscribeScoreboard };
@@ -12,13 +12,17 @@
  * runtime filesystem access.
  * 
  * Runtime discovery: Plugins added to src/plugins/ after build can be
- * discovered at runtime via filesystem scan (Node.js only).
+ * discovered at runtime via filesystem scan (Node.js only). They are rescanned
+ * by syncRuntimePlugins() when their files change (see plugin-watcher.js).
  */
 
-import { bumpCacheEpoch } from './cache-epoch.js';
+import { bumpCacheEpoch, clearCompetitionCaches, getCacheEpoch } from './cache-epoch.js';
+import { currentCompetitionId, listCompetitions } from './competitions.js';
 import { competitionHub } from './competition-hub.js';
+import { registerScoringSystem } from './scoring-systems.js';
+import { registerTeamRuleSet } from './team-rules.js';
 import { existsSync, readdirSync, statSync } from 'fs';
-import { resolve, join } from 'path';
+import { dirname, resolve, join } from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 
 // Eager imports so Vite includes all plugins at build time
@@ -53,13 +57,54 @@ async function importFromFileUrl(fileUrl) {
 	return dynamicImport(fileUrl);
 }
 
+/**
+ * Folders scanned for runtime plugins
+ * In development: src/plugins (bundled plugins)
+ * In production: plugins (user-added runtime plugins)
+ * Use both process.cwd() and the module root to handle different launchers
+ * @returns {string[]} - Existing folders only
+ */
+export function runtimePluginDirs() {
+	// Only run in Node.js environment (not browser)
+	if (typeof process === 'undefined' || !process.cwd) {
+		return [];
+	}
+	const moduleDir = fileURLToPath(new URL('.', import.meta.url));
+	const moduleRoot = findPackageRoot(moduleDir);
+	const pluginsDirs = [
+		resolve(process.cwd(), 'src/plugins'),
+		resolve(process.cwd(), 'plugins'),
+		resolve(moduleRoot, 'src/plugins'),
+		resolve(moduleRoot, 'plugins')
+	];
+	return Array.from(new Set(pluginsDirs)).filter((dir) => existsSync(dir));
+}
+
+/**
+ * Modification times and sizes of a runtime plugin's files
+ * A different signature means the plugin changed and must be registered again.
+ * @param {{configPath: string, helpersPath: string|null}} paths
+ * @returns {string}
+ */
+function runtimeSignature(paths) {
+	const files = [paths.configPath, paths.helpersPath, join(dirname(paths.configPath), 'page.svelte')];
+	return files
+		.map((file) => {
+			if (!file || !existsSync(file)) return '-';
+			const stat = statSync(file);
+			return `${stat.mtimeMs}:${stat.size}`;
+		})
+		.join('|');
+}
+
 /**
  * Discover plugins at runtime that weren't included in the build
  * This enables adding plugins to a pre-built application
  * 
+ * @param {{quiet?: boolean}} [options] - quiet: no log of the folders scanned (rescans)
  * @returns {Promise<Map<string, {configPath: string, helpersPath: string}>>}
  */
-async function discoverRuntimePlugins() {
+async function discoverRuntimePlugins({ quiet = false } = {}) {
 	const runtimePlugins = new Map();
 	
 	// Only run in Node.js environment (not browser)
@@ -68,9 +113,6 @@ async function discoverRuntimePlugins() {
 	}
 	
 	try {
-		const moduleDir = fileURLToPath(new URL('.', import.meta.url));
-		const moduleRoot = findPackageRoot(moduleDir);
-
 		// Recursively find plugin folders (folders containing config.js)
 		const findPlugins = (dir, prefix = '') => {
 			const entries = readdirSync(dir);
@@ -97,7 +139,7 @@ async function discoverRuntimePlugins() {
 								configPath: configPath,
 								helpersPath: existsSync(helpersPath) ? helpersPath : null
 							});
-							console.log(`[ScoreboardRegistry] Runtime discovery: found ${pluginPath}`);
+							if (!quiet) console.log(`[ScoreboardRegistry] Runtime discovery: found ${pluginPath}`);
 						}
 					}
 					
@@ -108,28 +150,13 @@ async function discoverRuntimePlugins() {
 		};
 		
 		// Scan multiple plugin directories
-		// In development: src/plugins (bundled plugins)
-		// In production: plugins (user-added runtime plugins)
-		// Use both process.cwd() and the module root to handle different launchers
-		const pluginsDirs = [
-			resolve(process.cwd(), 'src/plugins'),
-			resolve(process.cwd(), 'plugins'),
-			resolve(moduleRoot, 'src/plugins'),
-			resolve(moduleRoot, 'plugins')
-		];
-		const uniquePluginDirs = Array.from(new Set(pluginsDirs));
-		
-		let foundAnyDir = false;
-		for (const pluginsDir of uniquePluginDirs) {
-			if (!existsSync(pluginsDir)) {
-				continue;
-			}
-			foundAnyDir = true;
-			console.log(`[ScoreboardRegistry] Runtime discovery: scanning ${pluginsDir}`);
+		const pluginsDirs = runtimePluginDirs();
+		for (const pluginsDir of pluginsDirs) {
+			if (!quiet) console.log(`[ScoreboardRegistry] Runtime discovery: scanning ${pluginsDir}`);
 			findPlugins(pluginsDir);
 		}
 		
-		if (!foundAnyDir) {
+		if (pluginsDirs.length === 0 && !quiet) {
 			console.log('[ScoreboardRegistry] Runtime discovery: no plugin directories found, skipping');
 		}
 		
@@ -146,6 +173,8 @@ class ScoreboardRegistry {
 		this.scoreboards = new Map();
 		this.initialized = false;
 		this.initializingPromise = null;  // Track ongoing initialization to prevent race conditions
+		this.runtimeSignatures = new Map(); // pluginPath -> file signature, for runtime plugins
+		this.runtimeLoads = 0; // Import URL suffix: Node caches a module per URL
 	}
 
 	/**
@@ -194,6 +223,7 @@ class ScoreboardRegistry {
 		for (const [pluginPath, paths] of runtimePlugins) {
 			const folderName = pluginPath.split('/').pop();
 			discovered.set(pluginPath, { folderName, runtime: true, paths });
+			this.runtimeSignatures.set(pluginPath, runtimeSignature(paths));
 		}
 
 		// Register all discovered plugins
@@ -205,11 +235,54 @@ class ScoreboardRegistry {
 		console.log(`[ScoreboardRegistry] Initialized with ${this.scoreboards.size} scoreboards`);
 	}
 
+	/**
+	 * Register, register again or unregister the runtime plugins whose files changed
+	 * A plugin that fails to load is left as it was: its last good version keeps
+	 * serving (or it stays absent) until its files change again.
+	 * @returns {Promise<{added: string[], reloaded: string[], removed: string[], failed: string[]}>} - Scoreboard types
+	 */
+	async syncRuntimePlugins() {
+		await this.initialize();
+		const changes = { added: [], reloaded: [], removed: [], failed: [] };
+		const found = await discoverRuntimePlugins({ quiet: true });
+
+		for (const pluginPath of Array.from(this.runtimeSignatures.keys())) {
+			if (found.has(pluginPath)) continue;
+			this.runtimeSignatures.delete(pluginPath);
+			const type = pluginPath.split('/').pop();
+			if (this.scoreboards.get(type)?.pluginPath === pluginPath) {
+				this.scoreboards.delete(type);
+				changes.removed.push(type);
+				console.log(`[ScoreboardRegistry] Unregistered: ${type} (path: ${pluginPath}, removed)`);
+			}
+		}
+
+		for (const [pluginPath, paths] of found) {
+			const signature = runtimeSignature(paths);
+			const previous = this.runtimeSignatures.get(pluginPath);
+			if (previous === signature) continue;
+			this.runtimeSignatures.set(pluginPath, signature);
+
+			const type = pluginPath.split('/').pop();
+			const wasRegistered = this.scoreboards.get(type)?.pluginPath === pluginPath;
+			this.runtimeLoads += 1;
+			if (!(await this.registerScoreboard(pluginPath, type, { ...paths, reload: this.runtimeLoads }))) {
+				changes.failed.push(type);
+				console.warn(`[ScoreboardRegistry] ⚠️ ${type} not reloaded${wasRegistered ? ', previous version kept' : ''}`);
+			} else {
+				changes[wasRegistered ? 'reloaded' : 'added'].push(type);
+			}
+		}
+		return changes;
+	}
+
 	/**
 	 * Register a single scoreboard plugin
 	 * @param {string} pluginPath - Path relative to plugins/ (e.g., "books/iwf-startbook")
 	 * @param {string} folderName - Folder name (e.g., "iwf-startbook")
 	 * @param {Object|null} runtimePaths - Paths for runtime-discovered plugins
+	 *   (reload: number appended to the import URLs so edited files are imported again)
+	 * @returns {Promise<boolean>} - false if the plugin could not be loaded (previous registration kept)
 	 */
 	async registerScoreboard(pluginPath, folderName = null, runtimePaths = null) {
 		if (!folderName) {
@@ -222,26 +295,31 @@ class ScoreboardRegistry {
 			if (runtimePaths) {
 				// Runtime-discovered plugin - use dynamic import
 				// Use direct file URL strings (no percent-encoding) for accented paths on Windows
+				// Modules imported by config.js or helpers.data.js are not imported again
+				const suffix = runtimePaths.reload ? `?reload=${runtimePaths.reload}` : '';
 				try {
 					const configUrl = toFileUrl(runtimePaths.configPath) || pathToFileURL(runtimePaths.configPath).href;
-					configModule = await importFromFileUrl(configUrl);
+					configModule = await importFromFileUrl(configUrl + suffix);
 					config = configModule.default || configModule;
 					
 					if (runtimePaths.helpersPath) {
 						const helpersUrl = toFileUrl(runtimePaths.helpersPath) || pathToFileURL(runtimePaths.helpersPath).href;
-						const helpersModule = await importFromFileUrl(helpersUrl);
+						const helpersModule = await importFromFileUrl(helpersUrl + suffix);
 						dataHelper = helpersModule.getScoreboardData || helpersModule.default;
+						if (typeof dataHelper !== 'function') {
+							throw new Error('helpers.data.js exports no getScoreboardData function');
+						}
 					}
 				} catch (importErr) {
 					console.error(`[ScoreboardRegistry] Failed to import runtime plugin ${pluginPath}:`, importErr.message);
-					return;
+					return false;
 				}
 			} else {
 				// Build-time plugin - use pre-imported modules
 				configModule = configModules[`../../plugins/${pluginPath}/config.js`];
 				if (!configModule) {
 					console.warn(`[ScoreboardRegistry] Skipping ${pluginPath}: no config.js`);
-					return;
+					return false;
 				}
 				config = configModule.default || configModule;
 
@@ -251,6 +329,19 @@ class ScoreboardRegistry {
 					: null;
 			}
 
+			// Scoring systems declared by the plugin (e.g. a federation formula), usable by every plugin
+			for (const system of configModule.scoringSystems || []) {
+				if (registerScoringSystem(system)) {
+					console.log(`[ScoreboardRegistry] ${folderName}: registered scoring system ${system.id}`);
+				}
+			}
+			// Team rule sets declared by the plugin (e.g. national team rules), usable by every team plugin
+			for (const ruleSet of configModule.teamRuleSets || []) {
+				if (registerTeamRuleSet(ruleSet)) {
+					console.log(`[ScoreboardRegistry] ${folderName}: registered team rule set ${ruleSet.id}`);
+				}
+			}
+
 			// Handle delegateTo pattern: config-only plugins that extend a base plugin
 			// If no dataHelper but config has delegateTo, load base plugin's createHelpers
 			if (!dataHelper && config.delegateTo) {
@@ -294,6 +385,11 @@ class ScoreboardRegistry {
 
 			const type = folderName;
 
+			// A reloaded plugin whose delegation fails keeps its previous version
+			if (runtimePaths?.reload && config.delegateTo && !dataHelper) {
+				return false;
+			}
+
 			this.scoreboards.set(type, {
 				type,
 				folderName,
@@ -305,8 +401,10 @@ class ScoreboardRegistry {
 			});
 
 			console.log(`[ScoreboardRegistry] Registered: ${type} (path: ${pluginPath}${runtimePaths ? ', runtime' : ''})`);
+			return true;
 		} catch (err) {
 			console.error(`[ScoreboardRegistry] Failed to register ${pluginPath}:`, err);
+			return false;
 		}
 	}
 
@@ -384,6 +482,14 @@ class ScoreboardRegistry {
 		// Note: we do not attempt to directly clear plugin-private Map instances.
 		// This avoids tight coupling and keeps plugins in control of their own caches.
 		//
+		// When several competitions are hosted, only the current competition's
+		// entries are dropped so one OWLCMS reconnecting does not slow down the others.
+		if (listCompetitions().length > 1) {
+			const competitionId = currentCompetitionId();
+			clearCompetitionCaches(competitionId);
+			console.log(`[ScoreboardRegistry] Caches flushed for competition "${competitionId}"`);
+			return getCacheEpoch();
+		}
 		const newEpoch = bumpCacheEpoch();
 		console.log(`[ScoreboardRegistry] Cache epoch bumped to ${newEpoch} (was ${newEpoch - 1})`);
 		return newEpoch;
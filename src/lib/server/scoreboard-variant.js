@@ -0,0 +1,58 @@
+/**
+ * Scoreboard variants
+ *
+ * A variant is a scoreboard type, a FOP and a set of options (including the
+ * language). Every browser showing the same variant gets the same payload, so
+ * it is computed once per variant: /api/scoreboard caches it per variant, and
+ * scoreboard-push.js pushes it over SSE to the browsers showing it.
+ *
+ * The options are the canonical set of option-schema.js (defaults filled in,
+ * typed values), so equivalent URLs give the same hash.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Normalize a value for canonical representation
+ * - true/'true' → 'true'
+ * - false/'false' → 'false'
+ * - null → 'null'
+ * - numbers → string representation
+ * - strings → NFKC normalized
+ */
+function canonicalValue(v) {
+	if (v === true || v === 'true') return 'true';
+	if (v === false || v === 'false') return 'false';
+	if (v == null) return 'null';
+
+	const n = typeof v === 'number' ? v : (typeof v === 'string' && v.trim() && !isNaN(v) ? Number(v) : null);
+	if (n !== null && Number.isFinite(n)) return String(Object.is(n, -0) ? 0 : n);
+
+	return typeof v === 'string' ? v.normalize('NFKC') : String(v);
+}
+
+/**
+ * Build canonical options object with sorted keys and normalized values
+ */
+function canonicalOptionsObject(options) {
+	return Object.fromEntries(
+		Object.entries(options || {})
+			.sort(([a], [b]) => a.localeCompare(b))
+			.map(([k, v]) => [k, canonicalValue(v)])
+	);
+}
+
+/**
+ * Generate SHA256 hash of the variant identity (type, fop, options)
+ * Immune to param order, unicode, spaces, delimiters
+ * @param {{type: string, fop: string|null, options: object}} variant
+ * @returns {string}
+ */
+export function variantHash({ type, fop, options }) {
+	const identity = {
+		type: String(type).normalize('NFKC'),
+		fop: String(fop || '').normalize('NFKC'),
+		options: canonicalOptionsObject(options)
+	};
+	return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('base64url');
+}
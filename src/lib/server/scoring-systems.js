@@ -0,0 +1,176 @@
+/**
+ * Scoring system registry - scores computed from an athlete's total
+ *
+ * Each system is declared by a module in src/lib/server/scoring/ (default export:
+ * a system or an array of systems), found at build time like the plugins:
+ *   {
+ *     id: 'Sinclair',                 // value of the scoringSystem option
+ *     label: 'Sinclair',
+ *     order: 10,                       // position in option lists
+ *     inputs: ['bodyWeight', 'gender'] // and 'age' for age-adjusted systems
+ *     variants: ['senior'],            // athletes it is meant for: senior, masters, youth
+ *     factor(athlete),                 // score = total × factor
+ *     // or score(total, athlete) and optionally kgNeeded(targetScore, athlete)
+ *     placement: true                  // ranks by placement points instead (no score),
+ *     points(rank, liftValue, teamMember, tp1, tp2, tp3)
+ *   }
+ * A federation formula is one more module in that folder. Runtime plugins can
+ * declare systems in their config.js (export const scoringSystems = [...]).
+ *
+ * Plugins compute with calculateScore() and kgNeeded(); scoring options declared
+ * with options: 'dynamic:scoring-systems' list the registered systems.
+ */
+
+const systemModules = import.meta.glob('./scoring/*.js', { eager: true });
+
+export const DYNAMIC_SCORING_SYSTEMS = 'dynamic:scoring-systems';
+// Unknown systems and placement systems score as before the registry: Sinclair
+export const DEFAULT_SCORING_SYSTEM = 'Sinclair';
+const INPUTS = new Set(['bodyWeight', 'gender', 'age']);
+// Highest total tried when looking for the kg needed
+const MAX_TOTAL = 600;
+
+// Shared through globalThis: systems of runtime plugins outlive a module copy reloaded by Vite HMR
+if (!globalThis.__scoringSystems) {
+	globalThis.__scoringSystems = new Map(); // id → system
+}
+const systems = globalThis.__scoringSystems;
+
+/**
+ * Check a system declaration
+ * @param {object} system
+ * @returns {string|null} - Problem, null if valid
+ */
+export function scoringSystemProblem(system) {
+	if (!system || typeof system !== 'object') return 'a scoring system must be an object';
+	if (typeof system.id !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(system.id)) return 'id may only contain letters, digits, - and _';
+	if (!system.placement && typeof system.factor !== 'function' && typeof system.score !== 'function') {
+		return `${system.id}: needs a factor or score function (or placement: true)`;
+	}
+	if (system.kgNeeded !== undefined && typeof system.kgNeeded !== 'function') return `${system.id}: kgNeeded must be a function`;
+	const unknown = (system.inputs || []).filter((input) => !INPUTS.has(input));
+	if (unknown.length > 0) return `${system.id}: unknown inputs ${unknown.join(', ')} (use ${Array.from(INPUTS).join(', ')})`;
+	return null;
+}
+
+/**
+ * Register a scoring system (an existing id is replaced)
+ * @param {object} system - See the module comment
+ * @returns {boolean} - false if the declaration is invalid (logged)
+ */
+export function registerScoringSystem(system) {
+	const problem = scoringSystemProblem(system);
+	if (problem) {
+		console.warn(`[Scoring] ⚠️ Scoring system not registered: ${problem}`);
+		return false;
+	}
+	systems.set(system.id, {
+		label: system.id,
+		order: 999,
+		inputs: [],
+		variants: [],
+		...system
+	});
+	return true;
+}
+
+for (const [path, module] of Object.entries(systemModules)) {
+	const declared = module.default;
+	if (!declared) {
+		console.warn(`[Scoring] ⚠️ ${path} has no default export`);
+		continue;
+	}
+	for (const system of Array.isArray(declared) ? declared : [declared]) {
+		registerScoringSystem(system);
+	}
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getScoringSystem(id) {
+	return systems.get(id) || null;
+}
+
+/**
+ * @returns {object[]} - Registered systems, in option list order
+ */
+export function listScoringSystems() {
+	return Array.from(systems.values()).sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+}
+
+/**
+ * Option declared with options: 'dynamic:scoring-systems', with the registered
+ * systems as its options and their labels (for option forms)
+ * @param {object} spec - Option from a plugin's config.js
+ * @returns {object} - The option itself when it is not a scoring system list
+ */
+export function expandScoringOptions(spec) {
+	if (spec?.options !== DYNAMIC_SCORING_SYSTEMS) return spec;
+	const listed = listScoringSystems();
+	return {
+		...spec,
+		options: listed.map((system) => system.id),
+		labels: Object.fromEntries(listed.map((system) => [system.id, system.label]))
+	};
+}
+
+function normalizeAthlete({ bodyWeight = null, gender = null, age = null } = {}) {
+	const text = typeof gender === 'string' ? gender.toUpperCase() : '';
+	const normalized = text === 'M' || text === 'F' ? text : text.startsWith('M') ? 'M' : text ? 'F' : null;
+	return { bodyWeight: Number(bodyWeight) || 0, gender: normalized, age: age ?? null };
+}
+
+// Systems that cannot score a total fall back to the default one
+function scoringOf(id) {
+	const system = systems.get(id);
+	return system && !system.placement ? system : systems.get(DEFAULT_SCORING_SYSTEM);
+}
+
+/**
+ * Score of a total
+ * @param {string} id - Scoring system (unknown and placement systems: Sinclair)
+ * @param {number} total - Actual or predicted total
+ * @param {{bodyWeight: number, gender: string, age?: number|null}} athlete
+ * @returns {number} - 0 without a total, bodyweight or gender
+ */
+export function calculateScore(id, total, athlete) {
+	const { bodyWeight, gender, age } = normalizeAthlete(athlete);
+	if (!total || total <= 0 || bodyWeight <= 0 || !gender) return 0;
+	const system = scoringOf(id);
+	if (!system) return 0;
+	const input = { bodyWeight, gender, age };
+	return system.factor ? total * system.factor(input) : system.score(total, input);
+}
+
+/**
+ * Smallest whole total whose score strictly beats a target (at 2 decimals, as displayed)
+ * @param {string} id - Scoring system
+ * @param {number} targetScore
+ * @param {{bodyWeight: number, gender: string, age?: number|null}} athlete
+ * @returns {number|null} - null if the system has no inverse or no total reaches the target
+ */
+export function kgNeeded(id, targetScore, athlete) {
+	const { bodyWeight, gender, age } = normalizeAthlete(athlete);
+	const system = systems.get(id);
+	if (!system || system.placement || bodyWeight <= 0 || !gender || !(targetScore >= 0)) return null;
+	const input = { bodyWeight, gender, age };
+
+	if (system.kgNeeded) {
+		return system.kgNeeded(targetScore, input) || null;
+	}
+	if (!system.factor) return null;
+	const factor = system.factor(input);
+	if (!(factor > 0)) return null;
+
+	const target = Math.round(targetScore * 100) / 100;
+	const beats = (total) => Math.round(total * factor * 100) / 100 > target;
+	let total = Math.max(1, Math.floor(targetScore / factor));
+	while (!beats(total)) {
+		total += 1;
+		if (total > MAX_TOTAL) return null;
+	}
+	while (total > 1 && beats(total - 1)) total -= 1;
+	return total;
+}
@@ -0,0 +1,26 @@
+/**
+ * GAMX scoring systems (see ../scoring-systems.js and ../../gamx2.js)
+ * Not proportional to the total: the kg needed come from the inverse distribution.
+ */
+
+import { computeGamx, kgTarget, Variant } from '../../gamx2.js';
+
+function gamx(id, label, order, variant, variants) {
+	const hasAge = variant !== Variant.SENIOR;
+	return {
+		id,
+		label,
+		order,
+		inputs: hasAge ? ['bodyWeight', 'gender', 'age'] : ['bodyWeight', 'gender'],
+		variants,
+		score: (total, { bodyWeight, gender, age }) => computeGamx(gender, bodyWeight, total, variant, hasAge ? age : null),
+		kgNeeded: (targetScore, { bodyWeight, gender, age }) => kgTarget(gender, targetScore, bodyWeight, variant, hasAge ? age : null)
+	};
+}
+
+export default [
+	gamx('GAMX', 'GAMX', 50, Variant.SENIOR, ['senior']),
+	gamx('GAMX-M', 'GAMX-M (Masters)', 60, Variant.MASTERS, ['masters']),
+	gamx('GAMX-A', 'GAMX-A (Age-adjusted)', 70, Variant.AGE_ADJUSTED, ['senior', 'masters', 'youth']),
+	gamx('GAMX-U', 'GAMX-U (U17)', 80, Variant.U17, ['youth'])
+];
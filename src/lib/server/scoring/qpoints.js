@@ -0,0 +1,24 @@
+/**
+ * Q-Points scoring systems (see ../scoring-systems.js)
+ */
+
+import { getQPointsFactor } from '../../qpoints-coefficients.js';
+
+export default [
+	{
+		id: 'Q-Points',
+		label: 'Q-Points',
+		order: 30,
+		inputs: ['bodyWeight', 'gender'],
+		variants: ['senior', 'youth'],
+		factor: ({ bodyWeight, gender }) => getQPointsFactor(bodyWeight, gender, 0)
+	},
+	{
+		id: 'Q-Masters',
+		label: 'Q-Masters',
+		order: 40,
+		inputs: ['bodyWeight', 'gender', 'age'],
+		variants: ['masters'],
+		factor: ({ bodyWeight, gender, age }) => getQPointsFactor(bodyWeight, gender, age || 0)
+	}
+];
@@ -0,0 +1,25 @@
+/**
+ * Sinclair scoring systems (see ../scoring-systems.js)
+ */
+
+import { CalculateSinclair2020, getMastersAgeFactor, getSinclairFactor } from '../../sinclair-coefficients.js';
+
+export default [
+	{
+		id: 'Sinclair',
+		label: 'Sinclair',
+		order: 10,
+		inputs: ['bodyWeight', 'gender'],
+		variants: ['senior'],
+		factor: ({ bodyWeight, gender }) => getSinclairFactor(bodyWeight, gender)
+	},
+	{
+		// 2020 coefficients with the masters age factors (SMF for men, SMHF for women)
+		id: 'SMHF',
+		label: 'SMHF (Masters Sinclair)',
+		order: 20,
+		inputs: ['bodyWeight', 'gender', 'age'],
+		variants: ['masters'],
+		factor: ({ bodyWeight, gender, age }) => CalculateSinclair2020(1, bodyWeight, gender) * getMastersAgeFactor(age, gender)
+	}
+];
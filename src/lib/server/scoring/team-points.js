@@ -0,0 +1,16 @@
+/**
+ * Team points (see ../scoring-systems.js and ../team-points-formula.js)
+ * Athletes earn points by placement (1st = tp1, 2nd = tp2, ...), not by total.
+ */
+
+import { calculateTeamPoints } from '../team-points-formula.js';
+
+export default {
+	id: 'TeamPoints',
+	label: 'Team Points',
+	order: 90,
+	inputs: [],
+	variants: ['senior', 'masters', 'youth'],
+	placement: true,
+	points: calculateTeamPoints
+};
@@ -0,0 +1,267 @@
+/**
+ * Session recorder for OWLCMS WebSocket traffic
+ *
+ * Unlike learning mode (one sample file per message, no ordering), a recording
+ * captures the complete stream of frames received on /ws, in order, with their
+ * arrival time and the connection lifecycle (open/close). A recording can be
+ * played back with `npm run replay -- <file>` to reproduce a full session
+ * (breaks, ceremonies, GroupDone, binary resources) without a live OWLCMS.
+ *
+ * File format: newline-delimited JSON (one object per line)
+ * - line 1: header  {kind:'header', format, formatVersion, startedAt}
+ * - then:   events  {seq, t, kind, conn, ...}
+ *     t     - milliseconds since the start of the recording
+ *     conn  - connection number (increments on each OWLCMS connection)
+ *     kind  - 'open'   {remote}
+ *             'text'   {data}           raw JSON text frame
+ *             'binary' {data, size}     base64-encoded binary frame
+ *             'close'  {code, reason}
+ *
+ * Enable with RECORD_SESSION=true (files go to RECORDINGS_DIR, default "recordings").
+ */
+
+import { createWriteStream, mkdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+const RECORD_SESSION = process.env.RECORD_SESSION === 'true';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || 'recordings';
+
+export const RECORDING_FORMAT = 'owlcms-tracker-session';
+export const RECORDING_FORMAT_VERSION = 1;
+
+let stream = null;
+let startTime = 0;
+let seq = 0;
+let connectionCounter = 0;
+let recordingFile = null;
+
+/**
+ * Open the recording file on first use
+ * @returns {boolean} - true if recording is active
+ */
+function ensureStream() {
+	if (!RECORD_SESSION) return false;
+	if (stream) return true;
+
+	try {
+		mkdirSync(RECORDINGS_DIR, { recursive: true });
+		const now = new Date();
+		startTime = now.getTime();
+		recordingFile = join(RECORDINGS_DIR, `${formatLocalTimestamp(now)}.owlrec.ndjson`);
+		stream = createWriteStream(recordingFile, { flags: 'a' });
+		stream.on('error', (err) => {
+			console.error('[Recorder] ❌ Unable to write recording:', err.message);
+			stream = null;
+		});
+		writeLine({
+			kind: 'header',
+			format: RECORDING_FORMAT,
+			formatVersion: RECORDING_FORMAT_VERSION,
+			startedAt: now.toISOString()
+		});
+		console.log(`[Recorder] 🎙️ Recording OWLCMS session to ${recordingFile}`);
+		return true;
+	} catch (err) {
+		console.error('[Recorder] ❌ Unable to start recording:', err.message);
+		stream = null;
+		return false;
+	}
+}
+
+function writeLine(entry) {
+	if (!stream) return;
+	stream.write(JSON.stringify(entry) + '\n');
+}
+
+function writeEvent(kind, conn, fields) {
+	writeLine({ seq: seq++, t: Date.now() - startTime, kind, conn, ...fields });
+}
+
+/**
+ * Record a new OWLCMS connection
+ * @param {string} remote - Remote address (informational)
+ * @returns {number|null} - Connection number to pass to recordFrame/recordClose, null if not recording
+ */
+export function recordOpen(remote = '') {
+	if (!ensureStream()) return null;
+	const conn = ++connectionCounter;
+	writeEvent('open', conn, { remote });
+	return conn;
+}
+
+/**
+ * Record a frame exactly as received
+ * @param {number|null} conn - Connection number returned by recordOpen
+ * @param {Buffer|string} data - Frame data
+ * @param {boolean} isBinary - Binary frame flag from ws
+ */
+export function recordFrame(conn, data, isBinary) {
+	if (conn == null || !stream) return;
+	if (isBinary) {
+		const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+		writeEvent('binary', conn, { size: buffer.length, data: buffer.toString('base64') });
+	} else {
+		writeEvent('text', conn, { data: redactUpdateKey(data.toString()) });
+	}
+}
+
+/**
+ * Record the end of a connection
+ * @param {number|null} conn - Connection number returned by recordOpen
+ * @param {number} code - WebSocket close code
+ * @param {Buffer|string} reason - Close reason
+ */
+export function recordClose(conn, code, reason) {
+	if (conn == null || !stream) return;
+	writeEvent('close', conn, { code, reason: reason ? reason.toString() : '' });
+}
+
+/**
+ * Current recording status (for diagnostics)
+ */
+export function getRecordingStatus() {
+	return {
+		enabled: RECORD_SESSION,
+		file: recordingFile,
+		events: seq,
+		connections: connectionCounter
+	};
+}
+
+/**
+ * Remove the shared secret from a text frame before it is written to disk.
+ * The replay tool injects the key of the target tracker instead.
+ * @param {string} text - Raw JSON text frame
+ * @returns {string}
+ */
+export function redactUpdateKey(text) {
+	try {
+		const message = JSON.parse(text);
+		const payload = message?.payload;
+		if (!payload || typeof payload !== 'object') return text;
+		let changed = false;
+		for (const key of ['updateKey', 'update_key', 'updatekey']) {
+			if (Object.prototype.hasOwnProperty.call(payload, key)) {
+				delete payload[key];
+				changed = true;
+			}
+		}
+		return changed ? JSON.stringify(message) : text;
+	} catch {
+		return text;
+	}
+}
+
+/**
+ * Parse the contents of a recording file
+ * @param {string} content - NDJSON recording
+ * @returns {{header: object, events: object[]}}
+ */
+export function parseRecording(content) {
+	const lines = content.split('\n').filter((line) => line.trim().length > 0);
+	if (lines.length === 0) {
+		throw new Error('Recording is empty');
+	}
+
+	const header = JSON.parse(lines[0]);
+	if (header.kind !== 'header' || header.format !== RECORDING_FORMAT) {
+		throw new Error('Not an OWLCMS tracker session recording');
+	}
+	if (header.formatVersion > RECORDING_FORMAT_VERSION) {
+		throw new Error(`Recording format ${header.formatVersion} is newer than supported (${RECORDING_FORMAT_VERSION})`);
+	}
+
+	const events = [];
+	for (let i = 1; i < lines.length; i++) {
+		try {
+			events.push(JSON.parse(lines[i]));
+		} catch {
+			// A crash while recording can leave a truncated last line
+			if (i !== lines.length - 1) {
+				throw new Error(`Invalid recording line ${i + 1}`);
+			}
+		}
+	}
+	events.sort((a, b) => a.seq - b.seq);
+	return { header, events };
+}
+
+/**
+ * Read and parse a recording file
+ * @param {string} filePath - Path to a .owlrec.ndjson file
+ */
+export function readRecording(filePath) {
+	return parseRecording(readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * One-line human readable summary of a recorded event
+ * Text frames show type/uiEvent/fop, binary frames show the embedded type.
+ * @param {object} event - Recorded event
+ * @returns {string}
+ */
+export function describeEvent(event) {
+	switch (event.kind) {
+		case 'open':
+			return `OPEN connection ${event.conn}`;
+		case 'close':
+			return `CLOSE connection ${event.conn} (code ${event.code})`;
+		case 'binary': {
+			const type = peekBinaryType(Buffer.from(event.data, 'base64'));
+			return `BINARY ${type || 'unknown'} (${event.size} bytes)`;
+		}
+		case 'text': {
+			try {
+				const message = JSON.parse(event.data);
+				const type = (message.type || 'other').toUpperCase();
+				const uiEvent = message.payload?.uiEvent ? ` ${message.payload.uiEvent}` : '';
+				const fop = message.payload?.fop ? ` [${message.payload.fop}]` : '';
+				return `${type}${uiEvent}${fop}`;
+			} catch {
+				return 'TEXT (unparseable)';
+			}
+		}
+		default:
+			return event.kind;
+	}
+}
+
+/**
+ * Extract the type string from a binary frame without decoding the payload
+ * Frames are [4-byte length][type UTF-8][payload], older frames may carry a
+ * leading length-prefixed block before the type.
+ * @param {Buffer} data - Binary frame
+ * @returns {string|null}
+ */
+export function peekBinaryType(data) {
+	try {
+		if (data.length >= 8) {
+			const firstLength = data.readUInt32BE(0);
+			let offset = 4 + firstLength;
+			if (data.length >= offset + 4) {
+				const typeLength = data.readUInt32BE(offset);
+				offset += 4;
+				if (data.length >= offset + typeLength) {
+					const typeString = data.slice(offset, offset + typeLength).toString('utf8');
+					if (/^[a-z_]+$/.test(typeString)) return typeString;
+				}
+			}
+		}
+		if (data.length >= 4) {
+			const typeLength = data.readUInt32BE(0);
+			if (data.length >= 4 + typeLength) {
+				return data.slice(4, 4 + typeLength).toString('utf8');
+			}
+		}
+	} catch {
+		// Malformed frame - caller treats as unknown
+	}
+	return null;
+}
+
+function formatLocalTimestamp(now) {
+	const pad = (n, width = 2) => String(n).padStart(width, '0');
+	return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+}
+
+export { RECORD_SESSION, RECORDINGS_DIR };
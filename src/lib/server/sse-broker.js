@@ -5,23 +5,61 @@
  * - Listens to competitionHub events (hub_ready_broadcast, fop_update, etc.)
  * - Maintains a set of send functions for connected clients
  * - Broadcasts events to all connected clients
+ * - With several competitions (see competitions.js), each competition's hub has
+ *   its own listeners and events only reach that competition's clients
+ * - Every event gets an SSE id ("<server run>-<sequence>") and is kept in a
+ *   per-FOP ring buffer, so a browser that reconnects with Last-Event-ID gets
+ *   the events it missed (see eventsSince)
+ * - A sweep every SSE_HEARTBEAT_SECONDS (default 15) sends a keepalive comment,
+ *   so proxies (fly.io edge, nginx) do not close idle streams, and closes clients
+ *   that stopped reading: data waiting longer than SSE_STALL_TIMEOUT_SECONDS
+ *   (default 60) or more than SSE_MAX_QUEUED_KB (default 4096) queued
+ * - Each client's metadata and counters are kept for /api/status (getClientDiagnostics)
+ * - Browser WebSocket clients (see browser-socket.js) are registered here too:
+ *   they follow several FOPs (setClientFops) and identify themselves (updateClient)
  */
 
-import { competitionHub } from './competition-hub.js';
+import { getCompetitionHub, currentCompetitionId, DEFAULT_COMPETITION } from './competitions.js';
+import { anchorTimer } from './timer-anchor.js';
+
+// Events kept per FOP (and for global events) for clients that reconnect
+const REPLAY_BUFFER_SIZE = Number(process.env.SSE_REPLAY_BUFFER) || 100;
+
+// SSE_HEARTBEAT_SECONDS=0 disables the keepalive comments (clients are still checked)
+const HEARTBEAT_SECONDS = process.env.SSE_HEARTBEAT_SECONDS !== undefined ? Number(process.env.SSE_HEARTBEAT_SECONDS) : 15;
+const SWEEP_INTERVAL_MS = (HEARTBEAT_SECONDS > 0 ? HEARTBEAT_SECONDS : 15) * 1000;
+const STALL_TIMEOUT_MS = (Number(process.env.SSE_STALL_TIMEOUT_SECONDS) || 60) * 1000;
+const MAX_QUEUED_BYTES = (Number(process.env.SSE_MAX_QUEUED_KB) || 4096) * 1024;
+const COLON = 0x3a; // SSE comment lines (keepalives) start with ':'
+
+/**
+ * FOPs followed by a client, for logs and diagnostics ('' = global events only)
+ */
+function fopsLabel(client) {
+  return Array.from(client.fops).join('+');
+}
 
 class SSEBroker {
   constructor() {
-    this.clients = new Set(); // Set of { send, connectionId, fopName } objects
-    this.hubListenersAttached = false;
+    this.clients = new Map(); // connectionId → { send, connectionId, fops, competitionId, ...metadata and counters }
+    this.hubListenersAttached = new Set(); // Competitions whose hub has listeners
+    this.runId = Date.now().toString(36); // Event ids from an earlier server run cannot be replayed
+    this.lastEventSeq = 0;
+    this.replayBuffers = new Map(); // competition → Map(fop|null → {events: [{seq, bytes}], evictedSeq})
+    this.sweepTimer = null;
+    this.reaped = { stalled: 0, slowConsumer: 0, sendError: 0 };
   }
 
   /**
-   * Attach listeners to competition hub (called once on first client)
+   * Attach listeners to a competition hub (called once on its first client)
+   * @param {string} competitionId - Competition whose hub is listened to
    */
-  attachHubListeners() {
-    if (this.hubListenersAttached) return;
+  attachHubListeners(competitionId = DEFAULT_COMPETITION) {
+    if (this.hubListenersAttached.has(competitionId)) return;
+    const competitionHub = getCompetitionHub(competitionId);
+    if (!competitionHub) return;
     
-    console.log('[SSE Broker] Attaching hub event listeners');
+    console.log(`[SSE Broker] Attaching hub event listeners${competitionId === DEFAULT_COMPETITION ? '' : ` for competition "${competitionId}"`}`);
 
     competitionHub.on('protocol_error', (eventData) => {
       this.broadcast({
@@ -31,14 +69,14 @@ class SSEBroker {
         minimum: eventData?.minimum || null,
         source: eventData?.source || null,
         timestamp: eventData?.timestamp || Date.now()
-      });
+      }, competitionId);
     });
 
     competitionHub.on('protocol_ok', (eventData) => {
       this.broadcast({
         type: 'protocol_ok',
         timestamp: eventData?.timestamp || Date.now()
-      });
+      }, competitionId);
     });
     
     competitionHub.on('fop_update', (eventData) => {
@@ -47,17 +85,18 @@ class SSEBroker {
         fop: eventData.fop,
         data: eventData.data,
         timestamp: eventData.timestamp
-      });
+      }, competitionId);
     });
 
     competitionHub.on('timer', (eventData) => {
       this.broadcast({
         type: 'timer',
         fop: eventData.fop,
-        timer: eventData.timer,
+        // Server time of timeRemaining, so browsers count down in step (see timer-anchor.js)
+        timer: anchorTimer(competitionId, eventData.fop, 'timer', eventData.timer),
         displayMode: eventData.displayMode,
         timestamp: eventData.timestamp
-      });
+      }, competitionId);
     });
 
     competitionHub.on('decision', (eventData) => {
@@ -67,7 +106,7 @@ class SSEBroker {
         decision: eventData.decision,
         displayMode: eventData.displayMode,
         timestamp: eventData.timestamp
-      });
+      }, competitionId);
     });
 
     competitionHub.on('competition_initialized', (eventData) => {
@@ -75,7 +114,7 @@ class SSEBroker {
         type: 'competition_initialized',
         payload: eventData.payload,
         timestamp: eventData.timestamp
-      });
+      }, competitionId);
     });
 
     competitionHub.on('hub_ready_broadcast', (eventData) => {
@@ -84,7 +123,7 @@ class SSEBroker {
         type: 'hub_ready',
         message: eventData.message,
         timestamp: eventData.timestamp
-      });
+      }, competitionId);
     });
 
     competitionHub.on('waiting', (eventData) => {
@@ -92,51 +131,183 @@ class SSEBroker {
         type: 'waiting',
         message: eventData.message,
         timestamp: eventData.timestamp
-      });
+      }, competitionId);
     });
 
-    this.hubListenersAttached = true;
+    this.hubListenersAttached.add(competitionId);
   }
 
   /**
    * Register a new SSE client connection
    * @param {Function} sendFn - Function to send data to this client
    * @param {string} connectionId - Unique connection identifier
-   * @param {string|null} fopName - FOP name to filter events (null = global events only)
+   * @param {string|string[]|null} fopName - FOP name(s) to filter events (null = global events only)
+   * @param {string} competitionId - Competition the client displays (default: current request's)
+   * @param {Object} info - Client details for diagnostics and reaping
+   * @param {string} [info.remoteAddress] - Address of the display
+   * @param {string} [info.userAgent] - Browser user agent
+   * @param {string} [info.language] - Requested language
+   * @param {string} [info.scoreboard] - Scoreboard query pushed to the client
+   * @param {string} [info.transport] - 'sse' (default) or 'websocket'
+   * @param {() => number} [info.queuedBytes] - Bytes written but not yet read by the client
+   * @param {() => void} [info.close] - Closes the stream (used to reap dead clients)
    * @returns {Function} Unregister function
    */
-  registerClient(sendFn, connectionId, fopName = null) {
-    // Attach hub listeners on first client
-    if (!this.hubListenersAttached) {
-      this.attachHubListeners();
-    }
+  registerClient(sendFn, connectionId, fopName = null, competitionId = currentCompetitionId(), info = {}) {
+    // Attach hub listeners on first client of the competition
+    this.attachHubListeners(competitionId);
     
-    const client = { send: sendFn, connectionId, fopName };
-    this.clients.add(client);
+    const { queuedBytes = null, close = null, ...details } = info;
+    const client = {
+      send: sendFn,
+      connectionId,
+      fops: new Set(Array.isArray(fopName) ? fopName : fopName ? [fopName] : []),
+      competitionId,
+      transport: 'sse',
+      ...details,
+      queuedBytes,
+      close,
+      connectedAt: Date.now(),
+      bytesSent: 0,
+      eventsSent: 0,
+      lastWriteAt: null,
+      stalledSince: null
+    };
+    this.clients.set(connectionId, client);
+    this.startSweep();
     
-    const fopLabel = fopName ? `FOP ${fopName}` : 'GLOBAL';
+    const fopLabel = client.fops.size > 0 ? `FOP ${fopsLabel(client)}` : 'GLOBAL';
     console.log(`[SSE Broker] ✓ Client ${connectionId} CONNECTED to ${fopLabel}`);
     this.logClientDistribution('After connect');
     
     return () => {
-      this.clients.delete(client);
+      if (this.clients.get(connectionId) === client) {
+        this.clients.delete(connectionId);
+      }
       console.log(`[SSE Broker] ✗ Client ${connectionId} DISCONNECTED`);
       this.logClientDistribution('After disconnect');
     };
   }
 
+  /**
+   * Change the FOPs a client follows (browser WebSocket subscriptions)
+   * @param {string} connectionId - Client connection
+   * @param {Iterable<string>} fops - FOP names (empty = global events only)
+   */
+  setClientFops(connectionId, fops) {
+    const client = this.clients.get(connectionId);
+    if (!client) return;
+    client.fops = new Set(fops);
+    console.log(`[SSE Broker] Client ${connectionId} now follows ${client.fops.size > 0 ? `FOP ${fopsLabel(client)}` : 'GLOBAL'}`);
+  }
+
+  /**
+   * Add details reported by a client after connecting (shown in getClientDiagnostics)
+   * @param {string} connectionId - Client connection
+   * @param {Object} details - e.g. {clientId, name, lastAck}
+   */
+  updateClient(connectionId, details) {
+    const client = this.clients.get(connectionId);
+    if (!client) return;
+    Object.assign(client, details);
+  }
+
+  /**
+   * Send a message to some clients only (display commands, see display-registry.js)
+   * Not an event: it has no id and is not replayed.
+   * @param {(client: Object) => boolean} filter - Selects the clients
+   * @param {Object} message - Message to send
+   * @returns {number} - Clients reached
+   */
+  sendToClients(filter, message) {
+    const bytes = new TextEncoder().encode(`data: ${JSON.stringify(message)}\n\n`);
+    let sent = 0;
+    for (const client of Array.from(this.clients.values())) {
+      if (!filter(client)) continue;
+      try {
+        client.send(bytes);
+        sent++;
+      } catch (error) {
+        this.reap(client, 'sendError', error.message);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Messages a new connection gets before the events: current state (with the id
+   * of the last event, to resume from), protocol status, hub_ready, translations
+   * @param {Object} competitionHub - Hub of the client's competition
+   * @param {string} language - Requested language (falls back to 'en')
+   * @returns {{message: Object, eventId: string|null}[]}
+   */
+  initialMessages(competitionHub, language = 'en') {
+    const messages = [];
+    const currentState = competitionHub.getState();
+    messages.push({
+      message: currentState
+        ? { type: 'state_update', data: currentState, timestamp: Date.now() }
+        : { type: 'waiting', message: 'No competition data available yet', timestamp: Date.now() },
+      eventId: this.currentEventId()
+    });
+
+    // A protocol error latched before this client connected; otherwise say the protocol
+    // is OK so clients can clear any stale UI state
+    const protocolError = typeof competitionHub.getProtocolError === 'function'
+      ? competitionHub.getProtocolError()
+      : null;
+    messages.push({
+      message: protocolError
+        ? {
+          type: 'protocol_error',
+          reason: protocolError.reason,
+          received: protocolError.received,
+          minimum: protocolError.minimum,
+          source: protocolError.source,
+          timestamp: protocolError.timestamp || Date.now()
+        }
+        : { type: 'protocol_ok', timestamp: Date.now() },
+      eventId: null
+    });
+
+    // If hub is already ready, explicitly send hub_ready so browser knows to fetch data
+    if (competitionHub.isReady()) {
+      messages.push({
+        message: { type: 'hub_ready', message: 'Hub ready - reconnected with data available', timestamp: Date.now() },
+        eventId: null
+      });
+    }
+
+    // Translations for the requested language, English if not available
+    for (const locale of language === 'en' ? ['en'] : [language, 'en']) {
+      const translations = competitionHub.getTranslations(locale);
+      if (translations && Object.keys(translations).length > 0) {
+        if (locale !== language) {
+          console.log(`[SSE Broker] Language '${language}' not available, falling back to 'en'`);
+        }
+        messages.push({
+          message: { type: 'translations', locale, data: translations, keyCount: Object.keys(translations).length, timestamp: Date.now() },
+          eventId: null
+        });
+        break;
+      }
+    }
+    return messages;
+  }
+
   /**
    * Broadcast message to connected clients (optimized with FOP filtering)
    * Serializes JSON once and encodes once, then sends same bytes to matching clients
    * 
    * FOP Filtering Rules:
    * - message.fop is null (global event) → send to ALL clients
-   * - message.fop is set → send only to clients where client.fopName === message.fop
-   * - client.fopName is null → only receives global events (message.fop is null)
+   * - message.fop is set → send only to clients whose client.fops contains message.fop
+   * - client.fops is empty → only receives global events (message.fop is null)
+   * Only clients of the given competition receive the message.
+   * @param {Object} message - Event to send
+   * @param {string} competitionId - Competition the event belongs to
    */
-  broadcast(message) {
-    if (this.clients.size === 0) return;
-
+  broadcast(message, competitionId = DEFAULT_COMPETITION) {
     const eventFop = message.fop || null;  // null = global event
 
     // Serialize JSON once for all clients
@@ -149,37 +320,45 @@ class SSEBroker {
     }
 
     // Format SSE message once
-    const sseMessage = `data: ${jsonString}\n\n`;
+    const seq = ++this.lastEventSeq;
+    const sseMessage = `id: ${this.runId}-${seq}\ndata: ${jsonString}\n\n`;
 
     // Encode to bytes once
     const encoder = new TextEncoder();
     const encodedBytes = encoder.encode(sseMessage);
 
+    // Kept even without clients: a browser that just lost its connection will ask for it
+    this.remember(competitionId, eventFop, seq, encodedBytes);
+    if (this.clients.size === 0) return;
+
     // Track recipients per FOP for logging
     const recipientsByFop = {};
     let globalRecipients = 0;
 
     // Send to matching clients only
-    for (const client of this.clients) {
+    for (const client of this.clients.values()) {
+      if (client.competitionId !== competitionId) continue;
+
       // FOP filtering:
       // - Global events (eventFop === null) go to everyone
       // - FOP-specific events go only to clients subscribed to that FOP
       const isGlobalEvent = eventFop === null;
-      const clientMatchesFop = client.fopName === eventFop;
+      const clientMatchesFop = client.fops.has(eventFop);
       
       if (isGlobalEvent || clientMatchesFop) {
         try {
           client.send(encodedBytes);
           
           // Track for logging
-          if (client.fopName === null) {
+          if (client.fops.size === 0) {
             globalRecipients++;
           } else {
-            recipientsByFop[client.fopName] = (recipientsByFop[client.fopName] || 0) + 1;
+            const fop = isGlobalEvent ? fopsLabel(client) : eventFop;
+            recipientsByFop[fop] = (recipientsByFop[fop] || 0) + 1;
           }
         } catch (error) {
           console.error(`[SSE Broker] Error sending to client ${client.connectionId}:`, error.message);
-          this.clients.delete(client);
+          this.reap(client, 'sendError');
         }
       }
     }
@@ -203,6 +382,164 @@ class SSEBroker {
     }
   }
 
+  /**
+   * Keep an event in the ring buffer of its competition and FOP
+   * @param {string} competitionId - Competition the event belongs to
+   * @param {string|null} fop - FOP of the event (null = global event)
+   * @param {number} seq - Event sequence number
+   * @param {Uint8Array} bytes - Encoded SSE message
+   */
+  remember(competitionId, fop, seq, bytes) {
+    let buffers = this.replayBuffers.get(competitionId);
+    if (!buffers) {
+      buffers = new Map();
+      this.replayBuffers.set(competitionId, buffers);
+    }
+    let ring = buffers.get(fop);
+    if (!ring) {
+      ring = { events: [], evictedSeq: 0 };
+      buffers.set(fop, ring);
+    }
+    ring.events.push({ seq, bytes });
+    if (ring.events.length > REPLAY_BUFFER_SIZE) {
+      ring.evictedSeq = ring.events.shift().seq;
+    }
+  }
+
+  /**
+   * Id of the last event sent, for the initial state of a new connection
+   * @returns {string}
+   */
+  currentEventId() {
+    return `${this.runId}-${this.lastEventSeq}`;
+  }
+
+  /**
+   * Events missed by a reconnecting client
+   * @param {string|null} lastEventId - Last-Event-ID sent by the browser
+   * @param {string} competitionId - Competition the client displays
+   * @param {string|string[]|null} fopName - FOP(s) of the client (null = global events only)
+   * @returns {Uint8Array[]|null} - Encoded events to resend in order, or null if they
+   *   are not all available anymore (unknown id, earlier server run, buffer overrun):
+   *   the client then needs the full state
+   */
+  eventsSince(lastEventId, competitionId, fopName) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId || '');
+    if (!match || match[1] !== this.runId) return null;
+    const since = Number(match[2]);
+    if (since > this.lastEventSeq) return null;
+
+    const buffers = this.replayBuffers.get(competitionId);
+    const events = [];
+    const fops = Array.isArray(fopName) ? fopName : fopName ? [fopName] : [];
+    for (const fop of [null, ...fops]) {
+      const ring = buffers?.get(fop);
+      if (!ring) continue;
+      if (ring.evictedSeq > since) return null;
+      events.push(...ring.events.filter((event) => event.seq > since));
+    }
+    return events.sort((a, b) => a.seq - b.seq).map((event) => event.bytes);
+  }
+
+  /**
+   * Count a write to a client's stream (called by the stream for every chunk it queues)
+   * @param {string} connectionId - Client connection
+   * @param {Uint8Array} bytes - Chunk written (keepalive comments are not counted as events)
+   */
+  recordWrite(connectionId, bytes) {
+    const client = this.clients.get(connectionId);
+    if (!client) return;
+    client.bytesSent += bytes.byteLength;
+    if (bytes[0] !== COLON) client.eventsSent++;
+    client.lastWriteAt = Date.now();
+  }
+
+  /**
+   * Start the heartbeat/reaping sweep (once, on the first client)
+   */
+  startSweep() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Close clients that stopped reading, send a keepalive to the others
+   */
+  sweep() {
+    const now = Date.now();
+    const heartbeat = HEARTBEAT_SECONDS > 0 ? new TextEncoder().encode(`: heartbeat ${now}\n\n`) : null;
+    for (const client of Array.from(this.clients.values())) {
+      const queued = client.queuedBytes?.() ?? 0;
+      if (queued <= 0) {
+        client.stalledSince = null;
+      } else if (client.stalledSince === null) {
+        client.stalledSince = now;
+      }
+
+      if (queued > MAX_QUEUED_BYTES) {
+        this.reap(client, 'slowConsumer', `${Math.round(queued / 1024)} KB not read`);
+      } else if (client.stalledSince !== null && now - client.stalledSince > STALL_TIMEOUT_MS) {
+        this.reap(client, 'stalled', `nothing read for ${Math.round((now - client.stalledSince) / 1000)}s`);
+      } else if (heartbeat) {
+        try {
+          client.send(heartbeat);
+        } catch (error) {
+          this.reap(client, 'sendError', error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop a dead client and close its stream
+   * @param {Object} client - Registered client
+   * @param {'stalled'|'slowConsumer'|'sendError'} reason - Counter in getMetrics().reaped
+   * @param {string} [detail] - Logged explanation
+   */
+  reap(client, reason, detail = '') {
+    if (this.clients.get(client.connectionId) !== client) return;
+    this.clients.delete(client.connectionId);
+    this.reaped[reason]++;
+    const where = client.remoteAddress ? ` (${client.remoteAddress}, FOP ${fopsLabel(client) || 'global'})` : '';
+    console.warn(`[SSE Broker] ⚠️ Closing client ${client.connectionId}${where}: ${reason}${detail ? ` - ${detail}` : ''}`);
+    try {
+      client.close?.();
+    } catch {
+      // Stream already closed
+    }
+  }
+
+  /**
+   * Per-client diagnostics for /api/status: which displays are actually live
+   * @returns {Object[]}
+   */
+  getClientDiagnostics() {
+    const now = Date.now();
+    return Array.from(this.clients.values()).map((client) => ({
+      connectionId: client.connectionId,
+      competition: client.competitionId,
+      fop: fopsLabel(client) || null,
+      transport: client.transport,
+      clientId: client.clientId || null,
+      name: client.name || null,
+      page: client.page || null,
+      language: client.language || null,
+      scoreboard: client.scoreboard || null,
+      remoteAddress: client.remoteAddress || null,
+      userAgent: client.userAgent || null,
+      connectedAt: new Date(client.connectedAt).toISOString(),
+      connectedSeconds: Math.round((now - client.connectedAt) / 1000),
+      bytesSent: client.bytesSent,
+      eventsSent: client.eventsSent,
+      lastWriteAt: client.lastWriteAt ? new Date(client.lastWriteAt).toISOString() : null,
+      queuedBytes: client.queuedBytes?.() ?? 0,
+      stalledSeconds: client.stalledSince ? Math.round((now - client.stalledSince) / 1000) : 0,
+      lastAck: client.lastAck || null,
+      lastAckAt: client.lastAckAt ? new Date(client.lastAckAt).toISOString() : null
+    }));
+  }
+
   /**
    * Get detailed FOP distribution stats
    * @returns {Object} Stats with fopCounts, globalCount, totalClients
@@ -211,11 +548,13 @@ class SSEBroker {
     const fopCounts = {};
     let globalCount = 0;
 
-    for (const client of this.clients) {
-      if (client.fopName === null) {
+    for (const client of this.clients.values()) {
+      if (client.fops.size === 0) {
         globalCount++;
       } else {
-        fopCounts[client.fopName] = (fopCounts[client.fopName] || 0) + 1;
+        for (const fop of client.fops) {
+          fopCounts[fop] = (fopCounts[fop] || 0) + 1;
+        }
       }
     }
 
@@ -248,7 +587,11 @@ class SSEBroker {
    */
   getMetrics() {
     return {
-      activeClients: this.clients.size
+      activeClients: this.clients.size,
+      heartbeatSeconds: HEARTBEAT_SECONDS,
+      stallTimeoutSeconds: STALL_TIMEOUT_MS / 1000,
+      maxQueuedBytes: MAX_QUEUED_BYTES,
+      reaped: { ...this.reaped }
     };
   }
 }
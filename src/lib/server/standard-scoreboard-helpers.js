@@ -14,25 +14,16 @@ import { getFlagUrl } from '$lib/server/flag-resolver.js';
 import { buildCacheKey, registerCache } from '$lib/server/cache-utils.js';
 import { extractTimerAndDecisionState } from '$lib/server/timer-decision-helpers.js';
 import { computeAttemptBarVisibility } from '$lib/server/attempt-bar-visibility.js';
+import { computeKgNeeded } from '$lib/server/kg-needed.js';
 import { formatMessage } from '@owlcms/tracker-core/utils';
+import { isBreakMode } from '$lib/board-modes.js';
 
 // Shared cache for all standard scoreboards (keyed by scoreboard type + fop + options)
 const scoreboardCache = new Map();
 registerCache(scoreboardCache);
 
-/**
- * Check if we're in a break mode
- * @param {string} mode - Board mode from fopUpdate
- * @returns {boolean}
- */
-export function isBreakMode(mode) {
-	return mode === 'INTERRUPTION' || 
-	       mode === 'INTRO_COUNTDOWN' || 
-	       mode === 'LIFT_COUNTDOWN' || 
-	       mode === 'LIFT_COUNTDOWN_CEREMONY' || 
-	       mode === 'SESSION_DONE' || 
-	       mode === 'CEREMONY';
-}
+// Also needed in the browser (playlists), so kept in $lib/board-modes.js
+export { isBreakMode };
 
 /**
  * Build sessionInfo string using tracker translations (not OWLCMS sessionInfo which uses OWLCMS language)
@@ -199,7 +190,7 @@ export function getFopUpdate(fopName = 'A') {
  * Get formatted scoreboard data for SSR/API (SERVER-SIDE ONLY)
  * @param {string} scoreboardType - One of: 'lifting-order', 'session-results', 'rankings'
  * @param {string} fopName - FOP name (default: 'A')
- * @param {Object} options - User preferences (e.g., { showRecords: true })
+ * @param {Object} options - User preferences (e.g., { showRecords: true, showKgNeeded: true, scoringSystem: 'GAMX' })
  * @returns {Object} Formatted data ready for browser consumption
  */
 export function getScoreboardData(scoreboardType, fopName = 'A', options = {}) {
@@ -211,6 +202,7 @@ export function getScoreboardData(scoreboardType, fopName = 'A', options = {}) {
 	const fopUpdate = getFopUpdate(fopName);
 	const databaseState = getDatabaseState();
 	const showRecords = options.showRecords ?? true;
+	const showKgNeeded = options.showKgNeeded === true || options.showKgNeeded === 'true';
 	const learningMode = process.env.LEARNING_MODE === 'true' ? 'enabled' : 'disabled';
 	const sessionStatus = competitionHub.getSessionStatus(fopName);
 	
@@ -301,14 +293,19 @@ export function getScoreboardData(scoreboardType, fopName = 'A', options = {}) {
 			message: 'Waiting for competition update from OWLCMS...',
 			lastUpdate: fopUpdate?.lastUpdate || Date.now(),
 			learningMode,
-			options: { showRecords },
+			options: { showRecords, showKgNeeded },
 			resultRows: 0,
 			leaderRows: 0
 		};
 	}
 	
+	// Kg needed for the lead, a medal and the best lifter, against the athletes of this session
+	const kgNeeded = showKgNeeded
+		? computeKgNeeded(athleteEntries, { scoringSystem: options.scoringSystem })
+		: new Map();
+
 	// Process athletes with flags and normalized arrays
-	let athletesWithFlags = processAthletes(athleteEntries);
+	let athletesWithFlags = processAthletes(athleteEntries, kgNeeded);
 	
 	// Apply sort strategy if needed
 	if (config.sortStrategy === 'byRank') {
@@ -376,7 +373,7 @@ export function getScoreboardData(scoreboardType, fopName = 'A', options = {}) {
 		message,
 		attemptBarClass,
 		lastUpdate: fopUpdate?.lastUpdate || Date.now(),
-		options: { showRecords },
+		options: { showRecords, showKgNeeded },
 		// translations,  // Remove full translation dict - use headers instead
 		headers // Include pre-translated headers (only ~150 bytes)
 	};
@@ -579,14 +576,19 @@ function stripToDisplayFields(athlete) {
 		
 		// Visual state
 		classname: athlete.classname,
-		flagUrl: athlete.flagUrl
+		flagUrl: athlete.flagUrl,
+
+		// Projections (only when showKgNeeded is on)
+		kgNeeded: athlete.kgNeeded
 	};
 }
 
 /**
  * Process athletes with flags and normalized attempt arrays
+ * @param {Array} entries - Athlete entries from the hub
+ * @param {Map} kgNeeded - Projections by athlete key (see kg-needed.js)
  */
-function processAthletes(entries) {
+function processAthletes(entries, kgNeeded = new Map()) {
 	return entries.map(entry => {
 		if (!entry || entry.isSpacer) return { isSpacer: true };
 		
@@ -602,7 +604,8 @@ function processAthletes(entries) {
 			classname,
 			sattempts,
 			cattempts,
-			flagUrl: getFlagUrl(entry.teamName, true)
+			flagUrl: getFlagUrl(entry.teamName, true),
+			kgNeeded: kgNeeded.get(String(entry.key ?? entry.athleteKey)) || null
 		};
 		
 		// Strip to display fields only for cloud efficiency
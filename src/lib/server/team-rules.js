@@ -0,0 +1,290 @@
+/**
+ * Team rule sets - how a team competition is scored, declared as data
+ *
+ * Each rule set is declared by a module in src/lib/server/team-rules/ (default export:
+ * a rule set or an array of rule sets), found at build time like the scoring systems:
+ *   {
+ *     id: 'IWF',                               // value of the teamRules option
+ *     label: 'IWF team classification',
+ *     order: 20,                               // position in option lists
+ *     eligibility: { teamMembersOnly: true },  // guests (not team members) never count
+ *     counting: {
+ *       best: 8,                               // best N athletes of a team; or per selection:
+ *                                              // { M: 8, F: 8, MF: { M: 4, F: 4 } }; none = all
+ *       maxPerCategory: 2,                     // at most N athletes of a team per category
+ *       minCategories: 3                       // categories a team must cover to be classified
+ *     },
+ *     points: {                                // placement scoring systems (TeamPoints)
+ *       table: [28, 25, 23, 22],               // points by place, 0 beyond; none = tp1/tp2/tp3
+ *       lifts: 'separate'                      // 'total', 'separate' (snatch, C&J and total)
+ *     },                                       // or 'competition' (OWLCMS setting)
+ *     tieBreakers: ['firstPlaces', 'secondPlaces', 'thirdPlaces', 'bestScore', 'predicted']
+ *   }
+ * A rule set with fromOptions: true (Default) leaves the counting to the scoreboard
+ * options (allAthletes, topM, topF, topMFm, topMFf). A federation's rules are one more
+ * module in that folder, or export const teamRuleSets = [...] in a runtime plugin's config.js.
+ *
+ * Team plugins (live scoreboards and documents) pick a rule set with an option declared
+ * with options: 'dynamic:team-rules' and score their teams with the functions below.
+ */
+
+const ruleSetModules = import.meta.glob('./team-rules/*.js', { eager: true });
+
+export const DYNAMIC_TEAM_RULES = 'dynamic:team-rules';
+export const DEFAULT_TEAM_RULES = 'Default';
+const LIFTS = ['competition', 'total', 'separate'];
+const TIE_BREAKERS = ['firstPlaces', 'secondPlaces', 'thirdPlaces', 'bestScore', 'predicted'];
+const PLACES = ['firstPlaces', 'secondPlaces', 'thirdPlaces'];
+
+// Shared through globalThis: rule sets of runtime plugins outlive a module copy reloaded by Vite HMR
+if (!globalThis.__teamRuleSets) {
+	globalThis.__teamRuleSets = new Map(); // id → rule set
+}
+const ruleSets = globalThis.__teamRuleSets;
+
+function isCount(value) {
+	return Number.isInteger(value) && value >= 0;
+}
+
+function bestProblem(best) {
+	if (best === undefined || isCount(best)) return null;
+	if (!best || typeof best !== 'object') return 'counting.best must be a number or {M, F, MF}';
+	for (const [selection, count] of Object.entries(best)) {
+		if (!['M', 'F', 'MF'].includes(selection)) return `counting.best: unknown selection ${selection} (use M, F, MF)`;
+		if (isCount(count)) continue;
+		const perGender = count && typeof count === 'object' && Object.entries(count).every(([gender, n]) => ['M', 'F'].includes(gender) && isCount(n));
+		if (selection !== 'MF' || !perGender) return `counting.best.${selection} must be a number${selection === 'MF' ? ' or {M, F}' : ''}`;
+	}
+	return null;
+}
+
+/**
+ * Check a rule set declaration
+ * @param {object} ruleSet
+ * @returns {string|null} - Problem, null if valid
+ */
+export function teamRuleSetProblem(ruleSet) {
+	if (!ruleSet || typeof ruleSet !== 'object') return 'a team rule set must be an object';
+	if (typeof ruleSet.id !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(ruleSet.id)) return 'id may only contain letters, digits, - and _';
+	const { counting = {}, points = {}, tieBreakers = [] } = ruleSet;
+	const best = bestProblem(counting.best);
+	if (best) return `${ruleSet.id}: ${best}`;
+	for (const key of ['maxPerCategory', 'minCategories']) {
+		if (counting[key] !== undefined && !isCount(counting[key])) return `${ruleSet.id}: counting.${key} must be a whole number`;
+	}
+	if (points.table !== undefined && (!Array.isArray(points.table) || !points.table.every((value) => typeof value === 'number' && value >= 0))) {
+		return `${ruleSet.id}: points.table must be a list of points by place`;
+	}
+	if (points.lifts !== undefined && !LIFTS.includes(points.lifts)) return `${ruleSet.id}: points.lifts must be one of ${LIFTS.join(', ')}`;
+	if (!Array.isArray(tieBreakers)) return `${ruleSet.id}: tieBreakers must be a list`;
+	const unknown = tieBreakers.filter((tieBreaker) => !TIE_BREAKERS.includes(tieBreaker));
+	if (unknown.length > 0) return `${ruleSet.id}: unknown tie-breakers ${unknown.join(', ')} (use ${TIE_BREAKERS.join(', ')})`;
+	return null;
+}
+
+/**
+ * Register a team rule set (an existing id is replaced)
+ * @param {object} ruleSet - See the module comment
+ * @returns {boolean} - false if the declaration is invalid (logged)
+ */
+export function registerTeamRuleSet(ruleSet) {
+	const problem = teamRuleSetProblem(ruleSet);
+	if (problem) {
+		console.warn(`[TeamRules] ⚠️ Team rule set not registered: ${problem}`);
+		return false;
+	}
+	ruleSets.set(ruleSet.id, {
+		label: ruleSet.id,
+		order: 999,
+		eligibility: {},
+		counting: {},
+		points: {},
+		tieBreakers: [],
+		...ruleSet
+	});
+	return true;
+}
+
+for (const [path, module] of Object.entries(ruleSetModules)) {
+	const declared = module.default;
+	if (!declared) {
+		console.warn(`[TeamRules] ⚠️ ${path} has no default export`);
+		continue;
+	}
+	for (const ruleSet of Array.isArray(declared) ? declared : [declared]) {
+		registerTeamRuleSet(ruleSet);
+	}
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getTeamRuleSet(id) {
+	return ruleSets.get(id) || null;
+}
+
+/**
+ * @returns {object[]} - Registered rule sets, in option list order
+ */
+export function listTeamRuleSets() {
+	return Array.from(ruleSets.values()).sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+}
+
+/**
+ * Option declared with options: 'dynamic:team-rules', with the registered rule sets
+ * as its options and their labels (for option forms)
+ * @param {object} spec - Option from a plugin's config.js
+ * @returns {object} - The option itself when it is not a rule set list
+ */
+export function expandTeamRuleOptions(spec) {
+	if (spec?.options !== DYNAMIC_TEAM_RULES) return spec;
+	const listed = listTeamRuleSets();
+	return {
+		...spec,
+		options: listed.map((ruleSet) => ruleSet.id),
+		labels: Object.fromEntries(listed.map((ruleSet) => [ruleSet.id, ruleSet.label]))
+	};
+}
+
+function genderOf(athlete) {
+	const text = String(athlete.gender || '').toUpperCase();
+	return text.startsWith('M') ? 'M' : text ? 'F' : null;
+}
+
+function keyOf(athlete) {
+	const key = athlete.athleteKey ?? athlete.key;
+	return key === undefined || key === null ? '' : String(key).trim();
+}
+
+function categoryOf(athlete) {
+	return athlete.categoryCode || athlete._originalDto?.categoryCode || athlete.category || '';
+}
+
+/**
+ * Whether an athlete may count for the team
+ * @param {object} athlete - Team athlete (teamMember, or participations from the database)
+ * @param {object} ruleSet
+ * @returns {boolean}
+ */
+export function isEligible(athlete, ruleSet) {
+	if (!ruleSet?.eligibility?.teamMembersOnly) return true;
+	const teamMember = athlete.teamMember ?? athlete.participations?.[0]?.teamMember ?? athlete._originalDto?.participations?.[0]?.teamMember;
+	// Unknown counts as a member (no participation data for the athlete)
+	return teamMember !== false;
+}
+
+/**
+ * Whether snatch, clean & jerk and total places all earn points
+ * @param {object} ruleSet
+ * @param {object} competition - Competition settings (snatchCJTotalMedals)
+ * @returns {boolean}
+ */
+export function separateLiftPoints(ruleSet, competition = {}) {
+	const lifts = ruleSet?.points?.lifts || 'competition';
+	return lifts === 'competition' ? competition?.snatchCJTotalMedals === true : lifts === 'separate';
+}
+
+/**
+ * Points of a place, with the signature of the placement scoring systems
+ * (rank, liftValue, teamMember, tp1, tp2, tp3)
+ * @param {object} ruleSet
+ * @param {Function} formula - The placement system's points (tp1/tp2/tp3 formula)
+ * @returns {Function}
+ */
+export function placePoints(ruleSet, formula) {
+	const table = ruleSet?.points?.table;
+	if (!table) return formula;
+	return (rank, liftValue, teamMember) => {
+		if (!rank || rank <= 0 || !liftValue || liftValue <= 0 || teamMember !== true) return 0;
+		return table[rank - 1] || 0;
+	};
+}
+
+// Limit of the counting rules for the selection: a number, {M, F} or null (all)
+function bestLimit(best, gender) {
+	if (best === undefined || best === null) return null;
+	if (isCount(best)) return best;
+	const limit = best[gender];
+	return limit === undefined ? null : limit;
+}
+
+/**
+ * Athletes counting for a team
+ * Eligible athletes with a score, best first, within the team size and category limits.
+ * @param {object[]} athletes - Team athletes
+ * @param {object} params
+ * @param {object} params.ruleSet
+ * @param {string} params.gender - Selection: 'M', 'F' or 'MF'
+ * @param {Function} params.scoreOf - Score (or points) of an athlete
+ * @param {Function} [params.compare] - Order of the athletes, best first (default: by score)
+ * @returns {Set<string>} - Keys of the contributors
+ */
+export function selectContributors(athletes, { ruleSet, gender, scoreOf, compare = (a, b) => scoreOf(b) - scoreOf(a) }) {
+	const limit = bestLimit(ruleSet?.counting?.best, gender);
+	const maxPerCategory = ruleSet?.counting?.maxPerCategory;
+	const ranked = athletes.filter((athlete) => isEligible(athlete, ruleSet) && scoreOf(athlete) > 0).sort(compare);
+
+	const contributors = new Set();
+	const perCategory = new Map();
+	const perGender = { M: 0, F: 0 };
+	for (const athlete of ranked) {
+		const category = categoryOf(athlete);
+		const athleteGender = genderOf(athlete);
+		if (maxPerCategory !== undefined && (perCategory.get(category) || 0) >= maxPerCategory) continue;
+		if (typeof limit === 'number' && contributors.size >= limit) break;
+		if (limit && typeof limit === 'object' && perGender[athleteGender] >= (limit[athleteGender] ?? Infinity)) continue;
+		contributors.add(keyOf(athlete));
+		perCategory.set(category, (perCategory.get(category) || 0) + 1);
+		if (athleteGender) perGender[athleteGender] += 1;
+	}
+	return contributors;
+}
+
+/**
+ * What the tie-breakers and the classification look at for a team
+ * @param {object[]} contributors - Athletes counting for the team
+ * @param {object} params
+ * @param {object} params.ruleSet
+ * @param {Function} params.scoreOf - Score (or points) of an athlete
+ * @param {boolean} [params.separateLifts] - Snatch and clean & jerk places count as well
+ * @returns {{places: number[], categories: number, classified: boolean, bestScore: number}}
+ *   places: number of first, second and third places
+ */
+export function teamStanding(contributors, { ruleSet, scoreOf, separateLifts = false }) {
+	const places = [0, 0, 0];
+	const categories = new Set();
+	let bestScore = 0;
+	for (const athlete of contributors) {
+		const ranks = separateLifts ? [athlete.snatchRank, athlete.cleanJerkRank, athlete.totalRank] : [athlete.totalRank];
+		for (const rank of ranks) {
+			const place = parseInt(rank, 10) || 0;
+			if (place >= 1 && place <= places.length) places[place - 1] += 1;
+		}
+		categories.add(categoryOf(athlete));
+		bestScore = Math.max(bestScore, scoreOf(athlete));
+	}
+	const minCategories = ruleSet?.counting?.minCategories || 0;
+	return { places, categories: categories.size, classified: categories.size >= minCategories, bestScore };
+}
+
+/**
+ * Order of the teams: classified teams first, then by score, then by the tie-breakers
+ * @param {object} a - Team with teamScore, teamNextScore, teamName and the teamStanding fields
+ * @param {object} b
+ * @param {object} ruleSet
+ * @returns {number}
+ */
+export function compareTeams(a, b, ruleSet) {
+	if (a.classified !== b.classified) return a.classified ? -1 : 1;
+	if (b.teamScore !== a.teamScore) return b.teamScore - a.teamScore;
+	for (const tieBreaker of ruleSet?.tieBreakers || []) {
+		const place = PLACES.indexOf(tieBreaker);
+		let difference = 0;
+		if (place >= 0) difference = (b.places?.[place] || 0) - (a.places?.[place] || 0);
+		else if (tieBreaker === 'bestScore') difference = (b.bestScore || 0) - (a.bestScore || 0);
+		else if (tieBreaker === 'predicted') difference = (b.teamNextScore || 0) - (a.teamNextScore || 0);
+		if (difference !== 0) return difference;
+	}
+	return String(a.teamName || '').localeCompare(String(b.teamName || ''));
+}
@@ -0,0 +1,12 @@
+/**
+ * Default team rules (see ../team-rules.js)
+ * The scoreboard options decide: allAthletes, topM, topF, topMFm, topMFf, or the
+ * team sizes set in OWLCMS with team points.
+ */
+
+export default {
+	id: 'Default',
+	label: 'Scoreboard options',
+	order: 10,
+	fromOptions: true
+};
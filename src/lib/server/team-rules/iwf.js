@@ -0,0 +1,19 @@
+/**
+ * IWF-style team classification (see ../team-rules.js)
+ * 28, 25, 23, 22 ... 1 points for places 1 to 25 in snatch, clean & jerk and total,
+ * team members only, the 8 best athletes of a team, at most 2 per category.
+ * Equal points go to the team with more first places, then second, then third places.
+ */
+
+export default {
+	id: 'IWF',
+	label: 'IWF team classification',
+	order: 20,
+	eligibility: { teamMembersOnly: true },
+	counting: { best: { M: 8, F: 8, MF: { M: 8, F: 8 } }, maxPerCategory: 2 },
+	points: {
+		table: [28, 25, 23, 22, 21, 20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1],
+		lifts: 'separate'
+	},
+	tieBreakers: ['firstPlaces', 'secondPlaces', 'thirdPlaces']
+};
@@ -0,0 +1,57 @@
+/**
+ * Timer anchoring - server time of timer values
+ *
+ * A timer's timeRemaining is only meaningful with the moment it was measured.
+ * Browsers used to count down from the moment they received it, so displays with
+ * more latency, or a tab that was in the background, showed a later second.
+ * Timers sent to browsers now carry serverTime: the server clock (ms) when their
+ * timeRemaining was current. Browsers count down from there with their estimate
+ * of the server clock (clock-sync.js), so every display shows the same second.
+ *
+ * The same timer value reaches browsers several times (timer event, then each
+ * scoreboard payload recomputed while it runs): it keeps the serverTime of the
+ * first time it was seen, per competition, FOP and timer (athlete or break).
+ */
+
+// Shared through globalThis: the SSE broker and the scoreboard push may be separate module copies
+if (!globalThis.__timerAnchors) {
+	globalThis.__timerAnchors = new Map(); // `${competition}\n${fop}\n${kind}` → {key, serverTime}
+}
+const anchors = globalThis.__timerAnchors;
+
+/**
+ * Add serverTime to a timer
+ * @param {string} competitionId
+ * @param {string|null} fop
+ * @param {'timer'|'breakTimer'} kind - Athlete or break timer
+ * @param {object|null} timer - {state, timeRemaining, ...}
+ * @param {number} seenAt - Server time the value was received (default: now)
+ * @returns {object|null} - Copy of the timer with serverTime (unchanged if it has no timeRemaining)
+ */
+export function anchorTimer(competitionId, fop, kind, timer, seenAt = Date.now()) {
+	if (!timer || typeof timer !== 'object' || typeof timer.timeRemaining !== 'number') return timer;
+
+	const slot = `${competitionId}\n${fop || ''}\n${kind}`;
+	const key = `${timer.state}-${timer.timeRemaining}`;
+	let anchor = anchors.get(slot);
+	if (!anchor || anchor.key !== key) {
+		anchor = { key, serverTime: seenAt };
+		anchors.set(slot, anchor);
+	}
+	return { ...timer, serverTime: anchor.serverTime };
+}
+
+/**
+ * Anchor the timers of a scoreboard payload (data.timer and data.breakTimer)
+ * @param {string} competitionId
+ * @param {string|null} fop
+ * @param {object|null} data - Payload returned by a plugin (not modified)
+ * @returns {object|null} - Payload, copied if it has timers
+ */
+export function anchorPayloadTimers(competitionId, fop, data) {
+	if (!data || typeof data !== 'object' || (!data.timer && !data.breakTimer)) return data;
+	const anchored = { ...data };
+	if (data.timer) anchored.timer = anchorTimer(competitionId, fop, 'timer', data.timer);
+	if (data.breakTimer) anchored.breakTimer = anchorTimer(competitionId, fop, 'breakTimer', data.breakTimer);
+	return anchored;
+}
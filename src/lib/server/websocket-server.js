@@ -9,9 +9,25 @@ import { captureMessage, LEARNING_MODE } from './learning-mode.js';
 import { extractEmbeddedDatabase } from './embedded-database.js';
 import { handleBinaryMessage } from './binary-handler.js';
 import { extractAndValidateVersion } from './protocol-config.js';
+import { recordOpen, recordFrame, recordClose, peekBinaryType } from './session-recorder.js';
+import { markHubConfirmed, wasHubStateRestored } from './hub-snapshot.js';
+import { relayFrame } from './relay.js';
+import { checkMessage, checkBinaryFrame } from './message-schema.js';
+import { DEFAULT_COMPETITION, currentCompetitionId, runWithCompetition, getCompetitionHub, isValidCompetitionId } from './competitions.js';
+import { attachBrowserSocket } from './browser-socket.js';
+import { tapWebSocketFrames } from './frame-tap.js';
 
 let wss = null;
-let activeConnection = null; // Track active WebSocket connection for sending messages
+
+// Shared through globalThis: /api/refresh, HTTP ingest and plugins run in the SvelteKit
+// bundle, while /<competition>/ws connections are served by the copied server files
+if (!globalThis.__owlcmsConnections) {
+	globalThis.__owlcmsConnections = {
+		active: new Map(), // competition → active OWLCMS WebSocket, for sending messages
+		firstConnectionHandled: new Set() // competitions whose first connection since server start was handled
+	};
+}
+const activeConnections = globalThis.__owlcmsConnections.active;
 
 /**
  * Request resources from OWLCMS
@@ -19,6 +35,7 @@ let activeConnection = null; // Track active WebSocket connection for sending me
  * @param {string[]} resources - Array of resource types to request (e.g., ['flags_zip', 'logos_zip'])
  */
 export function requestResources(resources) {
+	const activeConnection = activeConnections.get(currentCompetitionId());
 	if (!activeConnection || activeConnection.readyState !== 1) {
 		console.log('[WebSocket] Cannot request resources - no active OWLCMS connection');
 		return;
@@ -38,249 +55,450 @@ export function requestResources(resources) {
 }
 
 /**
- * Initialize WebSocket server
- * Called by Vite plugin during server startup
+ * Close the OWLCMS connection of the current competition
+ * OWLCMS reconnects automatically and resends everything.
+ * @returns {boolean} - true if a connection was closed
  */
-export function initWebSocketServer(httpServer) {
-	if (wss) return; // Already initialized
+export function closeActiveConnection() {
+	const activeConnection = activeConnections.get(currentCompetitionId());
+	if (!activeConnection || activeConnection.readyState !== 1) return false;
+	activeConnection.close(1000, 'Refresh requested');
+	return true;
+}
+
+const firstConnectionHandled = globalThis.__owlcmsConnections.firstConnectionHandled;
+
+// Helper to flush caches and reset state only on the first connection after server start
+async function flushAndResetOnce() {
+	const competitionId = currentCompetitionId();
+	if (!firstConnectionHandled.has(competitionId)) {
+		try {
+			// Try to flush scoreboard caches (may fail during HMR, that's OK)
+			try {
+				const { scoreboardRegistry } = await import('./scoreboard-registry.js');
+				scoreboardRegistry.flushCaches();
+			} catch (e) {
+				// Silently ignore - scoreboard caches will be invalidated by hub state version anyway
+			}
+			// After a warm restart the hub holds the snapshot taken before the restart.
+			// Keep it: OWLCMS resends only what changed (checksums and loaded flags
+			// were restored), and displays keep showing data in the meantime.
+			// Snapshots are only taken for the default competition (/ws).
+			if (competitionId === DEFAULT_COMPETITION && wasHubStateRestored()) {
+				console.log('[WebSocket] First connection: caches flushed, keeping hub state restored from snapshot');
+				firstConnectionHandled.add(competitionId);
+				return;
+			}
+			// Reset the database and translations in the hub
+			competitionHub.databaseState = null;
+			competitionHub.lastDatabaseChecksum = null;
+			competitionHub.translations = {};
+			competitionHub.lastTranslationsChecksum = null;
+			// Clear flags, logos, and pictures (they will be reloaded via 428)
+			competitionHub.flagsLoaded = false;
+			competitionHub.logosLoaded = false;
+			if (competitionHub.picturesLoaded !== undefined) competitionHub.picturesLoaded = false;
+			if (competitionHub.stylesLoaded !== undefined) competitionHub.stylesLoaded = false;
+			// Optionally clear any other relevant state here
+			console.log('[WebSocket] First connection: caches flushed, database and translations reset, flags/pictures cleared');
+		} catch (err) {
+			console.error('[WebSocket] Error during first connection reset:', err.message);
+		}
+		firstConnectionHandled.add(competitionId);
+	}
+}
+
+/**
+ * Create the per-connection state passed to handleFrame
+ * If OWLCMS_UPDATEKEY is configured, binary frames are only accepted after a
+ * text frame carrying the correct updateKey.
+ */
+export function createConnectionState(competitionId = DEFAULT_COMPETITION) {
+	return { authenticated: !process.env.OWLCMS_UPDATEKEY, competitionId };
+}
+
+/**
+ * Make sure the connection's competition has a hub before touching it
+ * Named competitions are created by the first authorized OWLCMS frame.
+ * Replies 503 and closes the connection when MAX_COMPETITIONS is reached.
+ * @param {{send: Function, close: Function}} ws - Connection used for replies
+ * @param {{competitionId: string}} connectionState
+ * @returns {boolean} - true if the competition exists
+ */
+function ensureCompetition(ws, connectionState) {
+	if (getCompetitionHub(connectionState.competitionId, { create: true })) return true;
+	ws.send(JSON.stringify({
+		status: 503,
+		error: 'too_many_competitions',
+		message: `Competition "${connectionState.competitionId}" cannot be created: the tracker already hosts the maximum number of competitions (MAX_COMPETITIONS)`
+	}));
+	ws.close(1013, 'Too many competitions');
+	return false;
+}
+
+/**
+ * Process one frame received from OWLCMS
+ * Used by the live /ws connection; anything that injects frames (e.g. session
+ * replay) goes through here so it behaves exactly like a real OWLCMS.
+ * @param {{send: Function, close: Function}} ws - Connection used for replies
+ * @param {Buffer} data - Raw frame data
+ * @param {boolean} isBinary - Binary frame flag from ws
+ * @param {{authenticated: boolean, competitionId: string}} connectionState - From createConnectionState()
+ */
+export async function handleFrame(ws, data, isBinary, connectionState) {
+	return runWithCompetition(connectionState.competitionId, () => processFrame(ws, data, isBinary, connectionState));
+}
+
+async function processFrame(ws, data, isBinary, connectionState) {
+	// Strictly follow OWLCMS spec:
+	// - If isBinary is true, frame is binary with [4-byte length][type][payload]
+	// - If isBinary is false, frame is JSON text
 	
-	wss = new WebSocketServer({ noServer: true });
+	// Check authentication for ALL frames (text and binary)
+	// If OWLCMS_UPDATEKEY is configured, only accept frames from authenticated clients
+	if (process.env.OWLCMS_UPDATEKEY && !connectionState.authenticated) {
+		// For text frames, we'll check the key below
+		// For binary frames, reject because we can't verify the key
+		if (isBinary) {
+			console.warn('[WebSocket] ⚠️ Binary frame rejected - client not authenticated (missing updateKey from previous text frame)');
+			ws.send(JSON.stringify({ status: 401, message: 'Not authenticated. Send text frame with valid updateKey first' }));
+			ws.close(1008, 'Unauthorized: binary frame requires prior authentication');
+			return;
+		}
+	}
 	
-		// Track if this is the first connection since server start
-		let firstConnectionHandled = false;
-
-		wss.on('connection', (ws) => {
-			console.log('[WebSocket] Client connected');
-			activeConnection = ws; // Store active connection for sending resource requests
-
-			// Track authentication status for this connection
-			let clientAuthenticated = !process.env.OWLCMS_UPDATEKEY;
-
-			// Per-connection state: track if we've received a database for this connection
-			let hasReceivedDatabase = false;
-
-			// Helper to flush caches and reset state only on the first connection after server start
-			async function flushAndResetOnce() {
-				if (!firstConnectionHandled) {
-					try {
-						// Try to flush scoreboard caches (may fail during HMR, that's OK)
-						try {
-							const { scoreboardRegistry } = await import('./scoreboard-registry.js');
-							scoreboardRegistry.flushCaches();
-						} catch (e) {
-							// Silently ignore - scoreboard caches will be invalidated by hub state version anyway
-						}
-						// Reset the database and translations in the hub
-						competitionHub.databaseState = null;
-						competitionHub.lastDatabaseChecksum = null;
-						competitionHub.translations = {};
-						competitionHub.lastTranslationsChecksum = null;
-					// Clear flags, logos, and pictures (they will be reloaded via 428)
-					competitionHub.flagsLoaded = false;
-					competitionHub.logosLoaded = false;
-						if (competitionHub.picturesLoaded !== undefined) competitionHub.picturesLoaded = false;
-						if (competitionHub.stylesLoaded !== undefined) competitionHub.stylesLoaded = false;
-						// Optionally clear any other relevant state here
-						console.log('[WebSocket] First connection: caches flushed, database and translations reset, flags/pictures cleared');
-					} catch (err) {
-						console.error('[WebSocket] Error during first connection reset:', err.message);
-					}
-					firstConnectionHandled = true;
-				}
+	if (isBinary) {
+		// Binary frame: [4-byte big-endian typeLength][type UTF-8][binary payload]
+		try {
+			if (process.env.BINARY_DEBUG === 'true') {
+				console.log('[WebSocket] Binary frame received, routing to binary handler');
 			}
-
-			// Use raw message event which provides both data and a flag for isBinary
-			ws.on('message', async (data, isBinary) => {
-			// Strictly follow OWLCMS spec:
-			// - If isBinary is true, frame is binary with [4-byte length][type][payload]
-			// - If isBinary is false, frame is JSON text
-			
-			// Check authentication for ALL frames (text and binary)
-			// If OWLCMS_UPDATEKEY is configured, only accept frames from authenticated clients
-			if (process.env.OWLCMS_UPDATEKEY && !clientAuthenticated) {
-				// For text frames, we'll check the key below
-				// For binary frames, reject because we can't verify the key
-				if (isBinary) {
-					console.warn('[WebSocket] ⚠️ Binary frame rejected - client not authenticated (missing updateKey from previous text frame)');
-					ws.send(JSON.stringify({ status: 401, message: 'Not authenticated. Send text frame with valid updateKey first' }));
-					ws.close(1008, 'Unauthorized: binary frame requires prior authentication');
-					return;
-				}
+			const schemaCheck = checkBinaryFrame(data);
+			if (schemaCheck.reject) {
+				ws.send(JSON.stringify(schemaRejection(schemaCheck)));
+				return;
 			}
-			
-			if (isBinary) {
-				// Binary frame: [4-byte big-endian typeLength][type UTF-8][binary payload]
-				try {
-					if (process.env.BINARY_DEBUG === 'true') {
-						console.log('[WebSocket] Binary frame received, routing to binary handler');
-					}
-					// Detect if this is a database_zip or database binary and flush/reset only on first connection
-					let typeString = null;
-					try {
-						if (data.length >= 8) {
-							const firstLength = data.readUInt32BE(0);
-							let offset = 4 + firstLength;
-							if (data.length >= offset + 4) {
-								const typeLength = data.readUInt32BE(offset);
-								offset += 4;
-								if (data.length >= offset + typeLength) {
-									typeString = data.slice(offset, offset + typeLength).toString('utf8');
-								}
-							}
-						}
-						if (!typeString && data.length >= 4) {
-							const typeLength = data.readUInt32BE(0);
-							if (data.length >= 4 + typeLength) {
-								typeString = data.slice(4, 4 + typeLength).toString('utf8');
-							}
-						}
-					} catch (peekErr) {}
-					if (typeString && (typeString === 'database_zip' || typeString === 'database')) {
-						await flushAndResetOnce();
-					}
-					await handleBinaryMessage(data);
-					return;
-				} catch (binaryError) {
-					console.error('[WebSocket] ERROR: Unable to process binary message:', binaryError.message);
-					ws.send(JSON.stringify({ error: `Unable to process binary message: ${binaryError.message}` }));
-					return;
-				}
+			if (!ensureCompetition(ws, connectionState)) return;
+			relayFrame(connectionState.competitionId, data, true);
+			// Detect if this is a database_zip or database binary and flush/reset only on first connection
+			const typeString = peekBinaryType(data);
+			if (typeString && (typeString === 'database_zip' || typeString === 'database')) {
+				await flushAndResetOnce();
 			}
+			await handleBinaryMessage(data);
+			return;
+		} catch (binaryError) {
+			console.error('[WebSocket] ERROR: Unable to process binary message:', binaryError.message);
+			ws.send(JSON.stringify({ error: `Unable to process binary message: ${binaryError.message}` }));
+			return;
+		}
+	}
 
-			// Text frame: JSON with {"version":"2.0.0","type":"...","payload":{...}}
-			try {
-				const message = JSON.parse(data.toString());
-				const messageType = message.type ? message.type.toUpperCase() : 'OTHER';
-				console.log(`[WebSocket] Text frame received, message type: ${messageType}`);
-				
-				// Validate protocol version
-				const versionCheck = extractAndValidateVersion(message);
-				if (!versionCheck.valid) {
-					console.error(`[WebSocket] ❌ Version validation failed: ${versionCheck.error}`);
-					ws.send(JSON.stringify({
-						status: 400,
-						error: 'Protocol version check failed',
-						reason: versionCheck.error,
-						details: {
-							received: versionCheck.version,
-							info: 'Please ensure OWLCMS is configured with the correct tracker WebSocket URL and is up to date'
-						}
-					}));
-					return;
-				}
-				console.log(`[WebSocket] ✅ Protocol version validated: ${versionCheck.version}`);
-				
-				// Capture message in learning mode using explicit WebSocket type
-				if (LEARNING_MODE) {
-					const explicitType = getCaptureLabel(messageType, message.payload);
-					// Do not include a redundant 'WEBSOCKET' token in sample filenames
-					captureMessage(message.payload || message, data.toString(), '', explicitType);
-				}
-				
-				if (!message.type || !message.payload) {
-					ws.send(JSON.stringify({ error: 'Invalid message format. Expected {version, type, payload}' }));
-					return;
+	// Text frame: JSON with {"version":"2.0.0","type":"...","payload":{...}}
+	try {
+		const message = JSON.parse(data.toString());
+		const messageType = message.type ? message.type.toUpperCase() : 'OTHER';
+		console.log(`[WebSocket] Text frame received, message type: ${messageType}`);
+		
+		// Validate protocol version
+		const versionCheck = extractAndValidateVersion(message);
+		if (!versionCheck.valid) {
+			console.error(`[WebSocket] ❌ Version validation failed: ${versionCheck.error}`);
+			ws.send(JSON.stringify({
+				status: 400,
+				error: 'Protocol version check failed',
+				reason: versionCheck.error,
+				details: {
+					received: versionCheck.version,
+					info: 'Please ensure OWLCMS is configured with the correct tracker WebSocket URL and is up to date'
 				}
+			}));
+			return;
+		}
+		console.log(`[WebSocket] ✅ Protocol version validated: ${versionCheck.version}`);
+		
+		// Capture message in learning mode using explicit WebSocket type
+		if (LEARNING_MODE) {
+			const explicitType = getCaptureLabel(messageType, message.payload);
+			// Do not include a redundant 'WEBSOCKET' token in sample filenames
+			captureMessage(message.payload || message, data.toString(), '', explicitType);
+		}
+		
+		if (!message.type || !message.payload) {
+			ws.send(JSON.stringify({ error: 'Invalid message format. Expected {version, type, payload}' }));
+			return;
+		}
 
-				// If a shared secret is configured, enforce it here. OWLCMS may send
-				// an `updateKey` in the payload; if it does not match the configured
-				// `OWLCMS_UPDATEKEY` environment variable, reject with 401 (unauthorized).
-				const expectedKey = process.env.OWLCMS_UPDATEKEY;
-				if (expectedKey) {
-					const incomingKey = message.payload?.updateKey || message.payload?.update_key || message.payload?.updatekey;
-					if (!incomingKey || String(incomingKey) !== String(expectedKey)) {
-						console.warn('[WebSocket] ⚠️ Unauthorized update attempt - missing/invalid OWLCMS_UPDATEKEY');
-						ws.send(JSON.stringify({ status: 401, message: 'Access not authorized' }));
-						ws.close(1008, 'Unauthorized: invalid updateKey');
-						return;
-					}
-					// Authentication successful - mark this client as authenticated for binary frames
-					clientAuthenticated = true;
-				}
-				
-				const hasBundledDatabase = Object.prototype.hasOwnProperty.call(message.payload, 'database');
-				if (hasBundledDatabase) {
-					await handleDatabaseEnvelope(message.payload);
-				}
+		// If a shared secret is configured, enforce it here. OWLCMS may send
+		// an `updateKey` in the payload; if it does not match the configured
+		// `OWLCMS_UPDATEKEY` environment variable, reject with 401 (unauthorized).
+		if (process.env.OWLCMS_UPDATEKEY) {
+			if (!hasValidUpdateKey(message.payload)) {
+				console.warn('[WebSocket] ⚠️ Unauthorized update attempt - missing/invalid OWLCMS_UPDATEKEY');
+				ws.send(JSON.stringify({ status: 401, message: 'Access not authorized' }));
+				ws.close(1008, 'Unauthorized: invalid updateKey');
+				return;
+			}
+			// Authentication successful - mark this client as authenticated for binary frames
+			connectionState.authenticated = true;
+		}
+		
+		// Check fields against the schema of the message's protocol version
+		const schemaCheck = checkMessage(message);
+		if (schemaCheck.reject) {
+			ws.send(JSON.stringify(schemaRejection(schemaCheck)));
+			return;
+		}
 
-				// Route based on message type
-				let result;
-				switch (message.type) {
-					case 'database':
-						await flushAndResetOnce();
-						result = await handleDatabaseMessage(message.payload);
-						break;
-					case 'update':
-						result = await handleUpdateMessage(message.payload, hasBundledDatabase);
-						break;
-					case 'timer':
-						result = await handleTimerMessage(message.payload, hasBundledDatabase);
-						break;
-					case 'decision':
-						result = await handleDecisionMessage(message.payload, hasBundledDatabase);
-						break;
-					default:
-						result = await handleGenericMessage(message.payload, hasBundledDatabase, message.type);
-				}
+		if (!ensureCompetition(ws, connectionState)) return;
 
-				ws.send(JSON.stringify(result));
-			} catch (error) {
-				console.error('[WebSocket] ERROR: Unable to parse JSON text frame:', error.message);
-				ws.send(JSON.stringify({ error: `Unable to parse JSON: ${error.message}` }));
-			}
-		});
+		// A valid, authorized message means OWLCMS is back: a restored snapshot is no longer stale
+		if (connectionState.competitionId === DEFAULT_COMPETITION) {
+			markHubConfirmed();
+		}
 
-		ws.on('close', () => {
-			console.log('[WebSocket] Client disconnected');
-			if (activeConnection === ws) {
-				activeConnection = null;
-			}
-		});
+		// Mirror accepted frames to an upstream tracker (RELAY_URL)
+		relayFrame(connectionState.competitionId, data, false);
 
-		ws.on('error', (error) => {
-			console.error('[WebSocket] Connection error:', error.message);
-			console.error('[WebSocket] Error details:', error.stack);
-		});
+		const hasBundledDatabase = Object.prototype.hasOwnProperty.call(message.payload, 'database');
+		if (hasBundledDatabase) {
+			await handleDatabaseEnvelope(message.payload);
+		}
 
-		// Detect disconnection (normal) vs crash (abnormal)
-		ws.on('close', (code, reason) => {
-			if (code >= 4000) {
-				console.error(`[WebSocket] Abnormal close: code=${code}, reason="${reason}"`);
-			} else {
-				console.log(`[WebSocket] Client disconnected normally: code=${code}, reason="${reason}"`);
-			}
+		// Route based on message type
+		let result;
+		switch (message.type) {
+			case 'database':
+				await flushAndResetOnce();
+				result = await handleDatabaseMessage(message.payload);
+				break;
+			case 'update':
+				result = await handleUpdateMessage(message.payload, hasBundledDatabase);
+				break;
+			case 'timer':
+				result = await handleTimerMessage(message.payload, hasBundledDatabase);
+				break;
+			case 'decision':
+				result = await handleDecisionMessage(message.payload, hasBundledDatabase);
+				break;
+			default:
+				result = await handleGenericMessage(message.payload, hasBundledDatabase, message.type);
+		}
+
+		ws.send(JSON.stringify(schemaCheck.valid ? result : { ...result, schemaErrors: schemaCheck.errors }));
+	} catch (error) {
+		console.error('[WebSocket] ERROR: Unable to parse JSON text frame:', error.message);
+		ws.send(JSON.stringify({ error: `Unable to parse JSON: ${error.message}` }));
+	}
+}
+
+/**
+ * Process one message POSTed over HTTP (/update, /timer, /decision, /translations)
+ * Goes through the same pipeline as a WebSocket text frame (version check,
+ * updateKey, learning mode capture, 428 preconditions). HTTP has no connection
+ * to authenticate, so every request must carry the updateKey.
+ * @param {string} type - Message type, from the route
+ * @param {object} body - A {version, type, payload} envelope, or the bare payload with a version field
+ * @param {string} competitionId - Competition the message belongs to
+ * @returns {Promise<{status: number, body: object}>} - HTTP status and the reply a WebSocket client would get
+ */
+export async function handleHttpMessage(type, body, competitionId = DEFAULT_COMPETITION) {
+	let message;
+	if (body?.payload && typeof body.payload === 'object') {
+		message = { ...body, type };
+	} else {
+		const { version, ...payload } = body || {};
+		message = { version, type, payload };
+	}
+
+	const replies = [];
+	const httpReply = {
+		send: (text) => replies.push(JSON.parse(text)),
+		close: () => {}
+	};
+	await handleFrame(httpReply, Buffer.from(JSON.stringify(message)), false, createConnectionState(competitionId));
+
+	const reply = replies[replies.length - 1] || { status: 500, message: `Unable to process ${type}` };
+	const status = Number.isInteger(reply.status) ? reply.status : reply.error ? 400 : 200;
+	return { status, body: reply };
+}
+
+/**
+ * @param {object} payload - Message payload
+ * @returns {boolean} - true if the payload carries the configured OWLCMS_UPDATEKEY
+ */
+function hasValidUpdateKey(payload) {
+	const incomingKey = payload?.updateKey || payload?.update_key || payload?.updatekey;
+	return Boolean(incomingKey) && String(incomingKey) === String(process.env.OWLCMS_UPDATEKEY);
+}
+
+/**
+ * Reply to a message rejected by schema validation (SCHEMA_VALIDATION=strict)
+ */
+function schemaRejection(schemaCheck) {
+	return {
+		status: 400,
+		error: 'Schema validation failed',
+		reason: 'schema_violation',
+		schemaVersion: schemaCheck.schemaVersion,
+		errors: schemaCheck.errors
+	};
+}
+
+/**
+ * Handle the end of an OWLCMS connection
+ * @param {number} code - WebSocket close code
+ * @param {Buffer|string} reason - Close reason
+ */
+export function handleConnectionClosed(code, reason) {
+	// Detect disconnection (normal) vs crash (abnormal)
+	if (code >= 4000) {
+		console.error(`[WebSocket] Abnormal close: code=${code}, reason="${reason}"`);
+	} else {
+		console.log(`[WebSocket] Client disconnected normally: code=${code}, reason="${reason}"`);
+	}
+
+	try {
+		// When the OWLCMS connection closes, force the hub into a waiting state
+		// so browsers show 'Waiting for Competition Data'. This avoids stale UI
+		// when the authoritative source disconnects.
+		console.log('[WebSocket] OWLCMS connection closed - forcing hub refresh (entering waiting state)');
+		competitionHub.refresh();
+	} catch (err) {
+		console.error('[WebSocket] Error while refreshing hub state after WS close:', err?.message || err);
+	}
+}
+
+/**
+ * Competition served by a WebSocket upgrade path
+ * /ws is the default competition, /<competition>/ws a named one.
+ * @param {string} pathname - Upgrade request path
+ * @returns {string|null} - Competition identifier, null if not an OWLCMS endpoint
+ */
+export function competitionForPath(pathname) {
+	if (pathname === '/ws') return DEFAULT_COMPETITION;
+	const match = /^\/([^/]+)\/ws$/.exec(pathname);
+	return match && isValidCompetitionId(match[1]) ? match[1] : null;
+}
+
+function handleConnection(ws, request, competitionId) {
+	const label = competitionId === DEFAULT_COMPETITION ? '' : ` for competition "${competitionId}"`;
+	console.log(`[WebSocket] Client connected${label}`);
+	activeConnections.set(competitionId, ws); // Store active connection for sending resource requests
+
+	// Track authentication status for this connection
+	const connectionState = createConnectionState(competitionId);
+
+	// Session recording (RECORD_SESSION=true) - null when disabled
+	const recording = recordOpen(request?.socket?.remoteAddress || '');
+
+	// Use raw message event which provides both data and a flag for isBinary
+	ws.on('message', async (data, isBinary) => {
+		recordFrame(recording, data, isBinary);
+		await handleFrame(ws, data, isBinary, connectionState);
+	});
+
+	ws.on('close', () => {
+		console.log(`[WebSocket] Client disconnected${label}`);
+		if (activeConnections.get(competitionId) === ws) {
+			activeConnections.delete(competitionId);
+		}
+	});
+
+	ws.on('error', (error) => {
+		console.error('[WebSocket] Connection error:', error.message);
+		console.error('[WebSocket] Error details:', error.stack);
+	});
+
+	ws.on('close', (code, reason) => {
+		recordClose(recording, code, reason);
+		// Nothing to refresh if no authorized frame ever created the competition
+		if (getCompetitionHub(competitionId)) {
+			runWithCompetition(competitionId, () => handleConnectionClosed(code, reason));
+		}
+	});
+}
 
+/**
+ * Observe the default competition's /ws connection when tracker-core serves it
+ * tracker-core processes and answers the frames; they are only recorded
+ * (RECORD_SESSION), counted against the protocol schema and, once they pass
+ * the same version and updateKey checks as /<competition>/ws, relayed.
+ * @param {object} request - Upgrade request
+ */
+function observeDefaultConnection(request) {
+	const recording = recordOpen(request.socket.remoteAddress || '');
+	const connectionState = createConnectionState(DEFAULT_COMPETITION);
+
+	return {
+		frame(data, isBinary) {
+			recordFrame(recording, data, isBinary);
+			if (isBinary) {
+				if (connectionState.authenticated && !checkBinaryFrame(data).reject) {
+					relayFrame(DEFAULT_COMPETITION, data, true);
+				}
+				return;
+			}
+			let message;
 			try {
-				// When the OWLCMS connection closes, force the hub into a waiting state
-				// so browsers show 'Waiting for Competition Data'. This avoids stale UI
-				// when the authoritative source disconnects.
-				console.log('[WebSocket] OWLCMS connection closed - forcing hub refresh (entering waiting state)');
-				competitionHub.refresh();
-			} catch (err) {
-				console.error('[WebSocket] Error while refreshing hub state after WS close:', err?.message || err);
+				message = JSON.parse(data.toString());
+			} catch {
+				return;
 			}
-		});
-	});
+			if (!extractAndValidateVersion(message).valid || !message.type || !message.payload) return;
+			if (process.env.OWLCMS_UPDATEKEY) {
+				if (!hasValidUpdateKey(message.payload)) return;
+				connectionState.authenticated = true;
+			}
+			if (!checkMessage(message).reject) {
+				relayFrame(DEFAULT_COMPETITION, data, false);
+			}
+		},
+		close(code, reason) {
+			recordClose(recording, code, reason);
+		}
+	};
+}
+
+/**
+ * Initialize WebSocket server
+ * Called by Vite plugin during server startup
+ * Serves OWLCMS on /<competition>/ws (and /ws unless includeDefault is false),
+ * and browsers on /api/client-ws.
+ * @param {object} httpServer - Node HTTP server
+ * @param {{includeDefault?: boolean}} options - includeDefault: also serve /ws
+ *   (false when tracker-core's attachWebSocketToServer already serves it: /ws is
+ *   then only observed, see observeDefaultConnection)
+ */
+export function initWebSocketServer(httpServer, { includeDefault = true } = {}) {
+	if (wss) return; // Already initialized
+	
+	wss = new WebSocketServer({ noServer: true });
+	wss.on('connection', handleConnection);
 	
 	// Handle upgrade requests
 	httpServer.on('upgrade', (request, socket, head) => {
 		const { pathname } = new URL(request.url, `http://${request.headers.host}`);
-		
-		const localPort = request.socket.localPort;
-		console.log(`[WebSocket] Upgrade request received for: ${pathname} from ${request.socket.remoteAddress} on local port ${localPort}`);
+		const competitionId = competitionForPath(pathname);
 
-		if (pathname !== '/ws') {
-			console.log(`[WebSocket] Ignoring upgrade for ${pathname} (not /ws)`);
-			return; // Allow other upgrade listeners (e.g., Vite HMR) to handle
+		if (!competitionId || (competitionId === DEFAULT_COMPETITION && !includeDefault)) {
+			return; // Allow other upgrade listeners (e.g., tracker-core /ws, Vite HMR) to handle
 		}
 
-		console.log('[WebSocket] Handling upgrade for /ws');
+		const localPort = request.socket.localPort;
+		console.log(`[WebSocket] Handling upgrade for ${pathname} from ${request.socket.remoteAddress} on local port ${localPort}`);
 		wss.handleUpgrade(request, socket, head, (ws) => {
-			wss.emit('connection', ws, request);
+			wss.emit('connection', ws, request, competitionId);
 		});
 	});
 	
-	console.log('[WebSocket] Server initialized on /ws endpoint');
+	if (!includeDefault) {
+		tapWebSocketFrames(httpServer, '/ws', observeDefaultConnection);
+	}
+	console.log(`[WebSocket] Server initialized on ${includeDefault ? '/ws and ' : ''}/<competition>/ws endpoints`);
+
+	// Browsers (/api/client-ws) - same HTTP server, dev and production
+	attachBrowserSocket(httpServer);
 }
 
 /**
@@ -1,62 +1,295 @@
 /**
  * Global SSE client - shared across all scoreboard tabs in the same browser
  * Prevents hitting the 6-connection-per-host browser limit
+ *
+ * Uses the browser WebSocket channel (/api/client-ws, see browser-socket.js) when
+ * the server offers it: several FOPs on one connection, and messages to the server
+ * (sendMessage). Falls back to the SSE stream when the socket cannot be opened or
+ * the server cannot push the scoreboard over it; subscribers get the same messages.
+ *
+ * Either way the connection identifies this screen (persistent display id, page
+ * shown) for the display registry; operator commands are handled by display-control.js.
  */
 
+import { handleDisplayMessage } from './display-control.js';
+
 let eventSource = null;
+let socket = null;
+let socketUnavailable = false; // The WebSocket failed before opening: SSE for the rest of the page's life
+let reconnectTimer = null;
 let subscribers = new Set();
 let connectionId = Math.random().toString(36).substr(2, 9);
 let language = 'en';
 let currentFop = null;
+let currentCompetition = null;
+let currentScoreboard = null;
 let clientCount = 0;
+let lastEventId = null; // Id of the last event received, to resume after a reconnection
+
+const SOCKET_RECONNECT_MS = 2000;
+const PING_TIMEOUT_MS = 2000;
+let pendingPings = new Map(); // t0 → resolve(serverTime)
+let lastPingT0 = 0;
+const CLIENT_ID_KEY = 'owlcms-tracker-client-id';
 
 /**
  * Connect to SSE stream (called once, reused by all pages)
  * @param {string} lang - Language code (default: 'en')
- * @param {string|null} fop - FOP name to filter events (null = global events only)
+ * @param {string|string[]|null} fop - FOP name(s) to filter events (null = global events only)
+ * @param {string|null} competition - Competition identifier (null = default competition)
+ * @param {string|null} scoreboard - Scoreboard query (type=...&lang=...&options) whose data
+ *   the server pushes as scoreboard_data/scoreboard_patch messages (null = events only);
+ *   with several FOPs, the scoreboard is for the first one
  */
-export function connectSSE(lang = 'en', fop = null) {
+export function connectSSE(lang = 'en', fop = null, competition = null, scoreboard = null) {
+	const languageChanged = lang !== language;
 	language = lang;
-	
-	// If already connected and language+FOP match, reuse
-	if (eventSource && eventSource.readyState === EventSource.OPEN && currentFop === fop) {
-		return eventSource;
+	const fopChanged = fopKey(currentFop) !== fopKey(fop);
+
+	// If already connected and language+FOP+competition+scoreboard match, reuse
+	if (isConnected() && !languageChanged && !fopChanged && currentCompetition === competition && currentScoreboard === scoreboard) {
+		return socket || eventSource;
+	}
+
+	// Close old connection if language, FOP, competition or scoreboard changed
+	closeConnection();
+
+	// EventSource sends Last-Event-ID itself when it reconnects; a new EventSource
+	// for the same stream has to pass it explicitly to get the missed events
+	if (languageChanged || fopChanged || currentCompetition !== competition) {
+		lastEventId = null;
+	}
+	currentFop = fop;
+	currentCompetition = competition;
+	currentScoreboard = scoreboard;
+
+	if (!socketUnavailable && typeof WebSocket !== 'undefined') {
+		openSocket();
+		return socket;
+	}
+	openEventSource();
+	return eventSource;
+}
+
+function fopList(fop) {
+	return Array.isArray(fop) ? fop : fop ? [fop] : [];
+}
+
+function fopKey(fop) {
+	return fopList(fop).join('\n');
+}
+
+function isConnected() {
+	if (socket) {
+		return socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING;
+	}
+	return !!eventSource && eventSource.readyState !== EventSource.CLOSED;
+}
+
+function closeConnection() {
+	clearTimeout(reconnectTimer);
+	reconnectTimer = null;
+	if (socket) {
+		const closing = socket;
+		socket = null;
+		closing.close();
 	}
-	
-	// Close old connection if language or FOP changed
 	if (eventSource) {
 		eventSource.close();
 		eventSource = null;
 	}
-	
-	currentFop = fop;
-	const fopParam = fop ? `&fop=${encodeURIComponent(fop)}` : '';
-	eventSource = new EventSource(`/api/client-stream?lang=${lang}${fopParam}`);
-	
+}
+
+function dispatch(message) {
+	// display_command / display_info are for the screen, not the page
+	if (handleDisplayMessage(message)) return;
+	subscribers.forEach(callback => {
+		try {
+			callback(message);
+		} catch (err) {
+			console.error('[SSE] Subscriber error:', err);
+		}
+	});
+}
+
+function openEventSource() {
+	const fopParam = fopList(currentFop).map((name) => `&fop=${encodeURIComponent(name)}`).join('');
+	const competitionParam = currentCompetition ? `&competition=${encodeURIComponent(currentCompetition)}` : '';
+	const scoreboardParam = currentScoreboard ? `&scoreboard=${encodeURIComponent(currentScoreboard)}` : '';
+	const resumeParam = lastEventId ? `&lastEventId=${encodeURIComponent(lastEventId)}` : '';
+	const displayParam = `&display=${encodeURIComponent(clientId())}&page=${encodeURIComponent(currentPage())}`;
+	eventSource = new EventSource(`/api/client-stream?lang=${language}${fopParam}${competitionParam}${scoreboardParam}${resumeParam}${displayParam}`);
+
 	eventSource.onmessage = (event) => {
+		if (event.lastEventId) {
+			lastEventId = event.lastEventId;
+		}
 		try {
-			const message = JSON.parse(event.data);
 			// Broadcast to all subscribers
-			subscribers.forEach(callback => {
-				try {
-					callback(message);
-				} catch (err) {
-					console.error('[SSE] Subscriber error:', err);
-				}
-			});
+			dispatch(JSON.parse(event.data));
 		} catch (err) {
 			console.error('[SSE] Message parse error:', err);
 		}
 	};
-	
+
 	eventSource.onerror = (error) => {
 		console.error('[SSE] Connection error:', error);
-		if (eventSource.readyState === EventSource.CLOSED) {
+		if (eventSource?.readyState === EventSource.CLOSED) {
 			eventSource = null;
 		}
 	};
-	
-	return eventSource;
+}
+
+/**
+ * Page shown, reported to the display registry
+ */
+function currentPage() {
+	return `${location.pathname}${location.search}`;
+}
+
+/**
+ * Identifier of this browser, kept across page loads (display id in /displays and /api/status)
+ */
+function clientId() {
+	try {
+		let id = localStorage.getItem(CLIENT_ID_KEY);
+		if (!id) {
+			id = Math.random().toString(36).substr(2, 12);
+			localStorage.setItem(CLIENT_ID_KEY, id);
+		}
+		return id;
+	} catch {
+		return connectionId;
+	}
+}
+
+/**
+ * Switch to the SSE stream for the rest of the page's life
+ */
+function fallBackToSSE(reason) {
+	console.warn(`[SSE] WebSocket channel unavailable (${reason}) - using SSE`);
+	socketUnavailable = true;
+	closeConnection();
+	if (subscribers.size > 0) {
+		openEventSource();
+	}
+}
+
+function openSocket() {
+	const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+	const competitionParam = currentCompetition ? `?competition=${encodeURIComponent(currentCompetition)}` : '';
+	const ws = new WebSocket(`${protocol}//${location.host}/api/client-ws${competitionParam}`);
+	let opened = false;
+	socket = ws;
+
+	ws.onopen = () => {
+		opened = true;
+		ws.send(JSON.stringify({ type: 'hello', clientId: clientId(), lang: language, page: currentPage() }));
+		const fops = fopList(currentFop);
+		if (fops.length > 0) {
+			ws.send(JSON.stringify({ type: 'subscribe', fops }));
+		}
+		if (currentScoreboard) {
+			ws.send(JSON.stringify({ type: 'subscribe_scoreboard', id: 'page', scoreboard: currentScoreboard, fop: fops[0] || null }));
+		}
+	};
+
+	ws.onmessage = (event) => {
+		let message;
+		try {
+			message = JSON.parse(event.data);
+		} catch (err) {
+			console.error('[SSE] Message parse error:', err);
+			return;
+		}
+		// The SSE stream pushes the scoreboard from the SvelteKit server itself
+		if (message.type === 'scoreboard_unavailable') {
+			fallBackToSSE(message.reason);
+			return;
+		}
+		if (message.type === 'pong') {
+			pendingPings.get(message.t0)?.(message.serverTime);
+			pendingPings.delete(message.t0);
+			return;
+		}
+		dispatch(message);
+	};
+
+	ws.onclose = () => {
+		if (socket !== ws) return; // Closed on purpose
+		socket = null;
+		if (!opened) {
+			fallBackToSSE('connection refused');
+		} else if (subscribers.size > 0) {
+			// The server sends the full state again on the new socket
+			reconnectTimer = setTimeout(() => {
+				reconnectTimer = null;
+				if (!socket && !eventSource && subscribers.size > 0) {
+					openSocket();
+				}
+			}, SOCKET_RECONNECT_MS);
+		}
+	};
+}
+
+/**
+ * Send a message to the server (WebSocket channel only - see browser-socket.js)
+ * @param {Object} message - e.g. {type: 'ack', ...} or {type: 'ping', t0}
+ * @returns {boolean} - false if not sent (SSE fallback or not connected)
+ */
+export function sendMessage(message) {
+	if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+	socket.send(JSON.stringify(message));
+	return true;
+}
+
+/**
+ * Ask the server to push the full scoreboard payload again
+ * Used when a scoreboard_patch does not apply to the payload held by the page.
+ * The WebSocket channel subscribes the scoreboard again; the SSE stream is
+ * reopened (scoreboard messages have no id, so it starts with the full payload).
+ * @returns {boolean} - false without a pushed scoreboard or connection
+ */
+export function requestScoreboardData() {
+	if (!currentScoreboard) return false;
+	if (socket) {
+		return sendMessage({ type: 'subscribe_scoreboard', id: 'page', scoreboard: currentScoreboard, fop: fopList(currentFop)[0] || null });
+	}
+	if (!eventSource) return false;
+	eventSource.close();
+	openEventSource();
+	return true;
+}
+
+/**
+ * Read the server clock over the WebSocket channel (see clock-sync.js)
+ * @returns {Promise<number|null>} - Server time, or null without WebSocket or reply
+ */
+export function pingServer() {
+	// t0 identifies the reply: kept unique when two pings leave in the same millisecond
+	const t0 = Math.max(Date.now(), lastPingT0 + 1);
+	if (!sendMessage({ type: 'ping', t0 })) return Promise.resolve(null);
+	lastPingT0 = t0;
+	return new Promise((resolve) => {
+		const timeout = setTimeout(() => {
+			pendingPings.delete(t0);
+			resolve(null);
+		}, PING_TIMEOUT_MS);
+		pendingPings.set(t0, (serverTime) => {
+			clearTimeout(timeout);
+			resolve(serverTime);
+		});
+	});
+}
+
+/**
+ * Current transport
+ * @returns {'websocket'|'sse'|null} - null when not connected
+ */
+export function getTransport() {
+	if (socket) return 'websocket';
+	if (eventSource) return 'sse';
+	return null;
 }
 
 /**
@@ -67,23 +300,22 @@ export function connectSSE(lang = 'en', fop = null) {
 export function subscribeSSE(callback) {
 	subscribers.add(callback);
 	clientCount++;
-	console.log(`[SSE] Client connected (${clientCount} active, lang=${language}, fop=${currentFop || 'global'})`);
-	
+	console.log(`[SSE] Client connected (${clientCount} active, lang=${language}, fop=${fopKey(currentFop).replace(/\n/g, '+') || 'global'})`);
+
 	// Ensure connection is open
-	if (!eventSource || eventSource.readyState !== EventSource.OPEN) {
-		connectSSE(language, currentFop);
+	if (!isConnected()) {
+		connectSSE(language, currentFop, currentCompetition, currentScoreboard);
 	}
-	
+
 	// Return unsubscribe function
 	return () => {
 		subscribers.delete(callback);
 		clientCount--;
 		console.log(`[SSE] Client disconnected (lang=${language}). ${clientCount} active`);
-		
+
 		// Close connection if no more subscribers
-		if (subscribers.size === 0 && eventSource) {
-			eventSource.close();
-			eventSource = null;
+		if (subscribers.size === 0) {
+			closeConnection();
 		}
 	};
 }
@@ -1,5 +1,6 @@
 import { writable, derived } from 'svelte/store';
 import { browser } from '$app/environment';
+import { elapsedSince } from './clock-sync.js';
 
 /**
  * Translation Map Store - Receives translations from SSE
@@ -137,12 +138,18 @@ export const timer = derived(competition, $c => {
   const timer = $c.timer ?? { state: 'stopped' };
   
   // Convert OWLCMS timer format to our expected format
+  // (timeRemaining was current at serverTime when the server provides it - see clock-sync.js)
   if (timer.timeAllowed && timer.timeRemaining !== undefined) {
+    const now = Date.now();
     return {
       state: timer.timeRemaining > 0 ? 'running' : 'stopped',
-      startTime: timer.timeRemaining > 0 ? Date.now() - (timer.timeAllowed - timer.timeRemaining) : null,
+      startTime: timer.timeRemaining > 0 ? now - elapsedSince(timer.serverTime, now) - (timer.timeAllowed - timer.timeRemaining) : null,
       duration: timer.timeAllowed,
-      indefinite: timer.indefinite || false
+      indefinite: timer.indefinite || false,
+      // Anchor for countdowns: remaining was current at serverTime (received at receivedAt)
+      remaining: timer.timeRemaining,
+      serverTime: timer.serverTime ?? null,
+      receivedAt: now
     };
   }
   
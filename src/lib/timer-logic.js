@@ -1,8 +1,12 @@
 /**
  * Reusable timer logic for scoreboards
  * Handles client-side countdown with server sync
+ * Counts down from the server time of the timer value (timerData.serverTime), so all
+ * displays show the same second whatever their latency (see clock-sync.js)
  */
 
+import { elapsedSince, startClockSync } from './clock-sync.js';
+
 /**
  * Creates a timer state manager
  * @returns {Object} Timer manager with state and methods
@@ -11,13 +15,14 @@ export function createTimer() {
 	let timerSeconds = 0;
 	let timerInterval = null;
 	let timerStartTime = null; // When timer was started (client time)
+	let timerServerTime = null; // Server time of timerInitialRemaining (null = not provided)
 	let timerInitialRemaining = 0; // Initial time remaining from server
 	let lastTimerState = null; // Track last known timer state to detect changes
 	let subscribers = [];
 
 	/**
 	 * Update timer display - countdown from start time
-	 * @param {Object} timerData - { state: 'running'|'stopped'|'set', timeRemaining: ms }
+	 * @param {Object} timerData - { state: 'running'|'stopped'|'set', timeRemaining: ms, serverTime?: ms }
 	 */
 	function updateTimer(timerData) {
 		if (!timerData) {
@@ -47,11 +52,12 @@ export function createTimer() {
 			// If timer just started, record the start time
 			if (timerStartTime === null) {
 				timerStartTime = Date.now();
+				timerServerTime = timerData.serverTime ?? null;
 				timerInitialRemaining = Math.max(0, timerData.timeRemaining || 60000);
 			}
 
-			// Calculate elapsed time and remaining time (client-side only, no server needed)
-			const elapsed = Date.now() - timerStartTime;
+			// Calculate elapsed time and remaining time (on the server clock once synchronised)
+			const elapsed = elapsedSince(timerServerTime, timerStartTime);
 			const remaining = Math.max(0, timerInitialRemaining - elapsed);
 			timerSeconds = Math.ceil(remaining / 1000);
 			notifySubscribers();
@@ -84,6 +90,7 @@ export function createTimer() {
 	 */
 	function start(initialTimerData, intervalMs = 100) {
 		if (timerInterval) return; // Already started
+		startClockSync();
 
 		// Set initial state
 		if (initialTimerData) {
@@ -94,7 +101,7 @@ export function createTimer() {
 		timerInterval = setInterval(() => {
 			if (timerStartTime !== null) {
 				// Recalculate during countdown
-				const elapsed = Date.now() - timerStartTime;
+				const elapsed = elapsedSince(timerServerTime, timerStartTime);
 				const remaining = Math.max(0, timerInitialRemaining - elapsed);
 				timerSeconds = Math.ceil(remaining / 1000);
 				notifySubscribers();
@@ -0,0 +1,9 @@
+import { isValidCompetitionId } from '$lib/competition-id.js';
+
+/**
+ * Param matcher for competition-prefixed routes (/<competition>/lifting-order).
+ * Only checks the format; unknown competitions are rejected by the page load.
+ */
+export function match(param) {
+	return isValidCompetitionId(param);
+}
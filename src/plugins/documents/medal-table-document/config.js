@@ -0,0 +1,70 @@
+/**
+ * Scoreboard Configuration
+ * 
+ * Metadata for the "Medal Table" document
+ */
+
+export default {
+	// Display name
+	name: 'Medal Table',
+	
+	// Description for AI assistants
+	description: 'Printable medal table by team/nation over the completed categories, with the medallists of each team.',
+	
+	// Category for grouping in the UI
+	category: 'documents',
+	
+	// on the home page, sort order within the category
+	order: 200,
+	
+	// FOP requirement: false = not used, true = required, 'optional' = show All button
+	fopRequired: false,
+
+	// Whether this scoreboard requires athlete pictures
+	requiresPictures: false,
+	
+	// User-configurable options
+	options: [
+		{
+			key: 'medals',
+			label: 'Medals',
+			type: 'select',
+			options: ['Competition', 'Total', 'Separate'],
+			default: 'Competition',
+			description: 'Total: total medals only. Separate: snatch, clean & jerk and total medals. Competition: as set in OWLCMS'
+		},
+		{
+			key: 'gender',
+			label: 'Gender',
+			type: 'select',
+			options: ['All', 'M', 'F'],
+			default: 'All',
+			description: 'Categories counted'
+		},
+		{
+			key: 'championship',
+			label: 'Championship',
+			type: 'string',
+			default: '',
+			description: 'Championship type or name as in OWLCMS (e.g. IWF, MASTERS, U). Empty for all championships'
+		},
+		{
+			key: 'showAthletes',
+			label: 'Show Medallists',
+			type: 'boolean',
+			default: true,
+			description: 'List the medallists under every team'
+		},
+		{
+			key: 'language',
+			label: 'Language',
+			type: 'select',
+			options: 'dynamic:locales',
+			default: 'en',
+			description: 'Choose document text language'
+		}
+	],
+	
+	// This document covers all the platforms
+	multiPlatform: true
+};
@@ -0,0 +1,21 @@
+/**
+ * Medal Table Document - Server-side helpers
+ * 
+ * Same data as the medal table scoreboard (teams/medal-table), all the teams listed,
+ * laid out by page.svelte as a printable sheet.
+ */
+
+import { getScoreboardData as getMedalTableData } from '../../teams/medal-table/helpers.data.js';
+
+// More teams than any competition has: the document lists them all
+const ALL_TEAMS = 1000;
+
+/**
+ * Main function to get the medal table document data
+ * @param {string} fopName - Field of play name (not used for this document, but required by system)
+ * @param {object} options - User options (medals, gender, championship, showAthletes, language)
+ * @returns {object} Medal table data structured for display
+ */
+export function getScoreboardData(fopName = 'A', options = {}) {
+	return getMedalTableData(fopName, { ...options, showAthletes: options.showAthletes !== false, maxRows: ALL_TEAMS });
+}
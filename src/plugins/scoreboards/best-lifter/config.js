@@ -0,0 +1,61 @@
+/**
+ * Best Lifter Scoreboard Configuration
+ * Ranks every athlete of the competition, all sessions and platforms, by a scoring formula
+ */
+
+export default {
+	name: 'Best Lifter',
+	description: 'Competition-wide best lifter ranking by Sinclair, SMHF, Q-Points or GAMX, filtered by gender, age group and championship',
+
+	// Category for grouping in the UI
+	category: 'standard',
+
+	// on the home page, sort order within the category
+	order: 400,
+
+	// Whether this scoreboard requires athlete pictures
+	requiresPictures: false,
+
+	options: [
+		{
+			key: 'scoringSystem',
+			label: 'Scoring System',
+			type: 'select',
+			// Registered scoring systems (src/lib/server/scoring/)
+			options: 'dynamic:scoring-systems',
+			default: 'Sinclair',
+			description: 'Formula used to rank the athletes (placement systems rank as Sinclair)'
+		},
+		{
+			key: 'gender',
+			label: 'Gender',
+			type: 'select',
+			options: ['M', 'F', 'Current'],
+			default: 'Current',
+			description: 'Athletes ranked: M, F, or Current to follow the gender of the session lifting on the platform'
+		},
+		{
+			key: 'ageGroup',
+			label: 'Age Group',
+			type: 'string',
+			default: '',
+			description: 'Age group code as in OWLCMS (e.g. SR, JR, U17, M45). Empty for all age groups'
+		},
+		{
+			key: 'championship',
+			label: 'Championship',
+			type: 'string',
+			default: '',
+			description: 'Championship type or name as in OWLCMS (e.g. IWF, MASTERS, U). Empty for all championships'
+		},
+		{
+			key: 'maxRows',
+			label: 'Athletes Shown',
+			type: 'number',
+			default: 20,
+			min: 1,
+			max: 200,
+			description: 'Number of athletes shown, best first'
+		}
+	]
+};
@@ -0,0 +1,168 @@
+/**
+ * Best Lifter Scoreboard - Server-side helpers
+ *
+ * Ranks every athlete of the competition (all sessions, all platforms) by the chosen
+ * scoring system, using $lib/server/best-lifter.js. Athletes of the sessions being
+ * lifted are taken from the session entries of their platform, so the ranking moves
+ * at every lift; rank changes stay highlighted for a while.
+ */
+
+import { competitionHub } from '$lib/server/competition-hub.js';
+import { buildCacheKey, registerCache, storeInCache } from '$lib/server/cache-utils.js';
+import { currentCompetitionId } from '$lib/server/competitions.js';
+import { getFlagUrl } from '$lib/server/flag-resolver.js';
+import { getScoringSystem } from '$lib/server/scoring-systems.js';
+import { getLiveEntries, lifterFromDatabase, rankBestLifters, trackMovement, withSessionResults } from '$lib/server/best-lifter.js';
+
+const bestLifterCache = new Map();
+registerCache(bestLifterCache);
+
+// Previous ranking of each competition, platform and option set, to show movement.
+// Not a registered cache: clearing it would only lose the highlights, not make anything stale.
+const rankingStates = new Map();
+const MAX_RANKING_STATES = 20;
+
+// Gender of the last session seen on each platform of each competition (gender=Current between sessions)
+const lastGenders = new Map();
+
+function currentGender(fopName, liveEntries) {
+	const genderKey = `${currentCompetitionId()}:${fopName}`;
+	for (const entry of liveEntries.values()) {
+		if (entry.fop === fopName && entry.gender) {
+			const gender = String(entry.gender).toUpperCase().startsWith('M') ? 'M' : 'F';
+			lastGenders.set(genderKey, gender);
+			return gender;
+		}
+	}
+	return lastGenders.get(genderKey) || 'M';
+}
+
+/**
+ * Get formatted scoreboard data for SSR/API (SERVER-SIDE ONLY)
+ * @param {string} fopName - Platform whose session gender is followed with gender=Current
+ * @param {Object} options - scoringSystem, gender, ageGroup, championship, maxRows, lang
+ */
+export function getScoreboardData(fopName = 'A', options = {}) {
+	const databaseState = competitionHub.getDatabaseState();
+	const lang = options.lang || options.language || 'en';
+	const scoringSystem = options.scoringSystem || 'Sinclair';
+	const ageGroup = options.ageGroup || '';
+	const championship = options.championship || '';
+	const maxRows = options.maxRows || 20;
+	const learningMode = process.env.LEARNING_MODE === 'true' ? 'enabled' : 'disabled';
+
+	const liveEntries = getLiveEntries(competitionHub);
+	const gender = !options.gender || options.gender === 'Current' ? currentGender(fopName, liveEntries) : options.gender;
+	const selection = { scoringSystem, gender, ageGroup, championship, lang };
+
+	// Any platform's update can change the ranking
+	const versions = (competitionHub.getAvailableFOPs() || []).map((fop) => competitionHub.getFopUpdate(fop)?.lastUpdate || 0).join(',');
+	const cacheKey = buildCacheKey({
+		fopName,
+		includeFop: true,
+		opts: { ...selection, maxRows, versions, database: databaseState?.lastUpdate || 0 }
+	});
+	if (bestLifterCache.has(cacheKey)) {
+		return { ...bestLifterCache.get(cacheKey), learningMode };
+	}
+
+	const competition = {
+		name: competitionHub.getFopUpdate(fopName)?.competitionName || databaseState?.competition?.name || 'Competition',
+		fop: fopName
+	};
+	const system = getScoringSystem(scoringSystem);
+	const title = [system && !system.placement ? system.label : 'Sinclair', gender, ageGroup, championship].filter(Boolean).join(' – ');
+
+	if (!databaseState?.athletes?.length) {
+		return {
+			scoreboardName: 'Best Lifter',
+			competition,
+			title,
+			athletes: [],
+			rankedCount: 0,
+			pendingCount: 0,
+			headers: {},
+			status: 'waiting',
+			message: 'Waiting for competition data from OWLCMS...',
+			learningMode,
+			options: { ...selection, maxRows }
+		};
+	}
+
+	const lifters = databaseState.athletes.map((dbAthlete) => {
+		const lifter = lifterFromDatabase(dbAthlete);
+		if (!lifter.teamName) {
+			lifter.teamName = competitionHub.getTeamNameById({ teamId: dbAthlete.team }) || '';
+		}
+		const entry = liveEntries.get(lifter.key);
+		return entry ? withSessionResults(lifter, entry) : lifter;
+	});
+	const doneSessions = new Set((databaseState.sessions || []).filter((session) => session.done).map((session) => session.name));
+
+	const { athletes, pending } = rankBestLifters(lifters, {
+		scoringSystem,
+		gender,
+		ageGroup,
+		championship,
+		ageGroups: databaseState.ageGroups || [],
+		doneSessions
+	});
+
+	// Movement since the previous ranking of the same selection on this display's platform
+	const selectionKey = JSON.stringify({ competition: currentCompetitionId(), fop: fopName, ...selection });
+	const previous = rankingStates.get(selectionKey);
+	rankingStates.delete(selectionKey);
+	rankingStates.set(selectionKey, trackMovement(previous, athletes));
+	if (rankingStates.size > MAX_RANKING_STATES) {
+		rankingStates.delete(rankingStates.keys().next().value);
+	}
+
+	const rows = athletes.slice(0, maxRows).map((athlete) => ({
+		key: athlete.key,
+		rank: athlete.rank,
+		fullName: athlete.fullName,
+		teamName: athlete.teamName,
+		flagUrl: getFlagUrl(athlete.teamName, true),
+		category: athlete.category,
+		yearOfBirth: athlete.yearOfBirth || '',
+		sessionName: athlete.sessionName,
+		bestSnatch: athlete.bestSnatch || '-',
+		bestCleanJerk: athlete.bestCleanJerk || '-',
+		total: athlete.total,
+		score: athlete.score.toFixed(2),
+		provisional: athlete.provisional,
+		live: athlete.live,
+		movement: athlete.movement,
+		movedBy: athlete.movedBy
+	}));
+
+	const headers = {
+		rank: competitionHub.translate('Rank', lang),
+		name: competitionHub.translate('Name', lang),
+		team: competitionHub.translate('Team', lang),
+		category: competitionHub.translate('Scoreboard.Category', lang),
+		birth: competitionHub.translate('Scoreboard.Birth', lang),
+		session: competitionHub.translate('Tracker.Session', lang) || competitionHub.translate('Session', lang),
+		snatch: competitionHub.translate('Snatch', lang),
+		cleanJerk: competitionHub.translate('Clean_and_Jerk', lang),
+		total: competitionHub.translate('Total', lang),
+		score: system && !system.placement ? system.label : 'Sinclair'
+	};
+
+	const result = {
+		scoreboardName: 'Best Lifter',
+		competition,
+		title,
+		athletes: rows,
+		rankedCount: athletes.length,
+		pendingCount: pending,
+		headers,
+		status: 'ready',
+		lastUpdate: Date.now(),
+		options: { ...selection, maxRows }
+	};
+
+	storeInCache(bestLifterCache, cacheKey, result);
+
+	return { ...result, learningMode };
+}
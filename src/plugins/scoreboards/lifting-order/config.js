@@ -35,6 +35,29 @@ export default {
 			type: 'boolean',
 			default: true,
 			description: 'Display competition records'
+		},
+		{
+			key: 'vFill',
+			label: 'Fill Vertical Space',
+			type: 'boolean',
+			default: true,
+			description: 'Push the leaders section to the bottom of the screen; otherwise it follows the results'
+		},
+		{
+			key: 'showKgNeeded',
+			label: 'Show Kg Needed',
+			type: 'boolean',
+			default: false,
+			description: 'Show the next clean & jerk each athlete needs for the lead (#1), a medal (#3) and the best lifter score, if the others make their next requested attempt'
+		},
+		{
+			key: 'scoringSystem',
+			label: 'Best Lifter Scoring System',
+			type: 'select',
+			// Registered scoring systems (src/lib/server/scoring/)
+			options: 'dynamic:scoring-systems',
+			default: 'Sinclair',
+			description: 'Score used for the best lifter projection of Show Kg Needed'
 		}
 	]
 };
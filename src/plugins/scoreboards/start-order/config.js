@@ -35,6 +35,13 @@ export default {
 			type: 'boolean',
 			default: true,
 			description: 'Display competition records'
+		},
+		{
+			key: 'vFill',
+			label: 'Fill Vertical Space',
+			type: 'boolean',
+			default: true,
+			description: 'Push the leaders section to the bottom of the screen; otherwise it follows the results'
 		}
 	]
 };
@@ -0,0 +1,63 @@
+/**
+ * Medal Table Configuration
+ * Gold, silver and bronze medals per team, over all the completed categories
+ */
+
+export default {
+	name: 'Medal Table',
+	description: 'Medal table by team/nation over the completed categories, total medals only or snatch, clean & jerk and total medals, with the medallists of each team',
+
+	// Category for grouping in the UI
+	category: 'team',
+
+	// on the home page, sort order within the category
+	order: 200,
+
+	// Required resources that must be loaded before this plugin can render
+	requires: ['flags_zip'],
+
+	// Whether this scoreboard requires athlete pictures
+	requiresPictures: false,
+
+	options: [
+		{
+			key: 'medals',
+			label: 'Medals',
+			type: 'select',
+			options: ['Competition', 'Total', 'Separate'],
+			default: 'Competition',
+			description: 'Total: total medals only. Separate: snatch, clean & jerk and total medals. Competition: as set in OWLCMS'
+		},
+		{
+			key: 'gender',
+			label: 'Gender',
+			type: 'select',
+			options: ['All', 'M', 'F'],
+			default: 'All',
+			description: 'Categories counted'
+		},
+		{
+			key: 'championship',
+			label: 'Championship',
+			type: 'string',
+			default: '',
+			description: 'Championship type or name as in OWLCMS (e.g. IWF, MASTERS, U). Empty for all championships'
+		},
+		{
+			key: 'showAthletes',
+			label: 'Show Medallists',
+			type: 'boolean',
+			default: false,
+			description: 'List the medallists under every team (otherwise click a team to see them)'
+		},
+		{
+			key: 'maxRows',
+			label: 'Teams Shown',
+			type: 'number',
+			default: 30,
+			min: 1,
+			max: 300,
+			description: 'Number of teams shown, best first'
+		}
+	]
+};
@@ -0,0 +1,139 @@
+/**
+ * Medal Table Scoreboard - Server-side helpers
+ *
+ * Counts the medals of each team over the completed categories, using
+ * $lib/server/medal-table.js. Athletes of the sessions being lifted are taken from the
+ * session entries of their platform, so a category is counted as soon as its last
+ * athlete has lifted. The medal table document uses the same data.
+ */
+
+import { competitionHub } from '$lib/server/competition-hub.js';
+import { buildCacheKey, registerCache, storeInCache } from '$lib/server/cache-utils.js';
+import { getFlagUrl } from '$lib/server/flag-resolver.js';
+import { buildCategoryMap } from '$lib/server/parser-v2.js';
+import { getLiveEntries, lifterFromDatabase, withSessionResults } from '$lib/server/best-lifter.js';
+import { collectMedals, medalTable, withSessionRanks } from '$lib/server/medal-table.js';
+
+const medalTableCache = new Map();
+registerCache(medalTableCache);
+
+/**
+ * Get formatted scoreboard data for SSR/API (SERVER-SIDE ONLY)
+ * @param {string} fopName - Not used for counting: the table covers all platforms
+ * @param {Object} options - medals, gender, championship, showAthletes, maxRows, lang
+ */
+export function getScoreboardData(fopName = 'A', options = {}) {
+	const databaseState = competitionHub.getDatabaseState();
+	const lang = options.lang || options.language || 'en';
+	const gender = options.gender === 'M' || options.gender === 'F' ? options.gender : null;
+	const championship = options.championship || '';
+	const showAthletes = options.showAthletes === true;
+	const maxRows = options.maxRows || 30;
+	const separateLifts = options.medals === 'Separate' || (options.medals !== 'Total' && databaseState?.competition?.snatchCJTotalMedals === true);
+	const learningMode = process.env.LEARNING_MODE === 'true' ? 'enabled' : 'disabled';
+	const selection = { medals: separateLifts ? 'Separate' : 'Total', gender: gender || 'All', championship, showAthletes, maxRows, lang };
+
+	// Any platform's update can finish a category
+	const versions = (competitionHub.getAvailableFOPs() || []).map((fop) => competitionHub.getFopUpdate(fop)?.lastUpdate || 0).join(',');
+	const cacheKey = buildCacheKey({
+		includeFop: false,
+		opts: { ...selection, versions, database: databaseState?.lastUpdate || 0 }
+	});
+	if (medalTableCache.has(cacheKey)) {
+		return { ...medalTableCache.get(cacheKey), learningMode };
+	}
+
+	const competition = {
+		name: databaseState?.competition?.name || competitionHub.getFopUpdate(fopName)?.competitionName || 'Competition',
+		fop: fopName
+	};
+	const title = ['Medal Table', gender, championship].filter(Boolean).join(' – ');
+
+	if (!databaseState?.athletes?.length) {
+		return {
+			scoreboardName: 'Medal Table',
+			competition,
+			title,
+			teams: [],
+			completedCount: 0,
+			pendingCount: 0,
+			headers: {},
+			status: 'waiting',
+			message: 'Waiting for competition data from OWLCMS...',
+			learningMode,
+			options: selection
+		};
+	}
+
+	const liveEntries = getLiveEntries(competitionHub);
+	const lifters = databaseState.athletes.map((dbAthlete) => {
+		const lifter = lifterFromDatabase(dbAthlete);
+		if (!lifter.teamName) {
+			lifter.teamName = competitionHub.getTeamNameById({ teamId: dbAthlete.team }) || '';
+		}
+		const entry = liveEntries.get(lifter.key);
+		return entry ? withSessionRanks(withSessionResults(lifter, entry), entry) : lifter;
+	});
+	const doneSessions = new Set((databaseState.sessions || []).filter((session) => session.done).map((session) => session.name));
+
+	const { medals, completed, pending } = collectMedals(lifters, {
+		separateLifts,
+		gender,
+		championship,
+		ageGroups: databaseState.ageGroups || [],
+		doneSessions,
+		categoryNames: buildCategoryMap(databaseState.ageGroups || [])
+	});
+
+	const liftLabels = {
+		snatch: competitionHub.translate('Snatch', lang),
+		cleanJerk: competitionHub.translate('Clean_and_Jerk', lang),
+		total: competitionHub.translate('Total', lang)
+	};
+	const teams = medalTable(medals)
+		.slice(0, maxRows)
+		.map((team) => ({
+			rank: team.rank,
+			teamName: team.teamName,
+			flagUrl: getFlagUrl(team.teamName, true),
+			gold: team.gold,
+			silver: team.silver,
+			bronze: team.bronze,
+			total: team.total,
+			medals: team.medals.map((medal) => ({
+				key: medal.key,
+				fullName: medal.fullName,
+				category: medal.category,
+				lift: liftLabels[medal.lift] || medal.lift,
+				medal: medal.medal,
+				result: medal.result
+			}))
+		}));
+
+	const headers = {
+		rank: competitionHub.translate('Rank', lang),
+		team: competitionHub.translate('Team', lang),
+		name: competitionHub.translate('Name', lang),
+		category: competitionHub.translate('Scoreboard.Category', lang),
+		lift: competitionHub.translate('Lift', lang),
+		result: competitionHub.translate('Result', lang),
+		total: competitionHub.translate('Total', lang)
+	};
+
+	const result = {
+		scoreboardName: 'Medal Table',
+		competition,
+		title,
+		teams,
+		completedCount: completed.length,
+		pendingCount: pending.length,
+		headers,
+		status: 'ready',
+		lastUpdate: Date.now(),
+		options: selection
+	};
+
+	storeInCache(medalTableCache, cacheKey, result);
+
+	return { ...result, learningMode };
+}
@@ -30,7 +30,8 @@ export default {
 			key: 'scoringSystem',
 			label: 'Scoring System',
 			type: 'select',
-			options: ['Sinclair', 'SMHF', 'Q-Points', 'Q-Masters', 'GAMX', 'GAMX-M', 'GAMX-A', 'GAMX-U', 'TeamPoints'],
+			// Registered scoring systems (src/lib/server/scoring/)
+			options: 'dynamic:scoring-systems',
 			default: 'Sinclair',
 			group: 'display',
 			description: 'Select the scoring system. TeamPoints uses placement rankings (1st=tp1, 2nd=tp2, etc.) and respects snatch/C&J/total medals setting. Disables predicted scores.'
@@ -77,6 +78,24 @@ export default {
 			group: 'display',
 			description: 'Include first C&J attempt in predicted total'
 		},
+		{
+			key: 'showKgNeeded',
+			label: 'Show Kg Needed',
+			type: 'boolean',
+			default: false,
+			group: 'display',
+			description: 'Show the next clean & jerk each athlete needs for the lead (#1) and a medal (#3) in the category, and for the best lifter score of the selected scoring system, if the others make their next requested attempt'
+		},
+		{
+			key: 'teamRules',
+			label: 'Team Rules',
+			type: 'select',
+			// Registered team rule sets (src/lib/server/team-rules/)
+			options: 'dynamic:team-rules',
+			default: 'Default',
+			group: 'scoring',
+			description: 'Team competition rule set. Default uses the options below; the other rule sets decide who counts, the points of each place, the classification and the tie-breakers'
+		},
 		{
 			key: 'allAthletes',
 			label: 'Include All Athletes',
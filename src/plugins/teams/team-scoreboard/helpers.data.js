@@ -16,11 +16,16 @@
  *   - Computes team totals, top contributors, etc.
  */
 
-import { competitionHub, logger } from '@owlcms/tracker-core';
+import { logger } from '@owlcms/tracker-core';
+import { competitionHub } from '$lib/server/competition-hub.js';
+import { buildCacheKey } from '$lib/server/cache-utils.js';
+import { currentCompetitionId } from '$lib/server/competitions.js';
+import { calculateScore, getScoringSystem } from '$lib/server/scoring-systems.js';
+import { computeKgNeeded } from '$lib/server/kg-needed.js';
+import { compareTeams, getTeamRuleSet, placePoints, selectContributors, separateLiftPoints, teamStanding } from '$lib/server/team-rules.js';
 import { 
 	parseFormattedNumber, 
 	getFlagUrl,
-	buildCacheKey, 
 	registerCache,
 	extractTimers, 
 	computeDisplayMode, 
@@ -35,7 +40,8 @@ import {
 	buildSessionInfo as _buildSessionInfo
 } from '@owlcms/tracker-core/utils';
 import { calculateTeamPoints } from '@owlcms/tracker-core/scoring';
-// Import scoring functions from tracker-core (works at runtime for derivative plugins)
+// Scoring functions from tracker-core, re-exported for derivative plugins
+// (scores are computed with the scoring system registry, $lib/server/scoring-systems.js)
 import { 
 	calculateSinclair2024 as CalculateSinclair2024, 
 	calculateSinclair2020 as CalculateSinclair2020, 
@@ -91,6 +97,7 @@ registerCache(teamScoreboardCache);
 /**
  * Track last known session gender per FOP
  * When no session is active, we use the previous session's gender (default: 'M')
+ * Keyed by competition and FOP: every competition has its own FOPs A, B...
  */
 const lastKnownGenderByFop = new Map();
 
@@ -142,37 +149,17 @@ function normalizeLotNumber(value) {
 
 /**
  * Calculate score based on selected scoring system (default implementation)
+ * Systems are declared in the scoring system registry; unknown and placement
+ * systems (TeamPoints) give the Sinclair score.
  * @param {number} total - Athlete total
  * @param {number} bw - Body weight
  * @param {string} gender - 'M' or 'F'
  * @param {number} age - Athlete age
- * @param {string} system - Scoring system name
+ * @param {string} system - Scoring system id
  * @returns {number} Calculated score
  */
 function defaultCalculateScore(total, bw, gender, age, system = 'Sinclair') {
-	if (!total || total <= 0 || !bw || bw <= 0 || !gender) return 0;
-	
-	const normalizedGender = gender === 'M' || gender === 'F' ? gender : (gender.startsWith('M') ? 'M' : 'F');
-
-	switch (system) {
-		case 'SMHF':
-			return CalculateSinclair2020(total, bw, normalizedGender) * getMastersAgeFactor(age, normalizedGender);
-		case 'Q-Points':
-			return CalculateQPoints(total, bw, normalizedGender, 0); // No age factor
-		case 'Q-Masters':
-			return CalculateQPoints(total, bw, normalizedGender, age);
-		case 'GAMX':
-			return computeGamx(normalizedGender, bw, total, Variant.SENIOR, null);
-		case 'GAMX-M':
-			return computeGamx(normalizedGender, bw, total, Variant.MASTERS, age);
-		case 'GAMX-A':
-			return computeGamx(normalizedGender, bw, total, Variant.AGE_ADJUSTED, age);
-		case 'GAMX-U':
-			return computeGamx(normalizedGender, bw, total, Variant.U17, age);
-		case 'Sinclair':
-		default:
-			return CalculateSinclair2024(total, bw, normalizedGender);
-	}
+	return calculateScore(system, total, { bodyWeight: bw, gender, age });
 }
 
 /**
@@ -1009,9 +996,10 @@ function getAthletePredictedScore(athlete) {
  * Calculate team points for an athlete based on their ranks
  * @param {Object} athlete - TeamAthlete with rank fields
  * @param {Object} competition - Competition settings
+ * @param {Function} [placementPoints] - Points of a rank, from the placement scoring system
  * @returns {number} Team points earned
  */
-function calculateAthleteTeamPoints(athlete, competition) {
+function calculateAthleteTeamPoints(athlete, competition, placementPoints = calculateTeamPoints) {
 	const tp1 = competition?.teamPoints1st || 28;
 	const tp2 = competition?.teamPoints2nd || 25;
 	const tp3 = competition?.teamPoints3rd || 23;
@@ -1087,9 +1075,9 @@ function calculateAthleteTeamPoints(athlete, competition) {
 	if (snatchCJTotal) {
 		// Award points for snatch, clean & jerk, and total
 		// Shared formula validates liftValue > 0 and teamMember before awarding points
-		const snatchPoints = calculateTeamPoints(snatchRank, bestSnatch, teamMember, tp1, tp2, tp3);
-		const cjPoints = calculateTeamPoints(cleanJerkRank, bestCleanJerk, teamMember, tp1, tp2, tp3);
-		const totalPoints = calculateTeamPoints(totalRank, total, teamMember, tp1, tp2, tp3);
+		const snatchPoints = placementPoints(snatchRank, bestSnatch, teamMember, tp1, tp2, tp3);
+		const cjPoints = placementPoints(cleanJerkRank, bestCleanJerk, teamMember, tp1, tp2, tp3);
+		const totalPoints = placementPoints(totalRank, total, teamMember, tp1, tp2, tp3);
 		
 		if (athlete.lastName?.includes('ALJASIM') || athlete.fullName?.includes('ALJASIM') || athlete.fullName?.includes('aljasim')) {
 			logger.debug(`[TeamPoints ALJASIM CALC]`, { snatchPoints, cjPoints, totalPoints, sum: snatchPoints + cjPoints + totalPoints });
@@ -1101,7 +1089,7 @@ function calculateAthleteTeamPoints(athlete, competition) {
 	} else {
 		// Award points only for total
 		// Shared formula validates liftValue > 0 and teamMember before awarding points
-		points += calculateTeamPoints(totalRank, total, teamMember, tp1, tp2, tp3);
+		points += placementPoints(totalRank, total, teamMember, tp1, tp2, tp3);
 	}
 
 	return points;
@@ -1195,8 +1183,11 @@ function findTopContributors(athletes, gender, scoreFn, topCounts = {}) {
  * @param {Object} topCounts - Top score counts { topM, topF, topMFm, topMFf }
  * @param {boolean} includeAllAthletes - Whether to include all athletes in team score
  * @param {Object} competition - Competition settings (for team points calculation)
- * @param {Object} options - Plugin options (e.g., teamPoints flag)
+ * @param {Object} options - Plugin options (e.g., teamPoints flag, teamRules rule set)
  * @returns {Array} Array of team objects ready for frontend display
+ *
+ * A teamRules rule set other than Default ($lib/server/team-rules.js) replaces the top
+ * counts: it decides who counts, the points of a place, the classification and the ties.
  */
 function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllAthletes = false, competition = {}, options = {}) {
 	const { topM = 4, topF = 4, topMFm = 2, topMFf = 2 } = topCounts;
@@ -1217,6 +1208,14 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 	
 	logger.debug(`[Team groupByTeams] After gender filter: ${filteredAthletes.length} athletes`);
 	
+	// Rule set chosen with the teamRules option (Default: the top counts above)
+	const ruleSet = getTeamRuleSet(options.teamRules);
+	const useRules = Boolean(ruleSet) && !ruleSet.fromOptions;
+	const rulesCompetition = useRules
+		? { ...competition, snatchCJTotalMedals: separateLiftPoints(ruleSet, competition) }
+		: competition;
+	const highlightContributors = useRules || !includeAllAthletes;
+	
 	// Group by team
 	const teamMap = new Map();
 	filteredAthletes.forEach(athlete => {
@@ -1232,20 +1231,26 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 		// Filter out spacers
 		const athletes = allTeamAthletes.filter(a => !a.isSpacer);
 		
-		// Determine scoring function based on scoringSystem
-		const useTeamPoints = options.scoringSystem === 'TeamPoints';
+		// Determine scoring function based on scoringSystem (placement systems such as TeamPoints)
+		const system = getScoringSystem(options.scoringSystem);
+		const useTeamPoints = system?.placement === true;
+		const points = useRules ? placePoints(ruleSet, system?.points) : system?.points;
+		const teamPointsOf = (athlete) => calculateAthleteTeamPoints(athlete, rulesCompetition, points);
 		const scoringFunction = useTeamPoints 
-			? (athlete) => calculateAthleteTeamPoints(athlete, competition)
+			? teamPointsOf
 			: getAthleteScore;
+		const contributorsOf = (scoreFn) => useRules
+			? selectContributors(athletes, { ruleSet, gender, scoreOf: scoreFn, compare: (a, b) => compareByScoreWithSessionTiebreaker(a, b, scoreFn) })
+			: findTopContributors(athletes, gender, scoreFn, topCounts);
 		
 		// Find top contributors for ACTUAL score
-		const actualTopContributors = findTopContributors(athletes, gender, scoringFunction, topCounts);
+		const actualTopContributors = contributorsOf(scoringFunction);
 		
 		// Find top contributors for PREDICTED score (may differ from actual!)
 		// When using team points, predicted score is disabled (same as actual)
 		const predictedTopContributors = useTeamPoints 
 			? actualTopContributors
-			: findTopContributors(athletes, gender, getAthletePredictedScore, topCounts);
+			: contributorsOf(getAthletePredictedScore);
 		
 		// Calculate team scores
 		let teamScore = 0;
@@ -1257,11 +1262,11 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 		athletes.forEach(a => {
 			const athleteKey = normalizeKey(a.athleteKey ?? a.key);
 			if (actualTopContributors.has(athleteKey)) {
-				const athletePoints = useTeamPoints ? calculateAthleteTeamPoints(a, competition) : getAthleteScore(a);
+				const athletePoints = useTeamPoints ? teamPointsOf(a) : getAthleteScore(a);
 				teamScore += athletePoints;
 				
-				// Count placements for tiebreaker (only when using TeamPoints)
-				if (useTeamPoints) {
+				// Count placements for tiebreaker (only when using TeamPoints; rule sets have their own)
+				if (useTeamPoints && !useRules) {
 					const snatchCJTotal = competition?.snatchCJTotalMedals || false;
 					// Count 1st/2nd/3rd/4th places across all ranked lifts
 					const ranksToCount = snatchCJTotal 
@@ -1277,13 +1282,13 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 				}
 			}
 			if (predictedTopContributors.has(athleteKey)) {
-				teamNextScore += useTeamPoints ? calculateAthleteTeamPoints(a, competition) : getAthletePredictedScore(a);
+				teamNextScore += useTeamPoints ? teamPointsOf(a) : getAthletePredictedScore(a);
 			}
 		});
 		
 		// Add tiebreaker decimals to team score (not displayed, only used for sorting)
 		// 0.1 per 1st place, 0.01 per 2nd, 0.001 per 3rd, 0.0001 per 4th
-		if (useTeamPoints) {
+		if (useTeamPoints && !useRules) {
 			teamScore += count1st * 0.1 + count2nd * 0.01 + count3rd * 0.001 + count4th * 0.0001;
 		}
 		
@@ -1295,12 +1300,12 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 			const athleteGender = normalizeGender(a.gender);
 			
 			// Recalculate team points with actual competition settings (if using TeamPoints)
-			const athleteTeamPoints = useTeamPoints ? calculateAthleteTeamPoints(a, competition) : a.teamPoints;
+			const athleteTeamPoints = useTeamPoints ? teamPointsOf(a) : a.teamPoints;
 			const displayTeamPoints = athleteTeamPoints > 0 ? String(athleteTeamPoints) : '-';
 			
 			// Determine CSS class for actual score highlight
 			let scoreHighlightClass = '';
-			if (!includeAllAthletes && isActualContributor) {
+			if (highlightContributors && isActualContributor) {
 				if (gender === 'MF') {
 					// In MF mode, differentiate by gender
 					scoreHighlightClass = athleteGender === 'F' ? 'top-contributor-f' : 'top-contributor-m';
@@ -1311,7 +1316,7 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 			
 			// Determine CSS class for predicted score highlight
 			let nextScoreHighlightClass = '';
-			if (!includeAllAthletes && isPredictedContributor) {
+			if (highlightContributors && isPredictedContributor) {
 				if (gender === 'MF') {
 					nextScoreHighlightClass = athleteGender === 'F' ? 'top-contributor-f' : 'top-contributor-m';
 				} else {
@@ -1334,11 +1339,25 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 		// Count contributors (for display label)
 		const contributorCount = actualTopContributors.size;
 		
+		// Places, categories covered and classification, for the rule set's tie-breakers
+		const standing = useRules
+			? teamStanding(athletes.filter(a => actualTopContributors.has(normalizeKey(a.athleteKey ?? a.key))), {
+				ruleSet,
+				scoreOf: scoringFunction,
+				separateLifts: rulesCompetition.snatchCJTotalMedals
+			})
+			: { classified: true };
+		
 		// Build totalLabel using translations with placeholders
 		// Tracker.TopMScores = "top {0} scores" for single gender
 		// Tracker.TopMFScores = "top {0}+{1} scores" for mixed
 		let totalLabel;
-		if (includeAllAthletes) {
+		if (useRules) {
+			const minCategories = ruleSet.counting?.minCategories || 0;
+			totalLabel = standing.classified
+				? ruleSet.label
+				: `${ruleSet.label} – ${standing.categories}/${minCategories} categories`;
+		} else if (includeAllAthletes) {
 			totalLabel = '';
 		} else if (gender === 'MF') {
 			const template = headers?.topMFScores || 'top {0}+{1} scores';
@@ -1361,12 +1380,14 @@ function groupByTeams(teamAthletes, gender, headers, topCounts = {}, includeAllA
 			teamScore,
 			teamNextScore,
 			contributorCount,
-			contributorLabel: totalLabel
+			contributorLabel: totalLabel,
+			...standing
 		};
 	});
 	
 	// Sort teams by actual score (highest first), then by predicted score as tiebreaker
 	teams.sort((a, b) => {
+		if (useRules) return compareTeams(a, b, ruleSet);
 		const scoreDiff = b.teamScore - a.teamScore;
 		if (scoreDiff !== 0) return scoreDiff;
 		// Tiebreaker: team with better predicted score first
@@ -1409,7 +1430,9 @@ export function getScoreboardData(fopName = 'A', options = {}) {
 	const includeCjDeclaration = Boolean(options.cjDecl ?? true);
 	// showPredicted defaults to false (config.js default: false)
 	// When TeamPoints is selected, force showPredicted to false (team points don't have predicted values)
-	const showPredicted = scoringSystem === 'TeamPoints' ? false : (options.showPredicted === 'true' || options.showPredicted === true);
+	const placementScoring = getScoringSystem(scoringSystem)?.placement === true;
+	const showPredicted = placementScoring ? false : (options.showPredicted === 'true' || options.showPredicted === true);
+	const showKgNeeded = options.showKgNeeded === 'true' || options.showKgNeeded === true;
 	const topN = options.topN ?? 0;
 	const language = options.lang || options.language || 'no';
 	const translations = competitionHub.getTranslations(language);
@@ -1423,7 +1446,7 @@ export function getScoreboardData(fopName = 'A', options = {}) {
 	// Note: OWLCMS uses mensTeamSize/womensTeamSize for "best N results" (backward compatibility)
 	const dbTopNMale = databaseState.competition?.mensTeamSize || 0;
 	const dbTopNFemale = databaseState.competition?.womensTeamSize || 0;
-	const hasDbTopN = scoringSystem === 'TeamPoints' && (dbTopNMale > 0 || dbTopNFemale > 0);
+	const hasDbTopN = placementScoring && (dbTopNMale > 0 || dbTopNFemale > 0);
 	
 	logger.debug(`[TeamScoreboard] TopN settings from DB: mensTeamSize=${dbTopNMale}, womensTeamSize=${dbTopNFemale}, hasDbTopN=${hasDbTopN}`);
 	
@@ -1481,12 +1504,13 @@ export function getScoreboardData(fopName = 'A', options = {}) {
 	}
 	
 	// Update last known gender if we detected one from the session
+	const genderKey = `${currentCompetitionId()}:${fopName}`;
 	if (helperDetectedGender && helperDetectedGender !== 'unknown') {
-		lastKnownGenderByFop.set(fopName, helperDetectedGender);
+		lastKnownGenderByFop.set(genderKey, helperDetectedGender);
 	}
 	
 	// Get the last known gender for this FOP (may be undefined if never set)
-	const lastKnownGender = lastKnownGenderByFop.get(fopName);
+	const lastKnownGender = lastKnownGenderByFop.get(genderKey);
 	
 	logger.debug(`[Team helpers] Detected session athlete: "${helperDetectedAthlete?.fullName || 'none'}" gender: ${helperDetectedGender}, lastKnown: ${lastKnownGender || 'none'}`);
 
@@ -1784,7 +1808,12 @@ export function getScoreboardData(fopName = 'A', options = {}) {
 					includeCjDeclaration,
 					scoringSystem
 				});
-				allTeamAthletes.push(wrapped);
+				// Category and team membership for the team rules (not in session data)
+				allTeamAthletes.push({
+					...wrapped,
+					categoryCode: wrapped.categoryCode ?? dbAthlete.categoryCode,
+					teamMember: dbAthlete.participations?.[0]?.teamMember
+				});
 			} else {
 				// Athlete is NOT in current session - use database data
 				const wrapped = teamAthleteFromDatabase(dbAthlete, {
@@ -1803,10 +1832,20 @@ export function getScoreboardData(fopName = 'A', options = {}) {
 	
 	logger.debug(`[Team helpers] Built ${allTeamAthletes.length} team athletes from database`);
 	
+	// Kg needed for the lead, a medal and the best lifter, against every athlete of the competition
+	// (database athletes only carry the category code in their original DTO)
+	const kgNeeded = showKgNeeded
+		? computeKgNeeded(
+			allTeamAthletes.map(athlete => ({ ...athlete, categoryCode: athlete.categoryCode ?? athlete._originalDto?.categoryCode })),
+			{ scoringSystem }
+		)
+		: new Map();
+
 	// Add flag URLs
 	const athletesWithFlags = allTeamAthletes.map(athlete => ({
 		...athlete,
-		flagUrl: getFlagUrl(athlete.teamName || athlete.team, true)
+		flagUrl: getFlagUrl(athlete.teamName || athlete.team, true),
+		kgNeeded: kgNeeded.get(String(athlete.key ?? athlete.athleteKey)) || null
 	}));
 	
 	// Extract competition settings (needed for team points calculation)
@@ -1892,10 +1931,13 @@ export function getScoreboardData(fopName = 'A', options = {}) {
 		gender: options.gender !== undefined ? options.gender : undefined,
 		currentAttemptInfo,
 		showPredicted,
+		showKgNeeded,
 		topN,
 		cjDecl: includeCjDeclaration,
 		scoringSystem,
-		allAthletes: includeAllAthletes
+		placementScoring,
+		allAthletes: includeAllAthletes,
+		teamRules: options.teamRules || 'Default'
 	};
 
 	// Show attempt bar unless inactive with no currentAthleteKey (covers breaks)
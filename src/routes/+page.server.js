@@ -1,5 +1,8 @@
 import { scoreboardRegistry } from '$lib/server/scoreboard-registry.js';
 import { competitionHub } from '$lib/server/competition-hub.js';
+import { listPresets } from '$lib/server/presets.js';
+import { expandScoringOptions } from '$lib/server/scoring-systems.js';
+import { expandTeamRuleOptions } from '$lib/server/team-rules.js';
 
 /**
  * Landing page - discovers available scoreboards and FOPs
@@ -14,7 +17,7 @@ export async function load() {
 		type: sb.type,
 		name: sb.config.name,
 		description: sb.config.description,
-		options: sb.config.options || [],
+		options: (sb.config.options || []).map(expandScoringOptions).map(expandTeamRuleOptions),
 		isLowerThird: sb.config.isLowerThird || false,
 		category: sb.config.category || 'standard',
 		order: sb.config.order || 999,
@@ -73,6 +76,7 @@ export async function load() {
 		hasData: availableFOPs.length > 0,
 		hasConfirmedFops: confirmedFopsAvailable,
 		availableLocales,
-		languageNames
+		languageNames,
+		presets: listPresets()
 	};
 }
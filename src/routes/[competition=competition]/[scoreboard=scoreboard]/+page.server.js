@@ -0,0 +1,9 @@
+/**
+ * Competition-prefixed scoreboard route
+ *
+ * Handles URLs like /nationals/lifting-order?fop=A when several competitions
+ * are hosted (see $lib/server/competitions.js). hooks.server.js already serves
+ * the request with that competition's hub, so the regular scoreboard route is reused.
+ */
+
+export { load } from '../../[scoreboard=scoreboard]/+page.server.js';
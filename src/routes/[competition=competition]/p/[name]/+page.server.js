@@ -0,0 +1,6 @@
+/**
+ * Competition-prefixed preset route (/nationals/p/warmup-men)
+ * hooks.server.js already serves the request with that competition's hub.
+ */
+
+export { load } from '../../../p/[name]/+page.server.js';
@@ -0,0 +1,6 @@
+/**
+ * Competition-prefixed playlist route (/nationals/playlist/warmup?fop=A)
+ * hooks.server.js already serves the request with that competition's hub.
+ */
+
+export { load } from '../../../playlist/[[name]]/+page.server.js';
@@ -0,0 +1,5 @@
+import { handleOwlcmsPost } from '$lib/server/http-ingest.js';
+
+export async function POST(event) {
+  return handleOwlcmsPost('update', event);
+}
@@ -5,9 +5,13 @@
  * /lifting-order?fop=Platform_A&showRecords=true
  * /results?fop=Platform_B&sortBy=sinclair
  * /team-rankings?fop=Platform_C&showTop=5
+ * /nationals/lifting-order?fop=A (named competition, see competitions.js)
  */
 
 import { scoreboardRegistry } from '$lib/server/scoreboard-registry.js';
+import { hasCompetition } from '$lib/server/competitions.js';
+import { competitionHub } from '$lib/server/competition-hub.js';
+import { describeProblems, parseOptions } from '$lib/server/option-schema.js';
 import { error } from '@sveltejs/kit';
 
 export async function load({ params, url }) {
@@ -15,6 +19,12 @@ export async function load({ params, url }) {
 		// Initialize registry
 		await scoreboardRegistry.initialize();
 		
+		// Named competition from /<competition>/<scoreboard> (null = default competition)
+		const competition = params.competition || null;
+		if (competition && !hasCompetition(competition)) {
+			throw error(404, { message: `Competition "${competition}" not found` });
+		}
+		
 		// Get scoreboard type from route param (e.g., "lifting-order")
 		const type = params.scoreboard;
 		
@@ -39,20 +49,20 @@ export async function load({ params, url }) {
 			});
 		}
 		
-		// Extract all other parameters as options
-		const options = {};
-		for (const [key, value] of url.searchParams.entries()) {
-			if (key !== 'fop') {
-				// Parse boolean/number values
-				if (value === 'true') options[key] = true;
-				else if (value === 'false') options[key] = false;
-				else if (!isNaN(value) && value !== '') options[key] = parseFloat(value);
-				else options[key] = value;
-			}
+		// Extract all other parameters as options, converted by the types declared in config.js
+		const { options, problems } = parseOptions(scoreboard, url.searchParams, {
+			locales: competitionHub.getAvailableLocales()
+		});
+		if (problems.length > 0) {
+			throw error(400, {
+				message: describeProblems(problems),
+				problems
+			});
 		}
 		
 		// Return metadata for the page
 		return {
+			competition,
 			scoreboardType: type,
 			pluginPath: scoreboard.pluginPath || scoreboard.folderName,  // For component loading
 			scoreboardName: scoreboard.config.name,
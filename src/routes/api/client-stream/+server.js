@@ -1,5 +1,8 @@
 import { competitionHub } from '$lib/server/competition-hub.js';
 import { sseBroker } from '$lib/server/sse-broker.js';
+import { currentCompetitionId } from '$lib/server/competitions.js';
+import { resolveScoreboardVariant, subscribeScoreboard } from '$lib/server/scoreboard-push.js';
+import { displayGreeting, isValidDisplayId, reportDisplay } from '$lib/server/display-registry.js';
 
 /**
  * Server-Sent Events endpoint for browser clients
@@ -7,43 +10,99 @@ import { sseBroker } from '$lib/server/sse-broker.js';
  * 
  * The SSE broker listens to hub events and broadcasts to all clients.
  * This endpoint registers clients with the broker and sends initial state.
+ *
+ * A browser that reconnects sends the id of the last event it received
+ * (Last-Event-ID header, or ?lastEventId= when the page reopens the stream):
+ * the events it missed are resent instead of the initial state, unless they
+ * are no longer buffered - then it gets the full state_update.
+ *
+ * A scoreboard page also passes its scoreboard query (?scoreboard=type%3Dlifting-order%26lang%3Den...,
+ * the /api/scoreboard parameters without fop and competition): its payload is
+ * then pushed on the stream (scoreboard_data, then scoreboard_patch) instead of
+ * being fetched after each update - see scoreboard-push.js.
+ *
+ * The broker sends keepalive comments and closes streams the browser stopped
+ * reading; the bytes not yet read are measured with a byte-length queuing strategy.
+ *
+ * Browsers that can open a WebSocket use /api/client-ws instead (browser-socket.js);
+ * this stream is their fallback. A page following several FOPs repeats ?fop=.
+ *
+ * ?display=<id>&page=<path and query> identify the screen for the display registry
+ * (display-registry.js): it then receives the operator's display_command messages.
  */
-export async function GET({ request, url }) {
+export async function GET({ request, url, getClientAddress }) {
   const connectionId = Math.random().toString(36).substr(2, 9);
   
   // Get language preference from query parameter (default: 'en')
   const language = url.searchParams.get('lang') || 'en';
   // Get FOP filter (null = global events only, specific FOP = that FOP + global)
-  const fopName = url.searchParams.get('fop') || null;
-  console.log(`[SSE] New client connection: ${connectionId} (language: ${language}, FOP: ${fopName || 'global'})`);
+  const fops = url.searchParams.getAll('fop').filter(Boolean);
+  const fopName = fops.length > 1 ? fops : fops[0] || null;
+  console.log(`[SSE] New client connection: ${connectionId} (language: ${language}, FOP: ${fops.join('+') || 'global'})`);
+
+  // Scoreboard variant pushed to this client (null = events only)
+  let variant = null;
+  const scoreboardQuery = url.searchParams.get('scoreboard');
+  if (scoreboardQuery) {
+    // The scoreboard of a multi-FOP page is for its first FOP
+    variant = await resolveScoreboardVariant(currentCompetitionId(), scoreboardQuery, fops[0] || null);
+    if (!variant) {
+      console.warn(`[SSE] ${connectionId}: ⚠️ Unknown scoreboard type or invalid options "${scoreboardQuery}" - not pushing scoreboard data`);
+    }
+  }
+  
+  // Diagnostics shown in /api/status
+  let remoteAddress = request.headers.get('x-forwarded-for')?.split(',')[0].trim() || null;
+  if (!remoteAddress) {
+    try {
+      remoteAddress = getClientAddress();
+    } catch {
+      // Not available with every adapter
+    }
+  }
+  const displayId = isValidDisplayId(url.searchParams.get('display')) ? url.searchParams.get('display') : null;
+  const page = url.searchParams.get('page');
+  const clientInfo = {
+    remoteAddress,
+    userAgent: request.headers.get('user-agent') || null,
+    language,
+    scoreboard: scoreboardQuery || null,
+    clientId: displayId,
+    page
+  };
   
   const stream = new ReadableStream({
     start(controller) {
       const encoder = new TextEncoder();
       let isClosed = false;
       
-      const send = (dataOrBytes) => {
+      const send = (dataOrBytes, eventId = null) => {
         if (isClosed) {
           return;
         }
 
         try {
           // Check if we received pre-encoded bytes or raw data
+          let bytes;
           if (dataOrBytes instanceof Uint8Array) {
             // Pre-encoded from broker - send directly
-            controller.enqueue(dataOrBytes);
+            bytes = dataOrBytes;
           } else {
             // Raw data (initial state, translations) - encode here
-            const message = `data: ${JSON.stringify(dataOrBytes)}\n\n`;
-            controller.enqueue(encoder.encode(message));
+            const idLine = eventId ? `id: ${eventId}\n` : '';
+            const message = `${idLine}data: ${JSON.stringify(dataOrBytes)}\n\n`;
+            bytes = encoder.encode(message);
           }
+          controller.enqueue(bytes);
+          sseBroker.recordWrite(connectionId, bytes);
         } catch (error) {
           console.error(`[SSE] ${connectionId}: Error sending message:`, error.message);
           cleanup();
         }
       };
 
-      const cleanup = () => {
+      // reason: close with an error, dropping what the client has not read (reaped by the broker)
+      const cleanup = (reason = null) => {
         if (isClosed) return;
         
         console.log(`[SSE] ${connectionId}: Cleaning up connection`);
@@ -51,98 +110,79 @@ export async function GET({ request, url }) {
         
         // Unregister client from broker
         unregisterClient();
+        unsubscribeScoreboard?.();
         
         try {
-          controller.close();
+          if (reason) {
+            controller.error(new Error(reason));
+          } else {
+            controller.close();
+          }
         } catch (error) {
           // Controller might already be closed - ignore
         }
       };
       
+      // Events missed since Last-Event-ID - taken in the same tick as the registration
+      // below, so no broadcast can fall between the two
+      const lastEventId = request.headers.get('last-event-id') || url.searchParams.get('lastEventId');
+      const missedEvents = lastEventId ? sseBroker.eventsSince(lastEventId, currentCompetitionId(), fopName) : null;
+
       // Register client with broker - broker handles hub events and broadcasts
       // Pass fopName so broker can filter FOP-specific events
-      const unregisterClient = sseBroker.registerClient(send, connectionId, fopName);
+      const unregisterClient = sseBroker.registerClient(send, connectionId, fopName, currentCompetitionId(), {
+        ...clientInfo,
+        // Written but not read yet (the high water mark is 0)
+        queuedBytes: () => (isClosed ? 0 : -(controller.desiredSize ?? 0)),
+        close: () => cleanup('Client stopped reading')
+      });
+      let unsubscribeScoreboard = null;
+
+      // Name of the screen, and blanking if the operator blanked it
+      const greetDisplay = () => {
+        if (!displayId) return;
+        const display = reportDisplay(displayId, { competitionId: currentCompetitionId(), page, remoteAddress });
+        for (const message of displayGreeting(display)) {
+          send(message);
+        }
+      };
       
       // Handle client disconnect
-      request.signal.addEventListener('abort', cleanup);
+      request.signal.addEventListener('abort', () => cleanup());
       if (request.signal.aborted) {
         cleanup();
         return;
       }
 
-      // Send initial state if available
-      const currentState = competitionHub.getState();
-      if (currentState) {
-        send({
-          type: 'state_update',
-          data: currentState,
-          timestamp: Date.now()
-        });
-      } else {
-        send({
-          type: 'waiting',
-          message: 'No competition data available yet',
-          timestamp: Date.now()
-        });
+      if (missedEvents) {
+        console.log(`[SSE] ${connectionId}: Resuming after event ${lastEventId} - resending ${missedEvents.length} missed events`);
+        for (const bytes of missedEvents) {
+          send(bytes);
+        }
+        // Scoreboard messages are not replayed: the full payload is sent again
+        if (variant) {
+          unsubscribeScoreboard = subscribeScoreboard(variant, send);
+        }
+        greetDisplay();
+        return;
+      }
+      if (lastEventId) {
+        console.log(`[SSE] ${connectionId}: Cannot resume after event ${lastEventId} - sending full state`);
       }
 
-	  // If a protocol error was latched before this client connected, send it immediately
-	  const protocolError = typeof competitionHub.getProtocolError === 'function'
-		  ? competitionHub.getProtocolError()
-		  : null;
-	  if (protocolError) {
-		send({
-		  type: 'protocol_error',
-		  reason: protocolError.reason,
-		  received: protocolError.received,
-		  minimum: protocolError.minimum,
-		  source: protocolError.source,
-		  timestamp: protocolError.timestamp || Date.now()
-		});
-	  }
-    else {
-    // Explicitly tell clients protocol is OK so they can clear any stale UI state
-    send({
-      type: 'protocol_ok',
-      timestamp: Date.now()
-    });
-    }
-      
-      // If hub is already ready, explicitly send hub_ready so browser knows to fetch data
-      if (competitionHub.isReady()) {
-        send({
-          type: 'hub_ready',
-          message: 'Hub ready - reconnected with data available',
-          timestamp: Date.now()
-        });
+      // Initial state (its id lets the browser resume from here if the connection
+      // drops), protocol status, hub_ready and translations
+      for (const { message, eventId } of sseBroker.initialMessages(competitionHub, language)) {
+        send(message, eventId);
       }
 
-      // Send translations for the requested language
-      const translations = competitionHub.getTranslations(language);
-      if (translations && Object.keys(translations).length > 0) {
-        send({
-          type: 'translations',
-          locale: language,
-          data: translations,
-          keyCount: Object.keys(translations).length,
-          timestamp: Date.now()
-        });
-      } else if (language !== 'en') {
-        // Fallback to English if requested language not available
-        const enTranslations = competitionHub.getTranslations('en');
-        if (enTranslations && Object.keys(enTranslations).length > 0) {
-          console.log(`[SSE] ${connectionId}: Language '${language}' not available, falling back to 'en'`);
-          send({
-            type: 'translations',
-            locale: 'en',
-            data: enTranslations,
-            keyCount: Object.keys(enTranslations).length,
-            timestamp: Date.now()
-          });
-        }
+      // Current scoreboard payload, then its changes
+      if (variant) {
+        unsubscribeScoreboard = subscribeScoreboard(variant, send);
       }
+      greetDisplay();
     }
-  });
+  }, new ByteLengthQueuingStrategy({ highWaterMark: 0 }));
 
   return new Response(stream, {
     headers: {
@@ -150,7 +190,7 @@ export async function GET({ request, url }) {
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
+      'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
     }
   });
 }
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * Display fleet - the screens around the venue (see display-registry.js)
+ *
+ * GET - Known displays: name, group, page shown (scoreboard, FOP, language,
+ *   options), live connections, last seen
+ * POST - Send a command to displays:
+ *   {"displays": ["id1", "id2"], "command": {"command": "navigate", "scoreboard": "rankings"}}
+ *   {"group": "warmup", "command": {"command": "blank"}}
+ *   Commands: navigate {url | scoreboard, fop?, options?}, reload, language {language},
+ *   blank, unblank, identify
+ */
+
+import { json } from '@sveltejs/kit';
+import { commandDisplays, commandProblem, displaysInGroup, listDisplays } from '$lib/server/display-registry.js';
+
+export async function GET() {
+	return json({
+		success: true,
+		displays: listDisplays(),
+		timestamp: Date.now()
+	});
+}
+
+export async function POST({ request }) {
+	let body;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ success: false, error: 'invalid_json' }, { status: 400 });
+	}
+
+	const problem = commandProblem(body?.command);
+	if (problem) {
+		return json({ success: false, error: 'invalid_command', message: problem }, { status: 400 });
+	}
+	const ids = Array.isArray(body.displays) ? body.displays.filter((id) => typeof id === 'string') : body.group ? displaysInGroup(body.group) : [];
+	if (ids.length === 0) {
+		return json({ success: false, error: 'no_displays', message: 'Give "displays" (ids) or an existing "group"' }, { status: 400 });
+	}
+
+	const results = commandDisplays(ids, body.command);
+	return json({
+		success: true,
+		command: body.command.command,
+		results,
+		timestamp: Date.now()
+	});
+}
@@ -0,0 +1,31 @@
+/**
+ * One display of the fleet (see display-registry.js)
+ *
+ * PATCH - Rename or regroup: {"name": "Warm-up room left", "group": "warmup"}
+ *   (null clears); the display shows its new name when asked to identify itself
+ * DELETE - Forget the display (it registers again when it reconnects)
+ */
+
+import { json } from '@sveltejs/kit';
+import { forgetDisplay, updateDisplay } from '$lib/server/display-registry.js';
+
+export async function PATCH({ params, request }) {
+	let body;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ success: false, error: 'invalid_json' }, { status: 400 });
+	}
+	const display = updateDisplay(params.id, { name: body?.name, group: body?.group });
+	if (!display) {
+		return json({ success: false, error: 'unknown_display', id: params.id }, { status: 404 });
+	}
+	return json({ success: true, display, timestamp: Date.now() });
+}
+
+export async function DELETE({ params }) {
+	if (!forgetDisplay(params.id)) {
+		return json({ success: false, error: 'unknown_display', id: params.id }, { status: 404 });
+	}
+	return json({ success: true, id: params.id, timestamp: Date.now() });
+}
@@ -4,6 +4,11 @@
  */
 
 import { competitionHub } from '$lib/server/competition-hub.js';
+import { getHubSnapshotStatus } from '$lib/server/hub-snapshot.js';
+import { currentCompetitionId, listCompetitions } from '$lib/server/competitions.js';
+import { getRelayStatus } from '$lib/server/relay.js';
+import { getScoreboardPushStats } from '$lib/server/scoreboard-push.js';
+import { getSchemaStats } from '$lib/server/message-schema.js';
 
 export async function GET() {
 	try {
@@ -47,11 +52,17 @@ export async function GET() {
 					heapUsagePercent: Math.round((memUsage.heapUsed / memUsage.heapTotal) * 100)
 				},
 				competition: {
+					id: currentCompetitionId(),
 					databaseLoaded: !!db,
 					athletesCount: db?.athletes?.length || 0,
 					fopsCount: fops.length,
 					fops: fops.slice(0, 10) // Limit to first 10
 				},
+				competitions: listCompetitions(),
+				snapshot: getHubSnapshotStatus(),
+				relay: getRelayStatus(),
+				schema: getSchemaStats(),
+				scoreboardPush: getScoreboardPushStats(),
 				translations: {
 					localesCount: locales.length,
 					locales: locales.slice(0, 10) // Limit to first 10
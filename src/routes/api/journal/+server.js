@@ -0,0 +1,32 @@
+import { json } from '@sveltejs/kit';
+import { currentCompetitionId } from '$lib/server/competitions.js';
+import { parseJournalQuery, queryJournal } from '$lib/server/event-journal.js';
+
+/**
+ * Competition event journal
+ * GET /api/journal?fop=A&athlete=<key or name>&type=update,timer,decision&event=FULL_DECISION
+ *     &from=2025-11-15T14:00&to=2025-11-15T15:00&after=<seq>&limit=500
+ *   → {competition, lastSeq, entries, more} (oldest first; page with after=<last seq>)
+ * GET /api/journal?at=2025-11-15T14:32[&fop=A]
+ *   → {competition, lastSeq, at, fops: {A: {update, timer, decision}}} - what each platform showed then
+ *
+ * Times are ISO 8601 (local time unless a zone is given) or epoch milliseconds.
+ * Named competitions: add &competition=<competition>.
+ */
+export async function GET({ url }) {
+  let filter;
+  try {
+    filter = parseJournalQuery(url.searchParams);
+  } catch (err) {
+    return json({ error: 'invalid_query', message: err.message }, { status: 400 });
+  }
+
+  try {
+    return json(await queryJournal(currentCompetitionId(), filter), {
+      headers: { 'Cache-Control': 'no-cache' }
+    });
+  } catch (err) {
+    console.error('[API] Journal query failed:', err.message);
+    return json({ error: 'internal_error', message: err.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Saved display playlists (see $lib/playlist.js and $lib/server/playlists.js)
+ *
+ * GET - Saved playlists: [{name, fop?, items, onTimer?, onBreak?, decisionSeconds?}]
+ *   Each is shown at /playlist/<name> (add ?fop= when it has no FOP)
+ */
+
+import { json } from '@sveltejs/kit';
+import { listPlaylists } from '$lib/server/playlists.js';
+
+export async function GET() {
+	return json({
+		success: true,
+		playlists: listPlaylists(),
+		timestamp: Date.now()
+	});
+}
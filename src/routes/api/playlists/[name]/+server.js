@@ -0,0 +1,43 @@
+/**
+ * One saved display playlist, shown at /playlist/<name>
+ *
+ * GET - The definition
+ * PUT - Create or replace:
+ *   {"items": [{"type": "lifting-order", "seconds": 30},
+ *              {"type": "team-scoreboard", "seconds": 20, "options": {"gender": "MF"}}],
+ *    "onTimer": {"type": "attempt-board"}, "onBreak": {"type": "rankings"}, "decisionSeconds": 5}
+ *   fop is optional (given by the URL instead); onTimer/onBreak null = keep rotating
+ * DELETE - Remove it
+ */
+
+import { json } from '@sveltejs/kit';
+import { deletePlaylist, getPlaylist, savePlaylist } from '$lib/server/playlists.js';
+
+export async function GET({ params }) {
+	const playlist = getPlaylist(params.name);
+	if (!playlist) {
+		return json({ success: false, error: 'unknown_playlist', name: params.name }, { status: 404 });
+	}
+	return json({ success: true, name: params.name, playlist, timestamp: Date.now() });
+}
+
+export async function PUT({ params, request }) {
+	let body;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ success: false, error: 'invalid_json' }, { status: 400 });
+	}
+	const { playlist, problem } = await savePlaylist(params.name, body);
+	if (problem) {
+		return json({ success: false, error: 'invalid_playlist', message: problem }, { status: 400 });
+	}
+	return json({ success: true, name: params.name, playlist, url: `/playlist/${params.name}`, timestamp: Date.now() });
+}
+
+export async function DELETE({ params }) {
+	if (!deletePlaylist(params.name)) {
+		return json({ success: false, error: 'unknown_playlist', name: params.name }, { status: 404 });
+	}
+	return json({ success: true, name: params.name, timestamp: Date.now() });
+}
@@ -0,0 +1,46 @@
+/**
+ * Saved display presets (see $lib/server/presets.js)
+ *
+ * GET - Saved presets: [{name, type, fop, options, version, updatedAt}]
+ *   ?download=true: as a file (export, to import on another tracker)
+ * POST - Import: {"presets": [{"name": "warmup-men", "type": "team-scoreboard",
+ *   "fop": "A", "options": {"gender": "M"}}]} (an exported file as is);
+ *   existing names are replaced
+ */
+
+import { json } from '@sveltejs/kit';
+import { importPresets, listPresets } from '$lib/server/presets.js';
+
+export async function GET({ url }) {
+	const body = {
+		success: true,
+		presets: listPresets(),
+		timestamp: Date.now()
+	};
+	if (url.searchParams.get('download') === 'true') {
+		return json(body, {
+			headers: { 'Content-Disposition': 'attachment; filename="tracker-presets.json"' }
+		});
+	}
+	return json(body);
+}
+
+export async function POST({ request }) {
+	let body;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ success: false, error: 'invalid_json' }, { status: 400 });
+	}
+	const presets = Array.isArray(body) ? body : body?.presets;
+	if (!Array.isArray(presets)) {
+		return json({ success: false, error: 'invalid_presets', message: 'Expected {"presets": [...]}' }, { status: 400 });
+	}
+
+	const result = await importPresets(presets);
+	return json({
+		success: result.rejected.length === 0,
+		...result,
+		timestamp: Date.now()
+	});
+}
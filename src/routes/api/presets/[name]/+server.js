@@ -0,0 +1,42 @@
+/**
+ * One saved display preset, shown at /p/<name>
+ *
+ * GET - The preset
+ * PUT - Create or replace: {"type": "team-scoreboard", "fop": "A",
+ *   "options": {"scoringSystem": "GAMX-M", "gender": "MF", "showPredicted": true}}
+ *   (fop may be left out and given on the URL: /p/<name>?fop=A);
+ *   the displays showing it reload it
+ * DELETE - Remove it
+ */
+
+import { json } from '@sveltejs/kit';
+import { deletePreset, getPreset, savePreset } from '$lib/server/presets.js';
+
+export async function GET({ params }) {
+	const preset = getPreset(params.name);
+	if (!preset) {
+		return json({ success: false, error: 'unknown_preset', name: params.name }, { status: 404 });
+	}
+	return json({ success: true, preset, timestamp: Date.now() });
+}
+
+export async function PUT({ params, request }) {
+	let body;
+	try {
+		body = await request.json();
+	} catch {
+		return json({ success: false, error: 'invalid_json' }, { status: 400 });
+	}
+	const { preset, problem } = await savePreset(params.name, body);
+	if (problem) {
+		return json({ success: false, error: 'invalid_preset', message: problem }, { status: 400 });
+	}
+	return json({ success: true, preset, url: `/p/${params.name}`, timestamp: Date.now() });
+}
+
+export async function DELETE({ params }) {
+	if (!deletePreset(params.name)) {
+		return json({ success: false, error: 'unknown_preset', name: params.name }, { status: 404 });
+	}
+	return json({ success: true, name: params.name, timestamp: Date.now() });
+}
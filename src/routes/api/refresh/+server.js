@@ -1,5 +1,8 @@
 import { json } from '@sveltejs/kit';
-import { closeConnection, competitionHub } from '@owlcms/tracker-core';
+import { closeConnection } from '@owlcms/tracker-core';
+import { competitionHub } from '$lib/server/competition-hub.js';
+import { currentCompetitionId, DEFAULT_COMPETITION } from '$lib/server/competitions.js';
+import { closeActiveConnection } from '$lib/server/websocket-server.js';
 import { scoreboardRegistry } from '$lib/server/scoreboard-registry.js';
 
 /**
@@ -21,7 +24,8 @@ export async function POST({ url }) {
     // Full refresh closes WebSocket - OWLCMS will automatically reconnect and resend everything
     let connectionClosed = false;
     if (fullRefresh) {
-      connectionClosed = closeConnection();
+      // tracker-core serves /ws (default competition), named competitions use websocket-server.js
+      connectionClosed = currentCompetitionId() === DEFAULT_COMPETITION ? closeConnection() : closeActiveConnection();
     }
     
     // Broadcast refresh event to all connected browsers via SSE
@@ -68,9 +72,6 @@ export async function POST({ url }) {
  * Get refresh status
  */
 export async function GET() {
-  // Import hub dynamically to avoid circular dependencies
-  const { competitionHub } = await import('@owlcms/tracker-core');
-  
   return json({
     isReady: competitionHub.isReady(),
     fops: competitionHub.getAvailableFOPs(),
@@ -2,63 +2,28 @@
  * Unified Scoreboard API Endpoint
  * 
  * Handles all scoreboard types with FOP and option parameters
- * Includes compression cache for optimized delivery
+ * Includes compression cache for optimized delivery (bounded LRU, see scoreboard-cache.js)
+ * and ETags: a client that already has the current version gets 304 Not Modified
  * 
  * URL: /api/scoreboard?type=lifting-order&fop=Platform_A&showRecords=true
  */
 
 import { json } from '@sveltejs/kit';
-import crypto from 'crypto';
 import { gzipSync, brotliCompressSync, constants as zlibConstants } from 'zlib';
 import { scoreboardRegistry } from '$lib/server/scoreboard-registry.js';
 import { competitionHub } from '$lib/server/competition-hub.js';
+import { currentCompetitionId } from '$lib/server/competitions.js';
+import { variantHash } from '$lib/server/scoreboard-variant.js';
+import { describeProblems, parseOptions } from '$lib/server/option-schema.js';
+import { scoreboardCache } from '$lib/server/scoreboard-cache.js';
+import { getCacheEpoch } from '$lib/server/cache-epoch.js';
+import { isNotModified, notModified, scoreboardEtag } from '$lib/server/http-cache.js';
+import { anchorPayloadTimers } from '$lib/server/timer-anchor.js';
+import { expandScoringOptions } from '$lib/server/scoring-systems.js';
+import { expandTeamRuleOptions } from '$lib/server/team-rules.js';
 
-const responseCache = new Map();
 const BROTLI_OPTS = { params: { [zlibConstants.BROTLI_PARAM_QUALITY]: 4 } };
 
-/**
- * Normalize a value for canonical representation
- * - true/'true' → 'true'
- * - false/'false' → 'false'
- * - null → 'null'
- * - numbers → string representation
- * - strings → NFKC normalized
- */
-function canonicalValue(v) {
-	if (v === true || v === 'true') return 'true';
-	if (v === false || v === 'false') return 'false';
-	if (v == null) return 'null';
-	
-	const n = typeof v === 'number' ? v : (typeof v === 'string' && v.trim() && !isNaN(v) ? Number(v) : null);
-	if (n !== null && Number.isFinite(n)) return String(Object.is(n, -0) ? 0 : n);
-	
-	return typeof v === 'string' ? v.normalize('NFKC') : String(v);
-}
-
-/**
- * Build canonical options object with sorted keys and normalized values
- */
-function canonicalOptionsObject(options) {
-	return Object.fromEntries(
-		Object.entries(options || {})
-			.sort(([a], [b]) => a.localeCompare(b))
-			.map(([k, v]) => [k, canonicalValue(v)])
-	);
-}
-
-/**
- * Generate SHA256 hash of the variant identity (type, fop, options)
- * Immune to param order, unicode, spaces, delimiters
- */
-function variantHash({ type, fop, options }) {
-	const identity = {
-		type: String(type).normalize('NFKC'),
-		fop: String(fop || '').normalize('NFKC'),
-		options: canonicalOptionsObject(options)
-	};
-	return crypto.createHash('sha256').update(JSON.stringify(identity)).digest('base64url');
-}
-
 export async function GET({ url, request }) {
 	try {
 		// Check for protocol mismatch first - nothing works if versions don't match
@@ -84,6 +49,14 @@ export async function GET({ url, request }) {
 
 		// Check if FOP is required for this scoreboard type
 		const scoreboard = scoreboardRegistry.getScoreboard(type);
+		if (!scoreboard) {
+			return json({
+				success: false,
+				error: 'unknown_type',
+				message: `Unknown scoreboard type: ${type}`,
+				available: scoreboardRegistry.getAllScoreboards().map(s => s.type)
+			}, { status: 404 });
+		}
 		const fopRequired = scoreboard?.config?.fopRequired !== false; // Default to required if not specified
 
 		// If no FOP specified and FOP is required, return error
@@ -95,35 +68,27 @@ export async function GET({ url, request }) {
 			}, { status: 400 });
 		}
 
-		// Extract all other parameters as options
-		const options = {};
-		
-		// First, apply defaults from scoreboard config options
-		if (scoreboard?.config?.options && Array.isArray(scoreboard.config.options)) {
-			for (const opt of scoreboard.config.options) {
-				if (opt.key && opt.default !== undefined) {
-					options[opt.key] = opt.default;
-				}
-			}
-		}
-		
-		// Then, override with URL parameters
-		for (const [key, value] of url.searchParams.entries()) {
-			if (key !== 'type' && key !== 'fop') {
-				// Try to parse as boolean/number
-				if (value === 'true') options[key] = true;
-				else if (value === 'false') options[key] = false;
-				else if (!isNaN(value) && value !== '') options[key] = parseFloat(value);
-				else options[key] = value;
-			}
+		// Extract all other parameters as options (config defaults, then URL parameters
+		// converted by the option types declared in config.js)
+		const { options, problems } = parseOptions(scoreboard, url.searchParams, { locales: competitionHub.getAvailableLocales() });
+		if (problems.length > 0) {
+			return json({
+				success: false,
+				error: 'invalid_options',
+				message: describeProblems(problems),
+				problems
+			}, { status: 400 });
 		}
 		
+		const competitionId = currentCompetitionId();
+
 		// Get current FOP version for cache validation
 		const currentVersion = competitionHub.getFopStateVersion?.({ fopName }) ?? null;
 		
 		// If no versioning support, bypass cache
 		if (currentVersion === null) {
-			const data = await scoreboardRegistry.processData(type, fopName, options);
+			// Timers carry the server time of their value (see timer-anchor.js)
+			const data = anchorPayloadTimers(competitionId, fopName, await scoreboardRegistry.processData(type, fopName, options));
 			return json({
 				success: true,
 				type,
@@ -134,13 +99,25 @@ export async function GET({ url, request }) {
 			});
 		}
 		
-		// Generate cache key from variant hash
-		const cacheKey = `scoreboard:${variantHash({ type, fop: fopName, options })}`;
-		let cached = responseCache.get(cacheKey);
+		// Determine best compression based on Accept-Encoding
+		const acceptEncoding = request.headers.get('accept-encoding') || '';
+		const encoding = acceptEncoding.includes('br') ? 'br' : acceptEncoding.includes('gzip') ? 'gzip' : 'identity';
+		const cacheHeaders = { 'Cache-Control': 'no-cache', 'Vary': 'Accept-Encoding' };
+		
+		// Same variant, FOP state version and cache epoch (bumped by /api/refresh) = same payload
+		const variant = variantHash({ type, fop: fopName, options });
+		const etagFor = (version) => scoreboardEtag({ competitionId, variant, version, epoch: getCacheEpoch(), encoding });
+		if (isNotModified(request, etagFor(currentVersion))) {
+			return notModified(etagFor(currentVersion), cacheHeaders);
+		}
+		
+		// Generate cache key from variant hash (competition first, for clearCompetitionCaches)
+		const cacheKey = `${competitionId}:scoreboard:${variant}`;
+		let cached = scoreboardCache.lookup(cacheKey, type, currentVersion);
 		
 		// Cache miss or version mismatch - recompute
-		if (!cached || cached.version !== currentVersion) {
-			const data = await scoreboardRegistry.processData(type, fopName, options);
+		if (!cached) {
+			const data = anchorPayloadTimers(competitionId, fopName, await scoreboardRegistry.processData(type, fopName, options));
 			const responseData = {
 				success: true,
 				type,
@@ -158,13 +135,12 @@ export async function GET({ url, request }) {
 			const br = brotliCompressSync(jsonString, BROTLI_OPTS);
 			
 			// Create cache entry with version
-			const newEntry = { version: currentVersion, json: jsonString, gzip, br };
+			const newEntry = { type, version: currentVersion, json: jsonString, gzip, br };
 			
 			// CAS-like check: only update if existing version is older (prevent stale overwrites)
-			const existing = responseCache.get(cacheKey);
+			const existing = scoreboardCache.get(cacheKey);
 			if (!existing || (existing.version ?? -1) <= currentVersion) {
-				responseCache.set(cacheKey, newEntry);
-				cached = newEntry;
+				cached = scoreboardCache.set(cacheKey, newEntry);
 				console.log(`[API /api/scoreboard] Cache MISS/UPDATE: ${cacheKey} (v${currentVersion})`);
 			} else {
 				cached = existing;
@@ -174,35 +150,14 @@ export async function GET({ url, request }) {
 			console.log(`[API /api/scoreboard] Cache HIT: ${cacheKey}`);
 		}
 		
-		// Determine best compression based on Accept-Encoding
-		const acceptEncoding = request.headers.get('accept-encoding') || '';
-		if (acceptEncoding.includes('br')) {
-			return new Response(cached.br, {
-				headers: {
-					'Content-Type': 'application/json',
-					'Content-Encoding': 'br',
-					'Cache-Control': 'no-cache',
-					'Vary': 'Accept-Encoding'
-				}
-			});
+		const headers = { 'Content-Type': 'application/json', ...cacheHeaders, 'ETag': etagFor(cached.version) };
+		if (encoding === 'br') {
+			return new Response(cached.br, { headers: { ...headers, 'Content-Encoding': 'br' } });
 		}
-		if (acceptEncoding.includes('gzip')) {
-			return new Response(cached.gzip, {
-				headers: {
-					'Content-Type': 'application/json',
-					'Content-Encoding': 'gzip',
-					'Cache-Control': 'no-cache',
-					'Vary': 'Accept-Encoding'
-				}
-			});
+		if (encoding === 'gzip') {
+			return new Response(cached.gzip, { headers: { ...headers, 'Content-Encoding': 'gzip' } });
 		}
-		
-		return new Response(cached.json, {
-			headers: {
-				'Content-Type': 'application/json',
-				'Cache-Control': 'no-cache'
-			}
-		});
+		return new Response(cached.json, { headers });
 		
 	} catch (error) {
 		console.error('[API /api/scoreboard] Error:', error.message);
@@ -232,7 +187,7 @@ export async function POST({ request }) {
 					type: s.type,
 					name: s.config.name,
 					description: s.config.description,
-					options: s.config.options
+					options: (s.config.options || []).map(expandScoringOptions).map(expandTeamRuleOptions)
 				}))
 			});
 		}
@@ -0,0 +1,32 @@
+/**
+ * Scoreboard response cache administration
+ *
+ * GET - Entries, memory use and hit/miss/eviction statistics per scoreboard type
+ * DELETE - Clear the cache; ?type=<scoreboard> and ?competition=<competition> limit
+ *   what is cleared. Browsers get fresh data on their next request.
+ */
+
+import { json } from '@sveltejs/kit';
+import { scoreboardCache } from '$lib/server/scoreboard-cache.js';
+
+export async function GET() {
+	return json({
+		success: true,
+		cache: scoreboardCache.describe(),
+		timestamp: Date.now()
+	});
+}
+
+export async function DELETE({ url }) {
+	// An unknown ?competition= is rejected by hooks.server.js
+	const competition = url.searchParams.get('competition');
+	const type = url.searchParams.get('type');
+	const cleared = scoreboardCache.clearMatching({ competition, type });
+	console.log(`[API /api/scoreboard/cache] Cleared ${cleared} entries${type ? ` of ${type}` : ''}${competition ? ` for competition "${competition}"` : ''}`);
+	return json({
+		success: true,
+		cleared,
+		remaining: scoreboardCache.size,
+		timestamp: Date.now()
+	});
+}
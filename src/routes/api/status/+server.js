@@ -1,20 +1,26 @@
 /**
  * Status endpoint - Check if the hub is ready to receive messages
+ *
+ * clients lists the connected displays (address, user agent, FOP, language,
+ * bytes and events sent, last write, data not yet read) to see which are live.
  */
 
 import { json } from '@sveltejs/kit';
 import { competitionHub } from '$lib/server/competition-hub.js';
 import { sseBroker } from '$lib/server/sse-broker.js';
+import { isHubStateStale } from '$lib/server/hub-snapshot.js';
 
 export async function GET() {
   const state = competitionHub.getState();
   const activeClients = sseBroker.getActiveClientCount();
+  const { heartbeatSeconds, stallTimeoutSeconds, maxQueuedBytes, reaped } = sseBroker.getMetrics();
   
   return json({
     status: 'ready',
     message: 'Competition Hub is ready to receive OWLCMS messages',
     ready: true,
     hasCompetitionData: !!state,
+    staleCompetitionData: isHubStateStale(),
     endpoints: {
       timer: '/timer',
       decision: '/decision',
@@ -29,6 +35,13 @@ export async function GET() {
       messagesReceived: 0,
       messagesBroadcast: 0
     },
+    sse: {
+      heartbeatSeconds,
+      stallTimeoutSeconds,
+      maxQueuedBytes,
+      reaped
+    },
+    clients: sseBroker.getClientDiagnostics(),
     timestamp: new Date().toISOString()
   });
 }
\ No newline at end of file
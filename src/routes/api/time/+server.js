@@ -0,0 +1,14 @@
+/**
+ * Server clock for browsers (clock-sync.js) - GET /api/time
+ * Displays on the SSE stream measure their clock offset with a few requests,
+ * NTP-style; displays on the WebSocket channel use ping/pong instead.
+ */
+
+export function GET() {
+	return new Response(JSON.stringify({ serverTime: Date.now() }), {
+		headers: {
+			'Content-Type': 'application/json',
+			'Cache-Control': 'no-store'
+		}
+	});
+}
@@ -0,0 +1,27 @@
+import { scoreboardRegistry } from '$lib/server/scoreboard-registry.js';
+import { competitionHub } from '$lib/server/competition-hub.js';
+
+/**
+ * Display fleet page - scoreboards, FOPs and languages the operator can send screens to
+ * (the displays themselves are polled from /api/displays)
+ */
+export async function load() {
+	await scoreboardRegistry.initialize();
+
+	const scoreboards = scoreboardRegistry.getAllScoreboards()
+		.filter(sb => (sb.config.category || 'standard') !== 'documents')
+		.map(sb => ({
+			type: sb.type,
+			name: sb.config.name,
+			order: sb.config.order || 999,
+			fopRequired: sb.config.fopRequired !== false
+		}))
+		.sort((a, b) => a.order - b.order);
+
+	const locales = competitionHub.getAvailableLocales();
+	return {
+		scoreboards,
+		fops: competitionHub.getAvailableFOPs(),
+		locales: locales.length > 0 ? locales : ['en']
+	};
+}
@@ -1,21 +1,13 @@
 /**
  * Static file handler for flag images
  * Allows serving files with spaces and special characters in filenames
+ * Revalidated with ETags (see http-cache.js)
  */
 
-import fs from 'fs';
 import path from 'path';
+import { serveLocalFile } from '$lib/server/http-cache.js';
 
-const MIME_TYPES = {
-	'.png': 'image/png',
-	'.jpg': 'image/jpeg',
-	'.jpeg': 'image/jpeg',
-	'.svg': 'image/svg+xml',
-	'.gif': 'image/gif',
-	'.webp': 'image/webp'
-};
-
-export async function GET({ params }) {
+export async function GET({ params, request, url }) {
 	try {
 		const filename = params.filename;
 		console.log(`[Flag Route] Requested: ${filename}`);
@@ -37,29 +29,14 @@ export async function GET({ params }) {
 			return new Response('Not Found', { status: 404 });
 		}
 
-		// Check if file exists
-		if (!fs.existsSync(filePath)) {
+		// Content-hash ETag: 304 when the browser already has it, immutable with ?v=<hash>
+		const response = serveLocalFile(request, url, resolvedPath);
+		if (!response) {
 			console.log(`[Flag Route] File not found: ${filePath}`);
 			return new Response('Not Found', { status: 404 });
 		}
-
-		// Read file
-		const fileBuffer = fs.readFileSync(filePath);
-		
-		// Determine MIME type
-		const ext = path.extname(filename).toLowerCase();
-		const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
-
-		console.log(`[Flag Route] Serving ${filename} (${fileBuffer.length} bytes, ${mimeType})`);
-
-		// Return file with proper headers
-		return new Response(fileBuffer, {
-			status: 200,
-			headers: {
-				'Content-Type': mimeType,
-				'Cache-Control': 'public, max-age=3600'
-			}
-		});
+		console.log(`[Flag Route] Serving ${filename} (${response.status})`);
+		return response;
 	} catch (error) {
 		console.error('[Flag Route] Error serving flag:', error.message);
 		return new Response('Server Error', { status: 500 });
@@ -0,0 +1,41 @@
+/**
+ * Preset route - short URL of a saved scoreboard (see $lib/server/presets.js)
+ *
+ * Handles URLs like:
+ * /p/warmup-men (type, FOP and options saved in the preset)
+ * /p/warmup-men?lang=fr (query parameters override the preset)
+ * /nationals/p/warmup-men (named competition)
+ */
+
+import { getPreset, listPresets } from '$lib/server/presets.js';
+import { load as loadScoreboard } from '../../[scoreboard=scoreboard]/+page.server.js';
+import { error } from '@sveltejs/kit';
+
+export async function load({ params, url }) {
+	const preset = getPreset(params.name);
+	if (!preset) {
+		throw error(404, {
+			message: `Preset "${params.name}" not found`,
+			available: listPresets().map((p) => p.name)
+		});
+	}
+
+	// The scoreboard route checks and converts the preset like any scoreboard URL
+	const scoreboardUrl = new URL(`/${preset.type}`, url);
+	if (preset.fop) scoreboardUrl.searchParams.set('fop', preset.fop);
+	for (const [key, value] of Object.entries(preset.options || {})) {
+		scoreboardUrl.searchParams.set(key, String(value));
+	}
+	for (const [key, value] of url.searchParams) {
+		scoreboardUrl.searchParams.set(key, value);
+	}
+	const data = await loadScoreboard({
+		params: { scoreboard: preset.type, competition: params.competition },
+		url: scoreboardUrl
+	});
+
+	return {
+		...data,
+		preset: { name: preset.name, version: preset.version }
+	};
+}
@@ -0,0 +1,89 @@
+/**
+ * Display playlist route (see $lib/playlist.js)
+ *
+ * Handles URLs like:
+ * /playlist?fop=A&item=lifting-order:30&item=rankings:20&onTimer=attempt-board
+ * /playlist/warmup?fop=A (saved playlist, see $lib/server/playlists.js)
+ * /nationals/playlist/warmup?fop=A (named competition)
+ */
+
+import { scoreboardRegistry } from '$lib/server/scoreboard-registry.js';
+import { competitionHub } from '$lib/server/competition-hub.js';
+import { hasCompetition } from '$lib/server/competitions.js';
+import { getPlaylist, listPlaylists, scoreboardsProblem } from '$lib/server/playlists.js';
+import { parseOptions } from '$lib/server/option-schema.js';
+import { normalizePlaylist, playlistFromQuery, playlistProblem } from '$lib/playlist.js';
+import { error } from '@sveltejs/kit';
+
+export async function load({ params, url }) {
+	await scoreboardRegistry.initialize();
+
+	const competition = params.competition || null;
+	if (competition && !hasCompetition(competition)) {
+		throw error(404, { message: `Competition "${competition}" not found` });
+	}
+
+	// The URL completes or overrides a saved playlist (usually with the FOP)
+	let definition = playlistFromQuery(url.searchParams);
+	if (params.name) {
+		const saved = getPlaylist(params.name);
+		if (!saved) {
+			throw error(404, {
+				message: `Playlist "${params.name}" not found`,
+				available: listPlaylists().map((p) => p.name)
+			});
+		}
+		definition = { ...saved, ...definition };
+	}
+
+	const problem = playlistProblem(definition);
+	if (problem) {
+		throw error(400, {
+			message: problem,
+			example: '/playlist?fop=Platform_A&item=lifting-order:30&item=rankings:20'
+		});
+	}
+	const playlist = normalizePlaylist(definition);
+	if (!playlist.fop) {
+		throw error(400, {
+			message: 'FOP parameter is required',
+			example: `${url.pathname}?fop=Platform_A`
+		});
+	}
+	const typesProblem = scoreboardsProblem(playlist);
+	if (typesProblem) {
+		throw error(404, { message: typesProblem });
+	}
+
+	// Same data as the scoreboard route, for each scoreboard of the playlist
+	// (options already checked by scoreboardsProblem)
+	const pageData = (entry) => {
+		if (!entry) return null;
+		const scoreboard = scoreboardRegistry.getScoreboard(entry.type);
+		return {
+			competition,
+			scoreboardType: entry.type,
+			pluginPath: scoreboard.pluginPath || scoreboard.folderName,
+			scoreboardName: scoreboard.config.name,
+			scoreboardDescription: scoreboard.config.description,
+			fopName: playlist.fop,
+			options: parseOptions(scoreboard, entry.options, { locales: competitionHub.getAvailableLocales() }).options,
+			config: scoreboard.config,
+			seconds: entry.seconds
+		};
+	};
+
+	// Where the platform is now, so a page opened during a break starts on the break scoreboard
+	const fopUpdate = competitionHub.getFopUpdate(playlist.fop);
+	return {
+		name: params.name || null,
+		playlist,
+		items: playlist.items.map(pageData),
+		onTimer: pageData(playlist.onTimer),
+		onBreak: pageData(playlist.onBreak),
+		initial: {
+			mode: fopUpdate?.mode || null,
+			timerRunning: fopUpdate?.athleteTimerEventType === 'StartTime'
+		}
+	};
+}
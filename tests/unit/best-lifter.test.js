@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { getLiveEntries, inCompetition, lifterFromDatabase, rankBestLifters, trackMovement, withSessionResults } from '../../src/lib/server/best-lifter.js';
+import { calculateScore } from '../../src/lib/server/scoring-systems.js';
+
+/**
+ * Tests for the best lifter ranking
+ */
+
+function dbAthlete(key, { gender = 'M', bodyWeight = 80, lot = 1, snatch = [100, 105, -108], cleanJerk = [125, 130, -135], session = 'M1', categoryCode = 'SR_M81', championshipType = 'IWF' } = {}) {
+	const athlete = {
+		key,
+		firstName: `First${key}`,
+		lastName: `Last${key}`,
+		gender,
+		bodyWeight,
+		lotNumber: lot,
+		fullBirthDate: [1995, 3, 1],
+		categoryCode,
+		sessionName: session,
+		participations: [{ categoryCode, championshipType }]
+	};
+	snatch.forEach((value, i) => (athlete[`snatch${i + 1}ActualLift`] = value));
+	cleanJerk.forEach((value, i) => (athlete[`cleanJerk${i + 1}ActualLift`] = value));
+	return athlete;
+}
+
+describe('best lifter ranking', () => {
+	it('takes the live entries of the sessions not done on every platform', () => {
+		const sessions = { A: [{ key: 1 }, { isSpacer: true }, { athleteKey: 2 }], B: [{ key: 3 }] };
+		const hub = {
+			getAvailableFOPs: () => ['A', 'B'],
+			getSessionStatus: (fop) => ({ isDone: fop === 'B' }),
+			getStartOrderEntries: (fop) => sessions[fop]
+		};
+		const entries = getLiveEntries(hub);
+		expect([...entries.keys()]).toEqual(['1', '2']);
+		expect(entries.get('2').fop).toBe('A');
+	});
+
+	it('reads results and attempts from the database', () => {
+		const lifter = lifterFromDatabase(dbAthlete(7, { snatch: [100, -105, null], cleanJerk: [] }));
+		expect(lifter).toMatchObject({ key: '7', fullName: 'LAST7, First7', bestSnatch: 100, bestCleanJerk: 0, attemptsTaken: 2, yearOfBirth: 1995 });
+
+		const live = withSessionResults(lifter, {
+			bestSnatch: '105',
+			bestCleanJerk: '120',
+			sattempts: [{ value: 100, status: 'good' }, { value: 105, status: 'good' }, { value: 108, status: 'bad' }],
+			cattempts: [{ value: 120, status: 'good' }, { value: 125, status: 'request' }, null]
+		});
+		expect(live).toMatchObject({ bestSnatch: 105, bestCleanJerk: 120, attemptsTaken: 4, live: true });
+	});
+
+	it('ranks by score, then bodyweight and lot number, marking provisional entries', () => {
+		const lifters = [
+			dbAthlete(1, { bodyWeight: 80, lot: 5 }),
+			dbAthlete(2, { bodyWeight: 79, lot: 9 }),
+			dbAthlete(3, { bodyWeight: 80, lot: 2, cleanJerk: [125, 130], session: 'M2' }),
+			dbAthlete(4, { bodyWeight: 73, snatch: [120, 125, 128], cleanJerk: [150, 155, 160], session: 'M2' }),
+			dbAthlete(5, { snatch: [], cleanJerk: [], session: 'M3' }),
+			dbAthlete(6, { gender: 'F', bodyWeight: 59 })
+		].map(lifterFromDatabase);
+		const { athletes, pending } = rankBestLifters(lifters, { scoringSystem: 'Sinclair', gender: 'M', doneSessions: new Set(['M1']) });
+
+		expect(athletes.map((athlete) => athlete.key)).toEqual(['4', '2', '3', '1']);
+		expect(athletes[0].score).toBeCloseTo(calculateScore('Sinclair', 288, { bodyWeight: 73, gender: 'M' }), 6);
+		expect(athletes.map((athlete) => athlete.provisional)).toEqual([false, false, true, false]);
+		expect(pending).toBe(1);
+	});
+
+	it('filters by age group and championship', () => {
+		const masters = lifterFromDatabase(dbAthlete(1, { categoryCode: 'M45_M81', championshipType: 'MASTERS' }));
+		const ageGroups = [{ code: 'M45', championshipType: 'MASTERS', championshipName: 'Masters' }];
+		expect(inCompetition(masters, { ageGroup: 'm45' })).toBe(true);
+		expect(inCompetition(masters, { ageGroup: 'SR' })).toBe(false);
+		expect(inCompetition(masters, { championship: 'Masters', ageGroups })).toBe(true);
+		expect(inCompetition(masters, { championship: 'IWF', ageGroups })).toBe(false);
+	});
+
+	it('highlights rank changes for a while', () => {
+		const first = [{ key: 'a', rank: 1 }, { key: 'b', rank: 2 }];
+		const state = trackMovement(undefined, first, 0);
+		expect(first.every((athlete) => athlete.movement === null)).toBe(true);
+
+		const second = [{ key: 'b', rank: 1 }, { key: 'a', rank: 2 }, { key: 'c', rank: 3 }];
+		const next = trackMovement(state, second, 1000);
+		expect(second.map((athlete) => athlete.movement)).toEqual(['up', 'down', 'new']);
+		expect(second[0].movedBy).toBe(1);
+
+		const later = [{ key: 'b', rank: 1 }, { key: 'a', rank: 2 }, { key: 'c', rank: 3 }];
+		trackMovement(next, later, 60000);
+		expect(later.every((athlete) => athlete.movement === null)).toBe(true);
+	});
+});
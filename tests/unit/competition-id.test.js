@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { readdirSync } from 'fs';
+import { isValidCompetitionId, DEFAULT_COMPETITION } from '../../src/lib/competition-id.js';
+
+/**
+ * Tests for competition identifiers used in /<competition>/... URLs
+ */
+
+describe('isValidCompetitionId', () => {
+	it('accepts URL-safe identifiers', () => {
+		expect(isValidCompetitionId('nationals')).toBe(true);
+		expect(isValidCompetitionId('can-masters_2026')).toBe(true);
+	});
+
+	it('rejects paths the tracker already uses', () => {
+		for (const id of [DEFAULT_COMPETITION, 'api', 'local', 'ws', 'API']) {
+			expect(isValidCompetitionId(id)).toBe(false);
+		}
+	});
+
+	it('rejects every top-level route and static folder', () => {
+		const segments = [...readdirSync('src/routes'), ...readdirSync('static')]
+			.filter((name) => !name.startsWith('[') && !name.startsWith('+'));
+		for (const segment of segments) {
+			expect(isValidCompetitionId(segment), segment).toBe(false);
+		}
+	});
+
+	it('rejects empty, long or unsafe identifiers', () => {
+		expect(isValidCompetitionId('')).toBe(false);
+		expect(isValidCompetitionId('a'.repeat(41))).toBe(false);
+		expect(isValidCompetitionId('../etc')).toBe(false);
+		expect(isValidCompetitionId('-nationals')).toBe(false);
+		expect(isValidCompetitionId(null)).toBe(false);
+	});
+});
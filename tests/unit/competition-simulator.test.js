@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+	CompetitionSimulator,
+	liftingOrder,
+	requestedWeight,
+	attemptsDone
+} from '../../src/lib/server/competition-simulator.js';
+
+/**
+ * Tests for the OWLCMS competition simulator (npm run simulate)
+ * Uses the V2 database captured for the attempt bar tests.
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATABASE = JSON.parse(readFileSync(join(__dirname, '../fixtures/attempt-bar-visibility/2025-12-18T13-52-13-909-DATABASE.json'), 'utf8'));
+
+function athlete(startNumber, fields = {}) {
+	return { key: startNumber, startNumber, lastName: `L${startNumber}`, firstName: 'F', ...fields };
+}
+
+function runAll(simulator, fop = 'A') {
+	return [...simulator.run(fop)].map((step) => step.message);
+}
+
+describe('liftingOrder', () => {
+	it('orders by requested weight, then attempt number, then start number', () => {
+		const athletes = [
+			athlete(1, { snatch1Declaration: 80 }),
+			athlete(2, { snatch1Declaration: 75 }),
+			athlete(3, { snatch1Declaration: 78, snatch1ActualLift: 78, snatch1LiftTime: '10:00', snatch2Declaration: 80 }),
+			athlete(4, { snatch1Declaration: 80 })
+		];
+		expect(liftingOrder(athletes, 'snatch').map((a) => a.startNumber)).toEqual([2, 1, 4, 3]);
+	});
+
+	it('gives priority to whoever lifted the previous attempt first', () => {
+		const athletes = [
+			athlete(1, { snatch1ActualLift: 80, snatch1LiftTime: '10:05', snatch2Declaration: 82 }),
+			athlete(2, { snatch1ActualLift: -80, snatch1LiftTime: '10:01', snatch2Declaration: 82 })
+		];
+		expect(liftingOrder(athletes, 'snatch').map((a) => a.startNumber)).toEqual([2, 1]);
+	});
+
+	it('uses the last weight change and skips athletes done with the lift', () => {
+		const done = athlete(1, { snatch1ActualLift: 70, snatch2ActualLift: 72, snatch3ActualLift: -75 });
+		const changed = athlete(2, { snatch1Declaration: 70, snatch1Change1: 72, snatch1Change2: 74 });
+		expect(requestedWeight(changed, 'snatch', 1)).toBe(74);
+		expect(liftingOrder([done, changed], 'snatch')).toEqual([changed]);
+	});
+});
+
+describe('CompetitionSimulator', () => {
+	it('plays a full session from SwitchGroup to GroupDone', () => {
+		const simulator = new CompetitionSimulator(DATABASE, { sessions: ['P4.3'], ceremonySeconds: 0 });
+		const messages = runAll(simulator);
+		const updates = messages.filter((m) => m.type === 'update').map((m) => m.payload.uiEvent);
+
+		expect(updates[0]).toBe('SwitchGroup');
+		expect(updates.at(-1)).toBe('GroupDone');
+		expect(messages.filter((m) => m.type === 'decision' && m.payload.decisionEventType === 'FULL_DECISION')).toHaveLength(4 * 6);
+
+		const sessionAthletes = simulator.athletes.filter((a) => a.sessionName === 'P4.3');
+		for (const a of sessionAthletes) {
+			expect(attemptsDone(a, 'snatch')).toBe(3);
+			expect(attemptsDone(a, 'cleanJerk')).toBe(3);
+		}
+	});
+
+	it('announces the current athlete with the lifting order', () => {
+		const simulator = new CompetitionSimulator(DATABASE, { sessions: ['P4.3'] });
+		const start = runAll(simulator).find((m) => m.payload.uiEvent === 'StartLifting').payload;
+
+		expect(start.mode).toBe('CURRENT_ATHLETE');
+		expect(start.currentAthleteKey).toBe(start.liftingOrderKeys[0]);
+		const current = start.sessionAthletes.find((sa) => sa.athleteKey === String(start.currentAthleteKey));
+		expect(current.displayInfo.classname).toContain('current');
+		expect(current.displayInfo.sattempts[0].status).toBe('current');
+	});
+
+	it('is deterministic for a given seed', () => {
+		const results = (seed) => {
+			const simulator = new CompetitionSimulator(DATABASE, { sessions: ['P4.3'], seed });
+			runAll(simulator);
+			return simulator.athletes.filter((a) => a.sessionName === 'P4.3').map((a) => a.snatch1ActualLift);
+		};
+		expect(results(3)).toEqual(results(3));
+	});
+
+	it('does not modify the database it was given', () => {
+		const before = JSON.stringify(DATABASE);
+		runAll(new CompetitionSimulator(DATABASE, { sessions: ['P4.3'] }));
+		expect(JSON.stringify(DATABASE)).toBe(before);
+	});
+});
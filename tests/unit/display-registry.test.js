@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { commandProblem, describePage, expiredDisplays, navigationTarget } from '../../src/lib/server/display-registry.js';
+import { sameOriginPath } from '../../src/lib/display-control.js';
+
+/**
+ * Tests for display pages and operator commands
+ */
+
+describe('describePage', () => {
+	it('reads scoreboard, FOP, language and options from the page URL', () => {
+		expect(describePage('/nationals/lifting-order?fop=A&lang=fr&showRecords=true')).toEqual({
+			scoreboard: 'lifting-order',
+			fop: 'A',
+			language: 'fr',
+			options: { showRecords: 'true' }
+		});
+		expect(describePage('/rankings?language=de')).toMatchObject({ scoreboard: 'rankings', fop: null, language: 'de' });
+	});
+});
+
+describe('navigationTarget', () => {
+	const warmup = { competitionId: 'default', fop: 'B', language: 'fr' };
+
+	it('keeps the competition, FOP and language of each display', () => {
+		expect(navigationTarget(warmup, { scoreboard: 'rankings' })).toBe('/rankings?fop=B&lang=fr');
+		expect(navigationTarget({ ...warmup, competitionId: 'nationals' }, { scoreboard: 'rankings', fop: 'A' }))
+			.toBe('/nationals/rankings?fop=A&lang=fr');
+		expect(navigationTarget(warmup, { url: '/medals?fop=B' })).toBe('/medals?fop=B');
+	});
+});
+
+describe('sameOriginPath', () => {
+	const origin = 'https://venue.example';
+
+	it('treats a backslash as a slash, like the browser', () => {
+		expect(sameOriginPath('/\\evil.example', origin)).toBeNull();
+		expect(sameOriginPath('/\t/evil.example', origin)).toBeNull();
+		expect(sameOriginPath('/rankings?fop=A#top', origin)).toBe('/rankings?fop=A#top');
+	});
+
+	it('keeps encoded slashes in the path of this site', () => {
+		const path = sameOriginPath('/%2F%2Fevil.example', origin);
+		expect(path).toBe('/%2F%2Fevil.example');
+		expect(new URL(path, origin).origin).toBe(origin);
+		expect(navigationTarget({}, { url: '/%2F%2Fevil.example' })).toBe('/%2F%2Fevil.example');
+	});
+});
+
+describe('commandProblem', () => {
+	it('accepts the known commands with their arguments', () => {
+		expect(commandProblem({ command: 'navigate', scoreboard: 'rankings' })).toBeNull();
+		expect(commandProblem({ command: 'language', language: 'pt_BR' })).toBeNull();
+		expect(commandProblem({ command: 'blank' })).toBeNull();
+	});
+
+	it('rejects other sites, missing arguments and unknown commands', () => {
+		expect(commandProblem({ command: 'navigate', url: 'https://example.com' })).toMatch(/path on this server/);
+		expect(commandProblem({ command: 'navigate', url: '//example.com' })).toMatch(/path on this server/);
+		expect(commandProblem({ command: 'navigate', url: '/\\example.com' })).toMatch(/path on this server/);
+		expect(commandProblem({ command: 'navigate', url: 'javascript:alert(1)' })).toMatch(/path on this server/);
+		expect(commandProblem({ command: 'navigate' })).toMatch(/url or a scoreboard/);
+		expect(commandProblem({ command: 'language' })).toMatch(/language code/);
+		expect(commandProblem({ command: 'shutdown' })).toMatch(/must be one of/);
+	});
+});
+
+describe('expiredDisplays', () => {
+	const now = Date.parse('2025-11-15T12:00:00.000Z');
+	const display = (id, daysAgo, extra = {}) => ({ id, lastSeen: new Date(now - daysAgo * 24 * 3600 * 1000).toISOString(), ...extra });
+	const expiryMs = 7 * 24 * 3600 * 1000;
+
+	it('forgets unnamed displays not seen for a while', () => {
+		const all = [display('old', 10), display('recent', 1), display('named', 30, { name: 'Warm-up 1' }), display('grouped', 30, { group: 'hall' })];
+		expect(expiredDisplays(all, { now, expiryMs, maxDisplays: 100 })).toEqual(['old']);
+		expect(expiredDisplays(all, { now, expiryMs, maxDisplays: 100, connected: new Set(['old']) })).toEqual([]);
+	});
+
+	it('drops the least recently seen unnamed displays beyond the limit', () => {
+		const all = [display('a', 3), display('b', 1), display('c', 2), display('named', 5, { name: 'Jury' })];
+		expect(expiredDisplays(all, { now, expiryMs, maxDisplays: 2 })).toEqual(['a', 'c']);
+	});
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildEntry, matchesFilter, parseJournalQuery, readLastSeq } from '../../src/lib/server/event-journal.js';
+
+/**
+ * Tests for the competition event journal (/api/journal)
+ */
+
+const timestamp = Date.parse('2025-11-15T14:32:10.000Z');
+
+function entry(overrides) {
+	return { seq: 1, time: '2025-11-15T14:32:10.000Z', fop: 'A', type: 'update', event: 'LiftingOrderUpdated', athleteKey: 123, athleteName: 'DOE, John', data: {}, ...overrides };
+}
+
+describe('buildEntry', () => {
+	it('keeps what the screens showed and drops the bulky lists', () => {
+		const result = buildEntry('update', {
+			fop: 'A',
+			timestamp,
+			data: { uiEvent: 'LiftingOrderUpdated', currentAthleteKey: 123, fullName: 'DOE, John', weight: '120', sessionAthletes: [{}], database: {}, updateKey: 'secret' }
+		});
+		expect(result).toEqual({
+			time: '2025-11-15T14:32:10.000Z',
+			fop: 'A',
+			type: 'update',
+			event: 'LiftingOrderUpdated',
+			athleteKey: 123,
+			athleteName: 'DOE, John',
+			data: { uiEvent: 'LiftingOrderUpdated', currentAthleteKey: 123, fullName: 'DOE, John', weight: '120' }
+		});
+	});
+
+	it('attributes timer and decision events to the athlete on the platform', () => {
+		const result = buildEntry('decision', { fop: 'A', timestamp, decision: { decisionEventType: 'FULL_DECISION', d1: 'true' } }, { key: 123, name: 'DOE, John' });
+		expect(result).toMatchObject({ event: 'FULL_DECISION', athleteKey: 123, athleteName: 'DOE, John' });
+	});
+
+	it('names break timer events', () => {
+		expect(buildEntry('timer', { fop: 'A', timer: { breakTimerEventType: 'BreakStart' } }).event).toBe('BreakStart');
+	});
+});
+
+describe('parseJournalQuery', () => {
+	it('parses filters and caps the limit', () => {
+		const filter = parseJournalQuery(new URLSearchParams('fop=A&type=timer,decision&from=1700000000000&limit=100000'));
+		expect(filter).toMatchObject({ fop: 'A', types: ['timer', 'decision'], from: 1700000000000, to: null, limit: 5000 });
+	});
+
+	it('rejects unknown types and invalid times', () => {
+		expect(() => parseJournalQuery(new URLSearchParams('type=ceremony'))).toThrow(/Unknown event type/);
+		expect(() => parseJournalQuery(new URLSearchParams('from=yesterday'))).toThrow(/Invalid time/);
+	});
+
+	it('rejects paging parameters that are not numbers', () => {
+		expect(() => parseJournalQuery(new URLSearchParams('after=last'))).toThrow(/after/);
+		expect(() => parseJournalQuery(new URLSearchParams('limit=all'))).toThrow(/limit/);
+		expect(parseJournalQuery(new URLSearchParams('after=42&limit=10'))).toMatchObject({ after: 42, limit: 10 });
+	});
+});
+
+describe('matchesFilter', () => {
+	const all = parseJournalQuery(new URLSearchParams());
+
+	it('matches athletes by key or part of the name', () => {
+		expect(matchesFilter(entry(), { ...all, athlete: '123' })).toBe(true);
+		expect(matchesFilter(entry(), { ...all, athlete: 'doe' })).toBe(true);
+		expect(matchesFilter(entry(), { ...all, athlete: 'smith' })).toBe(false);
+	});
+
+	it('filters by time range, platform and sequence', () => {
+		expect(matchesFilter(entry(), { ...all, from: timestamp + 1 })).toBe(false);
+		expect(matchesFilter(entry(), { ...all, to: timestamp })).toBe(true);
+		expect(matchesFilter(entry(), { ...all, fop: 'B' })).toBe(false);
+		expect(matchesFilter(entry({ seq: 5 }), { ...all, after: 5 })).toBe(false);
+	});
+});
+
+describe('readLastSeq', () => {
+	it('continues numbering after a truncated last line', () => {
+		const file = join(mkdtempSync(join(tmpdir(), 'journal-')), 'default.ndjson');
+		writeFileSync(file, `${JSON.stringify(entry({ seq: 41 }))}\n${JSON.stringify(entry({ seq: 42 }))}\n{"seq":43,"ti`);
+		expect(readLastSeq(file)).toBe(42);
+		expect(readLastSeq(join(tmpdir(), 'missing-journal.ndjson'))).toBe(0);
+	});
+});
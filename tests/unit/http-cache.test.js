@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { isNotModified, scoreboardEtag, serveLocalFile, versionedLocalUrl } from '../../src/lib/server/http-cache.js';
+
+/**
+ * Tests for ETag / 304 handling of scoreboards and local files
+ */
+
+function request(ifNoneMatch) {
+	return new Request('http://tracker/x', { headers: ifNoneMatch ? { 'If-None-Match': ifNoneMatch } : {} });
+}
+
+describe('isNotModified', () => {
+	it('matches the current ETag in a list, weakly', () => {
+		expect(isNotModified(request('"a", "b"'), '"b"')).toBe(true);
+		expect(isNotModified(request('W/"b"'), '"b"')).toBe(true);
+		expect(isNotModified(request('*'), '"b"')).toBe(true);
+		expect(isNotModified(request('"a"'), '"b"')).toBe(false);
+		expect(isNotModified(request(null), '"b"')).toBe(false);
+	});
+});
+
+describe('scoreboardEtag', () => {
+	it('changes with the version, the cache epoch and the encoding', () => {
+		const base = { competitionId: 'default', variant: 'abc', version: 3, epoch: 0, encoding: 'br' };
+		const etags = new Set([
+			scoreboardEtag(base),
+			scoreboardEtag({ ...base, version: 4 }),
+			scoreboardEtag({ ...base, epoch: 1 }),
+			scoreboardEtag({ ...base, encoding: 'gzip' }),
+			scoreboardEtag({ ...base, competitionId: 'nationals' })
+		]);
+		expect(etags.size).toBe(5);
+		expect(scoreboardEtag(base)).toBe(scoreboardEtag({ ...base }));
+	});
+});
+
+describe('serveLocalFile', () => {
+	let dir;
+	let file;
+
+	beforeAll(() => {
+		dir = mkdtempSync(join(tmpdir(), 'http-cache-'));
+		file = join(dir, 'CAN.svg');
+		writeFileSync(file, '<svg/>');
+	});
+
+	afterAll(() => {
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('answers 304 when the browser has the same content', async () => {
+		const first = serveLocalFile(request(null), new URL('http://tracker/local/flags/CAN.svg'), file);
+		expect(first.status).toBe(200);
+		expect(first.headers.get('Content-Type')).toBe('image/svg+xml');
+		expect(await first.text()).toBe('<svg/>');
+
+		const etag = first.headers.get('ETag');
+		const second = serveLocalFile(request(etag), new URL('http://tracker/local/flags/CAN.svg'), file);
+		expect(second.status).toBe(304);
+	});
+
+	it('caches as immutable only when the URL has the current content hash', () => {
+		const hash = JSON.parse(serveLocalFile(request(null), new URL('http://tracker/x'), file).headers.get('ETag'));
+		const current = serveLocalFile(request(null), new URL(`http://tracker/x?v=${hash}`), file);
+		const outdated = serveLocalFile(request(null), new URL('http://tracker/x?v=old'), file);
+		expect(current.headers.get('Cache-Control')).toContain('immutable');
+		expect(outdated.headers.get('Cache-Control')).not.toContain('immutable');
+	});
+
+	it('returns null for a missing file', () => {
+		expect(serveLocalFile(request(null), new URL('http://tracker/x'), join(dir, 'missing.png'))).toBeNull();
+	});
+});
+
+describe('versionedLocalUrl', () => {
+	it('leaves other URLs and missing files unchanged', () => {
+		expect(versionedLocalUrl('data:image/png;base64,xyz')).toBe('data:image/png;base64,xyz');
+		expect(versionedLocalUrl('/local/flags/does-not-exist.svg')).toBe('/local/flags/does-not-exist.svg');
+		expect(versionedLocalUrl('/local/../package.json')).toBe('/local/../package.json');
+		expect(versionedLocalUrl(null)).toBeNull();
+	});
+});
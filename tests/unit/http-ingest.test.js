@@ -0,0 +1,76 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { handleOwlcmsPost, parseOwlcmsBody } from '../../src/lib/server/http-ingest.js';
+import { hasCompetition } from '../../src/lib/server/competitions.js';
+import { PROTOCOL_VERSION } from '../../src/lib/server/protocol-config.js';
+
+/**
+ * Tests for POST /update, /timer, /decision and /translations
+ */
+
+// Read by the competition registry when first imported
+vi.hoisted(() => {
+	process.env.MAX_COMPETITIONS = '2';
+});
+
+function post(body, contentType = 'application/json') {
+	return new Request('http://tracker/update', {
+		method: 'POST',
+		headers: { 'content-type': contentType },
+		body: typeof body === 'string' ? body : JSON.stringify(body)
+	});
+}
+
+async function send(type, body, params = {}) {
+	const response = await handleOwlcmsPost(type, { request: post(body), params });
+	return { status: response.status, body: await response.json() };
+}
+
+afterEach(() => {
+	delete process.env.OWLCMS_UPDATEKEY;
+});
+
+describe('parseOwlcmsBody', () => {
+	it('reads JSON bodies, with or without a content type', async () => {
+		expect(await parseOwlcmsBody(post({ version: PROTOCOL_VERSION, fop: 'A' }))).toEqual({ version: PROTOCOL_VERSION, fop: 'A' });
+		expect(await parseOwlcmsBody(post('{"fop":"B"}', 'text/plain'))).toEqual({ fop: 'B' });
+	});
+
+	it('reads form-encoded bodies', async () => {
+		const body = await parseOwlcmsBody(post('fop=A&uiEvent=LiftingOrderUpdated&fullName=DOE%2C+John', 'application/x-www-form-urlencoded'));
+		expect(body).toEqual({ fop: 'A', uiEvent: 'LiftingOrderUpdated', fullName: 'DOE, John' });
+	});
+
+	it('rejects JSON that does not parse', async () => {
+		await expect(parseOwlcmsBody(post('{"fop":'))).rejects.toThrow(SyntaxError);
+		expect((await send('update', '{"fop":')).status).toBe(400);
+	});
+});
+
+describe('handleOwlcmsPost', () => {
+	it('rejects messages without the configured update key', async () => {
+		process.env.OWLCMS_UPDATEKEY = 'secret';
+		const reply = await send('timer', { version: PROTOCOL_VERSION, fop: 'A', updateKey: 'wrong' });
+		expect(reply.status).toBe(401);
+	});
+
+	it('passes 428 replies through so OWLCMS sends the missing data', async () => {
+		const reply = await send('update', { version: PROTOCOL_VERSION, fop: 'A', uiEvent: 'LiftingOrderUpdated' });
+		expect(reply.status).toBe(428);
+		expect(reply.body.missing).toContain('database');
+	});
+
+	it('routes /<competition>/update to that competition', async () => {
+		expect(hasCompetition('http-ingest-test')).toBe(false);
+		await send('update', { version: PROTOCOL_VERSION, fop: 'A', uiEvent: 'LiftingOrderUpdated' }, { competition: 'http-ingest-test' });
+		expect(hasCompetition('http-ingest-test')).toBe(true);
+	});
+
+	it('replies 503 to competitions beyond MAX_COMPETITIONS', async () => {
+		const replies = [];
+		for (const competition of ['cap-a', 'cap-b', 'cap-c']) {
+			replies.push(await send('timer', { version: PROTOCOL_VERSION, fop: 'A' }, { competition }));
+		}
+		expect(replies[2]).toMatchObject({ status: 503, body: { error: 'too_many_competitions' } });
+		expect(hasCompetition('cap-c')).toBe(false);
+	});
+});
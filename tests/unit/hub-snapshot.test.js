@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+	buildHubState,
+	snapshotRejection,
+	prepareFopUpdate,
+	SNAPSHOT_FORMAT,
+	SNAPSHOT_FORMAT_VERSION
+} from '../../src/lib/server/hub-snapshot.js';
+
+/**
+ * Tests for the hub snapshot used for warm restarts
+ */
+
+const NOW = Date.parse('2025-11-15T10:00:00.000Z');
+
+function fakeHub(fopUpdates = {}) {
+	return {
+		lastDatabaseChecksum: 'db-1',
+		lastTranslationsChecksum: 'tr-1',
+		flagsLoaded: true,
+		logosLoaded: false,
+		getAvailableFOPs: () => Object.keys(fopUpdates),
+		getFopUpdate: (fopName) => fopUpdates[fopName] || null
+	};
+}
+
+describe('buildHubState', () => {
+	it('keeps checksums, resource flags and the last update of each FOP', () => {
+		const state = buildHubState(fakeHub({ A: { fopName: 'A', mode: 'CURRENT_ATHLETE' } }), NOW);
+		expect(state).toMatchObject({
+			format: SNAPSHOT_FORMAT,
+			formatVersion: SNAPSHOT_FORMAT_VERSION,
+			savedAt: '2025-11-15T10:00:00.000Z',
+			databaseChecksum: 'db-1',
+			translationsChecksum: 'tr-1',
+			resources: { flagsLoaded: true, logosLoaded: false, picturesLoaded: false, stylesLoaded: false }
+		});
+		expect(state.fops).toEqual({ A: { fopName: 'A', mode: 'CURRENT_ATHLETE' } });
+	});
+});
+
+describe('snapshotRejection', () => {
+	const state = buildHubState(fakeHub(), NOW);
+
+	it('accepts a recent snapshot', () => {
+		expect(snapshotRejection(state, NOW + 60000, 3600000)).toBeNull();
+	});
+
+	it('rejects old snapshots, newer formats and other files', () => {
+		expect(snapshotRejection(state, NOW + 2 * 3600000, 3600000)).toContain('minutes ago');
+		expect(snapshotRejection({ ...state, formatVersion: SNAPSHOT_FORMAT_VERSION + 1 }, NOW)).toContain('newer');
+		expect(snapshotRejection({ type: 'update' }, NOW)).toBe('not a hub snapshot');
+	});
+});
+
+describe('prepareFopUpdate', () => {
+	it('restores running clocks stopped', () => {
+		const update = prepareFopUpdate('A', { athleteTimerEventType: 'StartTime', breakTimerEventType: 'BreakStart', athleteMillisRemaining: 42000 });
+		expect(update).toMatchObject({ fop: 'A', fopName: 'A', athleteTimerEventType: 'StopTime', breakTimerEventType: 'BreakPaused', athleteMillisRemaining: 42000 });
+	});
+
+	it('leaves stopped clocks alone', () => {
+		expect(prepareFopUpdate('B', { athleteTimerEventType: 'SetTime' }).athleteTimerEventType).toBe('SetTime');
+	});
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { createPatch, applyPatch } from '../../src/lib/json-patch.js';
+
+/**
+ * Tests for the JSON Patch used to push scoreboard changes over SSE
+ */
+
+const before = {
+	fop: 'A',
+	currentAttempt: { fullName: 'SMITH, Anna', weight: 85, 'a/b~c': 1 },
+	liftingOrder: [{ key: 1, next: 85 }, { key: 2, next: 90 }, { key: 3, next: 92 }],
+	records: null,
+	removed: true
+};
+
+const after = {
+	fop: 'A',
+	currentAttempt: { fullName: 'JONES, Beth', weight: 90, 'a/b~c': 2 },
+	liftingOrder: [{ key: 2, next: 90 }, { key: 3, next: 92 }],
+	records: [{ lift: 'snatch', weight: 100 }],
+	added: 'yes'
+};
+
+describe('createPatch', () => {
+	it('produces operations that turn one payload into the other', () => {
+		const patch = createPatch(before, after);
+		expect(applyPatch(before, patch)).toEqual(after);
+	});
+
+	it('only touches what changed', () => {
+		const patch = createPatch(before, { ...before, currentAttempt: { ...before.currentAttempt, weight: 86 } });
+		expect(patch).toEqual([{ op: 'replace', path: '/currentAttempt/weight', value: 86 }]);
+	});
+
+	it('escapes keys containing / and ~', () => {
+		const patch = createPatch(before, after);
+		expect(patch).toContainEqual({ op: 'replace', path: '/currentAttempt/a~1b~0c', value: 2 });
+	});
+
+	it('handles growing arrays and whole-document replacement', () => {
+		const grown = { ...before, liftingOrder: [...before.liftingOrder, { key: 4, next: 95 }] };
+		expect(applyPatch(before, createPatch(before, grown))).toEqual(grown);
+		expect(applyPatch(before, createPatch(before, [1, 2]))).toEqual([1, 2]);
+		expect(createPatch(after, structuredClone(after))).toEqual([]);
+	});
+});
+
+describe('applyPatch', () => {
+	it('does not modify the original value', () => {
+		const copy = structuredClone(before);
+		applyPatch(before, createPatch(before, after));
+		expect(before).toEqual(copy);
+	});
+
+	it('rejects operations that do not fit the value', () => {
+		expect(() => applyPatch(before, [{ op: 'replace', path: '/missing/weight', value: 1 }])).toThrow();
+		expect(() => applyPatch(before, [{ op: 'remove', path: '/liftingOrder/7' }])).toThrow();
+	});
+});
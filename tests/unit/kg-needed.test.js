@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { computeKgNeeded, lifterOf, projectedTotal } from '../../src/lib/server/kg-needed.js';
+import { calculateScore, kgNeeded } from '../../src/lib/server/scoring-systems.js';
+
+/**
+ * Tests for the kg needed projections
+ */
+
+const good = (value) => ({ value, status: 'good' });
+const bad = (value) => ({ value, status: 'bad' });
+const request = (value) => ({ value, status: 'request' });
+const empty = { value: null, status: null };
+
+function athlete(key, { lot, bodyWeight = 80, snatch = 100, cattempts, category = 'M81', gender = 'M' }) {
+	const made = cattempts.filter((attempt) => attempt.status === 'good').map((attempt) => attempt.value);
+	return {
+		key,
+		lotNumber: lot,
+		bodyWeight,
+		gender,
+		yearOfBirth: 1995,
+		category,
+		sattempts: [good(snatch - 4), bad(snatch), good(snatch)],
+		cattempts,
+		bestSnatch: String(snatch),
+		bestCleanJerk: made.length > 0 ? String(Math.max(...made)) : '-'
+	};
+}
+
+describe('kg needed', () => {
+	it('projects competitors with their requested attempt', () => {
+		const lifter = lifterOf(athlete('B', { lot: 2, cattempts: [good(120), request(125), empty] }));
+		expect(lifter).toMatchObject({ snatchesLeft: 0, cleanJerksLeft: 2, nextCleanJerk: 125, bestCleanJerk: 120 });
+		expect(projectedTotal(lifter)).toBe(225);
+		expect(lifterOf({ isSpacer: true })).toBeNull();
+	});
+
+	it('breaks total ties by bodyweight, then lot number', () => {
+		const leader = athlete('L', { lot: 5, bodyWeight: 80, cattempts: [good(130), bad(135), bad(135)] }); // 230, done
+		const lighter = athlete('A', { lot: 9, bodyWeight: 79.5, cattempts: [good(120), request(125), empty] });
+		const heavier = athlete('B', { lot: 1, bodyWeight: 80.5, cattempts: [good(120), request(125), empty] });
+		const sameWeight = athlete('C', { lot: 3, bodyWeight: 80, cattempts: [good(120), request(125), empty] });
+		const projections = computeKgNeeded([leader, lighter, heavier, sameWeight]);
+
+		// A and C would get 225 with their request: A beats the leader with an equal total, C by lot number
+		expect(projections.get('A').lead).toEqual({ kg: 130, held: false });
+		expect(projections.get('B').lead).toEqual({ kg: 131, held: false });
+		expect(projections.get('C').lead).toEqual({ kg: 130, held: false });
+		expect(projections.has('L')).toBe(false);
+	});
+
+	it('reports a medal already secured and the request as a floor', () => {
+		const first = athlete('F', { lot: 1, cattempts: [good(140), bad(145), request(145)] });
+		const second = athlete('S', { lot: 2, cattempts: [good(120), request(150), empty] });
+		const third = athlete('T', { lot: 3, snatch: 80, cattempts: [good(100), bad(105), request(105)] });
+		const projections = computeKgNeeded([first, second, third]);
+
+		// Three athletes: every total is a medal
+		expect(projections.get('T').medal).toEqual({ kg: null, held: true });
+		// S loses a tie with F's projected 245 on lot number: 146, but never below the 150 requested
+		expect(projections.get('S').lead).toEqual({ kg: 150, held: false });
+	});
+
+	it('uses the inverse of the scoring system for the best lifter', () => {
+		const light = athlete('W', { lot: 4, bodyWeight: 59, snatch: 95, category: 'F59', gender: 'F', cattempts: [good(120), bad(125), bad(125)] });
+		const heavy = athlete('H', { lot: 7, bodyWeight: 71, snatch: 95, category: 'F71', gender: 'F', cattempts: [good(115), request(120), empty] });
+		const projections = computeKgNeeded([light, heavy], { scoringSystem: 'Q-Points' });
+
+		const age = new Date().getFullYear() - 1995;
+		const target = calculateScore('Q-Points', 215, { bodyWeight: 59, gender: 'F', age });
+		const total = kgNeeded('Q-Points', target, { bodyWeight: 71, gender: 'F', age });
+		expect(projections.get('H').score).toEqual({ kg: Math.max(total - 95, 120), held: false });
+		expect(projections.get('H').scoreLabel).toBe('Q-Points');
+		expect(computeKgNeeded([light, heavy], { scoringSystem: 'TeamPoints' }).get('H').score).toBeNull();
+	});
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { collectMedals, medalTable, withSessionRanks } from '../../src/lib/server/medal-table.js';
+import { lifterFromDatabase } from '../../src/lib/server/best-lifter.js';
+
+/**
+ * Tests for the medal table
+ */
+
+function dbAthlete(key, teamName, ranks, { session = 'M1', categoryCode = 'SR_M81', attempts = 6, extra = [] } = {}) {
+	const athlete = {
+		key,
+		firstName: `First${key}`,
+		lastName: `Last${key}`,
+		gender: 'M',
+		teamName,
+		categoryCode,
+		sessionName: session,
+		participations: [{ categoryCode, snatchRank: ranks[0], cleanJerkRank: ranks[1], totalRank: ranks[2] }, ...extra]
+	};
+	[100, 105, 108, 130, 135, 140].slice(0, attempts).forEach((value, i) => {
+		athlete[`${i < 3 ? 'snatch' : 'cleanJerk'}${(i % 3) + 1}ActualLift`] = value;
+	});
+	return athlete;
+}
+
+describe('medal table', () => {
+	it('counts total medals of completed categories only', () => {
+		const lifters = [
+			dbAthlete(1, 'CAN', [2, 1, 1]),
+			dbAthlete(2, 'USA', [1, 2, 2]),
+			dbAthlete(3, 'MEX', [3, 3, 3]),
+			dbAthlete(4, 'CAN', [1, 1, 1], { categoryCode: 'SR_M89', session: 'M2', attempts: 4 })
+		].map(lifterFromDatabase);
+		const { medals, completed, pending } = collectMedals(lifters, { doneSessions: new Set() });
+
+		expect(completed).toEqual(['SR_M81']);
+		expect(pending).toEqual(['SR_M89']);
+		expect(medals.map((medal) => [medal.teamName, medal.lift, medal.medal, medal.result])).toEqual([
+			['CAN', 'total', 1, 248],
+			['USA', 'total', 2, 248],
+			['MEX', 'total', 3, 248]
+		]);
+	});
+
+	it('counts snatch, clean & jerk and total medals in every participation', () => {
+		const junior = dbAthlete(1, 'CAN', [1, 2, 1], { extra: [{ categoryCode: 'JR_M81', snatchRank: 1, cleanJerkRank: 1, totalRank: 1 }] });
+		const { medals } = collectMedals([lifterFromDatabase(junior)], {
+			separateLifts: true,
+			categoryNames: new Map([['JR_M81', 'M81 Junior']])
+		});
+		expect(medals).toHaveLength(6);
+		expect(medals.filter((medal) => medal.category === 'M81 Junior').every((medal) => medal.medal === 1)).toBe(true);
+	});
+
+	it('uses the ranks of the session being lifted', () => {
+		const lifter = lifterFromDatabase(dbAthlete(1, 'CAN', ['-', '-', '-']));
+		const live = withSessionRanks(lifter, { categoryCode: 'SR_M81', snatchRank: '3', cleanJerkRank: '1', totalRank: '2' });
+		const { medals } = collectMedals([live]);
+		expect(medals.map((medal) => medal.medal)).toEqual([2]);
+	});
+
+	it('sorts teams by gold, silver and bronze and shares tied ranks', () => {
+		const medal = (teamName, rank) => ({ teamName, medal: rank, category: 'M81', lift: 'total' });
+		const rows = medalTable([
+			medal('USA', 2), medal('USA', 2), medal('CAN', 1), medal('MEX', 1), medal('MEX', 3), medal('COL', 1), medal('COL', 3), medal('CAN', 3)
+		]);
+		expect(rows.map((team) => [team.teamName, team.rank, team.gold, team.silver, team.bronze, team.total])).toEqual([
+			['CAN', 1, 1, 0, 1, 2],
+			['COL', 1, 1, 0, 1, 2],
+			['MEX', 1, 1, 0, 1, 2],
+			['USA', 4, 0, 2, 0, 2]
+		]);
+		expect(rows[0].medals.map((entry) => entry.medal)).toEqual([1, 3]);
+	});
+});
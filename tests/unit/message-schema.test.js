@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { validateMessage, validateBinaryFrame, schemaVersionFor, checkMessage, getSchemaStats, SCHEMAS } from '../../src/lib/server/message-schema.js';
+import { PROTOCOL_VERSION, MINIMUM_PROTOCOL_VERSION } from '../../src/lib/server/protocol-config.js';
+
+/**
+ * Tests for the OWLCMS message schemas
+ */
+
+const FIXTURES = path.resolve(__dirname, '../fixtures/attempt-bar-visibility');
+
+function fixture(name) {
+	return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+function binaryFrame(type, payload = [1, 2, 3]) {
+	const typeBytes = Buffer.from(type, 'utf8');
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(typeBytes.length, 0);
+	return Buffer.concat([length, typeBytes, Buffer.from(payload)]);
+}
+
+describe('schema versions', () => {
+	it('has a schema for the current and minimum protocol versions', () => {
+		expect(SCHEMAS[PROTOCOL_VERSION]).toBeDefined();
+		expect(schemaVersionFor(MINIMUM_PROTOCOL_VERSION)).toBe(MINIMUM_PROTOCOL_VERSION);
+	});
+
+	it('uses the highest schema not newer than the message', () => {
+		expect(schemaVersionFor('2.2.5')).toBe('2.2.0');
+		expect(schemaVersionFor('9.0.0')).toBe(PROTOCOL_VERSION);
+	});
+});
+
+describe('validateMessage', () => {
+	it('accepts messages captured from OWLCMS', () => {
+		for (const [name, type] of [
+			['2025-12-18T13-52-13-909-DATABASE.json', 'database'],
+			['2025-12-18T13-58-21-398-UPDATE-SWITCHGROUP.json', 'update'],
+			['2025-12-18T14-05-16-652-UPDATE-STARTLIFTING.json', 'update']
+		]) {
+			const result = validateMessage({ version: PROTOCOL_VERSION, type, payload: fixture(name) });
+			expect(result.errors).toEqual([]);
+		}
+	});
+
+	it('accepts numbers and booleans sent as strings', () => {
+		const payload = { fop: 'A', athleteTimerEventType: 'StartTime', athleteMillisRemaining: '60000', indefiniteBreak: 'false' };
+		expect(validateMessage({ version: PROTOCOL_VERSION, type: 'timer', payload }).valid).toBe(true);
+	});
+
+	it('reports field-level errors', () => {
+		const result = validateMessage({
+			version: PROTOCOL_VERSION,
+			type: 'decision',
+			payload: { fop: 'A', decisionEventType: 'FULL_DECISION', d1: 'yes', mode: 'SOMETHING_NEW' }
+		});
+		expect(result.valid).toBe(false);
+		expect(result.errors.map((e) => [e.path, e.error])).toEqual([
+			['payload.mode', 'enum'],
+			['payload.d1', 'type']
+		]);
+	});
+
+	it('reports missing required fields', () => {
+		const result = validateMessage({ version: PROTOCOL_VERSION, type: 'timer', payload: { fop: '' } });
+		expect(result.errors.map((e) => e.path)).toEqual(['payload.fop', 'payload.athleteTimerEventType|breakTimerEventType']);
+	});
+
+	it('gives paths inside the database', () => {
+		const payload = { databaseChecksum: 'x', database: { formatVersion: '2.0', athletes: [{ key: 1 }, { key: 2, bodyWeight: 'heavy' }] } };
+		const result = validateMessage({ version: PROTOCOL_VERSION, type: 'database', payload });
+		expect(result.errors[0].path).toBe('payload.database.athletes[1].bodyWeight');
+	});
+
+	it('does not check message types without a schema', () => {
+		const result = validateMessage({ version: PROTOCOL_VERSION, type: 'something', payload: {} });
+		expect(result).toMatchObject({ valid: true, known: false });
+	});
+});
+
+describe('validateBinaryFrame', () => {
+	it('accepts known resource types', () => {
+		expect(validateBinaryFrame(binaryFrame('flags_zip')).valid).toBe(true);
+	});
+
+	it('rejects unknown types and empty payloads', () => {
+		expect(validateBinaryFrame(binaryFrame('videos_zip')).errors[0].error).toBe('enum');
+		expect(validateBinaryFrame(binaryFrame('flags_zip', [])).errors[0].error).toBe('required');
+	});
+});
+
+describe('checkMessage', () => {
+	it('counts message types named after Object.prototype members as unknown types', () => {
+		for (const type of ['__proto__', 'constructor', 'toString']) {
+			expect(checkMessage({ version: PROTOCOL_VERSION, type, payload: { fop: 'A' } })).toMatchObject({ valid: true, known: false });
+		}
+		expect({}.checked).toBeUndefined();
+		expect(Object.prototype).not.toHaveProperty('invalid');
+
+		const stats = getSchemaStats();
+		expect(Object.keys(stats.byType)).toEqual(['__proto__', 'constructor', 'toString']);
+		expect(stats.byType.constructor).toEqual({ checked: 1, invalid: 0 });
+		expect(stats.unknownTypes['__proto__']).toBe(1);
+	});
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseOptions } from '../../src/lib/server/option-schema.js';
+
+/**
+ * Tests for scoreboard options converted and checked by their config.js schema
+ */
+
+const teamScoreboard = {
+	type: 'team-scoreboard',
+	config: {
+		options: [
+			{ key: 'gender', type: 'select', options: ['M', 'F', 'MF', 'Current'], default: 'Current' },
+			{ key: 'language', type: 'select', options: 'dynamic:locales', default: 'en' },
+			{ key: 'showPredicted', type: 'boolean', default: false },
+			{ key: 'allAthletes', type: 'boolean', default: true },
+			{ key: 'topM', type: 'number', default: 4, min: 1, max: 10, disabledBy: 'allAthletes' }
+		]
+	}
+};
+
+describe('parseOptions', () => {
+	it('converts by declared type and fills in the defaults', () => {
+		const { options, problems } = parseOptions(teamScoreboard, new URLSearchParams('fop=1&gender=MF&showPredicted=true&allAthletes=false&topM=3&lang=fr'), { locales: ['en', 'fr'] });
+		expect(problems).toEqual([]);
+		expect(options).toEqual({ gender: 'MF', language: 'en', showPredicted: true, allAthletes: false, topM: 3, lang: 'fr' });
+	});
+
+	it('leaves out options disabled by another one', () => {
+		expect(parseOptions(teamScoreboard, { topM: 3 }).options).not.toHaveProperty('topM');
+	});
+
+	it('lists the valid values of rejected options', () => {
+		const { problems } = parseOptions(teamScoreboard, new URLSearchParams('gender=X&allAthletes=false&topM=11&showPredicted=yes&language=de&sortBy=name'), { locales: ['en', 'fr'] });
+		expect(problems.map((p) => [p.option, p.error])).toEqual([
+			['gender', 'enum'],
+			['topM', 'range'],
+			['showPredicted', 'type'],
+			['language', 'enum'],
+			['sortBy', 'unknown']
+		]);
+		expect(problems[0].valid).toEqual(['M', 'F', 'MF', 'Current']);
+		expect(problems[4].message).toMatch(/gender, language, showPredicted, allAthletes, topM, lang/);
+	});
+
+	it('accepts any language code before OWLCMS has sent its translations', () => {
+		expect(parseOptions(teamScoreboard, new URLSearchParams('lang=pt_BR')).problems).toEqual([]);
+		expect(parseOptions(teamScoreboard, new URLSearchParams('lang=../x')).problems[0].error).toBe('enum');
+	});
+});
+
+describe('built-in scoreboards', () => {
+	const srcDir = join(dirname(fileURLToPath(import.meta.url)), '../../src');
+	const pluginsDir = join(srcDir, 'plugins');
+
+	/** URL parameters read by a plugin page and the shared components it imports */
+	function paramsReadBy(pluginDir) {
+		const page = readFileSync(join(pluginDir, 'page.svelte'), 'utf-8');
+		const sources = [page];
+		for (const [, component] of page.matchAll(/from '\$lib\/components\/(\w+\.svelte)'/g)) {
+			sources.push(readFileSync(join(srcDir, 'lib/components', component), 'utf-8'));
+		}
+		return [...new Set(sources.flatMap((source) => [...source.matchAll(/searchParams\.get\('(\w+)'\)/g)].map((match) => match[1])))];
+	}
+
+	const plugins = readdirSync(pluginsDir).flatMap((category) =>
+		readdirSync(join(pluginsDir, category))
+			.map((type) => ({ type, dir: join(pluginsDir, category, type) }))
+			.filter(({ dir }) => existsSync(join(dir, 'config.js')) && existsSync(join(dir, 'page.svelte')))
+	);
+
+	it.each(plugins)('$type declares the URL parameters its page reads', async ({ type, dir }) => {
+		const { default: config } = await import(join(dir, 'config.js'));
+		const params = new URLSearchParams('fop=A&lang=en');
+		for (const key of paramsReadBy(dir)) params.set(key, 'false');
+		expect(parseOptions({ type, config }, params).problems).toEqual([]);
+	});
+});
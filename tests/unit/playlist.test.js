@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { createPlaylistFollower, normalizePlaylist, parseEntry, playlistFromQuery, playlistProblem } from '../../src/lib/playlist.js';
+
+/**
+ * Tests for display playlists: URL form and following the platform
+ */
+
+describe('playlist definitions', () => {
+	it('reads entries with seconds and options', () => {
+		expect(parseEntry('team-scoreboard:20:gender=MF,showPredicted=true,topN=3')).toEqual({
+			type: 'team-scoreboard',
+			seconds: 20,
+			options: { gender: 'MF', showPredicted: true, topN: 3 }
+		});
+		expect(parseEntry('rankings:showLeaders=false')).toEqual({ type: 'rankings', options: { showLeaders: false } });
+	});
+
+	it('applies the defaults to a playlist from the URL', () => {
+		const definition = playlistFromQuery(new URLSearchParams('fop=A&item=lifting-order:30&item=rankings&onBreak=none'));
+		expect(playlistProblem(definition)).toBeNull();
+		expect(normalizePlaylist(definition)).toEqual({
+			fop: 'A',
+			items: [
+				{ type: 'lifting-order', seconds: 30, options: {} },
+				{ type: 'rankings', seconds: 20, options: {} }
+			],
+			onTimer: { type: 'attempt-board', seconds: 20, options: {} },
+			onBreak: null,
+			decisionSeconds: 5
+		});
+	});
+
+	it('rejects empty playlists and short durations', () => {
+		expect(playlistProblem(playlistFromQuery(new URLSearchParams('fop=A')))).toMatch(/at least one item/);
+		expect(playlistProblem({ items: [{ type: 'rankings', seconds: 1 }] })).toMatch(/seconds/);
+	});
+});
+
+describe('createPlaylistFollower', () => {
+	const playlist = normalizePlaylist({ fop: 'A', items: [{ type: 'lifting-order' }] });
+
+	it('shows the attempt board from the clock start until after the decision', () => {
+		const follower = createPlaylistFollower(playlist);
+		expect(follower.phase(0)).toBe('rotation');
+		follower.timer(true, 1000);
+		expect(follower.phase(1000)).toBe('attempt');
+		follower.timer(false, 20000);
+		expect(follower.phase(21000)).toBe('attempt');
+		follower.decision(22000);
+		expect(follower.phase(26000)).toBe('attempt');
+		expect(follower.phase(27000)).toBe('rotation');
+	});
+
+	it('shows the break scoreboard during breaks', () => {
+		const follower = createPlaylistFollower(playlist, { mode: 'INTRO_COUNTDOWN' });
+		expect(follower.phase(0)).toBe('break');
+		follower.mode('CURRENT_ATHLETE');
+		expect(follower.phase(0)).toBe('rotation');
+	});
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { isPluginChange, pageScoreboards } from '../../src/lib/server/plugin-watcher.js';
+
+/**
+ * Tests for the plugin changes watched and the displays reloaded
+ */
+
+describe('isPluginChange', () => {
+	it('rescans for plugin files and folders only', () => {
+		expect(isPluginChange('books/my-book/helpers.data.js')).toBe(true);
+		expect(isPluginChange('my-board/page.svelte')).toBe(true);
+		expect(isPluginChange('my-board')).toBe(true);
+		expect(isPluginChange(null)).toBe(true);
+		expect(isPluginChange('my-board/config.js.swp')).toBe(false);
+		expect(isPluginChange('my-board/README.md')).toBe(false);
+	});
+});
+
+describe('pageScoreboards', () => {
+	it('lists the scoreboards of a page or of a playlist URL', () => {
+		expect(pageScoreboards('/nationals/lifting-order?fop=A')).toEqual(['lifting-order']);
+		expect(pageScoreboards('/playlist?fop=A&item=my-board:30&onBreak=none')).toEqual(['my-board', 'attempt-board']);
+		expect(pageScoreboards(null)).toEqual([]);
+	});
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { presetOfPage } from '../../src/lib/server/presets.js';
+
+/**
+ * Tests for finding the displays that show a preset
+ */
+
+describe('presetOfPage', () => {
+	it('finds the preset of short URLs, with or without competition and query', () => {
+		expect(presetOfPage('/p/warmup-men')).toBe('warmup-men');
+		expect(presetOfPage('/p/warmup-men?lang=fr')).toBe('warmup-men');
+		expect(presetOfPage('/nationals/p/hall_A')).toBe('hall_A');
+	});
+
+	it('ignores other pages', () => {
+		expect(presetOfPage('/lifting-order?fop=A&p=warmup')).toBeNull();
+		expect(presetOfPage('/p/warmup-men/extra')).toBeNull();
+		expect(presetOfPage(null)).toBeNull();
+	});
+});
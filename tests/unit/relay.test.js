@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { WebSocketServer } from 'ws';
+import { withUpstreamKey, resourceType } from '../../src/lib/server/relay.js';
+
+/**
+ * Tests for the tracker-to-tracker relay (RELAY_URL)
+ */
+
+function binaryFrame(type) {
+	const typeBytes = Buffer.from(type, 'utf8');
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(typeBytes.length, 0);
+	return Buffer.concat([length, typeBytes, Buffer.from([1, 2, 3])]);
+}
+
+describe('withUpstreamKey', () => {
+	it('replaces every spelling of the local key with the upstream key', () => {
+		const text = JSON.stringify({ type: 'timer', payload: { fop: 'A', update_key: 'local', updatekey: 'local' } });
+		expect(JSON.parse(withUpstreamKey(text, 'cloud')).payload).toEqual({ fop: 'A', updateKey: 'cloud' });
+	});
+
+	it('leaves frames untouched without an upstream key or payload', () => {
+		const text = '{"type":"update","payload":{"updateKey":"local"}}';
+		expect(withUpstreamKey(text, null)).toBe(text);
+		expect(withUpstreamKey('not json', 'cloud')).toBe('not json');
+	});
+});
+
+describe('resourceType', () => {
+	it('names resources the way 428 replies list them', () => {
+		expect(resourceType(binaryFrame('database_zip'), true)).toBe('database');
+		expect(resourceType(binaryFrame('translations_zip'), true)).toBe('translations');
+		expect(resourceType(binaryFrame('flags_zip'), true)).toBe('flags_zip');
+		expect(resourceType(Buffer.from('{"type":"database","payload":{}}'), false)).toBe('database');
+	});
+
+	it('returns null for live updates', () => {
+		expect(resourceType(Buffer.from('{"type":"update","payload":{}}'), false)).toBeNull();
+	});
+});
+
+describe('relayFrame', () => {
+	let upstream;
+	let relayFrame;
+	const received = [];
+
+	const textFrame = (type, payload = {}) => Buffer.from(JSON.stringify({ version: '2.2.0', type, payload: { ...payload, updateKey: 'secret' } }));
+	const describeFrame = ({ data, isBinary }) => (isBinary ? resourceType(data, true) : JSON.parse(data.toString()).type);
+
+	async function waitForFrames(count) {
+		await vi.waitFor(() => expect(received.length).toBeGreaterThanOrEqual(count), { timeout: 3000 });
+		return received.slice(0, count).map(describeFrame);
+	}
+
+	beforeAll(async () => {
+		upstream = new WebSocketServer({ port: 0 });
+		upstream.on('connection', (ws) => {
+			ws.on('message', (data, isBinary) => {
+				received.push({ data, isBinary });
+				if (!isBinary && JSON.parse(data.toString()).type === 'timer') {
+					ws.send(JSON.stringify({ status: 428, missing: ['database', 'flags_zip'] }));
+				}
+			});
+		});
+		await new Promise((resolve) => upstream.on('listening', resolve));
+
+		// RELAY_URL is read when the module is loaded
+		process.env.RELAY_URL = `ws://127.0.0.1:${upstream.address().port}/ws`;
+		process.env.OWLCMS_UPDATEKEY = 'secret';
+		vi.resetModules();
+		({ relayFrame } = await import('../../src/lib/server/relay.js'));
+	});
+
+	afterAll(async () => {
+		const relay = globalThis.__relay;
+		relay.socket.removeAllListeners('close');
+		relay.socket.terminate();
+		clearTimeout(relay.retryTimer);
+		await new Promise((resolve) => upstream.close(resolve));
+		delete process.env.RELAY_URL;
+		delete process.env.OWLCMS_UPDATEKEY;
+	});
+
+	it('buffers frames until the upstream is connected, then sends them in order', async () => {
+		relayFrame('default', textFrame('database'), false);
+		relayFrame('default', textFrame('update', { fop: 'A' }), false);
+		relayFrame('default', binaryFrame('flags_zip'), true);
+		expect(await waitForFrames(3)).toEqual(['database', 'update', 'flags_zip']);
+	});
+
+	it('authenticates with the last update before anything else after a reconnect', async () => {
+		received.length = 0;
+		for (const client of upstream.clients) client.terminate();
+		await vi.waitFor(() => expect(globalThis.__relay.connected).toBe(false));
+
+		// The first frame after reconnecting is the last update, even with nothing buffered
+		expect(await waitForFrames(1)).toEqual(['update']);
+		relayFrame('default', binaryFrame('logos_zip'), true);
+		expect(await waitForFrames(2)).toEqual(['update', 'logos_zip']);
+	});
+
+	it('resends the resources listed in a 428 reply', async () => {
+		received.length = 0;
+		relayFrame('default', textFrame('timer', { fop: 'A' }), false);
+		expect(await waitForFrames(3)).toEqual(['timer', 'database', 'flags_zip']);
+	});
+});
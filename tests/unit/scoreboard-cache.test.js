@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { ScoreboardCache } from '../../src/lib/server/scoreboard-cache.js';
+import { bumpCacheEpoch, clearCompetitionCaches, registerCache } from '../../src/lib/server/cache-epoch.js';
+
+/**
+ * Tests for the bounded /api/scoreboard response cache
+ */
+
+function response(type, version, size = 10) {
+	return { type, version, json: 'x'.repeat(size), gzip: Buffer.alloc(1), br: Buffer.alloc(1) };
+}
+
+describe('ScoreboardCache', () => {
+	it('evicts the least recently used entry beyond the entry limit', () => {
+		const cache = new ScoreboardCache({ maxEntries: 2, maxBytes: 1e6 });
+		cache.set('default:a', response('lifting-order', 1));
+		cache.set('default:b', response('lifting-order', 1));
+		cache.lookup('default:a', 'lifting-order', 1);
+		cache.set('default:c', response('standard', 1));
+
+		expect(Array.from(cache.keys())).toEqual(['default:a', 'default:c']);
+		expect(cache.describe().byType['lifting-order']).toMatchObject({ entries: 1, hits: 1, evictions: 1 });
+	});
+
+	it('evicts beyond the memory limit and keeps the byte count', () => {
+		const cache = new ScoreboardCache({ maxEntries: 100, maxBytes: 50 });
+		cache.set('default:a', response('standard', 1, 20));
+		cache.set('default:b', response('standard', 1, 20));
+		cache.set('default:c', response('standard', 1, 20));
+		expect(cache.size).toBe(2);
+		expect(cache.bytes).toBe(44);
+	});
+
+	it('counts outdated entries as misses', () => {
+		const cache = new ScoreboardCache();
+		cache.set('default:a', response('standard', 1));
+		expect(cache.lookup('default:a', 'standard', 2)).toBeNull();
+		expect(cache.lookup('default:missing', 'standard', 1)).toBeNull();
+		expect(cache.lookup('default:a', 'standard', 1)).not.toBeNull();
+		expect(cache.describe()).toMatchObject({ hits: 1, misses: 2, hitRate: 0.333 });
+	});
+
+	it('clears by competition and type', () => {
+		const cache = new ScoreboardCache();
+		cache.set('default:a', response('standard', 1));
+		cache.set('default:b', response('lifting-order', 1));
+		cache.set('nationals:a', response('standard', 1));
+		expect(cache.clearMatching({ type: 'standard', competition: 'default' })).toBe(1);
+		expect(cache.clearMatching({ competition: 'nationals' })).toBe(1);
+		expect(Array.from(cache.keys())).toEqual(['default:b']);
+	});
+
+	it('is cleared with the other registered caches', () => {
+		const cache = new ScoreboardCache();
+		registerCache(cache);
+		cache.set('nationals:a', response('standard', 1));
+		cache.set('masters:a', response('standard', 1));
+		clearCompetitionCaches('nationals');
+		expect(Array.from(cache.keys())).toEqual(['masters:a']);
+		bumpCacheEpoch();
+		expect(cache.size).toBe(0);
+		expect(cache.bytes).toBe(0);
+	});
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { calculateScore, expandScoringOptions, kgNeeded, listScoringSystems, registerScoringSystem } from '../../src/lib/server/scoring-systems.js';
+import { CalculateSinclair2024 } from '../../src/lib/sinclair-coefficients.js';
+
+/**
+ * Tests for the scoring system registry
+ */
+
+describe('scoring systems', () => {
+	it('lists the built-in systems in option order', () => {
+		const ids = listScoringSystems().map((system) => system.id);
+		expect(ids.slice(0, 4)).toEqual(['Sinclair', 'SMHF', 'Q-Points', 'Q-Masters']);
+		expect(ids).toContain('TeamPoints');
+		expect(expandScoringOptions({ key: 'scoringSystem', options: 'dynamic:scoring-systems' }).labels.SMHF).toBe('SMHF (Masters Sinclair)');
+	});
+
+	it('scores a total, Sinclair for unknown and placement systems', () => {
+		const athlete = { bodyWeight: 81, gender: 'M', age: 35 };
+		expect(calculateScore('Sinclair', 300, athlete)).toBeCloseTo(CalculateSinclair2024(300, 81, 'M'), 6);
+		expect(calculateScore('TeamPoints', 300, athlete)).toBe(calculateScore('Sinclair', 300, athlete));
+		expect(calculateScore('Nope', 300, { ...athlete, gender: 'Men' })).toBe(calculateScore('Sinclair', 300, athlete));
+		expect(calculateScore('Sinclair', 300, { bodyWeight: 0, gender: 'M' })).toBe(0);
+	});
+
+	it('finds the smallest total beating a score', () => {
+		const athlete = { bodyWeight: 64, gender: 'F' };
+		const target = calculateScore('Q-Points', 200, athlete);
+		expect(kgNeeded('Q-Points', target, athlete)).toBe(201);
+		expect(kgNeeded('TeamPoints', 100, athlete)).toBeNull();
+	});
+
+	it('registers a federation formula', () => {
+		expect(registerScoringSystem({ id: 'Flat', label: 'Flat', inputs: ['bodyWeight', 'gender'], factor: () => 2 })).toBe(true);
+		expect(calculateScore('Flat', 101, { bodyWeight: 70, gender: 'F' })).toBe(202);
+		expect(kgNeeded('Flat', 202, { bodyWeight: 70, gender: 'F' })).toBe(102);
+		expect(registerScoringSystem({ id: 'Broken', inputs: ['height'], factor: () => 1 })).toBe(false);
+	});
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parseRecording,
+	redactUpdateKey,
+	describeEvent,
+	peekBinaryType,
+	RECORDING_FORMAT,
+	RECORDING_FORMAT_VERSION
+} from '../../src/lib/server/session-recorder.js';
+
+/**
+ * Tests for the session recording format used by `npm run replay`
+ */
+
+const header = { kind: 'header', format: RECORDING_FORMAT, formatVersion: RECORDING_FORMAT_VERSION, startedAt: '2025-11-15T09:12:03.000Z' };
+
+function binaryFrame(type, payload = [1, 2, 3]) {
+	const typeBytes = Buffer.from(type, 'utf8');
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(typeBytes.length, 0);
+	return Buffer.concat([length, typeBytes, Buffer.from(payload)]);
+}
+
+function toNdjson(lines) {
+	return lines.map((line) => JSON.stringify(line)).join('\n') + '\n';
+}
+
+describe('parseRecording', () => {
+	it('returns header and events in sequence order', () => {
+		const content = toNdjson([
+			header,
+			{ seq: 1, t: 20, kind: 'text', conn: 1, data: '{}' },
+			{ seq: 0, t: 0, kind: 'open', conn: 1, remote: '' }
+		]);
+		const { header: parsedHeader, events } = parseRecording(content);
+		expect(parsedHeader.startedAt).toBe(header.startedAt);
+		expect(events.map((e) => e.kind)).toEqual(['open', 'text']);
+	});
+
+	it('tolerates a truncated last line left by a crash', () => {
+		const content = toNdjson([header, { seq: 0, t: 0, kind: 'open', conn: 1 }]) + '{"seq":1,"t":5,"ki';
+		expect(parseRecording(content).events).toHaveLength(1);
+	});
+
+	it('rejects files that are not recordings', () => {
+		expect(() => parseRecording('')).toThrow('empty');
+		expect(() => parseRecording(toNdjson([{ type: 'update' }]))).toThrow('Not an OWLCMS');
+	});
+
+	it('rejects recordings from a newer format', () => {
+		const content = toNdjson([{ ...header, formatVersion: RECORDING_FORMAT_VERSION + 1 }]);
+		expect(() => parseRecording(content)).toThrow('newer');
+	});
+});
+
+describe('redactUpdateKey', () => {
+	it('removes every spelling of the update key', () => {
+		const text = JSON.stringify({ type: 'update', payload: { fop: 'A', updateKey: 'a', update_key: 'b', updatekey: 'c' } });
+		expect(JSON.parse(redactUpdateKey(text))).toEqual({ type: 'update', payload: { fop: 'A' } });
+	});
+
+	it('leaves frames without a key or invalid JSON untouched', () => {
+		const text = '{"type":"timer","payload":{"fop":"A"}}';
+		expect(redactUpdateKey(text)).toBe(text);
+		expect(redactUpdateKey('not json')).toBe('not json');
+	});
+});
+
+describe('describeEvent', () => {
+	it('summarizes text frames with type, uiEvent and FOP', () => {
+		const data = JSON.stringify({ type: 'update', payload: { uiEvent: 'GroupDone', fop: 'B' } });
+		expect(describeEvent({ kind: 'text', data })).toBe('UPDATE GroupDone [B]');
+	});
+
+	it('summarizes binary frames with their embedded type', () => {
+		const frame = binaryFrame('flags_zip');
+		expect(describeEvent({ kind: 'binary', size: frame.length, data: frame.toString('base64') }))
+			.toBe(`BINARY flags_zip (${frame.length} bytes)`);
+	});
+});
+
+describe('peekBinaryType', () => {
+	it('reads the type of a single-block frame', () => {
+		expect(peekBinaryType(binaryFrame('database_zip'))).toBe('database_zip');
+	});
+
+	it('returns null for frames too short to contain a type', () => {
+		expect(peekBinaryType(Buffer.from([0, 0]))).toBeNull();
+	});
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { sseBroker } from '../../src/lib/server/sse-broker.js';
+
+/**
+ * Tests for SSE event ids and Last-Event-ID replay
+ */
+
+const decoder = new TextDecoder();
+
+function eventId(bytes) {
+	return /^id: (.+)$/m.exec(decoder.decode(bytes))[1];
+}
+
+function dataOf(bytes) {
+	return JSON.parse(/^data: (.+)$/m.exec(decoder.decode(bytes))[1]);
+}
+
+describe('sseBroker replay', () => {
+	it('gives every event an increasing id', () => {
+		const received = [];
+		const unregister = sseBroker.registerClient((bytes) => received.push(bytes), 'ids', 'A', 'ids');
+		sseBroker.broadcast({ type: 'timer', fop: 'A' }, 'ids');
+		sseBroker.broadcast({ type: 'decision', fop: 'A' }, 'ids');
+		unregister();
+
+		const [first, second] = received.map(eventId);
+		expect(first.split('-')[0]).toBe(second.split('-')[0]);
+		expect(Number(second.split('-')[1])).toBeGreaterThan(Number(first.split('-')[1]));
+		expect(sseBroker.currentEventId()).toBe(second);
+	});
+
+	it('returns the FOP and global events missed since Last-Event-ID', () => {
+		const lastSeen = sseBroker.currentEventId();
+		sseBroker.broadcast({ type: 'timer', fop: 'A' }, 'replay');
+		sseBroker.broadcast({ type: 'timer', fop: 'B' }, 'replay');
+		sseBroker.broadcast({ type: 'hub_ready' }, 'replay');
+		sseBroker.broadcast({ type: 'decision', fop: 'A' }, 'replay');
+
+		const missed = sseBroker.eventsSince(lastSeen, 'replay', 'A').map(dataOf);
+		expect(missed.map((m) => `${m.type}:${m.fop || '-'}`)).toEqual(['timer:A', 'hub_ready:-', 'decision:A']);
+		expect(sseBroker.eventsSince(sseBroker.currentEventId(), 'replay', 'A')).toEqual([]);
+	});
+
+	it('asks for the full state when events were dropped or the id is unknown', () => {
+		const lastSeen = sseBroker.currentEventId();
+		for (let i = 0; i < 150; i++) {
+			sseBroker.broadcast({ type: 'timer', fop: 'A', i }, 'overrun');
+		}
+		expect(sseBroker.eventsSince(lastSeen, 'overrun', 'A')).toBeNull();
+		expect(sseBroker.eventsSince('0-1', 'overrun', 'A')).toBeNull();
+		expect(sseBroker.eventsSince('garbage', 'overrun', 'A')).toBeNull();
+	});
+});
+
+describe('sseBroker browser WebSocket clients', () => {
+	it('sends the events of every FOP the client follows', () => {
+		const received = [];
+		const unregister = sseBroker.registerClient((bytes) => received.push(dataOf(bytes)), 'multi', null, 'multi', { transport: 'websocket' });
+		sseBroker.broadcast({ type: 'timer', fop: 'A' }, 'multi');
+		sseBroker.setClientFops('multi', ['A', 'B']);
+		sseBroker.broadcast({ type: 'timer', fop: 'A' }, 'multi');
+		sseBroker.broadcast({ type: 'timer', fop: 'B' }, 'multi');
+		sseBroker.broadcast({ type: 'timer', fop: 'C' }, 'multi');
+		sseBroker.broadcast({ type: 'hub_ready' }, 'multi');
+		sseBroker.updateClient('multi', { clientId: 'tv-3', name: 'Warmup TV' });
+
+		expect(received.map((m) => `${m.type}:${m.fop || '-'}`)).toEqual(['timer:A', 'timer:B', 'hub_ready:-']);
+		expect(sseBroker.getClientDiagnostics().find((client) => client.connectionId === 'multi'))
+			.toMatchObject({ fop: 'A+B', transport: 'websocket', clientId: 'tv-3', name: 'Warmup TV' });
+		unregister();
+	});
+});
+
+describe('sseBroker client health', () => {
+	it('sends keepalive comments without counting them as events', () => {
+		const received = [];
+		const unregister = sseBroker.registerClient((bytes) => {
+			received.push(bytes);
+			sseBroker.recordWrite('alive', bytes);
+		}, 'alive', 'A', 'health', { remoteAddress: '10.0.0.7', userAgent: 'TV', language: 'fr' });
+		sseBroker.broadcast({ type: 'timer', fop: 'A' }, 'health');
+		sseBroker.sweep();
+
+		expect(decoder.decode(received.at(-1))).toMatch(/^: heartbeat \d+\n\n$/);
+		const diagnostics = sseBroker.getClientDiagnostics().find((client) => client.connectionId === 'alive');
+		expect(diagnostics).toMatchObject({ competition: 'health', fop: 'A', language: 'fr', remoteAddress: '10.0.0.7', userAgent: 'TV', eventsSent: 1 });
+		expect(diagnostics.bytesSent).toBe(received.reduce((total, bytes) => total + bytes.byteLength, 0));
+		unregister();
+	});
+
+	it('closes clients that stopped reading', () => {
+		let closed = 0;
+		sseBroker.registerClient(() => {}, 'stuck', 'A', 'health', {
+			queuedBytes: () => 8 * 1024 * 1024,
+			close: () => closed++
+		});
+		const before = sseBroker.getMetrics().reaped.slowConsumer;
+		sseBroker.sweep();
+
+		expect(closed).toBe(1);
+		expect(sseBroker.getMetrics().reaped.slowConsumer).toBe(before + 1);
+		expect(sseBroker.getClientDiagnostics().some((client) => client.connectionId === 'stuck')).toBe(false);
+	});
+});
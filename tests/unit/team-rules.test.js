@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+	compareTeams,
+	expandTeamRuleOptions,
+	getTeamRuleSet,
+	placePoints,
+	registerTeamRuleSet,
+	selectContributors,
+	separateLiftPoints,
+	teamStanding
+} from '../../src/lib/server/team-rules.js';
+
+/**
+ * Tests for the team rule sets
+ */
+
+function athlete(key, score, { gender = 'M', categoryCode = 'SR_M81', teamMember = true, totalRank = 0 } = {}) {
+	return { key, score, gender, categoryCode, teamMember, totalRank };
+}
+
+const scoreOf = (a) => a.score;
+
+describe('team rule sets', () => {
+	it('lists the built-in rule sets and checks declarations', () => {
+		const spec = expandTeamRuleOptions({ key: 'teamRules', options: 'dynamic:team-rules' });
+		expect(spec.options.slice(0, 2)).toEqual(['Default', 'IWF']);
+		expect(getTeamRuleSet('Default').fromOptions).toBe(true);
+		expect(registerTeamRuleSet({ id: 'Bad', counting: { best: { X: 3 } } })).toBe(false);
+		expect(registerTeamRuleSet({ id: 'Bad', tieBreakers: ['coinToss'] })).toBe(false);
+	});
+
+	it('counts the best eligible athletes within the category limit', () => {
+		const ruleSet = { eligibility: { teamMembersOnly: true }, counting: { best: 3, maxPerCategory: 2 } };
+		const athletes = [
+			athlete(1, 300),
+			athlete(2, 290),
+			athlete(3, 280),
+			athlete(4, 270, { categoryCode: 'SR_M89' }),
+			athlete(5, 320, { teamMember: false, categoryCode: 'SR_M96' }),
+			athlete(6, 0, { categoryCode: 'SR_M102' }),
+			athlete(7, 260, { categoryCode: 'SR_M102' })
+		];
+		expect([...selectContributors(athletes, { ruleSet, gender: 'M', scoreOf })]).toEqual(['1', '2', '4']);
+
+		const mixed = { counting: { best: { MF: { M: 1, F: 2 } } } };
+		const team = [athlete(1, 300), athlete(2, 290), athlete(3, 250, { gender: 'F' }), athlete(4, 240, { gender: 'F' }), athlete(5, 230, { gender: 'F' })];
+		expect([...selectContributors(team, { ruleSet: mixed, gender: 'MF', scoreOf })]).toEqual(['1', '3', '4']);
+	});
+
+	it('awards points from the table and the lifts of the rule set', () => {
+		const points = placePoints({ points: { table: [12, 9, 8] } }, () => -1);
+		expect([points(1, 100, true), points(3, 100, true), points(4, 100, true), points(1, 0, true)]).toEqual([12, 8, 0, 0]);
+		expect(placePoints({ points: {} }, Math.max)).toBe(Math.max);
+		expect(separateLiftPoints({ points: { lifts: 'competition' } }, { snatchCJTotalMedals: true })).toBe(true);
+		expect(separateLiftPoints({ points: { lifts: 'total' } }, { snatchCJTotalMedals: true })).toBe(false);
+	});
+
+	it('ranks classified teams first, then by score and tie-breakers', () => {
+		const ruleSet = { counting: { minCategories: 2 }, tieBreakers: ['firstPlaces', 'bestScore'] };
+		const standing = (athletes) => teamStanding(athletes, { ruleSet, scoreOf });
+		const teams = [
+			{ teamName: 'A', teamScore: 50, ...standing([athlete(1, 30, { totalRank: 2 }), athlete(2, 20, { categoryCode: 'SR_M89', totalRank: 1 })]) },
+			{ teamName: 'B', teamScore: 50, ...standing([athlete(3, 40, { totalRank: 1 }), athlete(4, 10, { categoryCode: 'SR_M89', totalRank: 1 })]) },
+			{ teamName: 'C', teamScore: 80, ...standing([athlete(5, 80, { totalRank: 1 })]) },
+			{ teamName: 'D', teamScore: 50, ...standing([athlete(6, 25, { totalRank: 3 }), athlete(7, 25, { categoryCode: 'SR_M89', totalRank: 1 })]) }
+		];
+		expect(teams[2]).toMatchObject({ classified: false, categories: 1 });
+		teams.sort((a, b) => compareTeams(a, b, ruleSet));
+		expect(teams.map((team) => team.teamName)).toEqual(['B', 'A', 'D', 'C']);
+	});
+});
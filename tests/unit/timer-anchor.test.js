@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { anchorTimer, anchorPayloadTimers } from '../../src/lib/server/timer-anchor.js';
+
+/**
+ * Tests for the server time attached to timer values
+ */
+
+describe('anchorTimer', () => {
+	it('keeps the time a value was first seen until it changes', () => {
+		const running = { state: 'running', timeRemaining: 60000 };
+		expect(anchorTimer('c', 'A', 'timer', running, 1000).serverTime).toBe(1000);
+		expect(anchorTimer('c', 'A', 'timer', { ...running }, 4000).serverTime).toBe(1000);
+		expect(anchorTimer('c', 'A', 'timer', { state: 'stopped', timeRemaining: 57000 }, 4000).serverTime).toBe(4000);
+		// Other FOPs and the break timer have their own anchors
+		expect(anchorTimer('c', 'B', 'timer', running, 5000).serverTime).toBe(5000);
+		expect(anchorTimer('c', 'A', 'breakTimer', running, 6000).serverTime).toBe(6000);
+	});
+
+	it('leaves timers without timeRemaining and the payload unchanged', () => {
+		const timer = { state: 'stopped' };
+		expect(anchorTimer('c', 'A', 'timer', timer)).toBe(timer);
+		expect(anchorTimer('c', 'A', 'timer', null)).toBeNull();
+
+		const payload = { timer: { state: 'set', timeRemaining: 120000 }, athletes: [] };
+		const anchored = anchorPayloadTimers('p', 'A', payload);
+		expect(anchored.timer.serverTime).toEqual(expect.any(Number));
+		expect(anchored.athletes).toBe(payload.athletes);
+		expect(payload.timer.serverTime).toBeUndefined();
+	});
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WebSocket, WebSocketServer } from 'ws';
+import { PROTOCOL_VERSION } from '../../src/lib/server/protocol-config.js';
+
+/**
+ * Tests for the OWLCMS WebSocket endpoints: /ws observed while tracker-core
+ * serves it, and /<competition>/ws
+ */
+
+// The recorder and the competition registry read their settings when first imported
+const recordingsDir = mkdtempSync(join(tmpdir(), 'owlrec-'));
+process.env.RECORD_SESSION = 'true';
+process.env.RECORDINGS_DIR = recordingsDir;
+process.env.MAX_COMPETITIONS = '1';
+
+let httpServer;
+let port;
+
+beforeAll(async () => {
+	const { initWebSocketServer } = await import('../../src/lib/server/websocket-server.js');
+	httpServer = createServer();
+	// Stands in for tracker-core's attachWebSocketToServer, which answers every frame
+	const owlcmsServer = new WebSocketServer({ noServer: true });
+	httpServer.on('upgrade', (request, socket, head) => {
+		if (request.url !== '/ws') return;
+		owlcmsServer.handleUpgrade(request, socket, head, (ws) => {
+			ws.on('message', () => ws.send(JSON.stringify({ status: 200 })));
+		});
+	});
+	initWebSocketServer(httpServer, { includeDefault: false });
+	await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+	port = httpServer.address().port;
+});
+
+afterAll(async () => {
+	await new Promise((resolve) => httpServer.close(resolve));
+	rmSync(recordingsDir, { recursive: true, force: true });
+});
+
+async function connect(path = '/ws') {
+	const client = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+	await new Promise((resolve, reject) => {
+		client.on('open', resolve);
+		client.on('error', reject);
+	});
+	return client;
+}
+
+function nextReply(client) {
+	return new Promise((resolve) => client.once('message', (data) => resolve(JSON.parse(data.toString()))));
+}
+
+function readRecording() {
+	const [file] = readdirSync(recordingsDir);
+	if (!file) return [];
+	return readFileSync(join(recordingsDir, file), 'utf8')
+		.split('\n')
+		.filter(Boolean)
+		.map((line) => JSON.parse(line));
+}
+
+describe('/ws', () => {
+	it('records the frames OWLCMS sends', async () => {
+		const client = await connect();
+		const frame = JSON.stringify({ version: PROTOCOL_VERSION, type: 'timer', payload: { fop: 'A' } });
+		const binary = Buffer.concat([Buffer.from([0, 0, 0, 9]), Buffer.from('flags_zip'), Buffer.alloc(70000, 1)]);
+		const replies = [nextReply(client)];
+		client.send(frame);
+		await replies[0];
+		const reply = nextReply(client);
+		client.send(binary);
+
+		// tracker-core still answers
+		expect((await reply).status).toBe(200);
+		client.close(1000, 'done');
+		await new Promise((resolve) => client.on('close', resolve));
+		await new Promise((resolve) => setTimeout(resolve, 50));
+
+		const events = readRecording().filter((line) => line.kind !== 'header');
+		expect(events.map((event) => event.kind)).toEqual(['open', 'text', 'binary', 'close']);
+		expect(events[1].data).toBe(frame);
+		expect(Buffer.from(events[2].data, 'base64').equals(binary)).toBe(true);
+		expect(events[3]).toMatchObject({ code: 1000, reason: 'done' });
+	});
+
+	it('checks messages against the protocol schema', async () => {
+		const { getSchemaStats } = await import('../../src/lib/server/message-schema.js');
+		const checked = getSchemaStats().byType.decision?.checked || 0;
+		const client = await connect();
+		const reply = nextReply(client);
+		client.send(JSON.stringify({ version: PROTOCOL_VERSION, type: 'decision', payload: { fop: 'A' } }));
+		await reply;
+		client.close();
+
+		expect(getSchemaStats().byType.decision.checked).toBe(checked + 1);
+	});
+});
+
+describe('/<competition>/ws', () => {
+	const timer = (updateKey) => JSON.stringify({ version: PROTOCOL_VERSION, type: 'timer', payload: { fop: 'A', athleteTimerEventType: 'StopTime', updateKey } });
+
+	afterEach(() => {
+		delete process.env.OWLCMS_UPDATEKEY;
+	});
+
+	it('creates the competition only once the update key is accepted', async () => {
+		const { hasCompetition } = await import('../../src/lib/server/competitions.js');
+		process.env.OWLCMS_UPDATEKEY = 'secret';
+
+		let client = await connect('/nationals/ws');
+		let reply = nextReply(client);
+		client.send(timer('wrong'));
+		expect((await reply).status).toBe(401);
+		expect(hasCompetition('nationals')).toBe(false);
+
+		client = await connect('/nationals/ws');
+		reply = nextReply(client);
+		client.send(timer('secret'));
+		await reply;
+		client.close();
+		expect(hasCompetition('nationals')).toBe(true);
+	});
+
+	it('refuses competitions beyond MAX_COMPETITIONS', async () => {
+		const { hasCompetition } = await import('../../src/lib/server/competitions.js');
+		const client = await connect('/masters/ws');
+		const closed = new Promise((resolve) => client.on('close', (code) => resolve(code)));
+		const reply = nextReply(client);
+		client.send(timer());
+
+		expect(await reply).toMatchObject({ status: 503, error: 'too_many_competitions' });
+		expect(await closed).toBe(1013);
+		expect(hasCompetition('masters')).toBe(false);
+	});
+});
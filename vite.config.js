@@ -31,11 +31,18 @@ export default defineConfig({
 							onDisconnect: () => console.log('[WebSocket] OWLCMS disconnected')
 						});
 					});
+
+					// Named competitions (/<competition>/ws) - loaded through Vite so the
+					// hubs are shared with the SvelteKit routes
+					server.ssrLoadModule('/src/lib/server/websocket-server.js')
+						.then(({ initWebSocketServer }) => initWebSocketServer(server.httpServer, { includeDefault: false }))
+						.catch((err) => console.error('[WebSocket] Unable to serve named competitions:', err.message));
 					
 					// Serve /local directory (flags, pictures, styles)
 					server.middlewares.use('/local', (req, res, next) => {
 						// Decode URL-encoded paths (e.g., "AK%20Bj%C3%B8rgvin.png" → "AK Bjørgvin.png")
-						const decodedUrl = decodeURIComponent(req.url);
+						// Flag and picture URLs carry a content hash (?v=...), not part of the file name
+						const decodedUrl = decodeURIComponent(req.url.split('?')[0]);
 						const filePath = path.join(__dirname, 'local', decodedUrl);
 						
 						// Security: prevent directory traversal